@@ -1,15 +1,33 @@
+import http from 'http';
 import express from 'express';
 import cors from 'cors';
 import webhookRouter from './routes/webhook.js';
 import messagesRouter from './routes/messages.js';
 import sendRouter from './routes/send.js';
 import authRouter from './routes/auth.js';
+import channelsRouter from './routes/channels.js';
+import devicesRouter from './routes/devices.js';
+import attachmentsRouter from './routes/attachments.js';
+import { attachSocketServer } from './routes/socket.js';
 import { wsService } from './services/WebSocketService.js';
 import { userService } from './services/UserService.js';
+import { sessionService } from './services/SessionService.js';
+import { store } from './storage/index.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Behind a reverse proxy, trust its X-Forwarded-For so per-IP rate limits
+// see client addresses: true, a hop count (e.g. 1) or a list of proxy IPs
+const { TRUST_PROXY } = process.env;
+if (TRUST_PROXY) {
+  if (TRUST_PROXY === 'true') {
+    app.set('trust proxy', true);
+  } else {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+  }
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -30,10 +48,28 @@ app.get('/api/health', (req, res) => {
 // Routes
 app.use('/api', authRouter);
 app.use('/api', messagesRouter);
+app.use('/api', channelsRouter);
+app.use('/api', devicesRouter);
+app.use('/api', attachmentsRouter);
 app.use('/api', webhookRouter);
 app.use('/api', sendRouter);
 
-app.listen(PORT, () => {
+// HTTP server shared with the WebSocket endpoint (/api/ws)
+const server = http.createServer(app);
+attachSocketServer(server, app);
+
+// Expire idle and over-age sessions and close their connections
+sessionService.startSweeping();
+
+// Flush pending storage writes before exiting
+const shutdown = () => {
+  store.close();
+  process.exit(0);
+};
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
+
+server.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║                                                       ║
@@ -43,10 +79,12 @@ app.listen(PORT, () => {
 ║   Health check: http://localhost:${PORT}/api/health     ║
 ║                                                       ║
 ║   Features:                                           ║
-║   ✓ Real-time messaging via SSE                      ║
+║   ✓ Real-time messaging via WebSocket + SSE          ║
 ║   ✓ Multi-user support                               ║
+║   ✓ Group channels (capcodes)                        ║
 ║   ✓ Username-based authentication                    ║
 ║   ✓ Webhook integration                              ║
+║   ✓ Persistent storage                               ║
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
   `);
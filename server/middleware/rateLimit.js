@@ -0,0 +1,391 @@
+/**
+ * Rate limiting middleware
+ * Fixed-window limiters keyed by client IP or account, plus a progressive
+ * lockout for failed logins. Throttled requests get 429 with Retry-After.
+ *
+ * Counters live in a rate limit store: in memory by default, or in the
+ * shared storage backend (RATE_LIMIT_STORE=storage) so they survive restarts.
+ */
+import { store as sharedStore } from '../storage/index.js';
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+
+/**
+ * Read a positive integer from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Default value
+ * @returns {number}
+ */
+const envInt = (name, fallback) => parseInt(process.env[name], 10) || fallback;
+
+// Limits per window; every value can be overridden from the environment
+export const RATE_LIMITS = {
+  // register + login attempts per IP (each one runs bcrypt)
+  authPerIp: {
+    max: envInt('AUTH_RATE_LIMIT', 30),
+    windowMs: envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS
+  },
+  // password and two-factor checks per signed-in account (e.g. turning
+  // two-factor off), so a stolen session can't guess codes
+  authPerUser: {
+    max: envInt('AUTH_RATE_LIMIT_PER_USER', 10),
+    windowMs: envInt('AUTH_RATE_LIMIT_WINDOW_MINUTES', 15) * MINUTE_MS
+  },
+  // pages sent per IP, over HTTP or the WebSocket
+  sendPerIp: {
+    max: envInt('SEND_RATE_LIMIT_PER_IP', 300),
+    windowMs: MINUTE_MS
+  },
+  // pages sent per account, over HTTP or the WebSocket
+  sendPerUser: {
+    max: envInt('SEND_RATE_LIMIT_PER_USER', 60),
+    windowMs: MINUTE_MS
+  },
+  // failed logins before an account locks, and how long the first lock lasts;
+  // each further failure doubles the lock up to the maximum
+  loginLockout: {
+    threshold: envInt('LOGIN_LOCKOUT_THRESHOLD', 5),
+    baseDelayMs: envInt('LOGIN_LOCKOUT_SECONDS', 30) * SECOND_MS,
+    maxDelayMs: envInt('LOGIN_LOCKOUT_MAX_MINUTES', 15) * MINUTE_MS
+  }
+};
+
+// Failed logins are forgotten after this long without another failure
+const LOGIN_FAILURE_MEMORY_MS = 60 * MINUTE_MS;
+
+// Expired entries are swept at most this often, as new values are written
+const PRUNE_INTERVAL_MS = MINUTE_MS;
+
+// Most entries a store keeps; beyond it the least recently written go first
+export const MAX_RATE_LIMIT_ENTRIES = envInt('RATE_LIMIT_MAX_ENTRIES', 10000);
+
+/**
+ * In-memory rate limit store
+ * Keeps { value, expiresAt } entries in a Map, in the order they were last
+ * written; expired entries read as null. Other stores only need the same
+ * get/set/delete/clear methods.
+ */
+export class MemoryRateLimitStore {
+  /**
+   * @param {Map} entries - Backing Map (default: a private one)
+   * @param {Object} options
+   * @param {number} options.maxEntries - Entry cap (default: MAX_RATE_LIMIT_ENTRIES)
+   */
+  constructor(entries = new Map(), { maxEntries = MAX_RATE_LIMIT_ENTRIES } = {}) {
+    this.entries = entries;
+    this.maxEntries = maxEntries;
+    this.lastPrunedAt = Date.now();
+  }
+
+  /**
+   * Get a live value
+   * @param {string} key - Entry key
+   * @returns {Object|null} Stored value, or null if missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  /**
+   * Store a value until it expires
+   * @param {string} key - Entry key
+   * @param {Object} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  set(key, value, ttlMs) {
+    const now = Date.now();
+    // Re-inserting moves the key to the end, so the Map stays in write order
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: now + ttlMs });
+
+    if (now - this.lastPrunedAt >= PRUNE_INTERVAL_MS || this.entries.size > this.maxEntries) {
+      this.prune(now);
+    }
+  }
+
+  /**
+   * Remove a value
+   * @param {string} key - Entry key
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Drop every expired entry, then the least recently written ones while
+   * the store is over its cap
+   * @param {number} now - Current time (ms)
+   */
+  prune(now = Date.now()) {
+    this.lastPrunedAt = now;
+    this.entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(key);
+      }
+    });
+
+    for (const key of this.entries.keys()) {
+      if (this.entries.size <= this.maxEntries) break;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Remove every value
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Rate limit store backed by the storage driver's rateLimits collection
+ * Lockouts and counters survive a restart when the file driver is used.
+ */
+export class StorageRateLimitStore extends MemoryRateLimitStore {
+  /**
+   * @param {MemoryDriver} store - Storage driver (defaults to the shared store)
+   */
+  constructor(store = sharedStore) {
+    super(store.collection('rateLimits'));
+    this.store = store;
+  }
+
+  /**
+   * Store a value until it expires, then schedule a save
+   * @param {string} key - Entry key
+   * @param {Object} value - JSON-serializable value
+   * @param {number} ttlMs - Time to live in milliseconds
+   */
+  set(key, value, ttlMs) {
+    super.set(key, value, ttlMs);
+    this.store.persist();
+  }
+
+  /**
+   * Remove a value, then schedule a save
+   * @param {string} key - Entry key
+   */
+  delete(key) {
+    super.delete(key);
+    this.store.persist();
+  }
+
+  /**
+   * Remove every value, then schedule a save
+   */
+  clear() {
+    super.clear();
+    this.store.persist();
+  }
+}
+
+/**
+ * Create the rate limit store
+ * @param {Object} options
+ * @param {string} options.backend - 'memory' or 'storage' (default: RATE_LIMIT_STORE env)
+ * @returns {MemoryRateLimitStore} Rate limit store
+ */
+export const createRateLimitStore = ({
+  backend = process.env.RATE_LIMIT_STORE || 'memory'
+} = {}) => {
+  switch (backend) {
+    case 'memory':
+      return new MemoryRateLimitStore();
+    case 'storage':
+      return new StorageRateLimitStore();
+    default:
+      throw new Error(`Unknown rate limit store: ${backend}`);
+  }
+};
+
+// Shared store used by the limiter singletons
+export const rateLimitStore = createRateLimitStore();
+
+/**
+ * Fixed-window request counter
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {string} options.name - Prefix that keeps this limiter's keys apart
+   * @param {number} options.max - Requests allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   * @param {MemoryRateLimitStore} options.store - Counter store (defaults to the shared store)
+   */
+  constructor({ name, max, windowMs, store = rateLimitStore }) {
+    this.name = name;
+    this.max = max;
+    this.windowMs = windowMs;
+    this.store = store;
+  }
+
+  /**
+   * Count one request
+   * @param {string} key - Client key (IP address, user ID)
+   * @returns {{allowed: boolean, remaining: number, retryAfterMs: number}}
+   */
+  consume(key) {
+    const storeKey = `${this.name}:${key}`;
+    const now = Date.now();
+    const window = this.store.get(storeKey) || { count: 0, resetAt: now + this.windowMs };
+
+    window.count += 1;
+    this.store.set(storeKey, window, window.resetAt - now);
+
+    return {
+      allowed: window.count <= this.max,
+      remaining: Math.max(0, this.max - window.count),
+      retryAfterMs: window.resetAt - now
+    };
+  }
+
+  /**
+   * Forget a client's requests
+   * @param {string} key - Client key
+   */
+  reset(key) {
+    this.store.delete(`${this.name}:${key}`);
+  }
+}
+
+/**
+ * Progressive lockout after repeated failed logins
+ * Once an account reaches the failure threshold every further failure locks
+ * it for twice as long as the last lock, up to the maximum.
+ */
+export class LoginLockout {
+  /**
+   * @param {Object} options
+   * @param {number} options.threshold - Failures before the first lock
+   * @param {number} options.baseDelayMs - Length of the first lock
+   * @param {number} options.maxDelayMs - Longest lock
+   * @param {MemoryRateLimitStore} options.store - State store (defaults to the shared store)
+   */
+  constructor({ threshold, baseDelayMs, maxDelayMs, store = rateLimitStore }) {
+    this.threshold = threshold;
+    this.baseDelayMs = baseDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.store = store;
+  }
+
+  /**
+   * Store key for an account (usernames are matched case-insensitively)
+   * @param {string} username - Username
+   * @returns {string}
+   */
+  keyFor(username) {
+    return `login-lockout:${String(username).trim().toLowerCase()}`;
+  }
+
+  /**
+   * Time left on an account's lock
+   * @param {string} username - Username
+   * @returns {number} Milliseconds until login is allowed again (0 if not locked)
+   */
+  getRetryAfterMs(username) {
+    const state = this.store.get(this.keyFor(username));
+    return state ? Math.max(0, state.lockedUntil - Date.now()) : 0;
+  }
+
+  /**
+   * Record a failed login
+   * @param {string} username - Username that was tried
+   * @returns {number} Milliseconds the account is now locked for (0 if not locked)
+   */
+  recordFailure(username) {
+    const key = this.keyFor(username);
+    const now = Date.now();
+    const state = this.store.get(key) || { failures: 0, lockedUntil: 0 };
+
+    state.failures += 1;
+    if (state.failures >= this.threshold) {
+      const delayMs = Math.min(
+        this.baseDelayMs * 2 ** (state.failures - this.threshold),
+        this.maxDelayMs
+      );
+      state.lockedUntil = now + delayMs;
+    }
+
+    this.store.set(key, state, Math.max(LOGIN_FAILURE_MEMORY_MS, state.lockedUntil - now));
+    return Math.max(0, state.lockedUntil - now);
+  }
+
+  /**
+   * Clear an account's failures after a successful login
+   * @param {string} username - Username
+   */
+  recordSuccess(username) {
+    this.store.delete(this.keyFor(username));
+  }
+}
+
+// Limiter singletons shared by the routes and the WebSocket endpoint
+export const limiters = {
+  authPerIp: new RateLimiter({ name: 'auth-ip', ...RATE_LIMITS.authPerIp }),
+  authPerUser: new RateLimiter({ name: 'auth-user', ...RATE_LIMITS.authPerUser }),
+  sendPerIp: new RateLimiter({ name: 'send-ip', ...RATE_LIMITS.sendPerIp }),
+  sendPerUser: new RateLimiter({ name: 'send-user', ...RATE_LIMITS.sendPerUser })
+};
+export const loginLockout = new LoginLockout(RATE_LIMITS.loginLockout);
+
+/**
+ * Reply 429 Too Many Requests with a Retry-After header
+ * @param {Response} res - Express response object
+ * @param {number} retryAfterMs - Milliseconds until the client may retry
+ * @param {string} message - Error message
+ */
+export const sendTooManyRequests = (res, retryAfterMs, message = 'Too many requests') => {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / SECOND_MS));
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retryAfter });
+};
+
+/**
+ * Build middleware that counts requests against a limiter
+ * @param {RateLimiter} limiter - Limiter to count against
+ * @param {Function} keyFor - (req) => client key; requests without a key pass
+ * @returns {Function} Express middleware
+ */
+export const rateLimit = (limiter, keyFor) => (req, res, next) => {
+  const key = keyFor(req);
+  if (!key) return next();
+
+  const { allowed, retryAfterMs } = limiter.consume(key);
+  if (!allowed) {
+    return sendTooManyRequests(res, retryAfterMs);
+  }
+  next();
+};
+
+// Route middleware (per-user limits go after requireSession)
+export const limitAuthByIp = rateLimit(limiters.authPerIp, req => req.ip);
+export const limitAuthByUser = rateLimit(limiters.authPerUser, req => req.user?.userId);
+export const limitSendByIp = rateLimit(limiters.sendPerIp, req => req.ip);
+export const limitSendByUser = rateLimit(limiters.sendPerUser, req => req.user?.userId);
+
+/**
+ * Refuse logins to an account that is locked after failed attempts
+ * Signed-in checks of the password or a two-factor code are refused too;
+ * their account is the session's, not the one named in the body.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const checkLoginLockout = (req, res, next) => {
+  const username = req.user ? req.user.username : req.body?.username;
+  const retryAfterMs = username ? loginLockout.getRetryAfterMs(username) : 0;
+
+  if (retryAfterMs > 0) {
+    return sendTooManyRequests(res, retryAfterMs, 'Too many failed login attempts');
+  }
+  next();
+};
@@ -0,0 +1,158 @@
+/**
+ * Session middleware for user routes
+ * Browsers authenticate with an HttpOnly session cookie plus a double-submit
+ * CSRF token; API clients send the session token as a Bearer header (or, for
+ * older clients, a sessionId body field). Tokens are never read from the
+ * query string, so they stay out of proxy logs and browser history.
+ */
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { userService, SESSION_ABSOLUTE_TIMEOUT_MS } from '../services/UserService.js';
+
+// Cookie holding the session token (HttpOnly, never visible to scripts)
+export const SESSION_COOKIE = 'retro_session';
+
+// Cookie holding the CSRF token the client echoes back in CSRF_HEADER
+export const CSRF_COOKIE = 'retro_csrf';
+export const CSRF_HEADER = 'x-csrf-token';
+
+// Methods that never change state and so skip the CSRF check
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Parse a Cookie header
+ * @param {string} header - Raw Cookie header
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export const parseCookies = (header = '') => header
+  .split(';')
+  .map(pair => pair.trim())
+  .filter(Boolean)
+  .reduce((cookies, pair) => {
+    const separator = pair.indexOf('=');
+    if (separator > 0) {
+      const name = pair.slice(0, separator).trim();
+      try {
+        cookies[name] = decodeURIComponent(pair.slice(separator + 1).trim());
+      } catch {
+        cookies[name] = pair.slice(separator + 1).trim();
+      }
+    }
+    return cookies;
+  }, {});
+
+/**
+ * Find the session token on a request
+ * Works on Express requests and raw upgrade requests alike.
+ * @param {import('http').IncomingMessage} req - Request
+ * @returns {{sessionId: string|null, source: 'bearer'|'body'|'cookie'|null}}
+ */
+export const getRequestSession = (req) => {
+  const authHeader = req.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { sessionId: authHeader.substring(7), source: 'bearer' };
+  }
+
+  if (req.body && typeof req.body.sessionId === 'string' && req.body.sessionId) {
+    return { sessionId: req.body.sessionId, source: 'body' };
+  }
+
+  const cookieSession = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  if (cookieSession) {
+    return { sessionId: cookieSession, source: 'cookie' };
+  }
+
+  return { sessionId: null, source: null };
+};
+
+/**
+ * Check the double-submit CSRF token of a cookie-authenticated request
+ * @param {Request} req - Express request object
+ * @returns {boolean} Whether the header matches the CSRF cookie
+ */
+const hasValidCsrfToken = (req) => {
+  const expected = parseCookies(req.headers.cookie)[CSRF_COOKIE];
+  const actual = req.get(CSRF_HEADER);
+  if (!expected || !actual) {
+    return false;
+  }
+
+  // Compare byte lengths: a non-ASCII header can match in characters only
+  const expectedBytes = Buffer.from(expected);
+  const actualBytes = Buffer.from(actual);
+  if (expectedBytes.length !== actualBytes.length) {
+    return false;
+  }
+  return timingSafeEqual(expectedBytes, actualBytes);
+};
+
+/**
+ * Shared cookie attributes
+ * @returns {Object} Options for res.cookie
+ */
+const cookieOptions = () => ({
+  sameSite: 'strict',
+  secure: process.env.NODE_ENV === 'production',
+  path: '/',
+  maxAge: SESSION_ABSOLUTE_TIMEOUT_MS
+});
+
+/**
+ * Issue the session and CSRF cookies for a new session
+ * @param {Response} res - Express response object
+ * @param {string} sessionId - Session token
+ */
+export const setSessionCookies = (res, sessionId) => {
+  res.cookie(SESSION_COOKIE, sessionId, { ...cookieOptions(), httpOnly: true });
+  res.cookie(CSRF_COOKIE, randomBytes(32).toString('hex'), cookieOptions());
+};
+
+/**
+ * Clear the session and CSRF cookies
+ * @param {Response} res - Express response object
+ */
+export const clearSessionCookies = (res) => {
+  const { maxAge, ...options } = cookieOptions();
+  res.clearCookie(SESSION_COOKIE, { ...options, httpOnly: true });
+  res.clearCookie(CSRF_COOKIE, options);
+};
+
+/**
+ * Resolve the session token of a request into req.sessionId
+ * Cookie-authenticated requests that change state must carry the CSRF header.
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export const resolveSession = (req, res, next) => {
+  const { sessionId, source } = getRequestSession(req);
+
+  if (!sessionId) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+
+  if (source === 'cookie' && !SAFE_METHODS.includes(req.method) && !hasValidCsrfToken(req)) {
+    return res.status(403).json({ error: 'Invalid CSRF token' });
+  }
+
+  req.sessionId = sessionId;
+  next();
+};
+
+/**
+ * Load the user behind req.sessionId into req.user
+ * @param {Request} req - Express request object
+ * @param {Response} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+const loadSessionUser = (req, res, next) => {
+  const user = userService.getUserBySession(req.sessionId);
+  if (!user) {
+    return res.status(401).json({ error: 'Invalid session' });
+  }
+
+  req.user = user;
+  next();
+};
+
+// Require a valid session: sets req.sessionId and req.user
+export const requireSession = [resolveSession, loadSessionUser];
@@ -0,0 +1,53 @@
+import express from 'express';
+import { attachmentService, MAX_ATTACHMENT_BLOB_BYTES } from '../services/AttachmentService.js';
+import { sendError } from '../utils/errors.js';
+import { requireSession } from '../middleware/session.js';
+import { limitSendByIp, limitSendByUser } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+const parseBlob = express.raw({ type: 'application/octet-stream', limit: MAX_ATTACHMENT_BLOB_BYTES });
+
+/**
+ * Read the raw upload body, answering oversized or unreadable bodies as
+ * JSON errors like every other route
+ */
+const readBlob = (req, res, next) => {
+  parseBlob(req, res, (error) => {
+    if (!error) return next();
+    res.status(error.status === 413 ? 413 : 400).json({
+      error: error.status === 413 ? 'Attachment is too large' : 'Attachment body could not be read'
+    });
+  });
+};
+
+/**
+ * POST /api/attachments
+ * Upload an encrypted attachment (application/octet-stream). Returns its ID
+ * for the message that will carry its key.
+ */
+router.post('/attachments', limitSendByIp, requireSession, limitSendByUser, readBlob, (req, res) => {
+  try {
+    res.status(201).json({ success: true, ...attachmentService.upload(req.user, req.body) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/attachments/:attachmentId
+ * Download an encrypted attachment sent by or to the current user
+ */
+router.get('/attachments/:attachmentId', requireSession, (req, res) => {
+  let data;
+  try {
+    data = attachmentService.download(req.user, req.params.attachmentId);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.set('Cache-Control', 'private, no-store');
+  res.type('application/octet-stream').send(data);
+});
+
+export default router;
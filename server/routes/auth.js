@@ -1,14 +1,35 @@
 import express from 'express';
 import { userService } from '../services/UserService.js';
+import { sessionService } from '../services/SessionService.js';
+import { twoFactorService } from '../services/TwoFactorService.js';
+import { keyService } from '../services/KeyService.js';
+import { sendError } from '../utils/errors.js';
+import {
+  requireSession,
+  resolveSession,
+  setSessionCookies,
+  clearSessionCookies
+} from '../middleware/session.js';
+import { limitAuthByIp, limitAuthByUser, checkLoginLockout, loginLockout } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+/**
+ * Client details recorded on a new session
+ * @param {Request} req - Express request object
+ * @returns {{userAgent: string|null, ip: string|null}}
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent') || null,
+  ip: req.ip || null
+});
+
 /**
  * POST /api/auth/register
  * Register new user with password and public key
  */
-router.post('/auth/register', async (req, res) => {
-  const { username, password, publicKey } = req.body;
+router.post('/auth/register', limitAuthByIp, async (req, res) => {
+  const { username, password, publicKey, signingPublicKey } = req.body;
 
   if (!username || username.trim().length === 0) {
     return res.status(400).json({ error: 'Username is required' });
@@ -22,14 +43,22 @@ router.post('/auth/register', async (req, res) => {
     return res.status(400).json({ error: 'Public key is required' });
   }
 
+  if (signingPublicKey !== undefined && !userService.isValidSigningKey(signingPublicKey)) {
+    return res.status(400).json({ error: 'signingPublicKey must be a base64 public key' });
+  }
+
   try {
-    const result = await userService.registerUser(username, password, publicKey);
-    
+    const result = await userService.registerUser(username, password, publicKey, getClientInfo(req));
+    if (signingPublicKey) {
+      userService.setSigningPublicKey(result.userId, signingPublicKey);
+    }
+    setSessionCookies(res, result.sessionId);
+
     res.json({
       success: true,
       userId: result.userId,
       username: result.username,
-      sessionId: result.sessionId,
+      preferences: result.preferences,
       isNewUser: true
     });
   } catch (error) {
@@ -39,10 +68,12 @@ router.post('/auth/register', async (req, res) => {
 
 /**
  * POST /api/auth/login
- * Login with username and password
+ * Login with username and password, plus a two-factor code (or recovery
+ * code) when the account has two-factor authentication enabled
+ * Repeated failures lock the account for progressively longer.
  */
-router.post('/auth/login', async (req, res) => {
-  const { username, password } = req.body;
+router.post('/auth/login', limitAuthByIp, checkLoginLockout, async (req, res) => {
+  const { username, password, code, recoveryCode } = req.body;
 
   if (!username || username.trim().length === 0) {
     return res.status(400).json({ error: 'Username is required' });
@@ -52,114 +83,423 @@ router.post('/auth/login', async (req, res) => {
     return res.status(400).json({ error: 'Password is required' });
   }
 
+  let user;
   try {
-    const result = await userService.loginUser(username, password);
-    
-    res.json({
-      success: true,
-      userId: result.userId,
-      username: result.username,
-      sessionId: result.sessionId,
-      publicKey: result.publicKey,
-      encryptedPrivateKey: result.encryptedPrivateKey,
-      isNewUser: false
-    });
+    user = await userService.authenticate(username, password);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    loginLockout.recordFailure(username);
+    return res.status(400).json({ error: error.message });
+  }
+
+  if (twoFactorService.isEnabled(user.userId)) {
+    // The password was right: ask for the second step without counting a failure
+    if (!code && !recoveryCode) {
+      return res.status(401).json({ error: 'Two-factor code required', twoFactorRequired: true });
+    }
+
+    try {
+      twoFactorService.verify(user.userId, { code, recoveryCode });
+    } catch (error) {
+      loginLockout.recordFailure(username);
+      return res.status(error.status || 401).json({ error: error.message, twoFactorRequired: true });
+    }
   }
+
+  const result = userService.startLoginSession(user, getClientInfo(req));
+  loginLockout.recordSuccess(username);
+  setSessionCookies(res, result.sessionId);
+
+  res.json({
+    success: true,
+    userId: result.userId,
+    username: result.username,
+    publicKey: result.publicKey,
+    signingPublicKey: result.signingPublicKey,
+    encryptedPrivateKey: result.encryptedPrivateKey,
+    preferences: result.preferences,
+    isNewUser: false
+  });
 });
 
 /**
  * POST /api/auth/store-private-key
  * Store user's encrypted private key
  */
-router.post('/auth/store-private-key', (req, res) => {
-  const { sessionId, encryptedPrivateKey } = req.body;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
-  }
+router.post('/auth/store-private-key', requireSession, (req, res) => {
+  const { encryptedPrivateKey } = req.body;
 
   if (!encryptedPrivateKey) {
     return res.status(400).json({ error: 'encryptedPrivateKey is required' });
   }
 
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
-
-  userService.storeEncryptedPrivateKey(user.userId, encryptedPrivateKey);
+  userService.storeEncryptedPrivateKey(req.user.userId, encryptedPrivateKey);
   
   res.json({ success: true });
 });
 
+/**
+ * POST /api/auth/signing-key
+ * Publish the public key that verifies the user's message signatures
+ */
+router.post('/auth/signing-key', requireSession, (req, res) => {
+  try {
+    userService.setSigningPublicKey(req.user.userId, req.body.signingPublicKey);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/prekeys
+ * Publish this device's signed prekey
+ */
+router.post('/auth/prekeys', requireSession, (req, res) => {
+  try {
+    userService.setPrekey(req.sessionId, req.body.prekey);
+    res.json({ success: true });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/change-password
+ * Change the password; the client sends its private key re-wrapped under the
+ * new password. Every other session is signed out.
+ * Wrong current passwords count towards the login lockout.
+ */
+router.post('/auth/change-password', limitAuthByIp, requireSession, limitAuthByUser, checkLoginLockout, async (req, res) => {
+  const { currentPassword, newPassword, encryptedPrivateKey } = req.body;
+  const { username } = req.user;
+
+  if (!currentPassword) {
+    return res.status(400).json({ error: 'currentPassword is required' });
+  }
+
+  try {
+    const revoked = await sessionService.changePassword(req.user, req.sessionId, {
+      currentPassword,
+      newPassword,
+      encryptedPrivateKey
+    });
+    loginLockout.recordSuccess(username);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    if (error.status === 401) {
+      loginLockout.recordFailure(username);
+    }
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/rotate-key
+ * Replace the encryption key pair. The client sends the new public key and a
+ * keyring that also holds the retired private keys. Other sessions are
+ * signed out and contacts are told to fetch the new key.
+ * Wrong passwords count towards the login lockout.
+ */
+router.post('/auth/rotate-key', limitAuthByIp, requireSession, limitAuthByUser, checkLoginLockout, async (req, res) => {
+  const { password, publicKey, encryptedPrivateKey } = req.body;
+  const { username } = req.user;
+
+  if (!password) {
+    return res.status(400).json({ error: 'password is required' });
+  }
+
+  try {
+    const { revoked, recoveryKitRemoved } = await keyService.rotateKey(req.user, req.sessionId, {
+      password,
+      publicKey,
+      encryptedPrivateKey
+    });
+    loginLockout.recordSuccess(username);
+    res.json({ success: true, revoked, recoveryKitRemoved });
+  } catch (error) {
+    if (error.status === 401) {
+      loginLockout.recordFailure(username);
+    }
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/auth/recovery-kit
+ * Whether the current user has a recovery kit
+ */
+router.get('/auth/recovery-kit', requireSession, (req, res) => {
+  res.json(userService.getRecoveryKitStatus(req.user.userId));
+});
+
+/**
+ * POST /api/auth/recovery-kit
+ * Store a new recovery kit (replacing any earlier one). The phrase never
+ * reaches the server: only a key derived from it and the private key
+ * wrapped with it.
+ */
+router.post('/auth/recovery-kit', requireSession, async (req, res) => {
+  const { recoveryKey, encryptedPrivateKey } = req.body;
+
+  try {
+    const createdAt = await userService.setRecoveryKit(req.user.userId, recoveryKey, encryptedPrivateKey);
+    res.json({ success: true, createdAt });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/recovery/start
+ * Prove possession of a recovery phrase and get the private key copy it
+ * wraps. Failures count towards the login lockout.
+ */
+router.post('/auth/recovery/start', limitAuthByIp, checkLoginLockout, async (req, res) => {
+  const { username, recoveryKey } = req.body;
+
+  if (!username || !recoveryKey) {
+    return res.status(400).json({ error: 'username and recoveryKey are required' });
+  }
+
+  try {
+    const user = await userService.verifyRecoveryKey(username, recoveryKey);
+    res.json({ success: true, encryptedPrivateKey: user.recoveryKit.encryptedPrivateKey });
+  } catch (error) {
+    loginLockout.recordFailure(username);
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/recovery/complete
+ * Set a new password with a recovery phrase. Every session is signed out;
+ * the user then logs in with the new password (and two-factor code, if on).
+ */
+router.post('/auth/recovery/complete', limitAuthByIp, checkLoginLockout, async (req, res) => {
+  const { username, recoveryKey, newPassword, encryptedPrivateKey } = req.body;
+
+  if (!username || !recoveryKey) {
+    return res.status(400).json({ error: 'username and recoveryKey are required' });
+  }
+
+  try {
+    const revoked = await sessionService.recoverAccount({
+      username,
+      recoveryKey,
+      newPassword,
+      encryptedPrivateKey
+    });
+    loginLockout.recordSuccess(username);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    if (error.status === 401) {
+      loginLockout.recordFailure(username);
+    }
+    sendError(res, error);
+  }
+});
+
 /**
  * POST /api/auth/logout
- * Logout user and invalidate session
+ * Logout user, invalidate session, close its live connections and clear
+ * the session cookies
+ */
+router.post('/auth/logout', resolveSession, (req, res) => {
+  sessionService.logout(req.sessionId);
+  clearSessionCookies(res);
+
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's sessions across devices
  */
-router.post('/auth/logout', (req, res) => {
-  const { sessionId } = req.body;
+router.get('/auth/sessions', requireSession, (req, res) => {
+  const { user, sessionId } = req;
 
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
+  res.json({ sessions: sessionService.listSessions(user, sessionId) });
+});
+
+/**
+ * POST /api/auth/sessions/revoke-others
+ * Revoke every session except the caller's
+ */
+router.post('/auth/sessions/revoke-others', requireSession, (req, res) => {
+  const { user, sessionId } = req;
+
+  res.json({ success: true, revoked: sessionService.revokeOthers(user, sessionId) });
+});
+
+/**
+ * POST /api/auth/sessions/:id/revoke
+ * Revoke one of the current user's sessions by its public ID
+ */
+router.post('/auth/sessions/:id/revoke', requireSession, (req, res) => {
+  const { user } = req;
+
+  try {
+    sessionService.revoke(user, req.params.id);
+  } catch (error) {
+    return sendError(res, error);
   }
 
-  userService.logout(sessionId);
-  
   res.json({ success: true });
 });
 
 /**
- * GET /api/auth/users
- * Get list of all users (for user selection)
+ * GET /api/auth/2fa
+ * Get the current user's two-factor status
+ */
+router.get('/auth/2fa', requireSession, (req, res) => {
+  res.json(twoFactorService.getStatus(req.user.userId));
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start two-factor enrollment with a new secret and otpauth URI
+ */
+router.post('/auth/2fa/setup', requireSession, (req, res) => {
+  try {
+    const { secret, otpauthUri } = twoFactorService.setup(req.user);
+    res.json({ success: true, secret, otpauthUri });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Finish enrollment with a code from the authenticator; returns the
+ * one-time recovery codes
+ */
+router.post('/auth/2fa/enable', requireSession, (req, res) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return res.status(400).json({ error: 'code is required' });
+  }
+
+  try {
+    const recoveryCodes = twoFactorService.confirm(req.user, code);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor authentication off (needs the password and a code)
+ * Failures count towards the login lockout.
+ */
+router.post('/auth/2fa/disable', requireSession, limitAuthByUser, checkLoginLockout, async (req, res) => {
+  const { password, code, recoveryCode } = req.body;
+  const { username } = req.user;
+
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'code or recoveryCode is required' });
+  }
+
+  if (!await userService.verifyPassword(req.user.userId, password)) {
+    loginLockout.recordFailure(username);
+    return res.status(401).json({ error: 'Invalid password' });
+  }
+
+  try {
+    twoFactorService.disable(req.user, { code, recoveryCode });
+    loginLockout.recordSuccess(username);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.status === 401) {
+      loginLockout.recordFailure(username);
+    }
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace the recovery codes (needs a current code)
+ * Failures count towards the login lockout.
  */
-router.get('/auth/users', (req, res) => {
-  const { sessionId } = req.query;
+router.post('/auth/2fa/recovery-codes', requireSession, limitAuthByUser, checkLoginLockout, (req, res) => {
+  const { code, recoveryCode } = req.body;
+  const { username } = req.user;
 
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
+  if (!code && !recoveryCode) {
+    return res.status(400).json({ error: 'code or recoveryCode is required' });
   }
 
-  // Verify session
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
+  try {
+    const recoveryCodes = twoFactorService.regenerateRecoveryCodes(req.user, { code, recoveryCode });
+    loginLockout.recordSuccess(username);
+    res.json({ success: true, recoveryCodes });
+  } catch (error) {
+    if (error.status === 401) {
+      loginLockout.recordFailure(username);
+    }
+    sendError(res, error);
   }
+});
 
-  const users = userService.getAllUsers()
+/**
+ * GET /api/auth/users
+ * Get list of all users (for user selection)
+ */
+router.get('/auth/users', requireSession, (req, res) => {
+  const { user } = req;
+
+  const allUsers = userService.getAllUsers();
+  const users = allUsers
     .filter(u => u.userId !== user.userId) // Exclude self
     .map(u => ({
       username: u.username,
       online: u.online,
       lastSeen: u.lastSeen,
-      publicKey: u.publicKey // Include public key for E2EE
+      publicKey: u.publicKey, // Include public key for E2EE
+      signingPublicKey: u.signingPublicKey,
+      prekeys: u.prekeys
     }));
 
-  res.json({ users });
+  // Our own devices' prekeys, so pages we send stay readable on all of them
+  const ownPrekeys = allUsers.find(u => u.userId === user.userId)?.prekeys || [];
+
+  res.json({ users, ownPrekeys });
 });
 
 /**
  * GET /api/auth/session
  * Verify session and get user info
  */
-router.get('/auth/session', (req, res) => {
-  const { sessionId } = req.query;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
-  }
-
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
+router.get('/auth/session', requireSession, (req, res) => {
+  const { user } = req;
 
   res.json({
     userId: user.userId,
     username: user.username,
-    online: user.online
+    online: user.online,
+    preferences: userService.getPreferences(user.userId)
   });
 });
 
+/**
+ * POST /api/auth/preferences
+ * Update the current user's preferences
+ */
+router.post('/auth/preferences', requireSession, (req, res) => {
+  const { preferences } = req.body;
+
+  if (!preferences || typeof preferences !== 'object') {
+    return res.status(400).json({ error: 'preferences object is required' });
+  }
+
+  try {
+    const updated = userService.updatePreferences(req.user.userId, preferences);
+    res.json({ success: true, preferences: updated });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 export default router;
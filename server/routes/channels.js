@@ -0,0 +1,146 @@
+import express from 'express';
+import { channelService } from '../services/ChannelService.js';
+import { sendError } from '../utils/errors.js';
+import { requireSession } from '../middleware/session.js';
+import { limitSendByIp, limitSendByUser } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+// Upper bound for a single page of channel history
+const MAX_CHANNEL_PAGE_SIZE = 100;
+
+/**
+ * GET /api/channels
+ * List every channel, flagging the ones the user has joined
+ */
+router.get('/channels', requireSession, (req, res) => {
+  const { user } = req;
+
+  res.json({ channels: channelService.listChannels(user) });
+});
+
+/**
+ * POST /api/channels
+ * Create a channel and join it
+ */
+router.post('/channels', requireSession, (req, res) => {
+  const { name } = req.body;
+  const { user } = req;
+
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' });
+  }
+
+  try {
+    res.status(201).json({ success: true, channel: channelService.createChannel(user, name) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/channels/:channelId/join
+ * Join a channel
+ */
+router.post('/channels/:channelId/join', requireSession, (req, res) => {
+  const { user } = req;
+
+  try {
+    res.json({ success: true, channel: channelService.joinChannel(user, req.params.channelId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/channels/:channelId/leave
+ * Leave a channel
+ */
+router.post('/channels/:channelId/leave', requireSession, (req, res) => {
+  const { user } = req;
+
+  try {
+    res.json({ success: true, channel: channelService.leaveChannel(user, req.params.channelId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * GET /api/channels/:channelId/members
+ * List a channel's members and the public keys to encrypt for
+ */
+router.get('/channels/:channelId/members', requireSession, (req, res) => {
+  const { user } = req;
+
+  try {
+    res.json({ members: channelService.getMembers(user, req.params.channelId) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/channels/:channelId/messages
+ * Send a message to every member of a channel
+ */
+router.post('/channels/:channelId/messages', limitSendByIp, requireSession, limitSendByUser, (req, res) => {
+  const { content, encrypted, attachments = [] } = req.body;
+  const { user } = req;
+
+  if (!content) {
+    return res.status(400).json({ error: 'content is required' });
+  }
+
+  let message;
+  try {
+    message = channelService.sendMessage(user, req.params.channelId, content, encrypted || false, attachments);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({
+    success: true,
+    messageId: message.messageId,
+    timestamp: message.timestamp
+  });
+});
+
+/**
+ * GET /api/channels/:channelId/messages
+ * Get a channel's history, paged with message ID cursors
+ */
+router.get('/channels/:channelId/messages', requireSession, (req, res) => {
+  const { before, after, limit } = req.query;
+  const { user } = req;
+
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+
+  let page;
+  try {
+    page = channelService.getMessages(user, req.params.channelId, {
+      before,
+      after,
+      limit: Math.max(1, Math.min(parseInt(limit) || 50, MAX_CHANNEL_PAGE_SIZE))
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  const first = page.messages[0];
+  const last = page.messages[page.messages.length - 1];
+
+  res.json({
+    messages: page.messages,
+    hasMoreBefore: page.hasMoreBefore,
+    hasMoreAfter: page.hasMoreAfter,
+    cursors: {
+      before: page.hasMoreBefore && first ? first.messageId : null,
+      after: last ? last.messageId : after || null
+    }
+  });
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import { deviceService } from '../services/DeviceService.js';
+import { sendError } from '../utils/errors.js';
+import { requireSession, setSessionCookies } from '../middleware/session.js';
+import { limitAuthByIp } from '../middleware/rateLimit.js';
+
+const router = express.Router();
+
+/**
+ * POST /api/devices/link
+ * Ask to link this (signed-out) device to an account. The device shows a
+ * code derived from its public key for the user to enter on a linked device.
+ */
+router.post('/devices/link', limitAuthByIp, (req, res) => {
+  const { username, publicKey, name } = req.body;
+
+  if (!username || typeof username !== 'string') {
+    return res.status(400).json({ error: 'username is required' });
+  }
+
+  try {
+    const link = deviceService.requestLink(username.trim(), { publicKey, name }, { ip: req.ip || null });
+    res.status(201).json({ success: true, ...link });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+/**
+ * POST /api/devices/link/:linkId/complete
+ * Poll a link request. Once it is approved the response carries the sealed
+ * keyring and a new session, like a login.
+ */
+router.post('/devices/link/:linkId/complete', limitAuthByIp, (req, res) => {
+  const { linkToken } = req.body;
+
+  let result;
+  try {
+    result = deviceService.completeLink(req.params.linkId, linkToken, {
+      userAgent: req.get('User-Agent') || null,
+      ip: req.ip || null
+    });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  if (result.status === 'pending') {
+    return res.json({ success: true, status: 'pending' });
+  }
+
+  setSessionCookies(res, result.sessionId);
+  res.json({
+    success: true,
+    status: 'approved',
+    devicePublicKey: result.approval.publicKey,
+    payload: result.approval.payload,
+    deviceId: result.deviceId,
+    userId: result.userId,
+    username: result.username,
+    publicKey: result.publicKey,
+    signingPublicKey: result.signingPublicKey,
+    encryptedPrivateKey: result.encryptedPrivateKey,
+    preferences: result.preferences,
+    isNewUser: false
+  });
+});
+
+/**
+ * GET /api/devices
+ * List the devices linked to the current user's account
+ */
+router.get('/devices', requireSession, (req, res) => {
+  const { user, sessionId } = req;
+
+  res.json({ devices: deviceService.listDevices(user, sessionId) });
+});
+
+/**
+ * GET /api/devices/links
+ * List the devices waiting for the current user's approval
+ */
+router.get('/devices/links', requireSession, (req, res) => {
+  res.json({ links: deviceService.listPendingLinks(req.user) });
+});
+
+/**
+ * POST /api/devices/links/:linkId/approve
+ * Hand a waiting device the keyring, sealed to its key on this device
+ */
+router.post('/devices/links/:linkId/approve', requireSession, (req, res) => {
+  const { publicKey, payload } = req.body;
+
+  try {
+    deviceService.approveLink(req.user, req.params.linkId, { publicKey, payload });
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/devices/links/:linkId/reject
+ * Turn down a waiting device
+ */
+router.post('/devices/links/:linkId/reject', requireSession, (req, res) => {
+  try {
+    deviceService.rejectLink(req.user, req.params.linkId);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/devices/:deviceId/unlink
+ * Unlink a device and sign it out
+ */
+router.post('/devices/:deviceId/unlink', requireSession, (req, res) => {
+  try {
+    deviceService.unlinkDevice(req.user, req.params.deviceId);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({ success: true });
+});
+
+export default router;
@@ -1,27 +1,29 @@
 import express from 'express';
-import { wsService } from '../services/WebSocketService.js';
+import { SseConnection } from '../services/WebSocketService.js';
 import { userService } from '../services/UserService.js';
 import { messageService } from '../services/MessageService.js';
+import { deliveryService } from '../services/DeliveryService.js';
+import { realtimeService } from '../services/RealtimeService.js';
+import { typingService } from '../services/TypingService.js';
+import { sendError } from '../utils/errors.js';
+import { requireSession } from '../middleware/session.js';
+import { limitSendByIp, limitSendByUser } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Upper bound for a single page of conversation history
+const MAX_CONVERSATION_PAGE_SIZE = 100;
+
 /**
  * GET /api/messages/stream
  * Server-Sent Events endpoint for real-time message delivery
- * Requires sessionId query parameter
+ * Authenticated by the session cookie (or Bearer header). Missed events are
+ * replayed when the client sends a Last-Event-ID header (or lastEventId
+ * query parameter).
  */
-router.get('/messages/stream', (req, res) => {
-  const { sessionId } = req.query;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
-  }
-
-  // Verify session and get user
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
+router.get('/messages/stream', requireSession, (req, res) => {
+  const { user, sessionId } = req;
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
 
   // Set headers for SSE
   res.setHeader('Content-Type', 'text/event-stream');
@@ -29,80 +31,42 @@ router.get('/messages/stream', (req, res) => {
   res.setHeader('Connection', 'keep-alive');
   res.setHeader('Access-Control-Allow-Origin', '*');
 
-  // Mark user as online
-  userService.setUserOnline(user.userId, true);
-
-  // Add connection to WebSocket service
-  wsService.addConnection(user.userId, res);
-
-  // Send initial connection message
-  res.write(`data: ${JSON.stringify({ 
-    type: 'connected', 
-    userId: user.userId,
-    username: user.username 
-  })}\n\n`);
+  const connection = new SseConnection(res, sessionId);
+  realtimeService.open(user, connection, lastEventId);
 
-  // Handle client disconnect
-  req.on('close', () => {
-    wsService.removeConnection(user.userId, res);
-    userService.setUserOnline(user.userId, false);
-    console.log(`User ${user.username} disconnected`);
-  });
+  // Handle client disconnect (or the server ending the stream)
+  res.on('close', () => realtimeService.close(user, connection));
 });
 
 /**
  * POST /api/messages/send
  * Send a message to another user (with E2EE support)
  */
-router.post('/messages/send', (req, res) => {
-  const { sessionId, toUsername, content, encrypted } = req.body;
+router.post('/messages/send', limitSendByIp, requireSession, limitSendByUser, (req, res) => {
+  const { toUsername, content, encrypted, attachments = [] } = req.body;
+  const sender = req.user;
 
   // Validate input
-  if (!sessionId || !toUsername || !content) {
+  if (!toUsername || !content) {
     return res.status(400).json({ 
-      error: 'sessionId, toUsername, and content are required' 
+      error: 'toUsername and content are required' 
     });
   }
 
-  // Verify sender session
-  const sender = userService.getUserBySession(sessionId);
-  if (!sender) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
-
-  // Check if recipient exists
-  const recipient = userService.getUserByUsername(toUsername);
-  if (!recipient) {
-    return res.status(404).json({ error: 'Recipient not found' });
-  }
-
-  // Create and send message (content is already encrypted if encrypted=true)
-  const message = messageService.sendMessage(sender.userId, toUsername, content, encrypted);
-  
-  // Deliver to recipient
-  const deliveredMessage = messageService.deliverMessage(message.messageId, recipient.userId);
-
-  // Send real-time notification to recipient if online
-  if (wsService.isUserConnected(recipient.userId)) {
-    wsService.sendToUser(recipient.userId, {
-      type: 'new_message',
-      message: {
-        messageId: deliveredMessage.messageId,
-        from: sender.username,
-        fromUserId: sender.userId,
-        content: deliveredMessage.content,
-        encrypted: deliveredMessage.encrypted || false,
-        timestamp: deliveredMessage.timestamp,
-        status: deliveredMessage.status
-      }
-    });
+  // Queue the message (content is already encrypted if encrypted=true)
+  // and push it right away if the recipient is connected
+  let message;
+  try {
+    message = deliveryService.sendDirectMessage(sender, toUsername, content, encrypted, attachments);
+  } catch (error) {
+    return sendError(res, error);
   }
 
   // Return success to sender
   res.json({
     success: true,
     messageId: message.messageId,
-    status: deliveredMessage.status,
+    status: message.status,
     timestamp: message.timestamp
   });
 });
@@ -111,25 +75,19 @@ router.post('/messages/send', (req, res) => {
  * GET /api/messages/inbox
  * Get user's inbox messages
  */
-router.get('/messages/inbox', (req, res) => {
-  const { sessionId, limit } = req.query;
-
-  if (!sessionId) {
-    return res.status(400).json({ error: 'sessionId is required' });
-  }
-
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
+router.get('/messages/inbox', requireSession, (req, res) => {
+  const { limit } = req.query;
+  const { user } = req;
 
   const messages = messageService.getUserInbox(user.userId, parseInt(limit) || 50);
   
   res.json({
     messages: messages.map(msg => ({
       messageId: msg.messageId,
-      from: msg.fromUserId,
+      from: userService.getUserById(msg.fromUserId)?.username || 'Unknown',
+      fromUserId: msg.fromUserId,
       content: msg.content,
+      encrypted: msg.encrypted || false,
       timestamp: msg.timestamp,
       status: msg.status
     })),
@@ -138,24 +96,118 @@ router.get('/messages/inbox', (req, res) => {
 });
 
 /**
- * POST /api/messages/read
- * Mark message as read
+ * GET /api/messages/conversation/:username
+ * Get both directions of a conversation, paged with message ID cursors
+ */
+router.get('/messages/conversation/:username', requireSession, (req, res) => {
+  const { before, after, limit } = req.query;
+  const { user } = req;
+
+  if (before && after) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+
+  const otherUser = userService.getUserByUsername(req.params.username);
+  if (!otherUser) {
+    return res.status(404).json({ error: 'User not found' });
+  }
+
+  let page;
+  try {
+    page = messageService.getConversation(user.userId, otherUser.userId, {
+      before,
+      after,
+      limit: Math.max(1, Math.min(parseInt(limit) || 50, MAX_CONVERSATION_PAGE_SIZE))
+    });
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const first = page.messages[0];
+  const last = page.messages[page.messages.length - 1];
+
+  res.json({
+    messages: page.messages.map(msg => {
+      const outgoing = msg.fromUserId === user.userId;
+      return {
+        messageId: msg.messageId,
+        from: outgoing ? user.username : otherUser.username,
+        to: outgoing ? otherUser.username : user.username,
+        direction: outgoing ? 'outgoing' : 'incoming',
+        content: msg.content,
+        encrypted: msg.encrypted || false,
+        timestamp: msg.timestamp,
+        status: outgoing ? deliveryService.getSenderStatus(msg) : msg.status
+      };
+    }),
+    hasMoreBefore: page.hasMoreBefore,
+    hasMoreAfter: page.hasMoreAfter,
+    cursors: {
+      before: page.hasMoreBefore && first ? first.messageId : null,
+      after: last ? last.messageId : after || null
+    }
+  });
+});
+
+/**
+ * POST /api/messages/typing
+ * Start, refresh or stop the sender's typing indicator for a recipient
+ */
+router.post('/messages/typing', requireSession, (req, res) => {
+  const { toUsername, typing } = req.body;
+
+  if (!toUsername || typeof typing !== 'boolean') {
+    return res.status(400).json({ error: 'toUsername and a boolean typing flag are required' });
+  }
+
+  try {
+    typingService.setTyping(req.user, toUsername, typing);
+  } catch (error) {
+    return sendError(res, error);
+  }
+
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/messages/ack
+ * Acknowledge that the recipient's client received and decrypted messages
  */
-router.post('/messages/read', (req, res) => {
-  const { sessionId, messageId } = req.body;
+router.post('/messages/ack', requireSession, (req, res) => {
+  const { messageIds } = req.body;
 
-  if (!sessionId || !messageId) {
-    return res.status(400).json({ error: 'sessionId and messageId are required' });
+  if (!Array.isArray(messageIds) || messageIds.length === 0) {
+    return res.status(400).json({ error: 'A non-empty messageIds array is required' });
   }
 
-  const user = userService.getUserBySession(sessionId);
-  if (!user) {
-    return res.status(401).json({ error: 'Invalid session' });
+  const acknowledged = deliveryService.acknowledge(req.user, messageIds);
+
+  res.json({
+    success: true,
+    messages: acknowledged.map(msg => ({
+      messageId: msg.messageId,
+      status: msg.status,
+      deliveredAt: msg.deliveredAt
+    }))
+  });
+});
+
+/**
+ * POST /api/messages/read
+ * Mark message as read
+ */
+router.post('/messages/read', requireSession, (req, res) => {
+  const { messageId } = req.body;
+
+  if (!messageId) {
+    return res.status(400).json({ error: 'messageId is required' });
   }
 
-  const message = messageService.markAsRead(messageId);
-  if (!message) {
-    return res.status(404).json({ error: 'Message not found' });
+  let message;
+  try {
+    message = deliveryService.markRead(req.user, messageId);
+  } catch (error) {
+    return sendError(res, error);
   }
 
   res.json({ success: true, message });
@@ -0,0 +1,193 @@
+import { WebSocketServer } from 'ws';
+import proxyaddr from 'proxy-addr';
+import { WsConnection } from '../services/WebSocketService.js';
+import { userService } from '../services/UserService.js';
+import { realtimeService } from '../services/RealtimeService.js';
+import { getRequestSession } from '../middleware/session.js';
+import { limiters } from '../middleware/rateLimit.js';
+
+// Path the WebSocket endpoint listens on
+export const SOCKET_PATH = '/api/ws';
+
+// Interval between heartbeat pings; sockets that miss one are dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Close code sent when the session behind a socket is no longer valid
+const CLOSE_INVALID_SESSION = 4001;
+
+/**
+ * Reject an upgrade request with a plain HTTP response
+ * @param {import('net').Socket} socket - Raw socket
+ * @param {number} status - HTTP status code
+ * @param {string} message - Status text
+ */
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Whether a browser upgrade request comes from the page's own origin
+ * Cookies ride along on cross-site WebSocket handshakes, so cookie-
+ * authenticated sockets are only accepted from the same host.
+ * @param {import('http').IncomingMessage} req - Upgrade request
+ * @returns {boolean}
+ */
+const isSameOrigin = (req) => {
+  const { origin, host } = req.headers;
+  if (!origin) return true;
+
+  try {
+    return new URL(origin).host === host;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Client IP of an upgrade request
+ * Resolved the way req.ip is for HTTP routes, so behind a trusted proxy each
+ * client gets its own per-IP limits instead of sharing the proxy's.
+ * @param {import('http').IncomingMessage} req - Upgrade request
+ * @param {import('express').Express} [app] - App whose "trust proxy" setting applies
+ * @returns {string} Client IP address
+ */
+const getClientIp = (req, app) => {
+  if (!app) return req.socket.remoteAddress;
+  return proxyaddr(req, app.get('trust proxy fn'));
+};
+
+/**
+ * Count a send action against the same limits as POST /api/messages/send
+ * @param {Object} user - Sender
+ * @param {string} ip - Client IP address
+ * @returns {number} Milliseconds until sending is allowed again (0 if allowed)
+ */
+const getSendRetryAfterMs = (user, ip) => {
+  const blocked = [limiters.sendPerIp.consume(ip), limiters.sendPerUser.consume(user.userId)]
+    .filter(result => !result.allowed);
+  return blocked.length > 0 ? Math.max(...blocked.map(result => result.retryAfterMs)) : 0;
+};
+
+/**
+ * Handle one client frame: { requestId, action, ...payload }
+ * Replies are sent as transient { type: 'reply' } events.
+ * @param {WsConnection} connection - Connection adapter
+ * @param {Object} client - { sessionId, ip } the socket was opened with
+ * @param {string} raw - Raw frame
+ */
+const handleFrame = (connection, { sessionId, ip }, raw) => {
+  let request;
+  try {
+    request = JSON.parse(raw);
+  } catch {
+    connection.send({ type: 'reply', requestId: null, ok: false, status: 400, error: 'Invalid JSON' });
+    return;
+  }
+
+  // Valid JSON is not necessarily a request: null, numbers, strings and arrays are refused
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    connection.send({ type: 'reply', requestId: null, ok: false, status: 400, error: 'Frame must be a JSON object' });
+    return;
+  }
+  const { requestId = null, action } = request;
+
+  const user = userService.getUserBySession(sessionId);
+  if (!user) {
+    connection.close(CLOSE_INVALID_SESSION, 'Invalid session');
+    return;
+  }
+
+  // Sends are counted only once the frame is known to be a request
+  if (action === 'send') {
+    const retryAfterMs = getSendRetryAfterMs(user, ip);
+    if (retryAfterMs > 0) {
+      connection.send({
+        type: 'reply',
+        requestId,
+        ok: false,
+        status: 429,
+        error: 'Too many requests',
+        retryAfter: Math.ceil(retryAfterMs / 1000)
+      });
+      return;
+    }
+  }
+
+  try {
+    const result = realtimeService.handleAction(user, request);
+    connection.send({ type: 'reply', requestId, ok: true, result });
+  } catch (error) {
+    connection.send({
+      type: 'reply',
+      requestId,
+      ok: false,
+      status: error.status || 400,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Attach the WebSocket endpoint to an HTTP server
+ * Clients connect to /api/ws?lastEventId=... with the session cookie (or a
+ * Bearer header) and then get the same events as the SSE stream, plus request/reply actions (send, ack,
+ * read, typing) over the same socket.
+ * @param {import('http').Server} server - HTTP server
+ * @param {import('express').Express} [app] - Express app, for its "trust proxy" setting
+ * @returns {WebSocketServer} WebSocket server
+ */
+export const attachSocketServer = (server, app) => {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== SOCKET_PATH) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    const { sessionId, source } = getRequestSession(req);
+    if (source === 'cookie' && !isSameOrigin(req)) {
+      rejectUpgrade(socket, 403, 'Forbidden');
+      return;
+    }
+
+    const user = sessionId && userService.getUserBySession(sessionId);
+    if (!user) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      const connection = new WsConnection(ws, sessionId);
+      ws.isAlive = true;
+
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+      const client = { sessionId, ip: getClientIp(req, app) };
+      ws.on('message', (raw) => handleFrame(connection, client, raw.toString()));
+      ws.on('close', () => realtimeService.close(user, connection));
+
+      realtimeService.open(user, connection, url.searchParams.get('lastEventId'));
+    });
+  });
+
+  // Drop sockets whose peer vanished without a close frame
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) {
+        ws.terminate();
+        return;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  wss.on('close', () => clearInterval(heartbeat));
+
+  return wss;
+};
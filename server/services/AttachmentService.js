@@ -0,0 +1,143 @@
+import { v4 as uuidv4 } from 'uuid';
+import { store as defaultStore, blobStore as defaultBlobStore } from '../storage/index.js';
+import { HttpError } from '../utils/errors.js';
+
+// Largest attachment a client may upload, before encryption
+export const MAX_ATTACHMENT_BYTES =
+  (parseInt(process.env.MAX_ATTACHMENT_KB, 10) || 5 * 1024) * 1024;
+
+// Uploads are AES-GCM ciphertext, which carries a 16-byte tag
+export const MAX_ATTACHMENT_BLOB_BYTES = MAX_ATTACHMENT_BYTES + 16;
+
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+// Uploads that no message referenced within this long are deleted
+const UNCLAIMED_ATTACHMENT_TTL_MS = 60 * 60 * 1000;
+
+// Unsent uploads per account, so nobody fills the disk without sending
+const MAX_UNCLAIMED_ATTACHMENTS = 20;
+
+/**
+ * Encrypted attachment store
+ * Clients encrypt a file with a fresh AES-GCM key, upload the ciphertext
+ * here and send the key inside the message's E2EE bundle; the server never
+ * sees a key, file name or type. An upload can only be downloaded by its
+ * uploader until a message claims it, which lets the message's recipients
+ * (or the channel's members at the time) download it too.
+ */
+class AttachmentService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ store = defaultStore, blobs = defaultBlobStore } = {}) {
+    this.store = store;
+    this.blobs = blobs;
+    // Map of attachmentId -> { attachmentId, ownerId, size, createdAt, claimedAt, readerIds }
+    this.attachments = store.collection('attachments');
+  }
+
+  /**
+   * Delete uploads that were never sent
+   * @param {number} now - Current time (ms)
+   */
+  pruneUnclaimed(now = Date.now()) {
+    let pruned = false;
+    this.attachments.forEach((attachment, attachmentId) => {
+      if (!attachment.claimedAt && Date.parse(attachment.createdAt) + UNCLAIMED_ATTACHMENT_TTL_MS <= now) {
+        this.attachments.delete(attachmentId);
+        this.blobs.delete(attachmentId);
+        pruned = true;
+      }
+    });
+    if (pruned) {
+      this.store.persist();
+    }
+  }
+
+  /**
+   * Store an encrypted upload
+   * @param {Object} user - Uploader
+   * @param {Buffer} data - AES-GCM ciphertext
+   * @returns {Object} { attachmentId, size }
+   */
+  upload(user, data) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new HttpError(400, 'Attachment body must be the encrypted file bytes');
+    }
+    if (data.length > MAX_ATTACHMENT_BLOB_BYTES) {
+      throw new HttpError(413, `Attachments are limited to ${Math.floor(MAX_ATTACHMENT_BYTES / 1024)} KB`);
+    }
+
+    this.pruneUnclaimed();
+    const unclaimed = [...this.attachments.values()]
+      .filter(attachment => attachment.ownerId === user.userId && !attachment.claimedAt);
+    if (unclaimed.length >= MAX_UNCLAIMED_ATTACHMENTS) {
+      throw new HttpError(429, 'Too many unsent attachments, send or wait for them to expire');
+    }
+
+    const attachment = {
+      attachmentId: uuidv4(),
+      ownerId: user.userId,
+      size: data.length,
+      createdAt: new Date().toISOString(),
+      claimedAt: null,
+      readerIds: [user.userId]
+    };
+    this.blobs.put(attachment.attachmentId, data);
+    this.attachments.set(attachment.attachmentId, attachment);
+    this.store.persist();
+
+    return { attachmentId: attachment.attachmentId, size: attachment.size };
+  }
+
+  /**
+   * Let a message's recipients download the sender's uploads
+   * Every ID is checked before anything changes, so a bad ID leaves the
+   * other uploads as they were.
+   * @param {Object} sender - Message sender, who must own every upload
+   * @param {Array<string>} attachmentIds - Uploads the message references
+   * @param {Array<string>} readerIds - Users who may download them
+   */
+  claim(sender, attachmentIds, readerIds) {
+    if (!Array.isArray(attachmentIds) || attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      throw new HttpError(400, `attachments must be an array of at most ${MAX_ATTACHMENTS_PER_MESSAGE} IDs`);
+    }
+
+    const attachments = attachmentIds.map(attachmentId => {
+      const attachment = typeof attachmentId === 'string' && this.attachments.get(attachmentId);
+      if (!attachment || attachment.ownerId !== sender.userId) {
+        throw new HttpError(400, 'Unknown attachment');
+      }
+      return attachment;
+    });
+
+    const claimedAt = new Date().toISOString();
+    attachments.forEach(attachment => {
+      attachment.claimedAt = attachment.claimedAt || claimedAt;
+      attachment.readerIds = [...new Set([...attachment.readerIds, ...readerIds])];
+    });
+    if (attachments.length > 0) {
+      this.store.persist();
+    }
+  }
+
+  /**
+   * Read an upload the user may see
+   * @param {Object} user - Requesting user
+   * @param {string} attachmentId
+   * @returns {Buffer} AES-GCM ciphertext
+   */
+  download(user, attachmentId) {
+    const attachment = this.attachments.get(attachmentId);
+    const data = attachment?.readerIds.includes(user.userId) && this.blobs.get(attachmentId);
+    if (!data) {
+      // The same answer whether it doesn't exist or isn't ours to read
+      throw new HttpError(404, 'Attachment not found');
+    }
+    return data;
+  }
+}
+
+// Export singleton instance
+export const attachmentService = new AttachmentService();
+export default AttachmentService;
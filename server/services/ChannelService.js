@@ -0,0 +1,288 @@
+import { v4 as uuidv4 } from 'uuid';
+import { store as defaultStore } from '../storage/index.js';
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { messageService } from './MessageService.js';
+import { attachmentService } from './AttachmentService.js';
+import { HttpError } from '../utils/errors.js';
+
+// Channel names: 2-24 letters, digits, dashes or underscores
+const CHANNEL_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,23}$/i;
+
+// Capcodes are 7-digit group addresses, handed out in order from here
+const FIRST_CAPCODE = 1000001;
+
+/**
+ * Group channel service
+ * Channels work like pager group capcodes: one page to the channel reaches
+ * every member. Membership lives in storage; messages are fanned out to
+ * each member's live connections and kept in the channel history.
+ */
+class ChannelService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({
+    store = defaultStore,
+    users = userService,
+    messages = messageService,
+    connections = wsService,
+    attachments = attachmentService
+  } = {}) {
+    this.store = store;
+    this.users = users;
+    this.messages = messages;
+    this.connections = connections;
+    this.attachments = attachments;
+    // Map of channelId -> { channelId, name, capcode, createdBy, createdAt, memberIds }
+    this.channels = store.collection('channels');
+    // Map of lower-cased channel name -> channelId
+    this.channelNameIndex = store.collection('channelNameIndex');
+  }
+
+  /**
+   * Create a channel; the creator becomes its first member
+   * @param {Object} user - Creating user
+   * @param {string} name - Channel name
+   * @returns {Object} Channel summary
+   */
+  createChannel(user, name) {
+    const cleanName = typeof name === 'string' ? name.trim().replace(/^#/, '') : '';
+    if (!CHANNEL_NAME_PATTERN.test(cleanName)) {
+      throw new HttpError(400, 'Channel names are 2-24 letters, digits, dashes or underscores');
+    }
+    if (this.channelNameIndex.has(cleanName.toLowerCase())) {
+      throw new HttpError(409, 'Channel already exists');
+    }
+
+    const channel = {
+      channelId: uuidv4(),
+      name: cleanName,
+      capcode: String(FIRST_CAPCODE + this.channels.size),
+      createdBy: user.userId,
+      createdAt: new Date().toISOString(),
+      memberIds: [user.userId]
+    };
+
+    this.channels.set(channel.channelId, channel);
+    this.channelNameIndex.set(cleanName.toLowerCase(), channel.channelId);
+    this.store.persist();
+
+    return this.toSummary(channel, user.userId);
+  }
+
+  /**
+   * Get a channel by ID
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Channel
+   */
+  getChannel(channelId) {
+    const channel = this.channels.get(channelId);
+    if (!channel) {
+      throw new HttpError(404, 'Channel not found');
+    }
+    return channel;
+  }
+
+  /**
+   * Get a channel the user belongs to
+   * @param {Object} user - Member
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Channel
+   */
+  getMemberChannel(user, channelId) {
+    const channel = this.getChannel(channelId);
+    if (!channel.memberIds.includes(user.userId)) {
+      throw new HttpError(403, 'Not a member of this channel');
+    }
+    return channel;
+  }
+
+  /**
+   * List every channel, flagging the ones the user has joined
+   * @param {Object} user - Requesting user
+   * @returns {Array<Object>} Channel summaries, by name
+   */
+  listChannels(user) {
+    return Array.from(this.channels.values())
+      .map(channel => this.toSummary(channel, user.userId))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Join a channel
+   * Joining twice is a no-op.
+   * @param {Object} user - Joining user
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Channel summary
+   */
+  joinChannel(user, channelId) {
+    const channel = this.getChannel(channelId);
+
+    if (!channel.memberIds.includes(user.userId)) {
+      channel.memberIds.push(user.userId);
+      this.store.persist();
+      this.notifyMembers(channel, this.toMemberEvent(channel, user, true), user.userId);
+    }
+
+    return this.toSummary(channel, user.userId);
+  }
+
+  /**
+   * Leave a channel
+   * The channel and its history stay around after the last member leaves.
+   * @param {Object} user - Leaving user
+   * @param {string} channelId - Channel ID
+   * @returns {Object} Channel summary
+   */
+  leaveChannel(user, channelId) {
+    const channel = this.getMemberChannel(user, channelId);
+
+    channel.memberIds = channel.memberIds.filter(id => id !== user.userId);
+    this.store.persist();
+    this.notifyMembers(channel, this.toMemberEvent(channel, user, false));
+
+    return this.toSummary(channel, user.userId);
+  }
+
+  /**
+   * Get a channel's members with the public keys senders encrypt for
+   * @param {Object} user - Requesting member
+   * @param {string} channelId - Channel ID
+   * @returns {Array<Object>} Members ({ userId, username, publicKey, signingPublicKey, prekeys, online })
+   */
+  getMembers(user, channelId) {
+    return this.getMemberChannel(user, channelId).memberIds
+      .map(id => this.users.getUserById(id))
+      .filter(Boolean)
+      .map(member => ({
+        userId: member.userId,
+        username: member.username,
+        publicKey: member.publicKey,
+        signingPublicKey: member.signingPublicKey || null,
+        prekeys: this.users.getPrekeys(member.userId),
+        online: member.online
+      }));
+  }
+
+  /**
+   * Post a message to a channel and page every other member
+   * @param {Object} sender - Sending member
+   * @param {string} channelId - Channel ID
+   * @param {string} content - Message content (may be encrypted)
+   * @param {boolean} encrypted - Whether the content is encrypted
+   * @param {Array<string>} attachmentIds - Sender's uploads the message
+   *   references; today's members may download them
+   * @returns {Object} Stored message
+   */
+  sendMessage(sender, channelId, content, encrypted = false, attachmentIds = []) {
+    const channel = this.getMemberChannel(sender, channelId);
+    if (!encrypted && Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+      throw new HttpError(400, 'Attachments need an end-to-end encrypted message');
+    }
+    this.attachments.claim(sender, attachmentIds, channel.memberIds);
+
+    const message = this.messages.sendChannelMessage(sender.userId, channelId, content, encrypted);
+
+    this.notifyMembers(channel, {
+      type: 'channel_message',
+      channelId,
+      channel: channel.name,
+      message: this.toMessage(message)
+    }, sender.userId);
+
+    return message;
+  }
+
+  /**
+   * Get one page of a channel's history
+   * @param {Object} user - Requesting member
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - Cursor options (see MessageService.getChannelMessages)
+   * @returns {{messages: Array, hasMoreBefore: boolean, hasMoreAfter: boolean}} Page, oldest first
+   */
+  getMessages(user, channelId, options = {}) {
+    this.getMemberChannel(user, channelId);
+    const page = this.messages.getChannelMessages(channelId, options);
+    return { ...page, messages: page.messages.map(message => this.toMessage(message)) };
+  }
+
+  /**
+   * Send an event to every member of a channel
+   * Members without a live connection catch up from the channel history.
+   * @param {Object} channel - Channel
+   * @param {Object} event - Event data
+   * @param {string|null} exceptUserId - Member to skip (usually the sender)
+   * @returns {number} Number of members who received the event
+   */
+  notifyMembers(channel, event, exceptUserId = null) {
+    return channel.memberIds
+      .filter(id => id !== exceptUserId)
+      .filter(id => this.connections.sendToUser(id, event))
+      .length;
+  }
+
+  /**
+   * Build a channel summary for one user
+   * @param {Object} channel - Channel
+   * @param {string} userId - Viewing user ID
+   * @returns {Object} Summary
+   */
+  toSummary(channel, userId) {
+    return {
+      channelId: channel.channelId,
+      name: channel.name,
+      capcode: channel.capcode,
+      memberCount: channel.memberIds.length,
+      joined: channel.memberIds.includes(userId),
+      createdAt: channel.createdAt
+    };
+  }
+
+  /**
+   * Build the membership event sent when someone joins or leaves
+   * @param {Object} channel - Channel
+   * @param {Object} user - Member who joined or left
+   * @param {boolean} joined - Whether they joined
+   * @returns {Object} channel_member event
+   */
+  toMemberEvent(channel, user, joined) {
+    return {
+      type: 'channel_member',
+      channelId: channel.channelId,
+      channel: channel.name,
+      username: user.username,
+      joined
+    };
+  }
+
+  /**
+   * Format a stored channel message for clients
+   * @param {Object} message - Stored message
+   * @returns {Object} Client message
+   */
+  toMessage(message) {
+    return {
+      messageId: message.messageId,
+      from: this.users.getUserById(message.fromUserId)?.username || 'Unknown',
+      fromUserId: message.fromUserId,
+      channelId: message.channelId,
+      content: message.content,
+      encrypted: message.encrypted || false,
+      timestamp: message.timestamp
+    };
+  }
+
+  /**
+   * Clear all channels (for testing)
+   */
+  clearAll() {
+    this.channels.clear();
+    this.channelNameIndex.clear();
+    this.store.persist();
+  }
+}
+
+// Export singleton instance
+export const channelService = new ChannelService();
+export default ChannelService;
@@ -0,0 +1,198 @@
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { messageService } from './MessageService.js';
+import { attachmentService } from './AttachmentService.js';
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * Build the real-time event for a stored message
+ * @param {Object} message - Stored message
+ * @param {Object} sender - Sender user
+ * @returns {Object} new_message event
+ */
+const toMessageEvent = (message, sender) => ({
+  type: 'new_message',
+  message: {
+    messageId: message.messageId,
+    from: sender?.username || 'Unknown',
+    fromUserId: message.fromUserId,
+    content: message.content,
+    encrypted: message.encrypted || false,
+    timestamp: message.timestamp,
+    status: message.status
+  }
+});
+
+/**
+ * Build the receipt event sent back to a message's sender
+ * @param {Object} message - Stored message
+ * @param {string} status - Status to report (delivered/read)
+ * @returns {Object} receipt event
+ */
+const toReceiptEvent = (message, status) => ({
+  type: 'receipt',
+  messageId: message.messageId,
+  status,
+  // A message read straight from the queue never got a deliveredAt
+  at: status === 'read' ? message.readAt : message.deliveredAt || message.readAt
+});
+
+/**
+ * Message delivery coordinator
+ * Moves messages through the delivery state machine (see MessageService)
+ * as they are queued, pushed to live connections, acknowledged and read.
+ */
+class DeliveryService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({
+    users = userService,
+    messages = messageService,
+    connections = wsService,
+    attachments = attachmentService
+  } = {}) {
+    this.users = users;
+    this.messages = messages;
+    this.connections = connections;
+    this.attachments = attachments;
+  }
+
+  /**
+   * Queue a direct message and push it if the recipient is connected
+   * @param {Object} sender - Sender user
+   * @param {string} toUsername - Recipient username
+   * @param {string} content - Message content (may be encrypted)
+   * @param {boolean} encrypted - Whether the content is encrypted
+   * @param {Array<string>} attachmentIds - Sender's uploads the message
+   *   references; their keys are inside the encrypted content
+   * @returns {Object} Stored message
+   */
+  sendDirectMessage(sender, toUsername, content, encrypted = false, attachmentIds = []) {
+    const recipient = this.users.getUserByUsername(toUsername);
+    if (!recipient) {
+      throw new HttpError(404, 'Recipient not found');
+    }
+    if (!encrypted && Array.isArray(attachmentIds) && attachmentIds.length > 0) {
+      throw new HttpError(400, 'Attachments need an end-to-end encrypted message');
+    }
+    this.attachments.claim(sender, attachmentIds, [recipient.userId]);
+
+    const message = this.messages.sendMessage(
+      sender.userId,
+      toUsername,
+      content,
+      encrypted,
+      recipient.userId
+    );
+    this.push(message, recipient.userId);
+
+    return message;
+  }
+
+  /**
+   * Push a message to every live connection of a recipient
+   * @param {Object} message - Stored message
+   * @param {string} recipientUserId - Recipient user ID
+   * @returns {boolean} True if at least one connection received it
+   */
+  push(message, recipientUserId) {
+    const sender = this.users.getUserById(message.fromUserId);
+    const pushed = this.connections.sendToUser(recipientUserId, toMessageEvent(message, sender));
+
+    if (pushed) {
+      this.messages.markPushed(message.messageId);
+    }
+    return pushed;
+  }
+
+  /**
+   * Push every queued message to a user who just connected
+   * @param {string} userId - Recipient user ID
+   * @returns {number} Number of messages pushed
+   */
+  flushQueue(userId) {
+    return this.messages
+      .getQueuedMessages(userId)
+      .filter(message => this.push(message, userId))
+      .length;
+  }
+
+  /**
+   * Get a message addressed to the given user
+   * @param {Object} user - Recipient user
+   * @param {string} messageId - Message ID
+   * @returns {Object} Stored message
+   */
+  getIncomingMessage(user, messageId) {
+    const message = this.messages.getMessage(messageId);
+    if (!message) {
+      throw new HttpError(404, 'Message not found');
+    }
+    if (message.toUserId !== user.userId) {
+      throw new HttpError(403, 'Only the recipient can update this message');
+    }
+    return message;
+  }
+
+  /**
+   * Record that the recipient's client received and decrypted messages
+   * IDs that don't exist or aren't addressed to the user are skipped.
+   * @param {Object} user - Recipient user
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Array<Object>} Acknowledged messages
+   */
+  acknowledge(user, messageIds) {
+    return messageIds
+      .map(messageId => this.messages.getMessage(messageId))
+      .filter(message => message && message.toUserId === user.userId)
+      .map(message => {
+        const previous = message.status;
+        const acknowledged = this.messages.acknowledgeMessage(message.messageId);
+        if (acknowledged.status !== previous) {
+          this.connections.sendToUser(message.fromUserId, toReceiptEvent(acknowledged, 'delivered'));
+        }
+        return acknowledged;
+      });
+  }
+
+  /**
+   * Record that the recipient displayed a message
+   * @param {Object} user - Recipient user
+   * @param {string} messageId - Message ID
+   * @returns {Object} Updated message
+   */
+  markRead(user, messageId) {
+    const previous = this.getIncomingMessage(user, messageId).status;
+    const message = this.messages.markAsRead(messageId);
+    if (message.status === previous) {
+      return message;
+    }
+
+    const status = this.getSenderStatus(message);
+    // Without read receipts the sender still learns the message arrived
+    if (status === 'read' || previous !== 'delivered') {
+      this.connections.sendToUser(message.fromUserId, toReceiptEvent(message, status));
+    }
+    return message;
+  }
+
+  /**
+   * Get the status a sender is allowed to see for their message
+   * Recipients who turned read receipts off never report "read".
+   * @param {Object} message - Stored message
+   * @returns {string} Status
+   */
+  getSenderStatus(message) {
+    if (message.status !== 'read') {
+      return message.status;
+    }
+
+    const { readReceipts } = this.users.getPreferences(message.toUserId);
+    return readReceipts ? 'read' : 'delivered';
+  }
+}
+
+// Export singleton instance
+export const deliveryService = new DeliveryService();
+export default DeliveryService;
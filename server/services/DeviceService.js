@@ -0,0 +1,250 @@
+import { v4 as uuidv4 } from 'uuid';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { store as defaultStore } from '../storage/index.js';
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { HttpError } from '../utils/errors.js';
+
+// A device has this long to be approved and collect its keys
+export const DEVICE_LINK_TTL_MS = 10 * 60 * 1000;
+
+// Pending link requests per requesting IP. Counting them per account would
+// let anyone who knows a username use up the account's slots.
+const MAX_PENDING_LINKS_PER_IP = 5;
+
+// Base64 SPKI of a P-256 ECDH key is about 120 characters
+const LINK_KEY_PATTERN = /^[A-Za-z0-9+/]{40,400}={0,2}$/;
+
+// Encrypted keyring relayed to the new device ("iv.ciphertext", base64)
+const LINK_PAYLOAD_PATTERN = /^[A-Za-z0-9+/]+={0,2}\.[A-Za-z0-9+/]+={0,2}$/;
+const MAX_LINK_PAYLOAD_LENGTH = 64 * 1024;
+
+const MAX_DEVICE_NAME_LENGTH = 60;
+
+/**
+ * Device linking coordinator
+ * A new device asks to be linked to an account with a one-off ECDH public
+ * key and shows a code derived from it. The user enters that code on a
+ * device that is already unlocked, which checks it against the key, seals
+ * the keyring to it and hands the result back through the server. The
+ * server only relays public keys and ciphertext, then gives the new device
+ * its own session. Linked devices can be listed and unlinked.
+ */
+class DeviceService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ store = defaultStore, users = userService, connections = wsService } = {}) {
+    this.store = store;
+    this.users = users;
+    this.connections = connections;
+    // Map of deviceId -> { deviceId, userId, name, sessionId (public), linkedAt }
+    this.devices = store.collection('devices');
+    // Map of linkId -> pending link; short-lived, so kept in memory only
+    this.links = new Map();
+  }
+
+  /**
+   * Drop link requests that were never collected
+   * @param {number} now - Current time (ms)
+   */
+  pruneLinks(now = Date.now()) {
+    this.links.forEach((link, linkId) => {
+      if (link.expiresAt <= now) {
+        this.links.delete(linkId);
+      }
+    });
+  }
+
+  /**
+   * Start linking a new device to an account
+   * @param {string} username - Account to link to
+   * @param {Object} request - { publicKey, name }: the device's one-off ECDH key and a label
+   * @param {Object} client - Requesting client ({ ip })
+   * @returns {Object} { linkId, linkToken, expiresAt }: the token lets only
+   *   this device collect the result
+   */
+  requestLink(username, { publicKey, name }, client = {}) {
+    const user = this.users.getUserByUsername(username);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+    if (typeof publicKey !== 'string' || !LINK_KEY_PATTERN.test(publicKey)) {
+      throw new HttpError(400, 'publicKey must be a base64 public key');
+    }
+
+    this.pruneLinks();
+    const ip = client.ip || null;
+    const pending = [...this.links.values()].filter(link => link.ip === ip);
+    if (pending.length >= MAX_PENDING_LINKS_PER_IP) {
+      throw new HttpError(429, 'Too many devices waiting to be linked, try again later');
+    }
+
+    const now = Date.now();
+    const link = {
+      linkId: uuidv4(),
+      linkToken: randomBytes(32).toString('hex'),
+      userId: user.userId,
+      ip,
+      publicKey,
+      name: (typeof name === 'string' && name.trim().slice(0, MAX_DEVICE_NAME_LENGTH)) || 'New device',
+      createdAt: new Date(now).toISOString(),
+      expiresAt: now + DEVICE_LINK_TTL_MS,
+      approval: null
+    };
+    this.links.set(link.linkId, link);
+
+    return { linkId: link.linkId, linkToken: link.linkToken, expiresAt: new Date(link.expiresAt).toISOString() };
+  }
+
+  /**
+   * Devices waiting for the user's approval
+   * @param {Object} user - Account owner
+   * @returns {Array<Object>} { linkId, name, publicKey, createdAt, expiresAt }
+   */
+  listPendingLinks(user) {
+    this.pruneLinks();
+    return [...this.links.values()]
+      .filter(link => link.userId === user.userId && !link.approval)
+      .map(({ linkId, name, publicKey, createdAt, expiresAt }) => ({
+        linkId,
+        name,
+        publicKey,
+        createdAt,
+        expiresAt: new Date(expiresAt).toISOString()
+      }));
+  }
+
+  /**
+   * Find one of the user's pending link requests
+   * @param {Object} user - Account owner
+   * @param {string} linkId
+   * @returns {Object} Link
+   */
+  getPendingLink(user, linkId) {
+    this.pruneLinks();
+    const link = this.links.get(linkId);
+    if (!link || link.userId !== user.userId || link.approval) {
+      throw new HttpError(404, 'Link request not found');
+    }
+    return link;
+  }
+
+  /**
+   * Approve a link request with the keyring sealed to the device's key
+   * @param {Object} user - Account owner, signed in on an unlocked device
+   * @param {string} linkId
+   * @param {Object} approval - { publicKey, payload }: the approving
+   *   device's one-off ECDH key and the sealed keyring
+   */
+  approveLink(user, linkId, { publicKey, payload }) {
+    const link = this.getPendingLink(user, linkId);
+    if (typeof publicKey !== 'string' || !LINK_KEY_PATTERN.test(publicKey)) {
+      throw new HttpError(400, 'publicKey must be a base64 public key');
+    }
+    if (typeof payload !== 'string' || payload.length > MAX_LINK_PAYLOAD_LENGTH || !LINK_PAYLOAD_PATTERN.test(payload)) {
+      throw new HttpError(400, 'payload must be an encrypted keyring');
+    }
+
+    link.approval = { publicKey, payload };
+  }
+
+  /**
+   * Turn down a link request
+   * @param {Object} user - Account owner
+   * @param {string} linkId
+   */
+  rejectLink(user, linkId) {
+    this.links.delete(this.getPendingLink(user, linkId).linkId);
+  }
+
+  /**
+   * Collect the result of a link request (the new device polls this)
+   * Once approved, the device is recorded and gets its own session; the
+   * request is used up.
+   * @param {string} linkId
+   * @param {string} linkToken - Token from requestLink()
+   * @param {Object} client - Client details recorded on the session ({ userAgent, ip })
+   * @returns {Object} { status: 'pending' } or { status: 'approved', approval,
+   *   deviceId, ...login result }
+   */
+  completeLink(linkId, linkToken, client = {}) {
+    this.pruneLinks();
+    const link = this.links.get(linkId);
+    const expected = Buffer.from(link?.linkToken || '');
+    const given = Buffer.from(typeof linkToken === 'string' ? linkToken : '');
+    if (!link || expected.length !== given.length || !timingSafeEqual(expected, given)) {
+      throw new HttpError(404, 'Link request not found or expired');
+    }
+    if (!link.approval) {
+      return { status: 'pending' };
+    }
+
+    this.links.delete(linkId);
+    const user = this.users.getUserById(link.userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    const login = this.users.startLoginSession(user, client);
+    const device = {
+      deviceId: uuidv4(),
+      userId: user.userId,
+      name: link.name,
+      sessionId: this.users.getSessionPublicId(login.sessionId),
+      linkedAt: new Date().toISOString()
+    };
+    this.devices.set(device.deviceId, device);
+    this.store.persist();
+
+    return { status: 'approved', approval: link.approval, deviceId: device.deviceId, ...login };
+  }
+
+  /**
+   * List the devices linked to an account
+   * @param {Object} user - Account owner
+   * @param {string} currentSessionId - Caller's session ID
+   * @returns {Array<Object>} { deviceId, name, linkedAt, lastUsedAt, active, current }, newest first
+   */
+  listDevices(user, currentSessionId) {
+    const sessions = new Map(this.users.getUserSessions(user.userId).map(session => [session.id, session]));
+    const currentId = this.users.getSessionPublicId(currentSessionId);
+
+    return [...this.devices.values()]
+      .filter(device => device.userId === user.userId)
+      .map(({ deviceId, name, sessionId, linkedAt }) => ({
+        deviceId,
+        name,
+        linkedAt,
+        lastUsedAt: sessions.get(sessionId)?.lastUsedAt || null,
+        active: sessions.has(sessionId),
+        current: sessionId === currentId
+      }))
+      .sort((a, b) => Date.parse(b.linkedAt) - Date.parse(a.linkedAt));
+  }
+
+  /**
+   * Unlink a device, signing it out if its session is still live
+   * The device is told to delete the keys it holds.
+   * @param {Object} user - Account owner
+   * @param {string} deviceId
+   */
+  unlinkDevice(user, deviceId) {
+    const device = this.devices.get(deviceId);
+    if (!device || device.userId !== user.userId) {
+      throw new HttpError(404, 'Device not found');
+    }
+
+    this.devices.delete(deviceId);
+    this.store.persist();
+
+    const sessionId = this.users.revokeSession(user.userId, device.sessionId);
+    if (sessionId) {
+      this.connections.closeSessionConnections(sessionId, 'device_unlinked');
+    }
+  }
+}
+
+// Export singleton instance
+export const deviceService = new DeviceService();
+export default DeviceService;
@@ -0,0 +1,67 @@
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { sessionService } from './SessionService.js';
+
+/**
+ * Encryption key rotation coordinator
+ * Publishes a user's new public key, signs out their other sessions (which
+ * still hold the old keyring) and tells their contacts to fetch the new key.
+ */
+class KeyService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ users = userService, sessions = sessionService, connections = wsService } = {}) {
+    this.users = users;
+    this.sessions = sessions;
+    this.connections = connections;
+  }
+
+  /**
+   * Replace the caller's encryption key pair
+   * @param {Object} user - Account owner
+   * @param {string} currentSessionId - Caller's session (kept)
+   * @param {Object} rotation - { password, publicKey, encryptedPrivateKey }
+   * @returns {Promise<Object>} { revoked, notified, recoveryKitRemoved }
+   */
+  async rotateKey(user, currentSessionId, { password, publicKey, encryptedPrivateKey }) {
+    const recoveryKitRemoved = await this.users.rotatePublicKey(
+      user.userId,
+      password,
+      publicKey,
+      encryptedPrivateKey
+    );
+    const revoked = this.sessions.revokeOthers(user, currentSessionId, 'key_rotated');
+    const notified = this.broadcastKeyChange(user.userId);
+    return { revoked, notified, recoveryKitRemoved };
+  }
+
+  /**
+   * Tell every connected user who can see this user about their new key
+   * Users who are offline pick it up with the user list on their next login.
+   * @param {string} userId - User whose key changed
+   * @returns {number} Number of users notified
+   */
+  broadcastKeyChange(userId) {
+    const user = this.users.getUserById(userId);
+    if (!user) return 0;
+
+    const event = {
+      type: 'key_changed',
+      username: user.username,
+      publicKey: user.publicKey,
+      signingPublicKey: user.signingPublicKey || null,
+      prekeys: this.users.getPrekeys(userId)
+    };
+
+    return this.users
+      .getVisibleUserIds(userId)
+      .filter(viewerId => this.connections.isUserConnected(viewerId))
+      .filter(viewerId => this.connections.sendToUser(viewerId, event))
+      .length;
+  }
+}
+
+// Export singleton instance
+export const keyService = new KeyService();
+export default KeyService;
@@ -1,28 +1,66 @@
 import { v4 as uuidv4 } from 'uuid';
+import { store as defaultStore } from '../storage/index.js';
 
 /**
- * Simple in-memory message storage service
- * For production, replace with database (DynamoDB, PostgreSQL, etc.)
+ * Delivery states, in the only order a message may move through them:
+ * queued    - stored and waiting in the recipient's inbox
+ * pushed    - written to at least one live recipient connection
+ * delivered - acknowledged by a recipient client after decrypting it
+ * read      - displayed to the recipient
+ */
+export const MESSAGE_STATUSES = ['queued', 'pushed', 'delivered', 'read'];
+
+// Timestamp field recorded for each status
+const STATUS_TIMESTAMP_FIELDS = {
+  queued: 'queuedAt',
+  pushed: 'pushedAt',
+  delivered: 'deliveredAt',
+  read: 'readAt'
+};
+
+/**
+ * Message storage service
+ * Collections live in a pluggable storage driver (see server/storage)
  */
 class MessageService {
-  constructor() {
+  /**
+   * @param {import('../storage/MemoryDriver.js').default} store - Storage driver
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
     // Map of messageId -> message data
-    this.messages = new Map();
+    this.messages = store.collection('messages');
     // Map of userId -> array of message IDs (inbox)
-    this.userInboxes = new Map();
+    this.userInboxes = store.collection('userInboxes');
     // Map of userId -> array of message IDs (sent)
-    this.userSentMessages = new Map();
+    this.userSentMessages = store.collection('userSentMessages');
+    // Map of conversation key -> array of message IDs (oldest first)
+    this.conversations = store.collection('conversations');
+    // Map of channelId -> array of message IDs (oldest first)
+    this.channelMessages = store.collection('channelMessages');
+  }
+
+  /**
+   * Build the key shared by both directions of a conversation
+   * @param {string} userId1 - First user ID
+   * @param {string} userId2 - Second user ID
+   * @returns {string} Conversation key
+   */
+  getConversationKey(userId1, userId2) {
+    return [userId1, userId2].sort().join(':');
   }
 
   /**
    * Send a message from one user to another
+   * The message starts out queued in the recipient's inbox.
    * @param {string} fromUserId - Sender user ID
    * @param {string} toUsername - Recipient username
    * @param {string} content - Message content (may be encrypted)
    * @param {boolean} encrypted - Whether the content is encrypted
+   * @param {string|null} toUserId - Recipient user ID (indexes the conversation)
    * @returns {Object} Created message
    */
-  sendMessage(fromUserId, toUsername, content, encrypted = false) {
+  sendMessage(fromUserId, toUsername, content, encrypted = false, toUserId = null) {
     const messageId = uuidv4();
     const timestamp = new Date().toISOString();
 
@@ -30,12 +68,16 @@ class MessageService {
       messageId,
       fromUserId,
       toUsername,
+      toUserId,
       content,
       encrypted,
       timestamp,
-      status: 'sent',
+      status: 'queued',
+      queuedAt: timestamp,
+      pushedAt: null,
       deliveredAt: null,
-      readAt: null
+      readAt: null,
+      statusHistory: [{ status: 'queued', at: timestamp }]
     };
 
     this.messages.set(messageId, message);
@@ -46,42 +88,124 @@ class MessageService {
     }
     this.userSentMessages.get(fromUserId).push(messageId);
 
+    if (toUserId) {
+      // Add to the conversation index
+      const key = this.getConversationKey(fromUserId, toUserId);
+      if (!this.conversations.has(key)) {
+        this.conversations.set(key, []);
+      }
+      this.conversations.get(key).push(messageId);
+
+      // Queue in recipient's inbox
+      if (!this.userInboxes.has(toUserId)) {
+        this.userInboxes.set(toUserId, []);
+      }
+      this.userInboxes.get(toUserId).push(messageId);
+    }
+    this.store.persist();
+
+    return message;
+  }
+
+  /**
+   * Store a message posted to a channel
+   * Channel messages are fanned out live and read back from the channel
+   * history, so they skip the inbox and the delivery state machine.
+   * @param {string} fromUserId - Sender user ID
+   * @param {string} channelId - Channel ID
+   * @param {string} content - Message content (may be encrypted)
+   * @param {boolean} encrypted - Whether the content is encrypted
+   * @returns {Object} Created message
+   */
+  sendChannelMessage(fromUserId, channelId, content, encrypted = false) {
+    const message = {
+      messageId: uuidv4(),
+      fromUserId,
+      channelId,
+      content,
+      encrypted,
+      timestamp: new Date().toISOString()
+    };
+
+    this.messages.set(message.messageId, message);
+
+    if (!this.userSentMessages.has(fromUserId)) {
+      this.userSentMessages.set(fromUserId, []);
+    }
+    this.userSentMessages.get(fromUserId).push(message.messageId);
+
+    if (!this.channelMessages.has(channelId)) {
+      this.channelMessages.set(channelId, []);
+    }
+    this.channelMessages.get(channelId).push(message.messageId);
+    this.store.persist();
+
     return message;
   }
 
   /**
-   * Deliver a message to recipient's inbox
+   * Move a message forward in the delivery state machine
+   * Transitions never go backwards; a stale transition returns the message unchanged.
    * @param {string} messageId - Message ID
-   * @param {string} toUserId - Recipient user ID
+   * @param {string} status - Target status (one of MESSAGE_STATUSES)
+   * @returns {Object|null} Message, or null if it doesn't exist
    */
-  deliverMessage(messageId, toUserId) {
+  transitionStatus(messageId, status) {
     const message = this.messages.get(messageId);
     if (!message) return null;
 
-    message.status = 'delivered';
-    message.deliveredAt = new Date().toISOString();
+    const targetIndex = MESSAGE_STATUSES.indexOf(status);
+    if (targetIndex === -1) {
+      throw new Error(`Unknown message status: ${status}`);
+    }
 
-    // Add to recipient's inbox
-    if (!this.userInboxes.has(toUserId)) {
-      this.userInboxes.set(toUserId, []);
+    if (targetIndex <= MESSAGE_STATUSES.indexOf(message.status)) {
+      return message;
     }
-    this.userInboxes.get(toUserId).push(messageId);
+
+    const at = new Date().toISOString();
+    message.status = status;
+    message[STATUS_TIMESTAMP_FIELDS[status]] = at;
+    message.statusHistory.push({ status, at });
+    this.store.persist();
 
     return message;
   }
 
+  /**
+   * Mark message as pushed to a live recipient connection
+   * @param {string} messageId - Message ID
+   */
+  markPushed(messageId) {
+    return this.transitionStatus(messageId, 'pushed');
+  }
+
+  /**
+   * Mark message as acknowledged by the recipient's client
+   * @param {string} messageId - Message ID
+   */
+  acknowledgeMessage(messageId) {
+    return this.transitionStatus(messageId, 'delivered');
+  }
+
   /**
    * Mark message as read
    * @param {string} messageId - Message ID
    */
   markAsRead(messageId) {
-    const message = this.messages.get(messageId);
-    if (!message) return null;
-
-    message.status = 'read';
-    message.readAt = new Date().toISOString();
+    return this.transitionStatus(messageId, 'read');
+  }
 
-    return message;
+  /**
+   * Get messages still waiting to be pushed to a user
+   * @param {string} userId - User ID
+   * @returns {Array} Queued messages, oldest first
+   */
+  getQueuedMessages(userId) {
+    const messageIds = this.userInboxes.get(userId) || [];
+    return messageIds
+      .map(id => this.messages.get(id))
+      .filter(msg => msg && msg.status === 'queued');
   }
 
   /**
@@ -115,22 +239,70 @@ class MessageService {
   }
 
   /**
-   * Get conversation between two users
+   * Get one page of the conversation between two users
+   * Without a cursor the newest page is returned. Cursors are message IDs:
+   * `before` pages towards older messages, `after` towards newer ones.
    * @param {string} userId1 - First user ID
    * @param {string} userId2 - Second user ID
-   * @param {number} limit - Max number of messages
-   * @returns {Array} Array of messages
+   * @param {Object} options
+   * @param {string} options.before - Return messages older than this message ID
+   * @param {string} options.after - Return messages newer than this message ID
+   * @param {number} options.limit - Max number of messages (default: 50)
+   * @returns {{messages: Array, hasMoreBefore: boolean, hasMoreAfter: boolean}} Page, oldest first
+   */
+  getConversation(userId1, userId2, options = {}) {
+    const messageIds = this.conversations.get(this.getConversationKey(userId1, userId2)) || [];
+    return this.getPage(messageIds, options);
+  }
+
+  /**
+   * Get one page of a channel's history
+   * Takes the same cursors as getConversation.
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - { before, after, limit }
+   * @returns {{messages: Array, hasMoreBefore: boolean, hasMoreAfter: boolean}} Page, oldest first
    */
-  getConversation(userId1, userId2, limit = 100) {
-    const allMessages = Array.from(this.messages.values())
-      .filter(msg => 
-        (msg.fromUserId === userId1 && msg.toUserId === userId2) ||
-        (msg.fromUserId === userId2 && msg.toUserId === userId1)
-      )
-      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
-      .slice(-limit);
+  getChannelMessages(channelId, options = {}) {
+    return this.getPage(this.channelMessages.get(channelId) || [], options);
+  }
 
-    return allMessages;
+  /**
+   * Slice one page out of an ordered list of message IDs
+   * @param {Array<string>} messageIds - Message IDs, oldest first
+   * @param {Object} options - { before, after, limit }
+   * @returns {{messages: Array, hasMoreBefore: boolean, hasMoreAfter: boolean}} Page, oldest first
+   */
+  getPage(messageIds, { before, after, limit = 50 } = {}) {
+    let start;
+    let end;
+
+    if (after) {
+      const index = messageIds.indexOf(after);
+      if (index === -1) {
+        throw new Error('Invalid cursor');
+      }
+      start = index + 1;
+      end = Math.min(messageIds.length, start + limit);
+    } else if (before) {
+      const index = messageIds.indexOf(before);
+      if (index === -1) {
+        throw new Error('Invalid cursor');
+      }
+      end = index;
+      start = Math.max(0, end - limit);
+    } else {
+      end = messageIds.length;
+      start = Math.max(0, end - limit);
+    }
+
+    return {
+      messages: messageIds
+        .slice(start, end)
+        .map(id => this.messages.get(id))
+        .filter(msg => msg !== undefined),
+      hasMoreBefore: start > 0,
+      hasMoreAfter: end < messageIds.length
+    };
   }
 
   /**
@@ -158,6 +330,9 @@ class MessageService {
     this.messages.clear();
     this.userInboxes.clear();
     this.userSentMessages.clear();
+    this.conversations.clear();
+    this.channelMessages.clear();
+    this.store.persist();
   }
 }
 
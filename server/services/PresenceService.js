@@ -0,0 +1,72 @@
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+
+/**
+ * Presence tracking service
+ * A user is online while they have at least one live connection, so
+ * several tabs or devices only count as one arrival and one departure.
+ */
+class PresenceService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ users = userService, connections = wsService } = {}) {
+    this.users = users;
+    this.connections = connections;
+  }
+
+  /**
+   * Register a live connection, going online on the first one
+   * @param {string} userId - User ID
+   * @param {Response} res - Express response object
+   */
+  connect(userId, res) {
+    this.connections.addConnection(userId, res);
+
+    if (this.connections.getUserConnectionCount(userId) === 1) {
+      this.users.setUserOnline(userId, true);
+      this.broadcastPresence(userId);
+    }
+  }
+
+  /**
+   * Drop a live connection, going offline when the last one closes
+   * @param {string} userId - User ID
+   * @param {Response} res - Express response object
+   */
+  disconnect(userId, res) {
+    this.connections.removeConnection(userId, res);
+
+    if (!this.connections.isUserConnected(userId)) {
+      this.users.setUserOnline(userId, false);
+      this.broadcastPresence(userId);
+    }
+  }
+
+  /**
+   * Tell every connected user who can see this user about their presence
+   * @param {string} userId - User whose presence changed
+   * @returns {number} Number of users notified
+   */
+  broadcastPresence(userId) {
+    const user = this.users.getUserById(userId);
+    if (!user) return 0;
+
+    const event = {
+      type: 'presence',
+      username: user.username,
+      online: user.online,
+      lastSeen: user.lastSeen
+    };
+
+    return this.users
+      .getVisibleUserIds(userId)
+      .filter(viewerId => this.connections.isUserConnected(viewerId))
+      .filter(viewerId => this.connections.sendToUser(viewerId, event))
+      .length;
+  }
+}
+
+// Export singleton instance
+export const presenceService = new PresenceService();
+export default PresenceService;
@@ -0,0 +1,142 @@
+import { wsService } from './WebSocketService.js';
+import { presenceService } from './PresenceService.js';
+import { deliveryService } from './DeliveryService.js';
+import { typingService } from './TypingService.js';
+import { HttpError } from '../utils/errors.js';
+
+/**
+ * Real-time session coordinator
+ * Runs the same connect/disconnect lifecycle for every transport and
+ * dispatches actions that clients send over a WebSocket. Action results
+ * match the bodies of the equivalent HTTP endpoints.
+ */
+class RealtimeService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({
+    connections = wsService,
+    presence = presenceService,
+    delivery = deliveryService,
+    typing = typingService
+  } = {}) {
+    this.connections = connections;
+    this.presence = presence;
+    this.delivery = delivery;
+    this.typing = typing;
+  }
+
+  /**
+   * Start a real-time session on a new connection
+   * @param {Object} user - Connected user
+   * @param {Object} connection - Connection adapter
+   * @param {string|number} lastEventId - Last event ID the client saw, if resuming
+   */
+  open(user, connection, lastEventId = null) {
+    // The first connection marks the user online and tells their contacts
+    this.presence.connect(user.userId, connection);
+
+    connection.send({
+      type: 'connected',
+      userId: user.userId,
+      username: user.username,
+      transport: connection.transport
+    });
+
+    // Replay anything sent while the client was disconnected
+    if (lastEventId) {
+      this.connections.replayEvents(user.userId, connection, lastEventId);
+    }
+
+    // Push messages that were queued while the user was offline
+    this.delivery.flushQueue(user.userId);
+  }
+
+  /**
+   * End a real-time session
+   * @param {Object} user - Connected user
+   * @param {Object} connection - Connection adapter
+   */
+  close(user, connection) {
+    this.presence.disconnect(user.userId, connection);
+    if (!this.connections.isUserConnected(user.userId)) {
+      this.typing.clearSender(user.userId);
+    }
+    console.log(`User ${user.username} disconnected (${connection.transport})`);
+  }
+
+  /**
+   * Run an action sent by a client over its connection
+   * @param {Object} user - Acting user
+   * @param {Object} request - Parsed request ({ action, ...payload })
+   * @returns {Object} Result, shaped like the matching HTTP response
+   */
+  handleAction(user, { action, ...payload }) {
+    switch (action) {
+      case 'send': {
+        const { toUsername, content, encrypted, attachments = [] } = payload;
+        if (!toUsername || !content) {
+          throw new HttpError(400, 'toUsername and content are required');
+        }
+
+        const message = this.delivery.sendDirectMessage(user, toUsername, content, encrypted || false, attachments);
+        return {
+          success: true,
+          messageId: message.messageId,
+          status: message.status,
+          timestamp: message.timestamp
+        };
+      }
+
+      case 'ack': {
+        const { messageIds } = payload;
+        if (!Array.isArray(messageIds) || messageIds.length === 0) {
+          throw new HttpError(400, 'A non-empty messageIds array is required');
+        }
+
+        return {
+          success: true,
+          messages: this.delivery.acknowledge(user, messageIds).map(msg => ({
+            messageId: msg.messageId,
+            status: msg.status,
+            deliveredAt: msg.deliveredAt
+          }))
+        };
+      }
+
+      case 'read': {
+        const { messageId } = payload;
+        if (!messageId) {
+          throw new HttpError(400, 'messageId is required');
+        }
+
+        const message = this.delivery.markRead(user, messageId);
+        return {
+          success: true,
+          message: {
+            messageId: message.messageId,
+            status: message.status,
+            readAt: message.readAt
+          }
+        };
+      }
+
+      case 'typing': {
+        const { toUsername, typing } = payload;
+        if (!toUsername || typeof typing !== 'boolean') {
+          throw new HttpError(400, 'toUsername and a boolean typing flag are required');
+        }
+
+        this.typing.setTyping(user, toUsername, typing);
+        return { success: true };
+      }
+
+      default:
+        throw new HttpError(400, `Unknown action: ${action}`);
+    }
+  }
+}
+
+// Export singleton instance
+export const realtimeService = new RealtimeService();
+export default RealtimeService;
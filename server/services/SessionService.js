@@ -0,0 +1,133 @@
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { HttpError } from '../utils/errors.js';
+
+// How often expired sessions are swept and their connections closed
+const SESSION_SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Session lifecycle coordinator
+ * Ends sessions (logout, revocation, expiry) in storage and closes the
+ * live connections that were opened with them.
+ */
+class SessionService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ users = userService, connections = wsService } = {}) {
+    this.users = users;
+    this.connections = connections;
+    this.sweepTimer = null;
+  }
+
+  /**
+   * List a user's sessions, flagging the one making the request
+   * @param {Object} user - Session owner
+   * @param {string} currentSessionId - Caller's session ID
+   * @returns {Array<Object>} Sessions, newest first
+   */
+  listSessions(user, currentSessionId) {
+    const currentId = this.users.getSessionPublicId(currentSessionId);
+    return this.users.getUserSessions(user.userId).map(session => ({
+      ...session,
+      current: session.id === currentId
+    }));
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {Object} user - Session owner
+   * @param {string} id - Public session ID
+   */
+  revoke(user, id) {
+    const sessionId = this.users.revokeSession(user.userId, id);
+    if (!sessionId) {
+      throw new HttpError(404, 'Session not found');
+    }
+    this.connections.closeSessionConnections(sessionId, 'revoked');
+  }
+
+  /**
+   * Revoke every session of a user except the caller's
+   * @param {Object} user - Session owner
+   * @param {string} currentSessionId - Session to keep
+   * @param {string} reason - Reason sent to the closed connections
+   * @returns {number} Number of sessions revoked
+   */
+  revokeOthers(user, currentSessionId, reason = 'revoked') {
+    const revoked = this.users.revokeOtherSessions(user.userId, currentSessionId);
+    revoked.forEach(sessionId => this.connections.closeSessionConnections(sessionId, reason));
+    return revoked.length;
+  }
+
+  /**
+   * Change the caller's password and sign out their other sessions
+   * @param {Object} user - Account owner
+   * @param {string} currentSessionId - Caller's session (kept)
+   * @param {Object} change - { currentPassword, newPassword, encryptedPrivateKey }
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  async changePassword(user, currentSessionId, { currentPassword, newPassword, encryptedPrivateKey }) {
+    await this.users.changePassword(user.userId, currentPassword, newPassword, encryptedPrivateKey);
+    return this.revokeOthers(user, currentSessionId, 'password_changed');
+  }
+
+  /**
+   * Set a new password with a recovery kit and sign out every session
+   * Whoever lost the password may not be the only one holding a session.
+   * @param {Object} recovery - { username, recoveryKey, newPassword, encryptedPrivateKey }
+   * @returns {Promise<number>} Number of sessions signed out
+   */
+  async recoverAccount({ username, recoveryKey, newPassword, encryptedPrivateKey }) {
+    const user = await this.users.resetPasswordWithRecoveryKey(
+      username,
+      recoveryKey,
+      newPassword,
+      encryptedPrivateKey
+    );
+    return this.revokeOthers(user, null, 'password_changed');
+  }
+
+  /**
+   * End the caller's own session
+   * @param {string} sessionId - Session ID
+   */
+  logout(sessionId) {
+    this.users.logout(sessionId);
+    this.connections.closeSessionConnections(sessionId, 'logout');
+  }
+
+  /**
+   * Expire idle and over-age sessions
+   * A live connection counts as activity, so open tabs aren't idled out.
+   * @returns {number} Number of sessions expired
+   */
+  sweep() {
+    this.connections.getConnectedSessionIds().forEach(sessionId => this.users.touchSession(sessionId));
+
+    const expired = this.users.pruneExpiredSessions();
+    expired.forEach(sessionId => this.connections.closeSessionConnections(sessionId, 'expired'));
+    return expired.length;
+  }
+
+  /**
+   * Sweep expired sessions periodically (the timer never keeps the process alive)
+   */
+  startSweeping() {
+    if (this.sweepTimer) return;
+    this.sweepTimer = setInterval(() => this.sweep(), SESSION_SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Stop the periodic sweep
+   */
+  stopSweeping() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+// Export singleton instance
+export const sessionService = new SessionService();
+export default SessionService;
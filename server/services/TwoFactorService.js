@@ -0,0 +1,210 @@
+import { createHash, randomBytes } from 'crypto';
+import { store as defaultStore } from '../storage/index.js';
+import { HttpError } from '../utils/errors.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from '../utils/totp.js';
+
+// Name authenticator apps show next to the account
+const TOTP_ISSUER = 'Retro Messenger';
+
+// One-time recovery codes issued when two-factor login is enabled
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Hash a recovery code for storage (codes are random, so no salt is needed)
+ * Dashes, spaces and case are ignored so codes can be typed loosely.
+ * @param {string} code - Recovery code
+ * @returns {string} Hex digest
+ */
+const hashRecoveryCode = (code) => createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[\s-]/g, ''))
+  .digest('hex');
+
+/**
+ * Generate one recovery code, e.g. "k3x9-p2dm-7qfa"
+ * @returns {string}
+ */
+const generateRecoveryCode = () => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const chars = Array.from(randomBytes(12), byte => alphabet[byte % alphabet.length]).join('');
+  return chars.match(/.{4}/g).join('-');
+};
+
+/**
+ * Two-factor authentication (TOTP) for accounts
+ * Enrollment is two-step: setup() issues a pending secret, confirm() turns
+ * two-factor login on once the user proves their authenticator produces
+ * codes for it. Secrets are generated locally; nothing leaves the server.
+ */
+class TwoFactorService {
+  /**
+   * @param {MemoryDriver} store - Storage driver (defaults to the shared store)
+   */
+  constructor(store = defaultStore) {
+    this.store = store;
+    // Map of userId -> { enabled, secret, pendingSecret, recoveryCodeHashes,
+    //                    lastUsedStep, enabledAt }
+    this.accounts = store.collection('twoFactor');
+  }
+
+  /**
+   * Whether a user must give a second factor to log in
+   * @param {string} userId - User ID
+   * @returns {boolean}
+   */
+  isEnabled(userId) {
+    return !!this.accounts.get(userId)?.enabled;
+  }
+
+  /**
+   * Two-factor status for the settings screen
+   * @param {string} userId - User ID
+   * @returns {{enabled: boolean, enabledAt: string|null, recoveryCodesRemaining: number}}
+   */
+  getStatus(userId) {
+    const account = this.accounts.get(userId);
+    return {
+      enabled: !!account?.enabled,
+      enabledAt: account?.enabledAt || null,
+      recoveryCodesRemaining: account?.enabled ? account.recoveryCodeHashes.length : 0
+    };
+  }
+
+  /**
+   * Start enrollment with a fresh secret
+   * @param {Object} user - User enrolling
+   * @returns {{secret: string, otpauthUri: string}} Secret to add to an authenticator
+   */
+  setup(user) {
+    if (this.isEnabled(user.userId)) {
+      throw new HttpError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    this.accounts.set(user.userId, {
+      enabled: false,
+      secret: null,
+      pendingSecret: secret,
+      recoveryCodeHashes: [],
+      lastUsedStep: null,
+      enabledAt: null
+    });
+    this.store.persist();
+
+    return {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: user.username, issuer: TOTP_ISSUER })
+    };
+  }
+
+  /**
+   * Finish enrollment with a code from the authenticator
+   * @param {Object} user - User enrolling
+   * @param {string} code - Current TOTP code
+   * @returns {Array<string>} Recovery codes (only ever shown this once)
+   */
+  confirm(user, code) {
+    const account = this.accounts.get(user.userId);
+    if (!account?.pendingSecret) {
+      throw new HttpError(400, 'No two-factor setup in progress');
+    }
+
+    const step = verifyCode(account.pendingSecret, code);
+    if (step === null) {
+      throw new HttpError(401, 'Invalid two-factor code');
+    }
+
+    const recoveryCodes = this.issueRecoveryCodes(account);
+    account.enabled = true;
+    account.secret = account.pendingSecret;
+    account.pendingSecret = null;
+    account.lastUsedStep = step;
+    account.enabledAt = new Date().toISOString();
+    this.store.persist();
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Check the second factor of a login (a TOTP code or a recovery code)
+   * Each TOTP code and each recovery code works only once.
+   * @param {string} userId - User ID
+   * @param {Object} factor - { code } or { recoveryCode }
+   */
+  verify(userId, { code, recoveryCode } = {}) {
+    const account = this.accounts.get(userId);
+    if (!account?.enabled) return;
+
+    if (recoveryCode) {
+      const index = account.recoveryCodeHashes.indexOf(hashRecoveryCode(recoveryCode));
+      if (index === -1) {
+        throw new HttpError(401, 'Invalid recovery code');
+      }
+      account.recoveryCodeHashes.splice(index, 1);
+      this.store.persist();
+      return;
+    }
+
+    const step = verifyCode(account.secret, code);
+    // Reject replays of a code that was already used
+    if (step === null || (account.lastUsedStep !== null && step <= account.lastUsedStep)) {
+      throw new HttpError(401, 'Invalid two-factor code');
+    }
+    account.lastUsedStep = step;
+    this.store.persist();
+  }
+
+  /**
+   * Replace all recovery codes (the old ones stop working)
+   * @param {Object} user - Account owner
+   * @param {Object} factor - { code } or { recoveryCode } proving possession
+   * @returns {Array<string>} New recovery codes
+   */
+  regenerateRecoveryCodes(user, factor) {
+    if (!this.isEnabled(user.userId)) {
+      throw new HttpError(400, 'Two-factor authentication is not enabled');
+    }
+    this.verify(user.userId, factor);
+
+    const recoveryCodes = this.issueRecoveryCodes(this.accounts.get(user.userId));
+    this.store.persist();
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor login off
+   * @param {Object} user - Account owner
+   * @param {Object} factor - { code } or { recoveryCode } proving possession
+   */
+  disable(user, factor) {
+    if (!this.isEnabled(user.userId)) {
+      throw new HttpError(400, 'Two-factor authentication is not enabled');
+    }
+    this.verify(user.userId, factor);
+
+    this.accounts.delete(user.userId);
+    this.store.persist();
+  }
+
+  /**
+   * Generate recovery codes and keep only their hashes
+   * @param {Object} account - Two-factor record (mutated)
+   * @returns {Array<string>} Plain recovery codes
+   */
+  issueRecoveryCodes(account) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+    account.recoveryCodeHashes = codes.map(hashRecoveryCode);
+    return codes;
+  }
+
+  /**
+   * Clear all two-factor records (for testing)
+   */
+  clearAll() {
+    this.accounts.clear();
+    this.store.persist();
+  }
+}
+
+// Export singleton instance
+export const twoFactorService = new TwoFactorService();
+export default TwoFactorService;
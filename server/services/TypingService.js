@@ -0,0 +1,112 @@
+import { wsService } from './WebSocketService.js';
+import { userService } from './UserService.js';
+import { HttpError } from '../utils/errors.js';
+
+// How long a "typing" signal lasts without being refreshed by the sender
+export const TYPING_TTL_MS = 6000;
+
+/**
+ * Typing indicator service
+ * Senders refresh their signal while composing; anything not refreshed
+ * within TYPING_TTL_MS expires, so a closed tab never leaves a stuck indicator.
+ */
+class TypingService {
+  /**
+   * @param {Object} services - Collaborators (defaults to the singletons)
+   */
+  constructor({ users = userService, connections = wsService, ttlMs = TYPING_TTL_MS } = {}) {
+    this.users = users;
+    this.connections = connections;
+    this.ttlMs = ttlMs;
+    // Map of "fromUserId:toUserId" -> expiry timer
+    this.indicators = new Map();
+  }
+
+  /**
+   * Start, refresh or stop a sender's typing indicator for one recipient
+   * @param {Object} sender - Sender user
+   * @param {string} toUsername - Recipient username
+   * @param {boolean} typing - True while composing
+   */
+  setTyping(sender, toUsername, typing) {
+    const recipient = this.users.getUserByUsername(toUsername);
+    if (!recipient) {
+      throw new HttpError(404, 'Recipient not found');
+    }
+
+    if (typing) {
+      this.start(sender, recipient.userId);
+    } else {
+      this.stop(sender, recipient.userId);
+    }
+  }
+
+  /**
+   * Start or refresh an indicator
+   * @param {Object} sender - Sender user
+   * @param {string} toUserId - Recipient user ID
+   */
+  start(sender, toUserId) {
+    const key = `${sender.userId}:${toUserId}`;
+    const existing = this.indicators.get(key);
+    if (existing) {
+      clearTimeout(existing);
+    }
+
+    const timer = setTimeout(() => this.stop(sender, toUserId), this.ttlMs);
+    timer.unref?.();
+    this.indicators.set(key, timer);
+
+    // Refreshes only extend the TTL; the recipient already shows the indicator
+    if (!existing) {
+      this.notify(sender, toUserId, true);
+    }
+  }
+
+  /**
+   * Stop an indicator if it is showing
+   * @param {Object} sender - Sender user
+   * @param {string} toUserId - Recipient user ID
+   */
+  stop(sender, toUserId) {
+    const key = `${sender.userId}:${toUserId}`;
+    const timer = this.indicators.get(key);
+    if (!timer) return;
+
+    clearTimeout(timer);
+    this.indicators.delete(key);
+    this.notify(sender, toUserId, false);
+  }
+
+  /**
+   * Stop every indicator a user is showing to others
+   * Called when the user's last connection closes.
+   * @param {string} userId - Sender user ID
+   */
+  clearSender(userId) {
+    const sender = this.users.getUserById(userId);
+    if (!sender) return;
+
+    Array.from(this.indicators.keys())
+      .filter(key => key.startsWith(`${userId}:`))
+      .forEach(key => this.stop(sender, key.slice(userId.length + 1)));
+  }
+
+  /**
+   * Send a typing event to the recipient's live connections
+   * @param {Object} sender - Sender user
+   * @param {string} toUserId - Recipient user ID
+   * @param {boolean} typing - Whether the sender is typing
+   */
+  notify(sender, toUserId, typing) {
+    this.connections.sendTransient(toUserId, {
+      type: 'typing',
+      from: sender.username,
+      typing
+    });
+  }
+}
+
+// Export singleton instance
+export const typingService = new TypingService();
+export default TypingService;
@@ -1,20 +1,76 @@
 import { v4 as uuidv4 } from 'uuid';
 import bcrypt from 'bcrypt';
+import { store as defaultStore } from '../storage/index.js';
+import { HttpError } from '../utils/errors.js';
 
 const SALT_ROUNDS = 10;
 
+// Recovery keys are SHA-256 digests derived from the phrase on the client
+const RECOVERY_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+// Base64 SPKI of a P-256 signing key is about 120 characters
+const SIGNING_KEY_PATTERN = /^[A-Za-z0-9+/]{40,400}={0,2}$/;
+
+// Base64 SPKI of an RSA-2048 encryption key is about 400 characters
+const PUBLIC_KEY_PATTERN = /^[A-Za-z0-9+/]{40,1000}={0,2}$/;
+
+// Prekeys (see setPrekey)
+const PREKEY_ID_PATTERN = /^[0-9a-f]{16}$/;
+const SIGNATURE_PATTERN = /^[A-Za-z0-9+/]{40,200}={0,2}$/;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// A session ends after this long without a request or live connection
+export const SESSION_IDLE_TIMEOUT_MS =
+  (parseInt(process.env.SESSION_IDLE_TIMEOUT_HOURS, 10) || 7 * 24) * HOUR_MS;
+
+// A session ends this long after login no matter how active it is
+export const SESSION_ABSOLUTE_TIMEOUT_MS =
+  (parseInt(process.env.SESSION_ABSOLUTE_TIMEOUT_HOURS, 10) || 30 * 24) * HOUR_MS;
+
+// lastUsedAt is only rewritten once per interval, so busy sessions don't
+// persist the store on every request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Per-user preferences and their defaults
+ * readReceipts - tell senders when their messages have been read
+ */
+export const DEFAULT_PREFERENCES = {
+  readReceipts: true
+};
+
 /**
- * Simple in-memory user management service with password support
- * For production, replace with database (DynamoDB, PostgreSQL, etc.)
+ * User management service with password support
+ * Collections live in a pluggable storage driver (see server/storage)
  */
 class UserService {
-  constructor() {
+  /**
+   * @param {import('../storage/MemoryDriver.js').default} store - Storage driver
+   * @param {Object} options
+   * @param {number} options.idleTimeoutMs - Session idle timeout
+   * @param {number} options.absoluteTimeoutMs - Session lifetime
+   */
+  constructor(store = defaultStore, {
+    idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS,
+    absoluteTimeoutMs = SESSION_ABSOLUTE_TIMEOUT_MS
+  } = {}) {
+    this.store = store;
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.absoluteTimeoutMs = absoluteTimeoutMs;
     // Map of userId -> user data
-    this.users = new Map();
+    this.users = store.collection('users');
     // Map of username -> userId (for quick lookup)
-    this.usernameIndex = new Map();
-    // Map of sessionId -> userId (for WebSocket connections)
-    this.sessions = new Map();
+    this.usernameIndex = store.collection('usernameIndex');
+    // Map of sessionId -> { id, userId, createdAt, lastUsedAt, userAgent, ip }
+    // The sessionId is the secret token; `id` is the public handle used to
+    // list and revoke a session.
+    this.sessions = store.collection('sessions');
+
+    // Nobody is connected right after startup
+    this.users.forEach(user => {
+      user.online = false;
+    });
   }
 
   /**
@@ -22,9 +78,10 @@ class UserService {
    * @param {string} username - Username
    * @param {string} password - Plain text password
    * @param {string} publicKey - User's public key for E2EE
+   * @param {Object} client - Client details recorded on the session ({ userAgent, ip })
    * @returns {Promise<Object>} User object with userId and sessionId
    */
-  async registerUser(username, password, publicKey) {
+  async registerUser(username, password, publicKey, client = {}) {
     if (!username || username.trim().length === 0) {
       throw new Error('Username is required');
     }
@@ -49,7 +106,6 @@ class UserService {
 
     // Create new user
     const userId = uuidv4();
-    const sessionId = uuidv4();
     
     const user = {
       userId,
@@ -57,18 +113,20 @@ class UserService {
       passwordHash,
       publicKey,
       encryptedPrivateKey: null, // Will be set by client
+      preferences: { ...DEFAULT_PREFERENCES },
       createdAt: new Date().toISOString(),
       online: false
     };
 
     this.users.set(userId, user);
     this.usernameIndex.set(cleanUsername, userId);
-    this.sessions.set(sessionId, userId);
+    const { sessionId } = this.createSession(userId, client);
 
     return {
       userId,
       username: cleanUsername,
       sessionId,
+      preferences: this.getPreferences(userId),
       isNewUser: true
     };
   }
@@ -77,9 +135,22 @@ class UserService {
    * Login user with password
    * @param {string} username - Username
    * @param {string} password - Plain text password
+   * @param {Object} client - Client details recorded on the session ({ userAgent, ip })
    * @returns {Promise<Object>} User object with userId and sessionId
    */
-  async loginUser(username, password) {
+  async loginUser(username, password, client = {}) {
+    const user = await this.authenticate(username, password);
+    return this.startLoginSession(user, client);
+  }
+
+  /**
+   * Check a username and password without starting a session
+   * Used on its own when a second factor must be checked before login.
+   * @param {string} username - Username
+   * @param {string} password - Plain text password
+   * @returns {Promise<Object>} User record
+   */
+  async authenticate(username, password) {
     if (!username || username.trim().length === 0) {
       throw new Error('Username is required');
     }
@@ -104,20 +175,182 @@ class UserService {
       throw new Error('Invalid username or password');
     }
 
-    // Create new session
-    const sessionId = uuidv4();
-    this.sessions.set(sessionId, userId);
+    return user;
+  }
+
+  /**
+   * Start a session for a user whose credentials were already checked
+   * @param {Object} user - User record from authenticate()
+   * @param {Object} client - Client details recorded on the session ({ userAgent, ip })
+   * @returns {Object} User object with userId and sessionId
+   */
+  startLoginSession(user, client = {}) {
+    const { sessionId } = this.createSession(user.userId, client);
 
     return {
       userId: user.userId,
       username: user.username,
       sessionId,
       publicKey: user.publicKey,
+      signingPublicKey: user.signingPublicKey || null,
       encryptedPrivateKey: user.encryptedPrivateKey,
+      preferences: this.getPreferences(user.userId),
       isNewUser: false
     };
   }
 
+  /**
+   * Check a signed-in user's password (before sensitive account changes)
+   * @param {string} userId - User ID
+   * @param {string} password - Plain text password
+   * @returns {Promise<boolean>} Whether the password is correct
+   */
+  async verifyPassword(userId, password) {
+    const user = this.users.get(userId);
+    if (!user || !password) return false;
+    return bcrypt.compare(password, user.passwordHash);
+  }
+
+  /**
+   * Change a user's password
+   * The client re-wraps the private key under the new password, and the new
+   * hash and wrapped key are swapped in together so the stored key always
+   * opens with the password that logs in.
+   * @param {string} userId - User ID
+   * @param {string} currentPassword - Current plain text password
+   * @param {string} newPassword - New plain text password
+   * @param {string} encryptedPrivateKey - Private key wrapped with the new password
+   * @returns {Promise<void>}
+   */
+  async changePassword(userId, currentPassword, newPassword, encryptedPrivateKey) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    this.validateNewPassword(newPassword, encryptedPrivateKey);
+
+    const previousHash = user.passwordHash;
+    if (!await this.verifyPassword(userId, currentPassword)) {
+      throw new HttpError(401, 'Current password is incorrect');
+    }
+
+    await this.replacePassword(user, previousHash, newPassword, encryptedPrivateKey);
+  }
+
+  /**
+   * Check the new password and wrapped key of a password change
+   * @param {string} newPassword - New plain text password
+   * @param {string} encryptedPrivateKey - Private key wrapped with the new password
+   */
+  validateNewPassword(newPassword, encryptedPrivateKey) {
+    if (!newPassword || newPassword.length < 6) {
+      throw new HttpError(400, 'Password must be at least 6 characters');
+    }
+
+    if (!encryptedPrivateKey) {
+      throw new HttpError(400, 'encryptedPrivateKey is required');
+    }
+  }
+
+  /**
+   * Swap in a new password hash and wrapped key together
+   * @param {Object} user - User record (mutated)
+   * @param {string} previousHash - Hash the caller checked against
+   * @param {string} newPassword - New plain text password
+   * @param {string} encryptedPrivateKey - Private key wrapped with the new password
+   * @returns {Promise<void>}
+   */
+  async replacePassword(user, previousHash, newPassword, encryptedPrivateKey) {
+    const passwordHash = await bcrypt.hash(newPassword, SALT_ROUNDS);
+
+    // Another change finished while we were hashing; its key would be lost
+    if (user.passwordHash !== previousHash) {
+      throw new HttpError(409, 'Password was changed by another request');
+    }
+
+    Object.assign(user, {
+      passwordHash,
+      encryptedPrivateKey,
+      passwordChangedAt: new Date().toISOString()
+    });
+    this.store.persist();
+  }
+
+  /**
+   * Store a recovery kit: a second copy of the private key wrapped with a
+   * recovery phrase, plus a hash of the key that proves the phrase
+   * Replaces any earlier kit.
+   * @param {string} userId - User ID
+   * @param {string} recoveryKey - Key derived from the phrase by the client
+   * @param {string} encryptedPrivateKey - Private key wrapped with the phrase
+   * @returns {Promise<string>} When the kit was created
+   */
+  async setRecoveryKit(userId, recoveryKey, encryptedPrivateKey) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    if (typeof recoveryKey !== 'string' || !RECOVERY_KEY_PATTERN.test(recoveryKey)) {
+      throw new HttpError(400, 'recoveryKey must be a SHA-256 hex digest');
+    }
+
+    if (!encryptedPrivateKey) {
+      throw new HttpError(400, 'encryptedPrivateKey is required');
+    }
+
+    const recoveryKeyHash = await bcrypt.hash(recoveryKey, SALT_ROUNDS);
+    const createdAt = new Date().toISOString();
+    user.recoveryKit = { recoveryKeyHash, encryptedPrivateKey, createdAt };
+    this.store.persist();
+    return createdAt;
+  }
+
+  /**
+   * Whether a user has a recovery kit, and since when
+   * @param {string} userId - User ID
+   * @returns {{enabled: boolean, createdAt: string|null}}
+   */
+  getRecoveryKitStatus(userId) {
+    const kit = this.users.get(userId)?.recoveryKit;
+    return { enabled: !!kit, createdAt: kit?.createdAt || null };
+  }
+
+  /**
+   * Find the user a recovery key belongs to
+   * Unknown users, users without a kit and wrong keys fail alike.
+   * @param {string} username - Username
+   * @param {string} recoveryKey - Key derived from the phrase
+   * @returns {Promise<Object>} User record
+   */
+  async verifyRecoveryKey(username, recoveryKey) {
+    const user = username ? this.getUserByUsername(username.trim()) : null;
+
+    const valid = !!user?.recoveryKit && typeof recoveryKey === 'string' &&
+      await bcrypt.compare(recoveryKey, user.recoveryKit.recoveryKeyHash);
+    if (!valid) {
+      throw new HttpError(401, 'Invalid username or recovery phrase');
+    }
+    return user;
+  }
+
+  /**
+   * Set a new password with a recovery kit instead of the old password
+   * @param {string} username - Username
+   * @param {string} recoveryKey - Key derived from the phrase
+   * @param {string} newPassword - New plain text password
+   * @param {string} encryptedPrivateKey - Private key wrapped with the new password
+   * @returns {Promise<Object>} User record
+   */
+  async resetPasswordWithRecoveryKey(username, recoveryKey, newPassword, encryptedPrivateKey) {
+    this.validateNewPassword(newPassword, encryptedPrivateKey);
+
+    const user = await this.verifyRecoveryKey(username, recoveryKey);
+    await this.replacePassword(user, user.passwordHash, newPassword, encryptedPrivateKey);
+    return user;
+  }
+
   /**
    * Store user's encrypted private key
    * @param {string} userId - User ID
@@ -127,16 +360,309 @@ class UserService {
     const user = this.users.get(userId);
     if (user) {
       user.encryptedPrivateKey = encryptedPrivateKey;
+      this.store.persist();
+    }
+  }
+
+  /**
+   * Replace a user's encryption key pair
+   * The client wraps the new private key together with the retired ones, so
+   * the stored keyring still opens old messages. The recovery kit holds only
+   * the retired key and is dropped; the user has to create a new one.
+   * @param {string} userId - User ID
+   * @param {string} password - Current plain text password
+   * @param {string} publicKey - New base64 SPKI public key
+   * @param {string} encryptedPrivateKey - Keyring holding the new and retired private keys
+   * @returns {Promise<boolean>} Whether a recovery kit was dropped
+   */
+  async rotatePublicKey(userId, password, publicKey, encryptedPrivateKey) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    if (typeof publicKey !== 'string' || !PUBLIC_KEY_PATTERN.test(publicKey)) {
+      throw new HttpError(400, 'publicKey must be a base64 public key');
+    }
+
+    if (!encryptedPrivateKey) {
+      throw new HttpError(400, 'encryptedPrivateKey is required');
+    }
+
+    if (!await this.verifyPassword(userId, password)) {
+      throw new HttpError(401, 'Password is incorrect');
+    }
+
+    const hadRecoveryKit = !!user.recoveryKit;
+    Object.assign(user, {
+      publicKey,
+      encryptedPrivateKey,
+      recoveryKit: null,
+      keyRotatedAt: new Date().toISOString()
+    });
+    this.store.persist();
+    return hadRecoveryKit;
+  }
+
+  /**
+   * Whether a value looks like a base64 signing public key
+   * @param {*} signingPublicKey
+   * @returns {boolean}
+   */
+  isValidSigningKey(signingPublicKey) {
+    return typeof signingPublicKey === 'string' && SIGNING_KEY_PATTERN.test(signingPublicKey);
+  }
+
+  /**
+   * Publish the key that verifies a user's message signatures
+   * Accounts created before signing existed publish one on their next login.
+   * @param {string} userId - User ID
+   * @param {string} signingPublicKey - Base64 SPKI ECDSA public key
+   */
+  setSigningPublicKey(userId, signingPublicKey) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new HttpError(404, 'User not found');
+    }
+
+    if (!this.isValidSigningKey(signingPublicKey)) {
+      throw new HttpError(400, 'signingPublicKey must be a base64 public key');
+    }
+
+    user.signingPublicKey = signingPublicKey;
+    this.store.persist();
+  }
+
+  /**
+   * Publish the current prekey of the device behind a session
+   * The prekey is signed by the user's signing key; clients check that
+   * signature, so the server only checks the shape. Its private key stays
+   * on the device that made it. Each session keeps its own prekey, and it
+   * goes away with the session.
+   * @param {string} sessionId - Session of the publishing device
+   * @param {Object} prekey - { id, publicKey, createdAt, signature }
+   */
+  setPrekey(sessionId, prekey) {
+    const session = this.getSession(sessionId);
+    if (!session) {
+      throw new HttpError(401, 'Invalid or expired session');
+    }
+
+    const { id, publicKey, createdAt, signature } = prekey || {};
+    if (
+      !PREKEY_ID_PATTERN.test(String(id)) ||
+      !this.isValidSigningKey(publicKey) ||
+      Number.isNaN(Date.parse(createdAt)) ||
+      !SIGNATURE_PATTERN.test(String(signature))
+    ) {
+      throw new HttpError(400, 'prekey must have id, publicKey, createdAt and signature');
+    }
+
+    session.prekey = { id, publicKey, createdAt, signature };
+    this.store.persist();
+  }
+
+  /**
+   * Get the prekeys of every signed-in device of each user
+   * Devices signed in more than once publish the same prekey from each
+   * session; it is listed once.
+   * @returns {Map<string, Array<Object>>} userId -> prekeys, newest first
+   */
+  getPrekeysByUser() {
+    const now = Date.now();
+    const byUser = new Map();
+
+    this.sessions.forEach(session => {
+      if (!session.prekey || this.isSessionExpired(session, now)) return;
+
+      const prekeys = byUser.get(session.userId) || [];
+      if (!prekeys.some(prekey => prekey.id === session.prekey.id)) {
+        prekeys.push(session.prekey);
+      }
+      byUser.set(session.userId, prekeys);
+    });
+
+    byUser.forEach(prekeys => prekeys.sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt)));
+    return byUser;
+  }
+
+  /**
+   * Get the prekeys of a user's signed-in devices
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} Prekeys ({ id, publicKey, createdAt, signature }), newest first
+   */
+  getPrekeys(userId) {
+    return this.getPrekeysByUser().get(userId) || [];
+  }
+
+  /**
+   * Start a session for a user
+   * @param {string} userId - User ID
+   * @param {Object} client - Client details ({ userAgent, ip })
+   * @returns {Object} Session, including its secret sessionId
+   */
+  createSession(userId, { userAgent = null, ip = null } = {}) {
+    const sessionId = uuidv4();
+    const now = new Date().toISOString();
+    const session = {
+      id: uuidv4(),
+      userId,
+      createdAt: now,
+      lastUsedAt: now,
+      userAgent,
+      ip
+    };
+
+    this.sessions.set(sessionId, session);
+    this.store.persist();
+
+    return { sessionId, ...session };
+  }
+
+  /**
+   * Check whether a session has passed its idle or absolute timeout
+   * @param {Object} session - Session
+   * @param {number} now - Current time (ms)
+   * @returns {boolean} True if expired
+   */
+  isSessionExpired(session, now = Date.now()) {
+    return now - Date.parse(session.lastUsedAt) > this.idleTimeoutMs ||
+      now - Date.parse(session.createdAt) > this.absoluteTimeoutMs;
+  }
+
+  /**
+   * Get a live session, dropping it if it has expired
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Session, or null if unknown or expired
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    if (this.isSessionExpired(session)) {
+      this.sessions.delete(sessionId);
+      this.store.persist();
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Record activity on a session, extending its idle timeout
+   * @param {string} sessionId - Session ID
+   */
+  touchSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return;
+
+    const now = Date.now();
+    if (now - Date.parse(session.lastUsedAt) >= SESSION_TOUCH_INTERVAL_MS) {
+      session.lastUsedAt = new Date(now).toISOString();
+      this.store.persist();
     }
   }
 
   /**
    * Get user by session ID
+   * Counts as activity on the session.
    */
   getUserBySession(sessionId) {
-    const userId = this.sessions.get(sessionId);
-    if (!userId) return null;
-    return this.users.get(userId);
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    this.touchSession(sessionId);
+    return this.users.get(session.userId);
+  }
+
+  /**
+   * List a user's live sessions, newest first
+   * @param {string} userId - User ID
+   * @returns {Array<Object>} Sessions with their expiry (no secret sessionIds)
+   */
+  getUserSessions(userId) {
+    return this.findSessions(userId)
+      .map(([, session]) => ({
+        id: session.id,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: new Date(Math.min(
+          Date.parse(session.lastUsedAt) + this.idleTimeoutMs,
+          Date.parse(session.createdAt) + this.absoluteTimeoutMs
+        )).toISOString(),
+        userAgent: session.userAgent,
+        ip: session.ip
+      }))
+      .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+  }
+
+  /**
+   * Get the public ID of the session behind a session ID
+   * @param {string} sessionId - Session ID
+   * @returns {string|null} Public session ID
+   */
+  getSessionPublicId(sessionId) {
+    return this.sessions.get(sessionId)?.id || null;
+  }
+
+  /**
+   * Find a user's live sessions
+   * @param {string} userId - User ID
+   * @returns {Array<[string, Object]>} [sessionId, session] pairs
+   */
+  findSessions(userId) {
+    return Array.from(this.sessions.keys())
+      .filter(sessionId => this.sessions.get(sessionId).userId === userId)
+      .filter(sessionId => this.getSession(sessionId))
+      .map(sessionId => [sessionId, this.sessions.get(sessionId)]);
+  }
+
+  /**
+   * Revoke one of a user's sessions by its public ID
+   * @param {string} userId - Owner user ID
+   * @param {string} id - Public session ID
+   * @returns {string|null} Secret sessionId that was revoked, or null if not found
+   */
+  revokeSession(userId, id) {
+    const match = this.findSessions(userId).find(([, session]) => session.id === id);
+    if (!match) return null;
+
+    this.sessions.delete(match[0]);
+    this.store.persist();
+    return match[0];
+  }
+
+  /**
+   * Revoke every session of a user except one
+   * @param {string} userId - Owner user ID
+   * @param {string} keepSessionId - Session to keep (usually the caller's)
+   * @returns {Array<string>} Secret sessionIds that were revoked
+   */
+  revokeOtherSessions(userId, keepSessionId) {
+    const revoked = this.findSessions(userId)
+      .map(([sessionId]) => sessionId)
+      .filter(sessionId => sessionId !== keepSessionId);
+
+    revoked.forEach(sessionId => this.sessions.delete(sessionId));
+    if (revoked.length > 0) {
+      this.store.persist();
+    }
+    return revoked;
+  }
+
+  /**
+   * Drop every expired session
+   * @returns {Array<string>} Secret sessionIds that expired
+   */
+  pruneExpiredSessions() {
+    const now = Date.now();
+    const expired = Array.from(this.sessions.keys())
+      .filter(sessionId => this.isSessionExpired(this.sessions.get(sessionId), now));
+
+    expired.forEach(sessionId => this.sessions.delete(sessionId));
+    if (expired.length > 0) {
+      this.store.persist();
+    }
+    return expired;
   }
 
   /**
@@ -155,6 +681,43 @@ class UserService {
     return this.users.get(userId);
   }
 
+  /**
+   * Get a user's preferences, filling in defaults for unset keys
+   * @param {string} userId - User ID
+   * @returns {Object} Preferences
+   */
+  getPreferences(userId) {
+    const user = this.users.get(userId);
+    return { ...DEFAULT_PREFERENCES, ...user?.preferences };
+  }
+
+  /**
+   * Update a user's preferences
+   * @param {string} userId - User ID
+   * @param {Object} updates - Preference keys to change
+   * @returns {Object} Updated preferences
+   */
+  updatePreferences(userId, updates) {
+    const user = this.users.get(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (!(key in DEFAULT_PREFERENCES)) {
+        throw new Error(`Unknown preference: ${key}`);
+      }
+      if (typeof value !== typeof DEFAULT_PREFERENCES[key]) {
+        throw new Error(`Invalid value for ${key}`);
+      }
+    });
+
+    user.preferences = { ...this.getPreferences(userId), ...updates };
+    this.store.persist();
+
+    return user.preferences;
+  }
+
   /**
    * Set user online status
    */
@@ -163,6 +726,7 @@ class UserService {
     if (user) {
       user.online = online;
       user.lastSeen = new Date().toISOString();
+      this.store.persist();
     }
   }
 
@@ -177,23 +741,37 @@ class UserService {
    * Get all users (for user list)
    */
   getAllUsers() {
+    const prekeys = this.getPrekeysByUser();
     return Array.from(this.users.values()).map(user => ({
       userId: user.userId,
       username: user.username,
       online: user.online,
       lastSeen: user.lastSeen,
-      publicKey: user.publicKey // Include public key for E2EE
+      publicKey: user.publicKey, // Include public key for E2EE
+      signingPublicKey: user.signingPublicKey || null,
+      prekeys: prekeys.get(user.userId) || []
     }));
   }
 
+  /**
+   * Get the IDs of users who can see this user in their user list
+   * Every account is listed for every other account (see GET /api/auth/users).
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Other users' IDs
+   */
+  getVisibleUserIds(userId) {
+    return Array.from(this.users.keys()).filter(id => id !== userId);
+  }
+
   /**
    * Invalidate session
+   * Presence is left to the connection lifecycle, since other tabs or
+   * devices may still be connected.
    */
   logout(sessionId) {
-    const userId = this.sessions.get(sessionId);
-    if (userId) {
-      this.setUserOnline(userId, false);
+    if (this.sessions.has(sessionId)) {
       this.sessions.delete(sessionId);
+      this.store.persist();
     }
   }
 }
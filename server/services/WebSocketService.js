@@ -1,37 +1,189 @@
+// Number of recent events kept per user for Last-Event-ID replay
+const EVENT_LOG_SIZE = 200;
+
+/**
+ * Format an SSE frame
+ * @param {Object} data - Event payload
+ * @param {number} id - Event ID (omitted when null)
+ * @returns {string} SSE frame
+ */
+const formatEvent = (data, id = null) => {
+  const idLine = id !== null ? `id: ${id}\n` : '';
+  return `${idLine}data: ${JSON.stringify(data)}\n\n`;
+};
+
+// WebSocket readyState for an open socket
+const WS_OPEN = 1;
+
+/**
+ * Server-Sent Events connection adapter
+ * Writes events as text/event-stream frames on an Express response.
+ */
+class SseConnection {
+  /**
+   * @param {Response} res - Express response object
+   * @param {string|null} sessionId - Session the stream was opened with
+   */
+  constructor(res, sessionId = null) {
+    this.transport = 'sse';
+    this.res = res;
+    this.sessionId = sessionId;
+  }
+
+  /**
+   * Send an event
+   * @param {Object} data - Event payload
+   * @param {number} id - Event ID (omitted when null)
+   */
+  send(data, id = null) {
+    this.res.write(formatEvent(data, id));
+  }
+
+  /**
+   * Close the stream
+   */
+  close() {
+    this.res.end();
+  }
+}
+
+/**
+ * WebSocket connection adapter
+ * Sends events as JSON text frames shaped { id, data }, mirroring SSE fields.
+ */
+class WsConnection {
+  /**
+   * @param {import('ws').WebSocket} socket - Open WebSocket
+   * @param {string|null} sessionId - Session the socket was opened with
+   */
+  constructor(socket, sessionId = null) {
+    this.transport = 'websocket';
+    this.socket = socket;
+    this.sessionId = sessionId;
+  }
+
+  /**
+   * Send an event (dropped if the socket is no longer open)
+   * @param {Object} data - Event payload
+   * @param {number} id - Event ID (omitted when null)
+   */
+  send(data, id = null) {
+    if (this.socket.readyState !== WS_OPEN) return;
+    this.socket.send(JSON.stringify(id !== null ? { id, data } : { data }));
+  }
+
+  /**
+   * Close the socket
+   * @param {number} code - WebSocket close code
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    this.socket.close(code, reason);
+  }
+}
+
 /**
- * WebSocket connection management service
- * Handles real-time message delivery via Server-Sent Events (SSE)
+ * Wrap a raw SSE response in a connection adapter (adapters pass through)
+ * @param {Object} connection - Connection adapter or Express response
+ * @returns {SseConnection|WsConnection} Connection adapter
+ */
+const toConnection = (connection) => (
+  typeof connection.transport === 'string' ? connection : new SseConnection(connection)
+);
+
+/**
+ * Real-time connection management service
+ * Delivers events over WebSocket or Server-Sent Events connections through
+ * a common adapter interface. Every event gets a monotonic ID so
+ * reconnecting clients can resume.
  */
 class WebSocketService {
   constructor() {
-    // Map of userId -> array of SSE response objects
+    // Map of userId -> array of connection adapters
     this.connections = new Map();
+    // Next event ID (monotonic for the lifetime of the process)
+    this.nextEventId = 1;
+    // Map of userId -> { events: [{ id, data }], droppedThrough: number }
+    this.eventLogs = new Map();
   }
 
   /**
-   * Add a new SSE connection for a user
+   * Record an event for a user so it can be replayed after a reconnect
    * @param {string} userId - User ID
-   * @param {Response} res - Express response object
+   * @param {number} id - Event ID
+   * @param {Object} data - Event payload
    */
-  addConnection(userId, res) {
+  logEvent(userId, id, data) {
+    if (!this.eventLogs.has(userId)) {
+      this.eventLogs.set(userId, { events: [], droppedThrough: 0 });
+    }
+
+    const log = this.eventLogs.get(userId);
+    log.events.push({ id, data });
+
+    if (log.events.length > EVENT_LOG_SIZE) {
+      const dropped = log.events.shift();
+      log.droppedThrough = dropped.id;
+    }
+  }
+
+  /**
+   * Replay events a reconnecting client missed
+   * Sends a `resync` event instead when the gap can't be filled from the log
+   * (events were evicted, or the ID comes from before a server restart).
+   * @param {string} userId - User ID
+   * @param {Object} connection - Connection adapter (or raw SSE response)
+   * @param {string|number} lastEventId - Last event ID the client saw
+   * @returns {number} Number of events replayed
+   */
+  replayEvents(userId, connection, lastEventId) {
+    const target = toConnection(connection);
+    const lastId = parseInt(lastEventId, 10);
+    if (Number.isNaN(lastId)) return 0;
+
+    const log = this.eventLogs.get(userId) || { events: [], droppedThrough: 0 };
+
+    if (lastId >= this.nextEventId || lastId < log.droppedThrough) {
+      target.send({ type: 'resync' });
+      return 0;
+    }
+
+    const missed = log.events.filter(event => event.id > lastId);
+    missed.forEach(event => target.send(event.data, event.id));
+
+    if (missed.length > 0) {
+      console.log(`↻ Replayed ${missed.length} event(s) to user ${userId}`);
+    }
+    return missed.length;
+  }
+
+  /**
+   * Add a new connection for a user
+   * @param {string} userId - User ID
+   * @param {Object} connection - Connection adapter (raw SSE responses are wrapped)
+   */
+  addConnection(userId, connection) {
+    const adapter = toConnection(connection);
     if (!this.connections.has(userId)) {
       this.connections.set(userId, []);
     }
-    this.connections.get(userId).push(res);
+    this.connections.get(userId).push(adapter);
 
-    console.log(`✓ User ${userId} connected via SSE. Total connections: ${this.connections.get(userId).length}`);
+    console.log(`✓ User ${userId} connected via ${adapter.transport}. Total connections: ${this.connections.get(userId).length}`);
   }
 
   /**
-   * Remove an SSE connection
+   * Remove a connection
    * @param {string} userId - User ID
-   * @param {Response} res - Express response object
+   * @param {Object} connection - Connection adapter or the raw SSE response it wraps
    */
-  removeConnection(userId, res) {
+  removeConnection(userId, connection) {
     if (!this.connections.has(userId)) return;
 
     const userConnections = this.connections.get(userId);
-    const index = userConnections.indexOf(res);
+    const index = userConnections.findIndex(
+      adapter => adapter === connection || adapter.res === connection
+    );
     
     if (index !== -1) {
       userConnections.splice(index, 1);
@@ -44,12 +196,55 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Get the sessions that currently have a live connection
+   * @returns {Array<string>} Session IDs
+   */
+  getConnectedSessionIds() {
+    const sessionIds = new Set();
+    this.connections.forEach(userConnections => {
+      userConnections.forEach(connection => {
+        if (connection.sessionId) sessionIds.add(connection.sessionId);
+      });
+    });
+    return Array.from(sessionIds);
+  }
+
+  /**
+   * Close every live connection opened with a session
+   * Each connection is told why first, so clients stop reconnecting.
+   * The transports' close handlers remove the connections.
+   * @param {string} sessionId - Session ID
+   * @param {string} reason - Why the session ended (revoked, expired, logout)
+   * @returns {number} Number of connections closed
+   */
+  closeSessionConnections(sessionId, reason) {
+    const targets = [];
+    this.connections.forEach(userConnections => {
+      targets.push(...userConnections.filter(connection => connection.sessionId === sessionId));
+    });
+
+    targets.forEach(connection => {
+      try {
+        connection.send({ type: 'session_ended', reason });
+        connection.close();
+      } catch (error) {
+        console.error('Error closing connection:', error.message);
+      }
+    });
+    return targets.length;
+  }
+
   /**
    * Send a message to a specific user
+   * The event is logged for replay even when the user is offline.
    * @param {string} userId - Recipient user ID
    * @param {Object} data - Data to send
    */
   sendToUser(userId, data) {
+    const id = this.nextEventId++;
+    this.logEvent(userId, id, data);
+
     const userConnections = this.connections.get(userId);
     
     if (!userConnections || userConnections.length === 0) {
@@ -57,12 +252,10 @@ class WebSocketService {
       return false;
     }
 
-    const message = `data: ${JSON.stringify(data)}\n\n`;
-    
     // Send to all connections for this user (multiple tabs/devices)
-    userConnections.forEach(res => {
+    userConnections.forEach(connection => {
       try {
-        res.write(message);
+        connection.send(data, id);
       } catch (error) {
         console.error(`Error sending to user ${userId}:`, error.message);
       }
@@ -72,18 +265,40 @@ class WebSocketService {
     return true;
   }
 
+  /**
+   * Send a short-lived event to a user's live connections only
+   * Transient events carry no ID and are never replayed, for signals
+   * (like typing) that are meaningless once stale.
+   * @param {string} userId - Recipient user ID
+   * @param {Object} data - Data to send
+   * @returns {boolean} True if at least one connection received it
+   */
+  sendTransient(userId, data) {
+    const userConnections = this.connections.get(userId);
+    if (!userConnections || userConnections.length === 0) return false;
+
+    userConnections.forEach(connection => {
+      try {
+        connection.send(data);
+      } catch (error) {
+        console.error(`Error sending to user ${userId}:`, error.message);
+      }
+    });
+    return true;
+  }
+
   /**
    * Broadcast to all connected users
    * @param {Object} data - Data to broadcast
    */
   broadcast(data) {
-    const message = `data: ${JSON.stringify(data)}\n\n`;
+    const id = this.nextEventId++;
     let sentCount = 0;
 
     this.connections.forEach((userConnections, userId) => {
-      userConnections.forEach(res => {
+      userConnections.forEach(connection => {
         try {
-          res.write(message);
+          connection.send(data, id);
           sentCount++;
         } catch (error) {
           console.error(`Error broadcasting to user ${userId}:`, error.message);
@@ -138,4 +353,5 @@ class WebSocketService {
 
 // Export singleton instance
 export const wsService = new WebSocketService();
+export { formatEvent, SseConnection, WsConnection };
 export default WebSocketService;
@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryBlobStore from './MemoryBlobStore.js';
+
+// Blob IDs are UUIDs; anything else never reaches the file system
+const BLOB_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Directory blob store
+ * Keeps one file per blob. Writes go to a temp file that is renamed into
+ * place, so a crash mid-write never leaves a truncated blob.
+ */
+class FileBlobStore extends MemoryBlobStore {
+  /**
+   * @param {string} dirPath - Directory holding the blob files
+   */
+  constructor(dirPath) {
+    super();
+    this.dirPath = dirPath;
+  }
+
+  /**
+   * Create the blob directory if needed
+   * @returns {FileBlobStore}
+   */
+  open() {
+    fs.mkdirSync(this.dirPath, { recursive: true });
+    return this;
+  }
+
+  /**
+   * Path of a blob's file
+   * @param {string} id - Blob ID
+   * @returns {string}
+   */
+  getPath(id) {
+    if (!BLOB_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid blob ID: ${id}`);
+    }
+    return path.join(this.dirPath, `${id}.bin`);
+  }
+
+  put(id, data) {
+    const filePath = this.getPath(id);
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, data);
+    fs.renameSync(tempPath, filePath);
+  }
+
+  get(id) {
+    try {
+      return fs.readFileSync(this.getPath(id));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  delete(id) {
+    fs.rmSync(this.getPath(id), { force: true });
+  }
+}
+
+export default FileBlobStore;
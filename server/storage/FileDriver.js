@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryDriver from './MemoryDriver.js';
+import { scrubBackup } from './migrations.js';
+
+const DEFAULT_WRITE_DELAY_MS = 100;
+
+/**
+ * JSON file storage driver
+ * Serves reads from memory and writes the whole snapshot to disk shortly
+ * after each change. Writes go to a temp file that is renamed over the
+ * original, so a crash mid-write never leaves a truncated database.
+ */
+class FileDriver extends MemoryDriver {
+  /**
+   * @param {string} filePath - Path of the JSON database file
+   * @param {Object} options
+   * @param {number} options.writeDelayMs - Debounce delay for writes (default: 100)
+   */
+  constructor(filePath, { writeDelayMs = DEFAULT_WRITE_DELAY_MS } = {}) {
+    super();
+    this.filePath = filePath;
+    this.writeDelayMs = writeDelayMs;
+    this.writeTimer = null;
+  }
+
+  /**
+   * Load the database file, migrating it if it was written by an older server
+   * @returns {FileDriver}
+   */
+  open() {
+    let snapshot = { schemaVersion: 0, collections: {} };
+    let contents = null;
+
+    if (fs.existsSync(this.filePath)) {
+      contents = fs.readFileSync(this.filePath, 'utf8');
+      snapshot = JSON.parse(contents);
+    }
+
+    const previousVersion = snapshot.schemaVersion || 0;
+    const applied = this.load(snapshot);
+
+    if (applied.length > 0) {
+      // Keep the pre-migration file around in case an upgrade goes wrong
+      // (minus anything a migration removed so that it is kept nowhere)
+      if (contents !== null) {
+        const backup = JSON.parse(contents);
+        const backupPath = `${this.filePath}.v${previousVersion}.bak`;
+        if (scrubBackup(backup)) {
+          fs.writeFileSync(backupPath, JSON.stringify(backup));
+        } else {
+          fs.copyFileSync(this.filePath, backupPath);
+        }
+        console.log(`✓ Storage migrated from v${previousVersion} to v${this.schemaVersion}`);
+      }
+      this.flush();
+    }
+
+    return this;
+  }
+
+  /**
+   * Schedule a write of the current snapshot
+   */
+  persist() {
+    if (this.writeTimer) return;
+
+    this.writeTimer = setTimeout(() => {
+      this.writeTimer = null;
+      this.write();
+    }, this.writeDelayMs);
+
+    // Pending writes must not keep the process alive; index.js flushes on exit
+    this.writeTimer.unref?.();
+  }
+
+  /**
+   * Write pending changes immediately
+   */
+  flush() {
+    if (this.writeTimer) {
+      clearTimeout(this.writeTimer);
+      this.writeTimer = null;
+    }
+    this.write();
+  }
+
+  /**
+   * Atomically write the snapshot to disk
+   */
+  write() {
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tempPath = `${this.filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(this.snapshot()));
+      fs.renameSync(tempPath, this.filePath);
+    } catch (error) {
+      console.error(`Error writing storage file ${this.filePath}:`, error.message);
+    }
+  }
+}
+
+export default FileDriver;
@@ -0,0 +1,48 @@
+/**
+ * In-memory blob store
+ * Holds attachment blobs (opaque, already encrypted bytes) by ID. Used by
+ * the test suite and as the base class for stores that keep blobs
+ * somewhere durable.
+ */
+class MemoryBlobStore {
+  constructor() {
+    // Map of blob ID -> Buffer
+    this.blobs = new Map();
+  }
+
+  /**
+   * Prepare the store for use
+   * @returns {MemoryBlobStore}
+   */
+  open() {
+    return this;
+  }
+
+  /**
+   * Store a blob
+   * @param {string} id - Blob ID
+   * @param {Buffer} data - Blob bytes
+   */
+  put(id, data) {
+    this.blobs.set(id, Buffer.from(data));
+  }
+
+  /**
+   * Read a blob
+   * @param {string} id - Blob ID
+   * @returns {Buffer|null} Blob bytes, or null if there is no such blob
+   */
+  get(id) {
+    return this.blobs.get(id) || null;
+  }
+
+  /**
+   * Delete a blob (unknown IDs are ignored)
+   * @param {string} id - Blob ID
+   */
+  delete(id) {
+    this.blobs.delete(id);
+  }
+}
+
+export default MemoryBlobStore;
@@ -0,0 +1,88 @@
+import { runMigrations } from './migrations.js';
+
+/**
+ * In-memory storage driver
+ * Keeps every collection in a plain Map, exactly like the services did before
+ * persistence existed. Used by the test suite and as the base class for
+ * drivers that write the same Maps somewhere durable.
+ */
+class MemoryDriver {
+  constructor() {
+    // Map of collection name -> Map of key -> value
+    this.collections = new Map();
+    this.schemaVersion = 0;
+  }
+
+  /**
+   * Prepare the driver for use (runs migrations on an empty snapshot)
+   * @returns {MemoryDriver}
+   */
+  open() {
+    this.load({ schemaVersion: 0, collections: {} });
+    return this;
+  }
+
+  /**
+   * Migrate a serialized snapshot and hydrate collections from it
+   * @param {Object} snapshot - Serialized store snapshot
+   * @returns {Array<number>} Migration versions that were applied
+   */
+  load(snapshot) {
+    const applied = runMigrations(snapshot);
+
+    this.collections.clear();
+    Object.entries(snapshot.collections).forEach(([name, entries]) => {
+      this.collections.set(name, new Map(Object.entries(entries)));
+    });
+    this.schemaVersion = snapshot.schemaVersion;
+
+    return applied;
+  }
+
+  /**
+   * Serialize all collections
+   * @returns {Object} Snapshot suitable for JSON encoding
+   */
+  snapshot() {
+    const collections = {};
+    this.collections.forEach((entries, name) => {
+      collections[name] = Object.fromEntries(entries);
+    });
+    return { schemaVersion: this.schemaVersion, collections };
+  }
+
+  /**
+   * Get a collection, creating it if needed
+   * @param {string} name - Collection name
+   * @returns {Map} Live collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new Map());
+    }
+    return this.collections.get(name);
+  }
+
+  /**
+   * Signal that collections changed and should be saved
+   */
+  persist() {
+    // Nothing to do - memory is the source of truth
+  }
+
+  /**
+   * Write pending changes immediately
+   */
+  flush() {
+    // Nothing to do - memory is the source of truth
+  }
+
+  /**
+   * Release resources held by the driver
+   */
+  close() {
+    this.flush();
+  }
+}
+
+export default MemoryDriver;
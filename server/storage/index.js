@@ -0,0 +1,63 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MemoryDriver from './MemoryDriver.js';
+import FileDriver from './FileDriver.js';
+import MemoryBlobStore from './MemoryBlobStore.js';
+import FileBlobStore from './FileBlobStore.js';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../data');
+const DEFAULT_STORAGE_PATH = path.join(DATA_DIR, 'retro-messenger.json');
+const DEFAULT_BLOB_PATH = path.join(DATA_DIR, 'blobs');
+
+// The file drivers, or memory when running under tests
+const defaultDriver = () =>
+  process.env.STORAGE_DRIVER || (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+
+/**
+ * Create and open a storage driver
+ * Defaults to the JSON file driver, or to memory when running under tests.
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory' (default: STORAGE_DRIVER env)
+ * @param {string} options.filePath - Database file for the file driver (default: STORAGE_PATH env)
+ * @returns {MemoryDriver} Opened storage driver
+ */
+export const createStore = ({
+  driver = defaultDriver(),
+  filePath = process.env.STORAGE_PATH || DEFAULT_STORAGE_PATH
+} = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryDriver().open();
+    case 'file':
+      return new FileDriver(filePath).open();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+/**
+ * Create and open a blob store for attachment bytes
+ * Blobs are kept out of the JSON database, which is rewritten on every change.
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory' (default: STORAGE_DRIVER env)
+ * @param {string} options.dirPath - Blob directory for the file driver (default: BLOB_STORAGE_PATH env)
+ * @returns {MemoryBlobStore} Opened blob store
+ */
+export const createBlobStore = ({
+  driver = defaultDriver(),
+  dirPath = process.env.BLOB_STORAGE_PATH || DEFAULT_BLOB_PATH
+} = {}) => {
+  switch (driver) {
+    case 'memory':
+      return new MemoryBlobStore().open();
+    case 'file':
+      return new FileBlobStore(dirPath).open();
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Shared stores used by the service singletons
+export const store = createStore();
+export const blobStore = createBlobStore();
+export { MemoryDriver, FileDriver, MemoryBlobStore, FileBlobStore };
@@ -0,0 +1,211 @@
+import { randomUUID } from 'crypto';
+
+/**
+ * Storage schema migrations
+ * Each migration upgrades a serialized snapshot by exactly one version.
+ * Snapshots look like { schemaVersion, collections: { name: { key: value } } }
+ * A migration that removes data which must not linger anywhere also has a
+ * scrub(snapshot), which is applied to the pre-migration backup.
+ */
+
+/**
+ * Ensure a collection exists on a snapshot
+ * @param {Object} snapshot - Serialized store snapshot
+ * @param {string} name - Collection name
+ * @returns {Object} Collection object
+ */
+export const ensureCollection = (snapshot, name) => {
+  if (!snapshot.collections[name]) {
+    snapshot.collections[name] = {};
+  }
+  return snapshot.collections[name];
+};
+
+/**
+ * Remove the prekey private key stores clients used to upload
+ * @param {Object} snapshot - Serialized store snapshot
+ */
+const dropPrekeyStores = (snapshot) => {
+  Object.values(snapshot.collections.users || {}).forEach(user => {
+    delete user.encryptedPrekeys;
+  });
+};
+
+/**
+ * Remove account-wide prekeys; each session now publishes its own
+ * @param {Object} snapshot - Serialized store snapshot
+ */
+const dropAccountPrekeys = (snapshot) => {
+  Object.values(snapshot.collections.users || {}).forEach(user => {
+    delete user.prekey;
+  });
+};
+
+/**
+ * Ordered list of migrations. Append new entries; never edit shipped ones.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Initial schema: users, sessions and messages',
+    up(snapshot) {
+      [
+        'users',
+        'usernameIndex',
+        'sessions',
+        'messages',
+        'userInboxes',
+        'userSentMessages'
+      ].forEach(name => ensureCollection(snapshot, name));
+    }
+  },
+  {
+    version: 2,
+    description: 'Record recipient userId on messages and index conversations',
+    up(snapshot) {
+      const usernameIndex = ensureCollection(snapshot, 'usernameIndex');
+      const messages = ensureCollection(snapshot, 'messages');
+      const conversations = ensureCollection(snapshot, 'conversations');
+
+      Object.values(messages)
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(message => {
+          if (!message.toUserId) {
+            message.toUserId = usernameIndex[message.toUsername] || null;
+          }
+          if (!message.toUserId) return;
+
+          const key = [message.fromUserId, message.toUserId].sort().join(':');
+          if (!conversations[key]) {
+            conversations[key] = [];
+          }
+          conversations[key].push(message.messageId);
+        });
+    }
+  },
+  {
+    version: 3,
+    description: 'Delivery state machine: queued/pushed/delivered/read with history',
+    up(snapshot) {
+      const messages = ensureCollection(snapshot, 'messages');
+
+      Object.values(messages).forEach(message => {
+        // Older servers marked everything "delivered" on send, which proved nothing
+        const history = [{ status: 'queued', at: message.timestamp }];
+        if (message.status === 'read') {
+          history.push({ status: 'read', at: message.readAt || message.timestamp });
+        } else {
+          message.status = 'queued';
+        }
+
+        message.queuedAt = message.timestamp;
+        message.pushedAt = null;
+        message.deliveredAt = null;
+        message.readAt = message.status === 'read' ? history[1].at : null;
+        message.statusHistory = history;
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Group channels with membership and channel history',
+    up(snapshot) {
+      ['channels', 'channelNameIndex', 'channelMessages']
+        .forEach(name => ensureCollection(snapshot, name));
+    }
+  },
+  {
+    version: 5,
+    description: 'Session records with timestamps, client details and a public ID',
+    up(snapshot) {
+      const sessions = ensureCollection(snapshot, 'sessions');
+      // Old sessions have no history, so their timeouts start now
+      const now = new Date().toISOString();
+
+      Object.entries(sessions).forEach(([sessionId, userId]) => {
+        if (typeof userId !== 'string') return;
+        sessions[sessionId] = {
+          id: randomUUID(),
+          userId,
+          createdAt: now,
+          lastUsedAt: now,
+          userAgent: null,
+          ip: null
+        };
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Rate limit counters and login lockouts',
+    up(snapshot) {
+      ensureCollection(snapshot, 'rateLimits');
+    }
+  },
+  {
+    version: 7,
+    description: 'Two-factor authentication secrets and recovery codes',
+    up(snapshot) {
+      ensureCollection(snapshot, 'twoFactor');
+    }
+  },
+  {
+    version: 8,
+    description: 'Drop stored prekey private keys; they stay on the device that made them',
+    up: dropPrekeyStores,
+    scrub: dropPrekeyStores
+  },
+  {
+    version: 9,
+    description: 'Move prekeys from accounts to the sessions of the devices that made them',
+    up: dropAccountPrekeys
+  }
+];
+
+export const LATEST_SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Bring a snapshot up to the latest schema version
+ * @param {Object} snapshot - Serialized store snapshot (mutated in place)
+ * @returns {Array<number>} Versions that were applied
+ */
+export const runMigrations = (snapshot) => {
+  const current = snapshot.schemaVersion || 0;
+
+  if (current > LATEST_SCHEMA_VERSION) {
+    throw new Error(
+      `Storage schema v${current} is newer than this server supports (v${LATEST_SCHEMA_VERSION})`
+    );
+  }
+
+  if (!snapshot.collections) {
+    snapshot.collections = {};
+  }
+
+  const applied = [];
+  migrations
+    .filter(migration => migration.version > current)
+    .forEach(migration => {
+      migration.up(snapshot);
+      snapshot.schemaVersion = migration.version;
+      applied.push(migration.version);
+    });
+
+  return applied;
+};
+
+/**
+ * Remove data from a pre-migration backup that no version may keep
+ * @param {Object} snapshot - Serialized store snapshot (mutated in place)
+ * @returns {boolean} Whether any migration scrubbed the snapshot
+ */
+export const scrubBackup = (snapshot) => {
+  const current = snapshot.schemaVersion || 0;
+  const scrubs = migrations.filter(migration => migration.version > current && migration.scrub);
+
+  if (!snapshot.collections) {
+    snapshot.collections = {};
+  }
+  scrubs.forEach(migration => migration.scrub(snapshot));
+  return scrubs.length > 0;
+};
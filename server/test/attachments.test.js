@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import { wsService } from '../services/WebSocketService.js';
+import { channelService } from '../services/ChannelService.js';
+import { attachmentService } from '../services/AttachmentService.js';
+import authRouter from '../routes/auth.js';
+import messagesRouter from '../routes/messages.js';
+import channelsRouter from '../routes/channels.js';
+import attachmentsRouter from '../routes/attachments.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { withSession } from './helpers.js';
+
+// Stand-in for AES-GCM ciphertext
+const BLOB = Buffer.from('not really ciphertext, but the server cannot tell');
+
+describe('Attachments', () => {
+  let app;
+  let alice;
+  let bob;
+  let carol;
+
+  const register = async (username) => withSession(await request(app)
+    .post('/api/auth/register')
+    .send({ username, password: 'password123', publicKey: `${username}-key` }));
+
+  const asUser = (method, path, user) => request(app)[method](path)
+    .set('Authorization', `Bearer ${user.sessionId}`);
+
+  const upload = async (user, data = BLOB) => (await asUser('post', '/api/attachments', user)
+    .set('Content-Type', 'application/octet-stream')
+    .send(data)
+    .expect(201)).body.attachmentId;
+
+  const download = (attachmentId, user) => asUser('get', `/api/attachments/${attachmentId}`, user)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+    app.use('/api', messagesRouter);
+    app.use('/api', channelsRouter);
+    app.use('/api', attachmentsRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    channelService.channels.clear();
+    channelService.channelNameIndex.clear();
+    attachmentService.attachments.clear();
+    rateLimitStore.clear();
+    wsService.connections.clear();
+
+    [alice, bob, carol] = [await register('Alice'), await register('Bob'), await register('Carol')];
+  });
+
+  it('should only hand an upload to the recipients of the message that carries it', async () => {
+    const attachmentId = await upload(alice);
+
+    expect((await download(attachmentId, alice).expect(200)).body).toEqual(BLOB);
+    await download(attachmentId, bob).expect(404);
+
+    await asUser('post', '/api/messages/send', alice)
+      .send({ toUsername: 'Bob', content: 'bundle', encrypted: true, attachments: [attachmentId] })
+      .expect(200);
+
+    expect((await download(attachmentId, bob).expect(200)).body).toEqual(BLOB);
+    await download(attachmentId, carol).expect(404);
+  });
+
+  it('should refuse attachments on plain messages or that belong to someone else', async () => {
+    const attachmentId = await upload(alice);
+
+    const plain = await asUser('post', '/api/messages/send', alice)
+      .send({ toUsername: 'Bob', content: 'hi', encrypted: false, attachments: [attachmentId] });
+    expect(plain.status).toBe(400);
+    expect(plain.body.error).toBe('Attachments need an end-to-end encrypted message');
+
+    const stolen = await asUser('post', '/api/messages/send', carol)
+      .send({ toUsername: 'Carol', content: 'bundle', encrypted: true, attachments: [attachmentId] });
+    expect(stolen.status).toBe(400);
+    expect(stolen.body.error).toBe('Unknown attachment');
+    await download(attachmentId, carol).expect(404);
+  });
+
+  it('should reject empty uploads with a JSON error', async () => {
+    const response = await asUser('post', '/api/attachments', alice)
+      .set('Content-Type', 'application/octet-stream')
+      .send(Buffer.alloc(0));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Attachment body must be the encrypted file bytes');
+  });
+
+  it('should let the channel members at send time download', async () => {
+    const { channel } = (await asUser('post', '/api/channels', alice).send({ name: 'ops' }).expect(201)).body;
+    await asUser('post', `/api/channels/${channel.channelId}/join`, bob).expect(200);
+    const attachmentId = await upload(alice);
+
+    await asUser('post', `/api/channels/${channel.channelId}/messages`, alice)
+      .send({ content: 'bundle', encrypted: true, attachments: [attachmentId] })
+      .expect(200);
+    await asUser('post', `/api/channels/${channel.channelId}/join`, carol).expect(200);
+
+    await download(attachmentId, bob).expect(200);
+    await download(attachmentId, carol).expect(404);
+  });
+
+  it('should delete uploads that were never sent', async () => {
+    const attachmentId = await upload(alice);
+    const now = Date.now();
+
+    attachmentService.pruneUnclaimed(now + 30 * 60 * 1000);
+    await download(attachmentId, alice).expect(200);
+
+    attachmentService.pruneUnclaimed(now + 2 * 60 * 60 * 1000);
+    await download(attachmentId, alice).expect(404);
+  });
+});
@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createStore } from '../storage/index.js';
+import UserService, { userService } from '../services/UserService.js';
+import MessageService from '../services/MessageService.js';
+import WebSocketService from '../services/WebSocketService.js';
+import ChannelService, { channelService } from '../services/ChannelService.js';
+import channelsRouter from '../routes/channels.js';
+
+const createConnection = () => ({ write: vi.fn() });
+
+const receivedEvents = (connection, type) => connection.write.mock.calls
+  .map(([frame]) => JSON.parse(frame.match(/^data: (.*)$/m)[1]))
+  .filter(event => event.type === type);
+
+describe('ChannelService', () => {
+  let users;
+  let connections;
+  let channels;
+  let alice;
+  let bob;
+  let carol;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const store = createStore({ driver: 'memory' });
+    users = new UserService(store);
+    connections = new WebSocketService();
+    channels = new ChannelService({
+      store,
+      users,
+      messages: new MessageService(store),
+      connections
+    });
+
+    alice = users.getUserById((await users.registerUser('Alice', 'password123', 'alice-key')).userId);
+    bob = users.getUserById((await users.registerUser('Bob', 'password123', 'bob-key')).userId);
+    carol = users.getUserById((await users.registerUser('Carol', 'password123', 'carol-key')).userId);
+  });
+
+  it('should create a channel with the creator as its first member', () => {
+    const channel = channels.createChannel(alice, '#Ops');
+
+    expect(channel).toMatchObject({
+      name: 'Ops',
+      capcode: '1000001',
+      memberCount: 1,
+      joined: true
+    });
+    expect(channels.createChannel(alice, 'dispatch').capcode).toBe('1000002');
+  });
+
+  it('should reject invalid and duplicate names', () => {
+    channels.createChannel(alice, 'ops');
+
+    expect(() => channels.createChannel(bob, 'OPS')).toThrow('Channel already exists');
+    expect(() => channels.createChannel(bob, 'x')).toThrow(/Channel names/);
+    expect(() => channels.createChannel(bob, 'no spaces')).toThrow(/Channel names/);
+  });
+
+  it('should list channels with each user\'s membership', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+    channels.createChannel(bob, 'dispatch');
+    channels.joinChannel(bob, channelId);
+
+    expect(channels.listChannels(bob).map(c => [c.name, c.memberCount, c.joined])).toEqual([
+      ['dispatch', 1, true],
+      ['ops', 2, true]
+    ]);
+    expect(channels.listChannels(carol).every(c => !c.joined)).toBe(true);
+  });
+
+  it('should fan channel messages out to every other member', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+    channels.joinChannel(bob, channelId);
+    const aliceTab = createConnection();
+    const bobTab = createConnection();
+    const carolTab = createConnection();
+    connections.addConnection(alice.userId, aliceTab);
+    connections.addConnection(bob.userId, bobTab);
+    connections.addConnection(carol.userId, carolTab);
+
+    const message = channels.sendMessage(alice, channelId, 'All units respond');
+
+    expect(receivedEvents(bobTab, 'channel_message')).toEqual([
+      expect.objectContaining({
+        channelId,
+        channel: 'ops',
+        message: expect.objectContaining({ messageId: message.messageId, from: 'Alice' })
+      })
+    ]);
+    expect(receivedEvents(aliceTab, 'channel_message')).toHaveLength(0);
+    expect(receivedEvents(carolTab, 'channel_message')).toHaveLength(0);
+  });
+
+  it('should only let members send, read history and see keys', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+
+    expect(() => channels.sendMessage(bob, channelId, 'Hi')).toThrow('Not a member of this channel');
+    expect(() => channels.getMessages(bob, channelId)).toThrow('Not a member of this channel');
+    expect(() => channels.getMembers(bob, channelId)).toThrow('Not a member of this channel');
+    expect(() => channels.joinChannel(bob, 'missing')).toThrow('Channel not found');
+  });
+
+  it('should return member public keys for encryption', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+    channels.joinChannel(bob, channelId);
+
+    expect(channels.getMembers(alice, channelId).map(m => [m.username, m.publicKey])).toEqual([
+      ['Alice', 'alice-key'],
+      ['Bob', 'bob-key']
+    ]);
+  });
+
+  it('should keep history for members who join later', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+    channels.sendMessage(alice, channelId, 'First');
+    channels.sendMessage(alice, channelId, 'Second');
+    channels.joinChannel(carol, channelId);
+
+    const page = channels.getMessages(carol, channelId, { limit: 1 });
+    expect(page.messages.map(m => m.content)).toEqual(['Second']);
+    expect(page.hasMoreBefore).toBe(true);
+  });
+
+  it('should tell members when someone joins or leaves', () => {
+    const { channelId } = channels.createChannel(alice, 'ops');
+    const aliceTab = createConnection();
+    connections.addConnection(alice.userId, aliceTab);
+
+    channels.joinChannel(bob, channelId);
+    channels.joinChannel(bob, channelId);
+    channels.leaveChannel(bob, channelId);
+
+    expect(receivedEvents(aliceTab, 'channel_member').map(e => [e.username, e.joined])).toEqual([
+      ['Bob', true],
+      ['Bob', false]
+    ]);
+    expect(() => channels.leaveChannel(bob, channelId)).toThrow('Not a member of this channel');
+  });
+});
+
+describe('Channel routes', () => {
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', channelsRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    channelService.clearAll();
+
+    alice = await userService.registerUser('Alice', 'password123', 'alice-key');
+  });
+
+  it('should create, list and post to channels', async () => {
+    const created = await request(app)
+      .post('/api/channels')
+      .send({ sessionId: alice.sessionId, name: 'ops' });
+    expect(created.status).toBe(201);
+
+    const { channelId } = created.body.channel;
+    const sent = await request(app)
+      .post(`/api/channels/${channelId}/messages`)
+      .send({ sessionId: alice.sessionId, content: 'Test page' });
+    expect(sent.body.success).toBe(true);
+
+    const history = await request(app)
+      .get(`/api/channels/${channelId}/messages`)
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+    expect(history.body.messages.map(m => m.content)).toEqual(['Test page']);
+
+    const list = await request(app).get('/api/channels')
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+    expect(list.body.channels).toHaveLength(1);
+  });
+
+  it('should return at least one page for limits below one', async () => {
+    const created = await request(app)
+      .post('/api/channels')
+      .send({ sessionId: alice.sessionId, name: 'ops' });
+    const { channelId } = created.body.channel;
+    for (const content of ['First page', 'Second page']) {
+      await request(app)
+        .post(`/api/channels/${channelId}/messages`)
+        .send({ sessionId: alice.sessionId, content });
+    }
+
+    const history = await request(app)
+      .get(`/api/channels/${channelId}/messages`)
+      .set('Authorization', `Bearer ${alice.sessionId}`)
+      .query({ limit: -5 });
+
+    expect(history.body.messages.map(m => m.content)).toEqual(['Second page']);
+    expect(history.body.hasMoreBefore).toBe(true);
+  });
+
+  it('should map service errors to HTTP statuses', async () => {
+    const invalid = await request(app).get('/api/channels')
+      .set('Authorization', 'Bearer nope');
+    expect(invalid.status).toBe(401);
+
+    const missing = await request(app)
+      .post('/api/channels/missing/join')
+      .send({ sessionId: alice.sessionId });
+    expect(missing.status).toBe(404);
+
+    await request(app).post('/api/channels').send({ sessionId: alice.sessionId, name: 'ops' });
+    const duplicate = await request(app)
+      .post('/api/channels')
+      .send({ sessionId: alice.sessionId, name: 'ops' });
+    expect(duplicate.status).toBe(409);
+  });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import authRouter from '../routes/auth.js';
+import messagesRouter from '../routes/messages.js';
+import { userService } from '../services/UserService.js';
+import { messageService } from '../services/MessageService.js';
+import { runMigrations } from '../storage/migrations.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { getSessionId } from './helpers.js';
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authRouter);
+  app.use('/api', messagesRouter);
+  return app;
+};
+
+const register = (app, username) => request(app)
+  .post('/api/auth/register')
+  .send({ username, password: 'password123', publicKey: `${username}-public-key` });
+
+describe('Conversation History', () => {
+  let app;
+  let aliceSession;
+  let bobSession;
+
+  const send = (sessionId, toUsername, content) => request(app)
+    .post('/api/messages/send')
+    .send({ sessionId, toUsername, content });
+
+  beforeEach(async () => {
+    app = createTestApp();
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    messageService.clearAll();
+
+    aliceSession = getSessionId(await register(app, 'Alice'));
+    bobSession = getSessionId(await register(app, 'Bob'));
+  });
+
+  it('should return both directions of a conversation, oldest first', async () => {
+    await send(aliceSession, 'Bob', 'Hi Bob');
+    await send(bobSession, 'Alice', 'Hi Alice');
+
+    const response = await request(app)
+      .get('/api/messages/conversation/Bob')
+      .set('Authorization', `Bearer ${aliceSession}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.messages.map(m => m.content)).toEqual(['Hi Bob', 'Hi Alice']);
+    expect(response.body.messages[0]).toMatchObject({ from: 'Alice', to: 'Bob', direction: 'outgoing' });
+    expect(response.body.messages[1]).toMatchObject({ from: 'Bob', to: 'Alice', direction: 'incoming' });
+    expect(response.body.hasMoreBefore).toBe(false);
+  });
+
+  it('should exclude messages from other conversations', async () => {
+    await register(app, 'Carol');
+    await send(aliceSession, 'Carol', 'Hi Carol');
+    await send(aliceSession, 'Bob', 'Hi Bob');
+
+    const response = await request(app)
+      .get('/api/messages/conversation/Bob')
+      .set('Authorization', `Bearer ${aliceSession}`);
+
+    expect(response.body.messages).toHaveLength(1);
+    expect(response.body.messages[0].content).toBe('Hi Bob');
+  });
+
+  it('should page backwards and forwards with cursors', async () => {
+    for (let i = 1; i <= 5; i++) {
+      await send(aliceSession, 'Bob', `Message ${i}`);
+    }
+
+    const latest = await request(app)
+      .get('/api/messages/conversation/Alice')
+      .set('Authorization', `Bearer ${bobSession}`)
+      .query({ limit: 2 });
+
+    expect(latest.body.messages.map(m => m.content)).toEqual(['Message 4', 'Message 5']);
+    expect(latest.body.hasMoreBefore).toBe(true);
+    expect(latest.body.cursors.before).toBe(latest.body.messages[0].messageId);
+
+    const older = await request(app)
+      .get('/api/messages/conversation/Alice')
+      .set('Authorization', `Bearer ${bobSession}`)
+      .query({ limit: 2, before: latest.body.cursors.before });
+
+    expect(older.body.messages.map(m => m.content)).toEqual(['Message 2', 'Message 3']);
+    expect(older.body.hasMoreBefore).toBe(true);
+    expect(older.body.hasMoreAfter).toBe(true);
+
+    const newer = await request(app)
+      .get('/api/messages/conversation/Alice')
+      .set('Authorization', `Bearer ${bobSession}`)
+      .query({ limit: 10, after: older.body.cursors.after });
+
+    expect(newer.body.messages.map(m => m.content)).toEqual(['Message 4', 'Message 5']);
+    expect(newer.body.hasMoreAfter).toBe(false);
+  });
+
+  it('should return at least one message for limits below one', async () => {
+    await send(aliceSession, 'Bob', 'Message 1');
+    await send(aliceSession, 'Bob', 'Message 2');
+
+    const response = await request(app)
+      .get('/api/messages/conversation/Bob')
+      .set('Authorization', `Bearer ${aliceSession}`)
+      .query({ limit: -5 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.messages.map(m => m.content)).toEqual(['Message 2']);
+    expect(response.body.hasMoreBefore).toBe(true);
+  });
+
+  it('should reject unknown cursors', async () => {
+    const response = await request(app)
+      .get('/api/messages/conversation/Bob')
+      .set('Authorization', `Bearer ${aliceSession}`)
+      .query({ before: 'missing' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('should return 404 for unknown users', async () => {
+    const response = await request(app)
+      .get('/api/messages/conversation/Nobody')
+      .set('Authorization', `Bearer ${aliceSession}`);
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should backfill recipients and the conversation index when migrating v1 data', () => {
+    const snapshot = {
+      schemaVersion: 1,
+      collections: {
+        usernameIndex: { Alice: 'u1', Bob: 'u2' },
+        messages: {
+          m2: { messageId: 'm2', fromUserId: 'u2', toUsername: 'Alice', timestamp: '2025-01-01T00:00:02Z' },
+          m1: { messageId: 'm1', fromUserId: 'u1', toUsername: 'Bob', timestamp: '2025-01-01T00:00:01Z' }
+        }
+      }
+    };
+
+    runMigrations(snapshot);
+
+    expect(snapshot.collections.messages.m1.toUserId).toBe('u2');
+    expect(snapshot.collections.conversations['u1:u2']).toEqual(['m1', 'm2']);
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import request from 'supertest';
+import express from 'express';
+import authRouter from '../routes/auth.js';
+import messagesRouter from '../routes/messages.js';
+import { userService } from '../services/UserService.js';
+import { messageService } from '../services/MessageService.js';
+import { wsService } from '../services/WebSocketService.js';
+import { runMigrations } from '../storage/migrations.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { withSession } from './helpers.js';
+
+const createTestApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', authRouter);
+  app.use('/api', messagesRouter);
+  return app;
+};
+
+const register = (app, username) => request(app)
+  .post('/api/auth/register')
+  .send({ username, password: 'password123', publicKey: `${username}-public-key` });
+
+describe('Message Delivery', () => {
+  let app;
+  let alice;
+  let bob;
+
+  const send = (sessionId, toUsername, content) => request(app)
+    .post('/api/messages/send')
+    .send({ sessionId, toUsername, content });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = createTestApp();
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    messageService.clearAll();
+    wsService.connections.clear();
+
+    alice = withSession(await register(app, 'Alice'));
+    bob = withSession(await register(app, 'Bob'));
+  });
+
+  it('should queue messages for offline recipients', async () => {
+    const response = await send(alice.sessionId, 'Bob', 'Hello');
+
+    expect(response.body.status).toBe('queued');
+    expect(messageService.getQueuedMessages(bob.userId)).toHaveLength(1);
+  });
+
+  it('should mark messages pushed when the recipient is connected', async () => {
+    wsService.addConnection(bob.userId, { write: vi.fn() });
+
+    const response = await send(alice.sessionId, 'Bob', 'Hello');
+    const message = messageService.getMessage(response.body.messageId);
+
+    expect(message.status).toBe('pushed');
+    expect(message.pushedAt).toBeTruthy();
+  });
+
+  it('should walk queued -> pushed -> delivered -> read', async () => {
+    wsService.addConnection(bob.userId, { write: vi.fn() });
+    const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+
+    const ack = await request(app)
+      .post('/api/messages/ack')
+      .send({ sessionId: bob.sessionId, messageIds: [messageId] });
+    expect(ack.body.messages[0].status).toBe('delivered');
+
+    await request(app)
+      .post('/api/messages/read')
+      .send({ sessionId: bob.sessionId, messageId });
+
+    const message = messageService.getMessage(messageId);
+    expect(message.status).toBe('read');
+    expect(message.statusHistory.map(entry => entry.status))
+      .toEqual(['queued', 'pushed', 'delivered', 'read']);
+  });
+
+  it('should never move a message backwards', async () => {
+    const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+    messageService.markAsRead(messageId);
+
+    await request(app)
+      .post('/api/messages/ack')
+      .send({ sessionId: bob.sessionId, messageIds: [messageId] });
+
+    expect(messageService.getMessage(messageId).status).toBe('read');
+  });
+
+  it('should ignore acknowledgements from anyone but the recipient', async () => {
+    const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+
+    const ack = await request(app)
+      .post('/api/messages/ack')
+      .send({ sessionId: alice.sessionId, messageIds: [messageId] });
+
+    expect(ack.body.messages).toHaveLength(0);
+    expect(messageService.getMessage(messageId).status).toBe('queued');
+  });
+
+  it('should only let the recipient mark a message read', async () => {
+    const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+
+    const response = await request(app)
+      .post('/api/messages/read')
+      .send({ sessionId: alice.sessionId, messageId });
+
+    expect(response.status).toBe(403);
+    expect(messageService.getMessage(messageId).status).toBe('queued');
+  });
+
+  describe('Receipts', () => {
+    const receiptsFor = (connection) => connection.write.mock.calls
+      .map(([frame]) => JSON.parse(frame.match(/^data: (.*)$/m)[1]))
+      .filter(event => event.type === 'receipt');
+
+    let aliceConnection;
+
+    beforeEach(() => {
+      aliceConnection = { write: vi.fn() };
+      wsService.addConnection(alice.userId, aliceConnection);
+    });
+
+    it('should tell the sender when a message is delivered and read', async () => {
+      const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+
+      await request(app)
+        .post('/api/messages/ack')
+        .send({ sessionId: bob.sessionId, messageIds: [messageId] });
+      await request(app)
+        .post('/api/messages/read')
+        .send({ sessionId: bob.sessionId, messageId });
+
+      const receipts = receiptsFor(aliceConnection);
+      expect(receipts.map(receipt => receipt.status)).toEqual(['delivered', 'read']);
+      expect(receipts[0]).toMatchObject({ messageId, at: expect.any(String) });
+    });
+
+    it('should not repeat receipts for repeated acknowledgements', async () => {
+      const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+
+      for (let i = 0; i < 2; i++) {
+        await request(app)
+          .post('/api/messages/ack')
+          .send({ sessionId: bob.sessionId, messageIds: [messageId] });
+      }
+
+      expect(receiptsFor(aliceConnection)).toHaveLength(1);
+    });
+
+    it('should withhold read receipts when the recipient turns them off', async () => {
+      await request(app)
+        .post('/api/auth/preferences')
+        .send({ sessionId: bob.sessionId, preferences: { readReceipts: false } });
+
+      const { messageId } = (await send(alice.sessionId, 'Bob', 'Hello')).body;
+      await request(app)
+        .post('/api/messages/read')
+        .send({ sessionId: bob.sessionId, messageId });
+
+      expect(receiptsFor(aliceConnection).map(receipt => receipt.status)).toEqual(['delivered']);
+
+      const conversation = await request(app)
+        .get('/api/messages/conversation/Bob')
+        .set('Authorization', `Bearer ${alice.sessionId}`);
+      expect(conversation.body.messages[0].status).toBe('delivered');
+    });
+
+    it('should reject unknown preferences', async () => {
+      const response = await request(app)
+        .post('/api/auth/preferences')
+        .send({ sessionId: bob.sessionId, preferences: { typingIndicators: 'yes' } });
+
+      expect(response.status).toBe(400);
+      expect(userService.getPreferences(bob.userId).readReceipts).toBe(true);
+    });
+  });
+
+  it('should reset unconfirmed deliveries to queued when migrating v2 data', () => {
+    const snapshot = {
+      schemaVersion: 2,
+      collections: {
+        messages: {
+          m1: { messageId: 'm1', status: 'delivered', timestamp: '2025-01-01T00:00:01Z' },
+          m2: { messageId: 'm2', status: 'read', readAt: '2025-01-01T00:00:05Z', timestamp: '2025-01-01T00:00:02Z' }
+        }
+      }
+    };
+
+    runMigrations(snapshot);
+
+    expect(snapshot.collections.messages.m1.status).toBe('queued');
+    expect(snapshot.collections.messages.m2.status).toBe('read');
+    expect(snapshot.collections.messages.m2.readAt).toBe('2025-01-01T00:00:05Z');
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import { wsService } from '../services/WebSocketService.js';
+import { deviceService } from '../services/DeviceService.js';
+import authRouter from '../routes/auth.js';
+import devicesRouter from '../routes/devices.js';
+import { rateLimitStore, RATE_LIMITS } from '../middleware/rateLimit.js';
+import { getSessionId, withSession } from './helpers.js';
+
+// Stand-ins for base64 SPKI P-256 keys
+const DEVICE_KEY = `MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE${'D'.repeat(86)}`;
+const APPROVER_KEY = `MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE${'A'.repeat(86)}`;
+
+describe('Device linking', () => {
+  let app;
+  let alice;
+
+  const register = async (username) => withSession(await request(app)
+    .post('/api/auth/register')
+    .send({ username, password: 'password123', publicKey: `${username}-key` }));
+
+  const requestLink = () => request(app)
+    .post('/api/devices/link')
+    .send({ username: 'Alice', publicKey: DEVICE_KEY, name: 'Laptop' });
+
+  const asUser = (method, path, sessionId) => request(app)[method](path)
+    .set('Authorization', `Bearer ${sessionId}`);
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+    app.use('/api', devicesRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    deviceService.devices.clear();
+    deviceService.links.clear();
+    rateLimitStore.clear();
+    wsService.connections.clear();
+
+    alice = await register('Alice');
+  });
+
+  it('should hand the sealed keyring and a session to an approved device', async () => {
+    const { linkId, linkToken } = (await requestLink()).body;
+
+    const pending = await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken });
+    expect(pending.body).toEqual({ success: true, status: 'pending' });
+
+    const links = (await asUser('get', '/api/devices/links', alice.sessionId)).body.links;
+    expect(links).toEqual([expect.objectContaining({ linkId, name: 'Laptop', publicKey: DEVICE_KEY })]);
+
+    await asUser('post', `/api/devices/links/${linkId}/approve`, alice.sessionId)
+      .send({ publicKey: APPROVER_KEY, payload: 'aXY=.a2V5cmluZw==' })
+      .expect(200);
+
+    const approved = await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken });
+    expect(approved.body).toMatchObject({
+      status: 'approved',
+      devicePublicKey: APPROVER_KEY,
+      payload: 'aXY=.a2V5cmluZw==',
+      username: 'Alice',
+      publicKey: 'Alice-key'
+    });
+
+    expect(approved.body.sessionId).toBeUndefined();
+    const session = await asUser('get', '/api/auth/session', getSessionId(approved));
+    expect(session.body.username).toBe('Alice');
+
+    const devices = (await asUser('get', '/api/devices', getSessionId(approved))).body.devices;
+    expect(devices).toEqual([expect.objectContaining({ name: 'Laptop', active: true, current: true })]);
+
+    // The request is used up
+    await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken }).expect(404);
+  });
+
+  it('should only let the requesting device and the account owner near a link', async () => {
+    const { linkId } = (await requestLink()).body;
+    const mallory = await register('Mallory');
+
+    await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken: 'guess' }).expect(404);
+    await asUser('post', `/api/devices/links/${linkId}/approve`, mallory.sessionId)
+      .send({ publicKey: APPROVER_KEY, payload: 'aXY=.a2V5cmluZw==' })
+      .expect(404);
+    expect((await asUser('get', '/api/devices/links', mallory.sessionId)).body.links).toEqual([]);
+
+    await asUser('post', `/api/devices/links/${linkId}/reject`, alice.sessionId).expect(200);
+    expect((await asUser('get', '/api/devices/links', alice.sessionId)).body.links).toEqual([]);
+  });
+
+  it('should cap pending link requests per IP, not per account', async () => {
+    for (let i = 0; i < 5; i++) {
+      await requestLink().expect(201);
+    }
+    const refused = await requestLink();
+    expect(refused.status).toBe(429);
+
+    // Someone else flooding the account doesn't stop its owner's device
+    const { linkId } = deviceService.requestLink('Alice', { publicKey: DEVICE_KEY, name: 'Phone' }, { ip: '203.0.113.7' });
+    const links = (await asUser('get', '/api/devices/links', alice.sessionId)).body.links;
+    expect(links).toHaveLength(6);
+    expect(links.map(link => link.linkId)).toContain(linkId);
+  });
+
+  it('should rate limit checks on a link request', async () => {
+    const { linkId, linkToken } = (await requestLink()).body;
+
+    rateLimitStore.clear();
+    for (let check = 0; check < RATE_LIMITS.authPerIp.max; check++) {
+      await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken }).expect(200);
+    }
+    const throttled = await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken });
+    expect(throttled.status).toBe(429);
+  });
+
+  it('should sign out an unlinked device', async () => {
+    const { linkId, linkToken } = (await requestLink()).body;
+    await asUser('post', `/api/devices/links/${linkId}/approve`, alice.sessionId)
+      .send({ publicKey: APPROVER_KEY, payload: 'aXY=.a2V5cmluZw==' });
+    const linked = withSession(await request(app).post(`/api/devices/link/${linkId}/complete`).send({ linkToken }));
+
+    const connection = { transport: 'websocket', sessionId: linked.sessionId, send: vi.fn(), close: vi.fn() };
+    wsService.addConnection(alice.userId, connection);
+
+    await asUser('post', `/api/devices/${linked.deviceId}/unlink`, alice.sessionId).expect(200);
+
+    expect(connection.send).toHaveBeenCalledWith({ type: 'session_ended', reason: 'device_unlinked' });
+    await asUser('get', '/api/auth/session', linked.sessionId).expect(401);
+    expect((await asUser('get', '/api/devices', alice.sessionId)).body.devices).toEqual([]);
+  });
+});
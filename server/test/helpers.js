@@ -0,0 +1,20 @@
+import { SESSION_COOKIE } from '../middleware/session.js';
+
+/**
+ * Session token a register, login or device link response set as a cookie
+ * (it is never in the response body)
+ * @param {Response} response - supertest response
+ * @returns {string|null} Session ID
+ */
+export const getSessionId = (response) => {
+  const cookie = (response.headers['set-cookie'] || [])
+    .find(header => header.startsWith(`${SESSION_COOKIE}=`));
+  return cookie ? decodeURIComponent(cookie.split(';')[0].slice(SESSION_COOKIE.length + 1)) : null;
+};
+
+/**
+ * Body of a register or login response with the session token added back
+ * @param {Response} response - supertest response
+ * @returns {Object}
+ */
+export const withSession = (response) => ({ ...response.body, sessionId: getSessionId(response) });
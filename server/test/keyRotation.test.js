@@ -0,0 +1,115 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import { wsService } from '../services/WebSocketService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore, loginLockout, RATE_LIMITS } from '../middleware/rateLimit.js';
+import { withSession } from './helpers.js';
+
+// Stand-in for a base64 SPKI RSA public key
+const NEW_PUBLIC_KEY = `MIIBIjANBgkqhkiG9w0BAQEFAAOCAQ8AMIIBCgKCAQEA${'B'.repeat(340)}IDAQAB`;
+
+const createConnection = () => ({
+  transport: 'websocket',
+  sessionId: null,
+  send: vi.fn(),
+  close: vi.fn()
+});
+
+describe('Key rotation', () => {
+  let app;
+  let alice;
+
+  const register = async (username) => withSession(await request(app)
+    .post('/api/auth/register')
+    .send({ username, password: 'password123', publicKey: `${username}-key` }));
+
+  const rotateKey = (fields) => request(app)
+    .post('/api/auth/rotate-key')
+    .set('Authorization', `Bearer ${alice.sessionId}`)
+    .send({ publicKey: NEW_PUBLIC_KEY, encryptedPrivateKey: 'keyring-v3', ...fields });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    wsService.connections.clear();
+
+    alice = await register('Alice');
+  });
+
+  it('should publish the new key and its keyring, signing out other sessions', async () => {
+    const other = withSession(await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' }));
+
+    const response = await rotateKey({ password: 'password123' });
+    expect(response.body).toEqual({ success: true, revoked: 1, recoveryKitRemoved: false });
+
+    const stale = await request(app).get('/api/auth/session')
+      .set('Authorization', `Bearer ${other.sessionId}`);
+    expect(stale.status).toBe(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(login.body).toMatchObject({ publicKey: NEW_PUBLIC_KEY, encryptedPrivateKey: 'keyring-v3' });
+  });
+
+  it('should keep the old key when the password is wrong or the key is malformed', async () => {
+    expect((await rotateKey({ password: 'wrong-password' })).status).toBe(401);
+    expect((await rotateKey({ password: 'password123', publicKey: 'not a key!' })).status).toBe(400);
+
+    expect(userService.getUserById(alice.userId).publicKey).toBe('Alice-key');
+  });
+
+  it('should lock the account after wrong passwords', async () => {
+    for (let attempt = 0; attempt < RATE_LIMITS.loginLockout.threshold; attempt++) {
+      expect((await rotateKey({ password: 'wrong-password' })).status).toBe(401);
+    }
+
+    expect((await rotateKey({ password: 'password123' })).status).toBe(429);
+    expect(userService.getUserById(alice.userId).publicKey).toBe('Alice-key');
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(login.status).toBe(429);
+  });
+
+  it('should limit key rotations per account across IPs', async () => {
+    app.set('trust proxy', true);
+    const rotateFrom = (ip) => rotateKey({ password: 'wrong-password' }).set('X-Forwarded-For', ip);
+
+    // Clear the lockout each time so only the limiter stops the requests
+    for (let attempt = 0; attempt < RATE_LIMITS.authPerUser.max; attempt++) {
+      loginLockout.recordSuccess('Alice');
+      expect((await rotateFrom(`10.0.0.${attempt}`)).status).toBe(401);
+    }
+    loginLockout.recordSuccess('Alice');
+    expect((await rotateFrom('10.0.1.1')).status).toBe(429);
+  });
+
+  it('should tell connected contacts and drop the stale recovery kit', async () => {
+    const bob = await register('Bob');
+    const bobConnection = createConnection();
+    wsService.addConnection(bob.userId, bobConnection);
+    await userService.setRecoveryKit(alice.userId, 'a'.repeat(64), 'kit-copy');
+
+    const response = await rotateKey({ password: 'password123' });
+
+    expect(response.body.recoveryKitRemoved).toBe(true);
+    expect(userService.getRecoveryKitStatus(alice.userId).enabled).toBe(false);
+    expect(bobConnection.send).toHaveBeenCalledWith(expect.objectContaining({
+      type: 'key_changed',
+      username: 'Alice',
+      publicKey: NEW_PUBLIC_KEY
+    }), expect.any(Number));
+  });
+});
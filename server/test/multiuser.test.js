@@ -6,6 +6,8 @@ import authRouter from '../routes/auth.js';
 import messagesRouter from '../routes/messages.js';
 import { userService } from '../services/UserService.js';
 import { messageService } from '../services/MessageService.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { getSessionId } from './helpers.js';
 
 // Create test app
 const createTestApp = () => {
@@ -26,6 +28,7 @@ describe('Multiuser Backend', () => {
     userService.users.clear();
     userService.usernameIndex.clear();
     userService.sessions.clear();
+    rateLimitStore.clear();
     messageService.clearAll();
   });
 
@@ -38,7 +41,7 @@ describe('Multiuser Backend', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.username).toBe('Alice');
-      expect(response.body.sessionId).toBeDefined();
+      expect(getSessionId(response)).toBeTruthy();
       expect(response.body.isNewUser).toBe(true);
     });
 
@@ -80,7 +83,7 @@ describe('Multiuser Backend', () => {
       // Get user list
       const response = await request(app)
         .get('/api/auth/users')
-        .query({ sessionId: alice.body.sessionId });
+        .set('Authorization', `Bearer ${getSessionId(alice)}`);
 
       expect(response.status).toBe(200);
       expect(response.body.users).toHaveLength(1); // Bob only (Alice excluded)
@@ -94,7 +97,7 @@ describe('Multiuser Backend', () => {
 
       const response = await request(app)
         .get('/api/auth/session')
-        .query({ sessionId: login.body.sessionId });
+        .set('Authorization', `Bearer ${getSessionId(login)}`);
 
       expect(response.status).toBe(200);
       expect(response.body.username).toBe('Charlie');
@@ -103,7 +106,7 @@ describe('Multiuser Backend', () => {
     it('should reject invalid session', async () => {
       const response = await request(app)
         .get('/api/auth/session')
-        .query({ sessionId: 'invalid-session' });
+        .set('Authorization', 'Bearer invalid-session');
 
       expect(response.status).toBe(401);
     });
@@ -117,12 +120,12 @@ describe('Multiuser Backend', () => {
       const alice = await request(app)
         .post('/api/auth/login')
         .send({ username: 'Alice' });
-      aliceSession = alice.body.sessionId;
+      aliceSession = getSessionId(alice);
 
       const bob = await request(app)
         .post('/api/auth/login')
         .send({ username: 'Bob' });
-      bobSession = bob.body.sessionId;
+      bobSession = getSessionId(bob);
     });
 
     it('should send a message', async () => {
@@ -137,7 +140,7 @@ describe('Multiuser Backend', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.messageId).toBeDefined();
-      expect(response.body.status).toBe('delivered');
+      expect(response.body.status).toBe('queued'); // Bob has no live connection
     });
 
     it('should reject message to non-existent user', async () => {
@@ -166,7 +169,7 @@ describe('Multiuser Backend', () => {
       // Get Bob's inbox
       const response = await request(app)
         .get('/api/messages/inbox')
-        .query({ sessionId: bobSession });
+        .set('Authorization', `Bearer ${bobSession}`);
 
       expect(response.status).toBe(200);
       expect(response.body.messages).toHaveLength(1);
@@ -240,10 +243,13 @@ describe('Multiuser Backend', () => {
       const alice = userService.authenticateUser('Alice');
       const bob = userService.authenticateUser('Bob');
 
-      const message = messageService.sendMessage(alice.userId, 'Bob', 'Hello!');
-      expect(message.status).toBe('sent');
+      const message = messageService.sendMessage(alice.userId, 'Bob', 'Hello!', false, bob.userId);
+      expect(message.status).toBe('queued');
 
-      const delivered = messageService.deliverMessage(message.messageId, bob.userId);
+      const pushed = messageService.markPushed(message.messageId);
+      expect(pushed.status).toBe('pushed');
+
+      const delivered = messageService.acknowledgeMessage(message.messageId);
       expect(delivered.status).toBe('delivered');
 
       const read = messageService.markAsRead(message.messageId);
@@ -255,13 +261,9 @@ describe('Multiuser Backend', () => {
       const bob = userService.authenticateUser('Bob');
 
       // Send 3 messages
-      const msg1 = messageService.sendMessage(alice.userId, 'Bob', 'Message 1');
-      const msg2 = messageService.sendMessage(alice.userId, 'Bob', 'Message 2');
-      const msg3 = messageService.sendMessage(alice.userId, 'Bob', 'Message 3');
-
-      messageService.deliverMessage(msg1.messageId, bob.userId);
-      messageService.deliverMessage(msg2.messageId, bob.userId);
-      messageService.deliverMessage(msg3.messageId, bob.userId);
+      const msg1 = messageService.sendMessage(alice.userId, 'Bob', 'Message 1', false, bob.userId);
+      messageService.sendMessage(alice.userId, 'Bob', 'Message 2', false, bob.userId);
+      messageService.sendMessage(alice.userId, 'Bob', 'Message 3', false, bob.userId);
 
       expect(messageService.getUnreadCount(bob.userId)).toBe(3);
 
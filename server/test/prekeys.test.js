@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { withSession } from './helpers.js';
+
+// Stand-ins for base64 SPKI keys and an ECDSA signature
+const PUBLIC_KEY = `MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE${'B'.repeat(86)}==`;
+const SIGNATURE = 'C'.repeat(86);
+
+const PREKEY = {
+  id: '0123456789abcdef',
+  publicKey: PUBLIC_KEY,
+  createdAt: '2026-01-01T00:00:00.000Z',
+  signature: SIGNATURE
+};
+
+describe('Prekeys', () => {
+  let app;
+  let alice;
+  let bob;
+
+  const publish = (fields) => request(app)
+    .post('/api/auth/prekeys')
+    .set('Authorization', `Bearer ${alice.sessionId}`)
+    .send({ prekey: PREKEY, ...fields });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+
+    alice = await userService.registerUser('Alice', 'password123', 'alice-key');
+    bob = await userService.registerUser('Bob', 'password123', 'bob-key');
+  });
+
+  const getUsers = (sessionId) => request(app)
+    .get('/api/auth/users')
+    .set('Authorization', `Bearer ${sessionId}`);
+
+  it('should publish the prekey to contacts', async () => {
+    expect((await publish()).body).toEqual({ success: true });
+
+    const users = await getUsers(bob.sessionId);
+    expect(users.body.users[0]).toMatchObject({ username: 'Alice', prekeys: [PREKEY] });
+  });
+
+  it('should list one prekey per signed-in device, newest first', async () => {
+    const laptop = withSession(await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' }));
+    const laptopPrekey = { ...PREKEY, id: 'fedcba9876543210', createdAt: '2026-01-02T00:00:00.000Z' };
+
+    await publish();
+    await publish({ prekey: { ...PREKEY, id: '1111111111111111' } });
+    await request(app)
+      .post('/api/auth/prekeys')
+      .set('Authorization', `Bearer ${laptop.sessionId}`)
+      .send({ prekey: laptopPrekey });
+
+    const expected = [laptopPrekey, { ...PREKEY, id: '1111111111111111' }];
+    expect((await getUsers(bob.sessionId)).body.users[0].prekeys).toEqual(expected);
+    expect((await getUsers(alice.sessionId)).body.ownPrekeys).toEqual(expected);
+  });
+
+  it('should drop a device\'s prekey when its session ends', async () => {
+    await publish();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+
+    expect((await getUsers(bob.sessionId)).body.users[0].prekeys).toEqual([]);
+  });
+
+  it('should never take prekey private keys', async () => {
+    await publish({ encryptedPrekeys: 'sealed-store' });
+
+    expect(userService.getUserByUsername('Alice').encryptedPrekeys).toBeUndefined();
+    const store = await request(app)
+      .get('/api/auth/prekeys')
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+    expect(store.status).toBe(404);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(login.body.encryptedPrekeys).toBeUndefined();
+  });
+
+  it('should reject malformed prekeys', async () => {
+    const response = await publish({ prekey: { ...PREKEY, id: 'not-hex' } });
+
+    expect(response.status).toBe(400);
+    expect(userService.getPrekeys(alice.userId)).toEqual([]);
+  });
+});
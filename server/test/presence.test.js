@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createStore } from '../storage/index.js';
+import UserService from '../services/UserService.js';
+import WebSocketService from '../services/WebSocketService.js';
+import PresenceService from '../services/PresenceService.js';
+
+const createConnection = () => ({ write: vi.fn() });
+
+const presenceEvents = (connection) => connection.write.mock.calls
+  .map(([frame]) => JSON.parse(frame.match(/^data: (.*)$/m)[1]))
+  .filter(event => event.type === 'presence');
+
+describe('PresenceService', () => {
+  let users;
+  let connections;
+  let presence;
+  let alice;
+  let bob;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    users = new UserService(createStore({ driver: 'memory' }));
+    connections = new WebSocketService();
+    presence = new PresenceService({ users, connections });
+
+    alice = await users.registerUser('Alice', 'password123', 'alice-public-key');
+    bob = await users.registerUser('Bob', 'password123', 'bob-public-key');
+  });
+
+  it('should tell connected users when someone comes online', () => {
+    const bobTab = createConnection();
+    presence.connect(bob.userId, bobTab);
+
+    presence.connect(alice.userId, createConnection());
+
+    expect(users.getUserById(alice.userId).online).toBe(true);
+    expect(presenceEvents(bobTab)).toEqual([
+      expect.objectContaining({ username: 'Alice', online: true, lastSeen: expect.any(String) })
+    ]);
+  });
+
+  it('should stay online until the last tab closes', () => {
+    const bobTab = createConnection();
+    const aliceTab1 = createConnection();
+    const aliceTab2 = createConnection();
+    presence.connect(bob.userId, bobTab);
+
+    presence.connect(alice.userId, aliceTab1);
+    presence.connect(alice.userId, aliceTab2);
+    presence.disconnect(alice.userId, aliceTab1);
+
+    expect(users.getUserById(alice.userId).online).toBe(true);
+    expect(presenceEvents(bobTab).map(event => event.online)).toEqual([true]);
+
+    presence.disconnect(alice.userId, aliceTab2);
+
+    expect(users.getUserById(alice.userId).online).toBe(false);
+    expect(presenceEvents(bobTab).map(event => event.online)).toEqual([true, false]);
+  });
+
+  it('should not queue presence events for offline users', () => {
+    presence.connect(alice.userId, createConnection());
+
+    expect(connections.eventLogs.has(bob.userId)).toBe(false);
+  });
+
+  it('should not send users their own presence', () => {
+    const aliceTab = createConnection();
+    presence.connect(alice.userId, aliceTab);
+    presence.connect(alice.userId, createConnection());
+
+    expect(presenceEvents(aliceTab)).toHaveLength(0);
+  });
+
+  it('should leave presence alone on logout', () => {
+    presence.connect(alice.userId, createConnection());
+    users.logout(alice.sessionId);
+
+    expect(users.getUserById(alice.userId).online).toBe(true);
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createStore } from '../storage/index.js';
+import { userService } from '../services/UserService.js';
+import { messageService } from '../services/MessageService.js';
+import authRouter from '../routes/auth.js';
+import messagesRouter from '../routes/messages.js';
+import {
+  MemoryRateLimitStore,
+  StorageRateLimitStore,
+  RateLimiter,
+  LoginLockout,
+  RATE_LIMITS,
+  rateLimitStore
+} from '../middleware/rateLimit.js';
+
+const MINUTE_MS = 60 * 1000;
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should allow requests up to the limit, then report when to retry', () => {
+    const limiter = new RateLimiter({ name: 'test', max: 2, windowMs: MINUTE_MS, store: new MemoryRateLimitStore() });
+
+    expect(limiter.consume('1.2.3.4')).toMatchObject({ allowed: true, remaining: 1 });
+    expect(limiter.consume('1.2.3.4')).toMatchObject({ allowed: true, remaining: 0 });
+
+    vi.advanceTimersByTime(20 * 1000);
+    expect(limiter.consume('1.2.3.4')).toEqual({ allowed: false, remaining: 0, retryAfterMs: 40 * 1000 });
+    expect(limiter.consume('5.6.7.8').allowed).toBe(true);
+  });
+
+  it('should start a fresh window once the old one ends', () => {
+    const limiter = new RateLimiter({ name: 'test', max: 1, windowMs: MINUTE_MS, store: new MemoryRateLimitStore() });
+    limiter.consume('client');
+    expect(limiter.consume('client').allowed).toBe(false);
+
+    vi.advanceTimersByTime(MINUTE_MS);
+
+    expect(limiter.consume('client').allowed).toBe(true);
+  });
+});
+
+describe('MemoryRateLimitStore', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should sweep expired entries every minute, not only when full', () => {
+    const store = new MemoryRateLimitStore();
+    store.set('short', { count: 1 }, 10 * 1000);
+    store.set('long', { count: 1 }, 10 * MINUTE_MS);
+
+    vi.advanceTimersByTime(30 * 1000);
+    store.set('other', { count: 1 }, MINUTE_MS);
+    expect(store.entries.has('short')).toBe(true);
+
+    vi.advanceTimersByTime(30 * 1000);
+    store.set('other', { count: 2 }, MINUTE_MS);
+    expect([...store.entries.keys()]).toEqual(['long', 'other']);
+  });
+
+  it('should drop the least recently written entries beyond its cap', () => {
+    const store = new MemoryRateLimitStore(new Map(), { maxEntries: 2 });
+    store.set('a', { count: 1 }, MINUTE_MS);
+    store.set('b', { count: 1 }, MINUTE_MS);
+    store.set('a', { count: 2 }, MINUTE_MS);
+    store.set('c', { count: 1 }, MINUTE_MS);
+
+    expect(store.entries.size).toBe(2);
+    expect(store.get('b')).toBeNull();
+    expect(store.get('a')).toEqual({ count: 2 });
+    expect(store.get('c')).toEqual({ count: 1 });
+  });
+});
+
+describe('LoginLockout', () => {
+  let lockout;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    lockout = new LoginLockout({
+      threshold: 3,
+      baseDelayMs: 30 * 1000,
+      maxDelayMs: 2 * MINUTE_MS,
+      store: new MemoryRateLimitStore()
+    });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should lock an account after repeated failures, doubling each time', () => {
+    expect(lockout.recordFailure('Alice')).toBe(0);
+    expect(lockout.recordFailure('alice')).toBe(0);
+    expect(lockout.recordFailure('ALICE ')).toBe(30 * 1000);
+    expect(lockout.getRetryAfterMs('Alice')).toBe(30 * 1000);
+
+    vi.advanceTimersByTime(30 * 1000);
+    expect(lockout.getRetryAfterMs('Alice')).toBe(0);
+    expect(lockout.recordFailure('Alice')).toBe(60 * 1000);
+    expect(lockout.recordFailure('Alice')).toBe(2 * MINUTE_MS);
+    expect(lockout.recordFailure('Alice')).toBe(2 * MINUTE_MS);
+  });
+
+  it('should forget failures after a successful login', () => {
+    lockout.recordFailure('Alice');
+    lockout.recordFailure('Alice');
+    lockout.recordSuccess('Alice');
+
+    expect(lockout.recordFailure('Alice')).toBe(0);
+  });
+});
+
+describe('StorageRateLimitStore', () => {
+  it('should keep counters in the storage backend', () => {
+    const store = createStore({ driver: 'memory' });
+    const persist = vi.spyOn(store, 'persist');
+    const createLimiter = () => new RateLimiter({
+      name: 'test',
+      max: 1,
+      windowMs: MINUTE_MS,
+      store: new StorageRateLimitStore(store)
+    });
+
+    createLimiter().consume('client');
+
+    expect(store.collection('rateLimits').get('test:client').value.count).toBe(1);
+    expect(persist).toHaveBeenCalled();
+    // A limiter built after a restart sees the same counters
+    expect(createLimiter().consume('client').allowed).toBe(false);
+  });
+});
+
+describe('Rate limited routes', () => {
+  let app;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+    app.use('/api', messagesRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    messageService.clearAll();
+    rateLimitStore.clear();
+
+    await userService.registerUser('Alice', 'password123', 'alice-key');
+  });
+
+  it('should lock logins after repeated failures, even with the right password', async () => {
+    const { threshold } = RATE_LIMITS.loginLockout;
+    for (let attempt = 0; attempt < threshold; attempt++) {
+      const failed = await request(app)
+        .post('/api/auth/login')
+        .send({ username: 'Alice', password: 'wrong-password' });
+      expect(failed.status).toBe(400);
+    }
+
+    const locked = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(locked.body.error).toBe('Too many failed login attempts');
+  });
+
+  it('should throttle each account\'s sends', async () => {
+    const { sessionId } = await userService.registerUser('Bob', 'password123', 'bob-key');
+    const send = () => request(app)
+      .post('/api/messages/send')
+      .set('Authorization', `Bearer ${sessionId}`)
+      .send({ toUsername: 'Alice', content: 'Page' });
+
+    for (let sent = 0; sent < RATE_LIMITS.sendPerUser.max; sent++) {
+      expect((await send()).status).toBe(200);
+    }
+
+    const throttled = await send();
+    expect(throttled.status).toBe(429);
+    expect(throttled.headers['retry-after']).toBeDefined();
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createHash } from 'crypto';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore, RATE_LIMITS } from '../middleware/rateLimit.js';
+
+// Stand-in for the key the client derives from a recovery phrase
+const recoveryKeyFor = (phrase) => createHash('sha256').update(phrase).digest('hex');
+
+describe('Account recovery', () => {
+  let app;
+  let alice;
+
+  const start = (fields) => request(app)
+    .post('/api/auth/recovery/start')
+    .send({ username: 'Alice', ...fields });
+
+  const complete = (fields) => request(app)
+    .post('/api/auth/recovery/complete')
+    .send({
+      username: 'Alice',
+      recoveryKey: recoveryKeyFor('phrase'),
+      newPassword: 'new-password',
+      encryptedPrivateKey: 'wrapped-with-new-password',
+      ...fields
+    });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+
+    alice = await userService.registerUser('Alice', 'password123', 'alice-key');
+    userService.storeEncryptedPrivateKey(alice.userId, 'wrapped-with-password');
+
+    const kit = await request(app)
+      .post('/api/auth/recovery-kit')
+      .set('Authorization', `Bearer ${alice.sessionId}`)
+      .send({ recoveryKey: recoveryKeyFor('phrase'), encryptedPrivateKey: 'wrapped-with-phrase' });
+    expect(kit.body.success).toBe(true);
+  });
+
+  it('should report whether a recovery kit exists without exposing it', async () => {
+    const response = await request(app)
+      .get('/api/auth/recovery-kit')
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+
+    expect(response.body).toEqual({ enabled: true, createdAt: expect.any(String) });
+  });
+
+  it('should hand out the recovery copy of the key only for the right phrase', async () => {
+    const valid = await start({ recoveryKey: recoveryKeyFor('phrase') });
+    expect(valid.body).toEqual({ success: true, encryptedPrivateKey: 'wrapped-with-phrase' });
+
+    const invalid = await start({ recoveryKey: recoveryKeyFor('guess') });
+    expect(invalid.status).toBe(401);
+    expect(invalid.body.encryptedPrivateKey).toBeUndefined();
+
+    const unknown = await start({ username: 'Mallory', recoveryKey: recoveryKeyFor('phrase') });
+    expect(unknown.body.error).toBe(invalid.body.error);
+  });
+
+  it('should set a new password and sign out every session', async () => {
+    const response = await complete();
+
+    expect(response.body).toEqual({ success: true, revoked: 1 });
+    expect(userService.getUserBySession(alice.sessionId)).toBeNull();
+
+    const oldLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(oldLogin.status).toBe(400);
+
+    const newLogin = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'new-password' });
+    expect(newLogin.body.encryptedPrivateKey).toBe('wrapped-with-new-password');
+  });
+
+  it('should keep the password when the phrase is wrong', async () => {
+    const response = await complete({ recoveryKey: recoveryKeyFor('guess') });
+
+    expect(response.status).toBe(401);
+    expect(userService.getUserBySession(alice.sessionId)).toBeTruthy();
+    await expect(userService.loginUser('Alice', 'password123')).resolves.toBeTruthy();
+  });
+
+  it('should count wrong phrases towards the login lockout', async () => {
+    for (let attempt = 0; attempt < RATE_LIMITS.loginLockout.threshold; attempt++) {
+      await start({ recoveryKey: recoveryKeyFor(`guess-${attempt}`) });
+    }
+
+    const locked = await start({ recoveryKey: recoveryKeyFor('phrase') });
+    expect(locked.status).toBe(429);
+  });
+});
@@ -0,0 +1,413 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createStore } from '../storage/index.js';
+import UserService, { userService } from '../services/UserService.js';
+import WebSocketService, { wsService } from '../services/WebSocketService.js';
+import SessionService from '../services/SessionService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore, loginLockout, RATE_LIMITS } from '../middleware/rateLimit.js';
+import { getSessionId, withSession } from './helpers.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const createConnection = (sessionId) => ({
+  transport: 'sse',
+  sessionId,
+  send: vi.fn(),
+  close: vi.fn()
+});
+
+describe('Session lifecycle', () => {
+  let users;
+  let connections;
+  let sessions;
+  let alice;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    users = new UserService(createStore({ driver: 'memory' }), {
+      idleTimeoutMs: 2 * HOUR_MS,
+      absoluteTimeoutMs: 24 * HOUR_MS
+    });
+    connections = new WebSocketService();
+    sessions = new SessionService({ users, connections });
+
+    alice = await users.registerUser('Alice', 'password123', 'alice-key', {
+      userAgent: 'Pager/1.0',
+      ip: '10.0.0.1'
+    });
+    vi.useFakeTimers({ toFake: ['Date'] });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should record when and where each session started', () => {
+    const [session] = users.getUserSessions(alice.userId);
+
+    expect(session).toMatchObject({
+      id: expect.any(String),
+      userAgent: 'Pager/1.0',
+      ip: '10.0.0.1',
+      createdAt: expect.any(String),
+      lastUsedAt: expect.any(String)
+    });
+    expect(session).not.toHaveProperty('sessionId');
+  });
+
+  it('should expire sessions that sit idle', () => {
+    vi.advanceTimersByTime(HOUR_MS);
+    expect(users.getUserBySession(alice.sessionId)).toBeTruthy();
+
+    // The lookup above counted as activity
+    vi.advanceTimersByTime(90 * 60 * 1000);
+    expect(users.getUserBySession(alice.sessionId)).toBeTruthy();
+
+    vi.advanceTimersByTime(2 * HOUR_MS + 1);
+    expect(users.getUserBySession(alice.sessionId)).toBeNull();
+    expect(users.sessions.has(alice.sessionId)).toBe(false);
+  });
+
+  it('should expire busy sessions at the absolute timeout', () => {
+    for (let hour = 0; hour < 24; hour++) {
+      vi.advanceTimersByTime(HOUR_MS);
+      users.getUserBySession(alice.sessionId);
+    }
+
+    vi.advanceTimersByTime(1);
+    expect(users.getUserBySession(alice.sessionId)).toBeNull();
+  });
+
+  it('should revoke one session and close its connections', async () => {
+    const phone = await users.loginUser('Alice', 'password123', { userAgent: 'Phone' });
+    const phoneTab = createConnection(phone.sessionId);
+    const desktopTab = createConnection(alice.sessionId);
+    connections.addConnection(alice.userId, phoneTab);
+    connections.addConnection(alice.userId, desktopTab);
+
+    const phoneSession = sessions.listSessions(users.getUserById(alice.userId), alice.sessionId)
+      .find(session => session.userAgent === 'Phone');
+    sessions.revoke(users.getUserById(alice.userId), phoneSession.id);
+
+    expect(users.getUserBySession(phone.sessionId)).toBeNull();
+    expect(phoneTab.send).toHaveBeenCalledWith({ type: 'session_ended', reason: 'revoked' });
+    expect(phoneTab.close).toHaveBeenCalled();
+    expect(desktopTab.close).not.toHaveBeenCalled();
+  });
+
+  it('should only revoke the caller\'s own sessions', async () => {
+    const bob = await users.registerUser('Bob', 'password123', 'bob-key');
+    const [bobSession] = users.getUserSessions(bob.userId);
+
+    expect(() => sessions.revoke(users.getUserById(alice.userId), bobSession.id))
+      .toThrow('Session not found');
+    expect(users.getUserBySession(bob.sessionId)).toBeTruthy();
+  });
+
+  it('should revoke every other session', async () => {
+    const second = await users.loginUser('Alice', 'password123');
+    const third = await users.loginUser('Alice', 'password123');
+
+    const revoked = sessions.revokeOthers(users.getUserById(alice.userId), alice.sessionId);
+
+    expect(revoked).toBe(2);
+    expect(users.getUserBySession(second.sessionId)).toBeNull();
+    expect(users.getUserBySession(third.sessionId)).toBeNull();
+    expect(users.getUserBySession(alice.sessionId)).toBeTruthy();
+  });
+
+  it('should swap the password and wrapped key, then sign out other sessions', async () => {
+    users.storeEncryptedPrivateKey(alice.userId, 'wrapped-with-old');
+    const phone = await users.loginUser('Alice', 'password123');
+    const phoneTab = createConnection(phone.sessionId);
+    connections.addConnection(alice.userId, phoneTab);
+
+    const revoked = await sessions.changePassword(users.getUserById(alice.userId), alice.sessionId, {
+      currentPassword: 'password123',
+      newPassword: 'new-password',
+      encryptedPrivateKey: 'wrapped-with-new'
+    });
+
+    expect(revoked).toBe(1);
+    expect(phoneTab.send).toHaveBeenCalledWith({ type: 'session_ended', reason: 'password_changed' });
+    expect(users.getUserBySession(alice.sessionId)).toBeTruthy();
+    await expect(users.loginUser('Alice', 'password123')).rejects.toThrow('Invalid username or password');
+    const login = await users.loginUser('Alice', 'new-password');
+    expect(login.encryptedPrivateKey).toBe('wrapped-with-new');
+  });
+
+  it('should leave the password and key alone when the current password is wrong', async () => {
+    users.storeEncryptedPrivateKey(alice.userId, 'wrapped-with-old');
+    const phone = await users.loginUser('Alice', 'password123');
+
+    await expect(sessions.changePassword(users.getUserById(alice.userId), alice.sessionId, {
+      currentPassword: 'wrong-password',
+      newPassword: 'new-password',
+      encryptedPrivateKey: 'wrapped-with-new'
+    })).rejects.toThrow('Current password is incorrect');
+
+    expect(users.getUserById(alice.userId).encryptedPrivateKey).toBe('wrapped-with-old');
+    expect(users.getUserBySession(phone.sessionId)).toBeTruthy();
+    await expect(users.loginUser('Alice', 'password123')).resolves.toBeTruthy();
+  });
+
+  it('should count live connections as activity when sweeping', async () => {
+    const idle = await users.loginUser('Alice', 'password123');
+    const connectedTab = createConnection(alice.sessionId);
+    connections.addConnection(alice.userId, connectedTab);
+
+    vi.advanceTimersByTime(HOUR_MS);
+    sessions.sweep();
+    vi.advanceTimersByTime(HOUR_MS + 1);
+
+    expect(sessions.sweep()).toBe(1);
+    expect(users.sessions.has(alice.sessionId)).toBe(true);
+    expect(users.sessions.has(idle.sessionId)).toBe(false);
+    expect(connectedTab.close).not.toHaveBeenCalled();
+  });
+
+  it('should close connections of sessions that expire', () => {
+    const tab = createConnection(alice.sessionId);
+    connections.addConnection(alice.userId, tab);
+
+    for (let hour = 0; hour < 24; hour++) {
+      vi.advanceTimersByTime(HOUR_MS);
+      sessions.sweep();
+    }
+    vi.advanceTimersByTime(1);
+    sessions.sweep();
+
+    expect(tab.send).toHaveBeenCalledWith({ type: 'session_ended', reason: 'expired' });
+    expect(tab.close).toHaveBeenCalled();
+  });
+});
+
+describe('Session routes', () => {
+  let app;
+  let alice;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    wsService.connections.clear();
+
+    alice = withSession(await request(app)
+      .post('/api/auth/register')
+      .set('User-Agent', 'Pager/1.0')
+      .send({ username: 'Alice', password: 'password123', publicKey: 'alice-key' }));
+  });
+
+  it('should list sessions without exposing their tokens', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Fax/2.0')
+      .send({ username: 'Alice', password: 'password123' });
+
+    const response = await request(app).get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${alice.sessionId}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessions.map(s => [s.userAgent, s.current])).toEqual(
+      expect.arrayContaining([['Pager/1.0', true], ['Fax/2.0', false]])
+    );
+    expect(JSON.stringify(response.body)).not.toContain(alice.sessionId);
+  });
+
+  it('should revoke a session by its public ID', async () => {
+    const other = withSession(await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' }));
+    const { sessions } = (await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${alice.sessionId}`)).body;
+    const target = sessions.find(s => !s.current);
+
+    const revoked = await request(app)
+      .post(`/api/auth/sessions/${target.id}/revoke`)
+      .send({ sessionId: alice.sessionId });
+    expect(revoked.body.success).toBe(true);
+
+    const stale = await request(app).get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${other.sessionId}`);
+    expect(stale.status).toBe(401);
+
+    const missing = await request(app)
+      .post(`/api/auth/sessions/${target.id}/revoke`)
+      .send({ sessionId: alice.sessionId });
+    expect(missing.status).toBe(404);
+  });
+
+  it('should revoke all other sessions', async () => {
+    await request(app).post('/api/auth/login').send({ username: 'Alice', password: 'password123' });
+
+    const response = await request(app)
+      .post('/api/auth/sessions/revoke-others')
+      .send({ sessionId: alice.sessionId });
+
+    expect(response.body).toEqual({ success: true, revoked: 1 });
+  });
+
+  it('should change the password and sign out other sessions', async () => {
+    const other = withSession(await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' }));
+    const changePassword = (fields) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${alice.sessionId}`)
+      .send({ encryptedPrivateKey: 'wrapped-with-new', ...fields });
+
+    const short = await changePassword({ currentPassword: 'password123', newPassword: 'abc' });
+    expect(short.status).toBe(400);
+
+    const response = await changePassword({ currentPassword: 'password123', newPassword: 'new-password' });
+    expect(response.body).toEqual({ success: true, revoked: 1 });
+
+    const stale = await request(app).get('/api/auth/session')
+      .set('Authorization', `Bearer ${other.sessionId}`);
+    expect(stale.status).toBe(401);
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'new-password' });
+    expect(login.body.encryptedPrivateKey).toBe('wrapped-with-new');
+  });
+
+  it('should lock the account after wrong current passwords', async () => {
+    const changePassword = (currentPassword) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${alice.sessionId}`)
+      .send({ currentPassword, newPassword: 'new-password', encryptedPrivateKey: 'wrapped-with-new' });
+
+    for (let attempt = 0; attempt < RATE_LIMITS.loginLockout.threshold; attempt++) {
+      expect((await changePassword('wrong-password')).status).toBe(401);
+    }
+
+    expect((await changePassword('password123')).status).toBe(429);
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(login.status).toBe(429);
+  });
+
+  it('should limit password changes per account across IPs', async () => {
+    app.set('trust proxy', true);
+    const changePassword = (ip) => request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', `Bearer ${alice.sessionId}`)
+      .set('X-Forwarded-For', ip)
+      .send({ currentPassword: 'wrong-password', newPassword: 'new-password', encryptedPrivateKey: 'wrapped-with-new' });
+
+    // Clear the lockout each time so only the limiter stops the requests
+    for (let attempt = 0; attempt < RATE_LIMITS.authPerUser.max; attempt++) {
+      loginLockout.recordSuccess('Alice');
+      expect((await changePassword(`10.0.0.${attempt}`)).status).toBe(401);
+    }
+    loginLockout.recordSuccess('Alice');
+    expect((await changePassword('10.0.1.1')).status).toBe(429);
+  });
+});
+
+describe('Session cookies', () => {
+  let app;
+
+  /**
+   * Read one cookie value from a response's Set-Cookie headers
+   */
+  const getCookie = (response, name) => response.headers['set-cookie']
+    .find(cookie => cookie.startsWith(`${name}=`));
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    wsService.connections.clear();
+  });
+
+  it('should issue an HttpOnly session cookie and a readable CSRF cookie', async () => {
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({ username: 'Alice', password: 'password123', publicKey: 'alice-key' });
+
+    const session = getCookie(response, 'retro_session');
+    const csrf = getCookie(response, 'retro_csrf');
+    expect(userService.getUserBySession(getSessionId(response)).username).toBe('Alice');
+    expect(response.body.sessionId).toBeUndefined();
+    expect(session).toMatch(/HttpOnly/);
+    expect(session).toMatch(/SameSite=Strict/);
+    expect(csrf).not.toMatch(/HttpOnly/);
+  });
+
+  it('should require the CSRF header on cookie-authenticated writes', async () => {
+    const agent = request.agent(app);
+    const login = await agent
+      .post('/api/auth/register')
+      .send({ username: 'Alice', password: 'password123', publicKey: 'alice-key' });
+    const csrfToken = getCookie(login, 'retro_csrf').split(';')[0].split('=')[1];
+
+    expect((await agent.get('/api/auth/session')).body.username).toBe('Alice');
+
+    const forged = await agent
+      .post('/api/auth/preferences')
+      .send({ preferences: { readReceipts: false } });
+    expect(forged.status).toBe(403);
+
+    const allowed = await agent
+      .post('/api/auth/preferences')
+      .set('X-CSRF-Token', csrfToken)
+      .send({ preferences: { readReceipts: false } });
+    expect(allowed.status).toBe(200);
+  });
+
+  it('should refuse a non-ASCII CSRF header of the same length', async () => {
+    const agent = request.agent(app);
+    const login = await agent
+      .post('/api/auth/register')
+      .send({ username: 'Alice', password: 'password123', publicKey: 'alice-key' });
+    const csrfToken = getCookie(login, 'retro_csrf').split(';')[0].split('=')[1];
+
+    // "é" goes out as two UTF-8 bytes and is read back as two Latin-1 characters
+    const forged = await agent
+      .post('/api/auth/preferences')
+      .set('X-CSRF-Token', `\u00e9${csrfToken.slice(2)}`)
+      .send({ preferences: { readReceipts: false } });
+
+    expect(forged.status).toBe(403);
+  });
+
+  it('should not accept session tokens in the query string', async () => {
+    const alice = await userService.registerUser('Alice', 'password123', 'alice-key');
+
+    const response = await request(app).get('/api/auth/session').query({ sessionId: alice.sessionId });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should clear the cookies on logout', async () => {
+    const agent = request.agent(app);
+    const login = await agent
+      .post('/api/auth/register')
+      .send({ username: 'Alice', password: 'password123', publicKey: 'alice-key' });
+    const csrfToken = getCookie(login, 'retro_csrf').split(';')[0].split('=')[1];
+
+    const logout = await agent.post('/api/auth/logout').set('X-CSRF-Token', csrfToken);
+
+    expect(logout.body.success).toBe(true);
+    expect(getCookie(logout, 'retro_session')).toMatch(/Expires=Thu, 01 Jan 1970/);
+    expect((await agent.get('/api/auth/session')).status).toBe(401);
+  });
+});
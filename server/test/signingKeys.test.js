@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { userService } from '../services/UserService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore } from '../middleware/rateLimit.js';
+import { getSessionId } from './helpers.js';
+
+// Stand-in for a base64 SPKI P-256 public key
+const SIGNING_KEY = `MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAE${'A'.repeat(86)}==`;
+
+describe('Signing keys', () => {
+  let app;
+
+  const register = (username, fields = {}) => request(app)
+    .post('/api/auth/register')
+    .send({ username, password: 'password123', publicKey: `${username}-key`, ...fields });
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+  });
+
+  it('should publish the signing key given at registration', async () => {
+    await register('Alice', { signingPublicKey: SIGNING_KEY });
+    const bob = await register('Bob');
+
+    const response = await request(app)
+      .get('/api/auth/users')
+      .set('Authorization', `Bearer ${getSessionId(bob)}`);
+
+    expect(response.body.users).toEqual([
+      expect.objectContaining({ username: 'Alice', signingPublicKey: SIGNING_KEY })
+    ]);
+  });
+
+  it('should reject a malformed signing key without creating the account', async () => {
+    const response = await register('Alice', { signingPublicKey: 'not a key!' });
+
+    expect(response.status).toBe(400);
+    expect(userService.getUserByUsername('Alice')).toBeFalsy();
+  });
+
+  it('should let older accounts publish a signing key later', async () => {
+    const alice = await register('Alice');
+
+    const published = await request(app)
+      .post('/api/auth/signing-key')
+      .set('Authorization', `Bearer ${getSessionId(alice)}`)
+      .send({ signingPublicKey: SIGNING_KEY });
+    expect(published.body).toEqual({ success: true });
+
+    const login = await request(app)
+      .post('/api/auth/login')
+      .send({ username: 'Alice', password: 'password123' });
+    expect(login.body.signingPublicKey).toBe(SIGNING_KEY);
+  });
+});
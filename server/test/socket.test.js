@@ -0,0 +1,235 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import http from 'http';
+import express from 'express';
+import request from 'supertest';
+import WebSocket from 'ws';
+import authRouter from '../routes/auth.js';
+import messagesRouter from '../routes/messages.js';
+import { attachSocketServer, SOCKET_PATH } from '../routes/socket.js';
+import { userService } from '../services/UserService.js';
+import { messageService } from '../services/MessageService.js';
+import { wsService } from '../services/WebSocketService.js';
+import { sessionService } from '../services/SessionService.js';
+import { rateLimitStore, limiters } from '../middleware/rateLimit.js';
+import { withSession } from './helpers.js';
+
+const register = (app, username) => request(app)
+  .post('/api/auth/register')
+  .send({ username, password: 'password123', publicKey: `${username}-public-key` });
+
+/**
+ * Open a client socket that records every frame it receives
+ */
+const openSocket = (port, { query = {}, headers = {} } = {}) => new Promise((resolve, reject) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}${SOCKET_PATH}?${new URLSearchParams(query)}`, { headers });
+  const frames = [];
+  const waiters = [];
+
+  ws.on('message', (raw) => {
+    const frame = JSON.parse(raw.toString());
+    frames.push(frame);
+    waiters.filter(w => w.match(frame)).forEach(w => {
+      waiters.splice(waiters.indexOf(w), 1);
+      w.resolve(frame);
+    });
+  });
+
+  // Resolve with the first frame matching the predicate (past or future)
+  ws.next = (match) => {
+    const seen = frames.find(match);
+    if (seen) return Promise.resolve(seen);
+    return new Promise(res => waiters.push({ match, resolve: res }));
+  };
+  ws.request = (action, payload = {}) => {
+    const requestId = `${action}-${Math.random()}`;
+    ws.send(JSON.stringify({ requestId, action, ...payload }));
+    return ws.next(frame => frame.data.type === 'reply' && frame.data.requestId === requestId);
+  };
+  ws.frames = frames;
+
+  ws.on('open', () => resolve(ws));
+  ws.on('error', reject);
+});
+
+describe('WebSocket transport', () => {
+  let app;
+  let server;
+  let port;
+  let alice;
+  let bob;
+  const sockets = [];
+
+  const connect = async (sessionId, query) => {
+    const ws = await openSocket(port, { query, headers: { Authorization: `Bearer ${sessionId}` } });
+    sockets.push(ws);
+    return ws;
+  };
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+    app.use('/api', messagesRouter);
+    server = http.createServer(app);
+    attachSocketServer(server, app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    rateLimitStore.clear();
+    messageService.clearAll();
+    wsService.connections.clear();
+
+    alice = withSession(await register(app, 'Alice'));
+    bob = withSession(await register(app, 'Bob'));
+  });
+
+  afterEach(async () => {
+    sockets.splice(0).forEach(ws => ws.terminate());
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should reject sockets without a valid session', async () => {
+    await expect(openSocket(port, { headers: { Authorization: 'Bearer nope' } })).rejects.toThrow('401');
+  });
+
+  it('should only accept session cookies from the same origin', async () => {
+    const cookie = `retro_session=${alice.sessionId}`;
+
+    await expect(openSocket(port, {
+      headers: { Cookie: cookie, Origin: 'https://elsewhere.example' }
+    })).rejects.toThrow('403');
+
+    const ws = await openSocket(port, {
+      headers: { Cookie: cookie, Origin: `http://127.0.0.1:${port}` }
+    });
+    sockets.push(ws);
+    const connected = await ws.next(frame => frame.data.type === 'connected');
+    expect(connected.data.username).toBe('Alice');
+  });
+
+  it('should greet the client and mark the user online', async () => {
+    const ws = await connect(alice.sessionId);
+
+    const connected = await ws.next(frame => frame.data.type === 'connected');
+    expect(connected.data).toMatchObject({ username: 'Alice', transport: 'websocket' });
+    expect(userService.getUserById(alice.userId).online).toBe(true);
+  });
+
+  it('should carry sends, acks and receipts over one socket each', async () => {
+    const aliceSocket = await connect(alice.sessionId);
+    const bobSocket = await connect(bob.sessionId);
+
+    const sent = await aliceSocket.request('send', { toUsername: 'Bob', content: 'Hi', encrypted: false });
+    expect(sent.data.ok).toBe(true);
+    expect(sent.data.result.status).toBe('pushed');
+
+    const incoming = await bobSocket.next(frame => frame.data.type === 'new_message');
+    expect(incoming.id).toEqual(expect.any(Number));
+    expect(incoming.data.message.content).toBe('Hi');
+
+    const ack = await bobSocket.request('ack', { messageIds: [incoming.data.message.messageId] });
+    expect(ack.data.result.messages[0].status).toBe('delivered');
+
+    const receipt = await aliceSocket.next(frame => frame.data.type === 'receipt');
+    expect(receipt.data).toMatchObject({ messageId: sent.data.result.messageId, status: 'delivered' });
+  });
+
+  it('should report errors with an HTTP-style status', async () => {
+    const ws = await connect(alice.sessionId);
+
+    const reply = await ws.request('send', { toUsername: 'Nobody', content: 'Hi' });
+    expect(reply.data).toMatchObject({ ok: false, status: 404, error: 'Recipient not found' });
+
+    const unknown = await ws.request('dance');
+    expect(unknown.data).toMatchObject({ ok: false, status: 400 });
+  });
+
+  it('should answer frames that are not request objects without dropping the socket', async () => {
+    const ws = await connect(alice.sessionId);
+    await ws.next(frame => frame.data.type === 'connected');
+
+    for (const raw of ['null', '1', '"x"', '[]']) {
+      ws.send(raw);
+    }
+    await vi.waitFor(() => expect(ws.frames.filter(frame => frame.data.type === 'reply')).toHaveLength(4));
+    ws.frames.filter(frame => frame.data.type === 'reply').forEach(frame => {
+      expect(frame.data).toMatchObject({ requestId: null, ok: false, status: 400, error: 'Frame must be a JSON object' });
+    });
+
+    const sent = await ws.request('send', { toUsername: 'Bob', content: 'Still here', encrypted: false });
+    expect(sent.data.ok).toBe(true);
+  });
+
+  it('should throttle sends but keep refusing malformed frames once the limit is hit', async () => {
+    const ws = await connect(alice.sessionId);
+    await ws.next(frame => frame.data.type === 'connected');
+    while (limiters.sendPerUser.consume(alice.userId).allowed);
+
+    ws.send('null');
+    const throttled = await ws.request('send', { toUsername: 'Bob', content: 'Hi', encrypted: false });
+    expect(throttled.data).toMatchObject({ ok: false, status: 429 });
+    expect(ws.frames.find(frame => frame.data.requestId === null).data.status).toBe(400);
+  });
+
+  it('should limit sends per client IP behind a trusted proxy', async () => {
+    app.set('trust proxy', true);
+    const connectVia = async (sessionId, ip) => {
+      const ws = await openSocket(port, {
+        headers: { Authorization: `Bearer ${sessionId}`, 'X-Forwarded-For': ip }
+      });
+      sockets.push(ws);
+      await ws.next(frame => frame.data.type === 'connected');
+      return ws;
+    };
+    const aliceSocket = await connectVia(alice.sessionId, '203.0.113.1');
+    const bobSocket = await connectVia(bob.sessionId, '203.0.113.2');
+    while (limiters.sendPerIp.consume('203.0.113.1').allowed);
+
+    const throttled = await aliceSocket.request('send', { toUsername: 'Bob', content: 'Hi', encrypted: false });
+    expect(throttled.data).toMatchObject({ ok: false, status: 429 });
+
+    const sent = await bobSocket.request('send', { toUsername: 'Alice', content: 'Hi', encrypted: false });
+    expect(sent.data.ok).toBe(true);
+  });
+
+  it('should close sockets whose session is revoked', async () => {
+    const ws = await connect(alice.sessionId);
+    await ws.next(frame => frame.data.type === 'connected');
+    const closed = new Promise(resolve => ws.on('close', resolve));
+
+    const [session] = userService.getUserSessions(alice.userId);
+    sessionService.revoke(userService.getUserById(alice.userId), session.id);
+
+    const ended = await ws.next(frame => frame.data.type === 'session_ended');
+    expect(ended.data.reason).toBe('revoked');
+    await closed;
+    await vi.waitFor(() => expect(wsService.isUserConnected(alice.userId)).toBeFalsy());
+  });
+
+  it('should replay missed events when a socket reconnects', async () => {
+    const ws = await connect(bob.sessionId);
+    const first = await ws.next(frame => frame.data.type === 'connected');
+    expect(first.id).toBeUndefined();
+
+    await request(app)
+      .post('/api/messages/send')
+      .send({ sessionId: alice.sessionId, toUsername: 'Bob', content: 'One' });
+    const one = await ws.next(frame => frame.data.type === 'new_message');
+    ws.terminate();
+    await vi.waitFor(() => expect(wsService.isUserConnected(bob.userId)).toBeFalsy());
+
+    await request(app)
+      .post('/api/messages/send')
+      .send({ sessionId: alice.sessionId, toUsername: 'Bob', content: 'Two' });
+
+    const resumed = await connect(bob.sessionId, { lastEventId: one.id });
+    const replayed = await resumed.next(
+      frame => frame.data.type === 'new_message' && frame.data.message.content === 'Two'
+    );
+    expect(replayed.id).toBeGreaterThan(one.id);
+  });
+});
@@ -0,0 +1,178 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStore, createBlobStore, MemoryDriver, FileDriver, FileBlobStore } from '../storage/index.js';
+import { runMigrations, LATEST_SCHEMA_VERSION } from '../storage/migrations.js';
+import UserService from '../services/UserService.js';
+import MessageService from '../services/MessageService.js';
+
+describe('Storage', () => {
+  let tempDir;
+  let filePath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retro-storage-'));
+    filePath = path.join(tempDir, 'db.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('createStore', () => {
+    it('should use the memory driver under tests by default', () => {
+      const store = createStore({ filePath });
+      expect(store).toBeInstanceOf(MemoryDriver);
+      expect(store).not.toBeInstanceOf(FileDriver);
+    });
+
+    it('should create a file driver when requested', () => {
+      const store = createStore({ driver: 'file', filePath });
+      expect(store).toBeInstanceOf(FileDriver);
+      expect(fs.existsSync(filePath)).toBe(true);
+    });
+
+    it('should reject unknown drivers', () => {
+      expect(() => createStore({ driver: 'floppy' })).toThrow('Unknown storage driver');
+    });
+  });
+
+  describe('Migrations', () => {
+    it('should migrate an empty snapshot to the latest version', () => {
+      const snapshot = { schemaVersion: 0, collections: {} };
+      const applied = runMigrations(snapshot);
+
+      expect(applied[0]).toBe(1);
+      expect(snapshot.schemaVersion).toBe(LATEST_SCHEMA_VERSION);
+      expect(snapshot.collections.users).toEqual({});
+      expect(snapshot.collections.messages).toEqual({});
+    });
+
+    it('should refuse snapshots from a newer server', () => {
+      const snapshot = { schemaVersion: LATEST_SCHEMA_VERSION + 1, collections: {} };
+      expect(() => runMigrations(snapshot)).toThrow('newer than this server supports');
+    });
+
+    it('should turn bare session entries into session records', () => {
+      const snapshot = { schemaVersion: 4, collections: { sessions: { s1: 'u1' } } };
+      runMigrations(snapshot);
+
+      expect(snapshot.collections.sessions.s1).toEqual({
+        id: expect.any(String),
+        userId: 'u1',
+        createdAt: expect.any(String),
+        lastUsedAt: expect.any(String),
+        userAgent: null,
+        ip: null
+      });
+    });
+
+    it('should back up the database file before migrating it', () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        schemaVersion: 0,
+        collections: { users: { u1: { userId: 'u1', username: 'Alice' } } }
+      }));
+
+      const store = new FileDriver(filePath).open();
+
+      expect(fs.existsSync(`${filePath}.v0.bak`)).toBe(true);
+      expect(store.collection('users').get('u1').username).toBe('Alice');
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8')).schemaVersion).toBe(LATEST_SCHEMA_VERSION);
+    });
+
+    it('should drop uploaded prekey stores, from the backup too', () => {
+      fs.writeFileSync(filePath, JSON.stringify({
+        schemaVersion: 7,
+        collections: { users: { u1: { userId: 'u1', username: 'Alice', encryptedPrekeys: 'sealed-store' } } }
+      }));
+
+      const store = new FileDriver(filePath).open();
+
+      expect(store.collection('users').get('u1')).toEqual({ userId: 'u1', username: 'Alice' });
+      const backup = JSON.parse(fs.readFileSync(`${filePath}.v7.bak`, 'utf8'));
+      expect(backup.schemaVersion).toBe(7);
+      expect(backup.collections.users.u1).toEqual({ userId: 'u1', username: 'Alice' });
+    });
+  });
+
+  describe('prekey migration', () => {
+    it('should drop account-wide prekeys', () => {
+      const snapshot = {
+        schemaVersion: 8,
+        collections: { users: { u1: { userId: 'u1', username: 'Alice', prekey: { id: '0123456789abcdef' } } } }
+      };
+
+      runMigrations(snapshot);
+
+      expect(snapshot.collections.users.u1).toEqual({ userId: 'u1', username: 'Alice' });
+    });
+  });
+
+  describe('FileDriver', () => {
+    it('should round-trip collections through disk', () => {
+      const store = new FileDriver(filePath).open();
+      store.collection('users').set('u1', { userId: 'u1', username: 'Alice' });
+      store.persist();
+      store.flush();
+
+      const reopened = new FileDriver(filePath).open();
+      expect(reopened.collection('users').get('u1')).toEqual({ userId: 'u1', username: 'Alice' });
+    });
+
+    it('should leave no temp file behind after writing', () => {
+      const store = new FileDriver(filePath).open();
+      store.collection('messages').set('m1', { messageId: 'm1' });
+      store.flush();
+
+      expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+    });
+  });
+
+  describe('FileBlobStore', () => {
+    it('should keep blobs as files and refuse IDs that are not UUIDs', () => {
+      const blobs = createBlobStore({ driver: 'file', dirPath: path.join(tempDir, 'blobs') });
+      const id = '3f2b8c1e-9d4a-4c6b-8e7f-0a1b2c3d4e5f';
+      expect(blobs).toBeInstanceOf(FileBlobStore);
+
+      blobs.put(id, Buffer.from([1, 2, 3]));
+      expect(new FileBlobStore(path.join(tempDir, 'blobs')).get(id)).toEqual(Buffer.from([1, 2, 3]));
+      expect(fs.readdirSync(path.join(tempDir, 'blobs'))).toEqual([`${id}.bin`]);
+
+      blobs.delete(id);
+      expect(blobs.get(id)).toBeNull();
+      expect(() => blobs.get('../db.json')).toThrow('Invalid blob ID');
+    });
+  });
+
+  describe('Services with a durable store', () => {
+    it('should keep accounts, sessions and messages across restarts', async () => {
+      let store = new FileDriver(filePath).open();
+      let users = new UserService(store);
+      let messages = new MessageService(store);
+
+      const alice = await users.registerUser('Alice', 'password123', 'alice-public-key');
+      const bob = await users.registerUser('Bob', 'password123', 'bob-public-key');
+      users.storeEncryptedPrivateKey(alice.userId, 'wrapped-key');
+      users.setUserOnline(alice.userId, true);
+      messages.sendMessage(alice.userId, 'Bob', 'ciphertext', true, bob.userId);
+      store.close();
+
+      // Simulate a server restart
+      store = new FileDriver(filePath).open();
+      users = new UserService(store);
+      messages = new MessageService(store);
+
+      const restored = users.getUserBySession(alice.sessionId);
+      expect(restored.username).toBe('Alice');
+      expect(restored.encryptedPrivateKey).toBe('wrapped-key');
+      expect(restored.online).toBe(false);
+      expect(users.getUserByUsername('Bob').publicKey).toBe('bob-public-key');
+      expect(messages.getUserInbox(bob.userId)).toHaveLength(1);
+      expect(messages.getUserInbox(bob.userId)[0].content).toBe('ciphertext');
+
+      const login = await users.loginUser('Alice', 'password123');
+      expect(login.userId).toBe(alice.userId);
+    });
+  });
+});
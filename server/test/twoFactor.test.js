@@ -0,0 +1,220 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { createStore } from '../storage/index.js';
+import { userService } from '../services/UserService.js';
+import TwoFactorService, { twoFactorService } from '../services/TwoFactorService.js';
+import authRouter from '../routes/auth.js';
+import { rateLimitStore, loginLockout, RATE_LIMITS } from '../middleware/rateLimit.js';
+import {
+  base32Encode,
+  generateCode,
+  getTimeStep,
+  verifyCode,
+  buildOtpauthUri
+} from '../utils/totp.js';
+import { getSessionId } from './helpers.js';
+
+const STEP_MS = 30 * 1000;
+
+// Current code for a secret
+const codeFor = (secret) => generateCode(secret, getTimeStep());
+
+describe('TOTP', () => {
+  // RFC 6238 appendix B, SHA1 seed "12345678901234567890"
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  it('should match the RFC 6238 test vectors', () => {
+    const vectors = [
+      [59, '94287082'],
+      [1111111109, '07081804'],
+      [1234567890, '89005924'],
+      [2000000000, '69279037']
+    ];
+
+    vectors.forEach(([seconds, expected]) => {
+      expect(generateCode(rfcSecret, getTimeStep(seconds * 1000), 8)).toBe(expected);
+    });
+  });
+
+  it('should accept codes from the neighbouring steps only', () => {
+    const time = 1111111109 * 1000;
+    const step = getTimeStep(time);
+
+    expect(verifyCode(rfcSecret, generateCode(rfcSecret, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(rfcSecret, generateCode(rfcSecret, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(rfcSecret, generateCode(rfcSecret, step - 2), { time })).toBeNull();
+    expect(verifyCode(rfcSecret, 'abcdef', { time })).toBeNull();
+  });
+
+  it('should build an otpauth URI authenticator apps understand', () => {
+    const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'Alice', issuer: 'Retro Messenger' });
+
+    expect(uri).toBe(
+      'otpauth://totp/Retro%20Messenger%3AAlice?secret=JBSWY3DPEHPK3PXP&issuer=Retro+Messenger&algorithm=SHA1&digits=6&period=30'
+    );
+  });
+});
+
+describe('TwoFactorService', () => {
+  const alice = { userId: 'alice-id', username: 'Alice' };
+  let service;
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    service = new TwoFactorService(createStore({ driver: 'memory' }));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should only enable two-factor login after a valid code', () => {
+    const { secret, otpauthUri } = service.setup(alice);
+
+    expect(otpauthUri).toContain(`secret=${secret}`);
+    expect(() => service.confirm(alice, '000000')).toThrow('Invalid two-factor code');
+    expect(service.isEnabled(alice.userId)).toBe(false);
+
+    const recoveryCodes = service.confirm(alice, codeFor(secret));
+
+    expect(recoveryCodes).toHaveLength(10);
+    expect(recoveryCodes[0]).toMatch(/^[a-z0-9]{4}-[a-z0-9]{4}-[a-z0-9]{4}$/);
+    expect(service.getStatus(alice.userId)).toMatchObject({ enabled: true, recoveryCodesRemaining: 10 });
+    expect(() => service.setup(alice)).toThrow('already enabled');
+  });
+
+  it('should reject a code that was already used', () => {
+    const { secret } = service.setup(alice);
+    service.confirm(alice, codeFor(secret));
+
+    vi.advanceTimersByTime(STEP_MS);
+    const code = codeFor(secret);
+    service.verify(alice.userId, { code });
+
+    expect(() => service.verify(alice.userId, { code })).toThrow('Invalid two-factor code');
+  });
+
+  it('should accept each recovery code once', () => {
+    const { secret } = service.setup(alice);
+    const [recoveryCode] = service.confirm(alice, codeFor(secret));
+
+    service.verify(alice.userId, { recoveryCode: recoveryCode.toUpperCase().replace(/-/g, ' ') });
+
+    expect(() => service.verify(alice.userId, { recoveryCode })).toThrow('Invalid recovery code');
+    expect(service.getStatus(alice.userId).recoveryCodesRemaining).toBe(9);
+  });
+});
+
+describe('Two-factor login', () => {
+  let app;
+  let secret;
+
+  const login = (fields = {}) => request(app)
+    .post('/api/auth/login')
+    .send({ username: 'Alice', password: 'password123', ...fields });
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    app = express();
+    app.use(express.json());
+    app.use('/api', authRouter);
+
+    userService.users.clear();
+    userService.usernameIndex.clear();
+    userService.sessions.clear();
+    twoFactorService.clearAll();
+    rateLimitStore.clear();
+
+    const { sessionId } = await userService.registerUser('Alice', 'password123', 'alice-key');
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${sessionId}`);
+    secret = setup.body.secret;
+
+    const enabled = await request(app)
+      .post('/api/auth/2fa/enable')
+      .set('Authorization', `Bearer ${sessionId}`)
+      .send({ code: codeFor(secret) });
+    expect(enabled.body.recoveryCodes).toHaveLength(10);
+
+    // Move past the step used to enable so its code counts as fresh
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.advanceTimersByTime(STEP_MS);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should ask for a code after the right password', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(401);
+    expect(response.body).toEqual({ error: 'Two-factor code required', twoFactorRequired: true });
+    expect(response.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('should start a session with a valid code', async () => {
+    const response = await login({ code: codeFor(secret) });
+
+    expect(response.status).toBe(200);
+    expect(getSessionId(response)).toBeTruthy();
+    expect(response.body.sessionId).toBeUndefined();
+  });
+
+  it('should refuse a wrong code', async () => {
+    const response = await login({ code: '000000' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.twoFactorRequired).toBe(true);
+    expect(getSessionId(response)).toBeNull();
+  });
+
+  it('should need the password and a code to turn two-factor off', async () => {
+    const sessionId = getSessionId(await login({ code: codeFor(secret) }));
+    vi.advanceTimersByTime(STEP_MS);
+    const disable = (fields) => request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${sessionId}`)
+      .send(fields);
+
+    expect((await disable({ password: 'wrong-password', code: codeFor(secret) })).status).toBe(401);
+    expect((await disable({ password: 'password123', code: codeFor(secret) })).status).toBe(200);
+
+    expect((await login()).status).toBe(200);
+  });
+
+  it('should lock the account after wrong codes when turning two-factor off', async () => {
+    const sessionId = getSessionId(await login({ code: codeFor(secret) }));
+    const disable = (fields) => request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${sessionId}`)
+      .send({ password: 'password123', ...fields });
+
+    for (let attempt = 0; attempt < RATE_LIMITS.loginLockout.threshold; attempt++) {
+      expect((await disable({ code: '000000' })).status).toBe(401);
+    }
+
+    const locked = await disable({ code: codeFor(secret) });
+    expect(locked.status).toBe(429);
+    expect(twoFactorService.isEnabled(userService.getUserByUsername('Alice').userId)).toBe(true);
+    expect((await login({ code: codeFor(secret) })).status).toBe(429);
+  });
+
+  it('should limit recovery code requests per account', async () => {
+    const sessionId = getSessionId(await login({ code: codeFor(secret) }));
+    const regenerate = () => request(app)
+      .post('/api/auth/2fa/recovery-codes')
+      .set('Authorization', `Bearer ${sessionId}`)
+      .send({ recoveryCode: 'not-a-code' });
+
+    // Clear the lockout each time so only the limiter stops the requests
+    for (let attempt = 0; attempt < RATE_LIMITS.authPerUser.max; attempt++) {
+      loginLockout.recordSuccess('Alice');
+      expect((await regenerate()).status).toBe(401);
+    }
+    loginLockout.recordSuccess('Alice');
+    expect((await regenerate()).status).toBe(429);
+  });
+});
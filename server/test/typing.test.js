@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createStore } from '../storage/index.js';
+import UserService from '../services/UserService.js';
+import WebSocketService from '../services/WebSocketService.js';
+import TypingService, { TYPING_TTL_MS } from '../services/TypingService.js';
+
+const typingEvents = (connection) => connection.write.mock.calls
+  .map(([frame]) => frame)
+  .filter(frame => frame.includes('"type":"typing"'))
+  .map(frame => ({
+    hasId: /^id: /m.test(frame),
+    ...JSON.parse(frame.match(/^data: (.*)$/m)[1])
+  }));
+
+describe('TypingService', () => {
+  let users;
+  let connections;
+  let typing;
+  let alice;
+  let bob;
+  let bobTab;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    users = new UserService(createStore({ driver: 'memory' }));
+    connections = new WebSocketService();
+    typing = new TypingService({ users, connections });
+
+    const aliceResult = await users.registerUser('Alice', 'password123', 'alice-public-key');
+    const bobResult = await users.registerUser('Bob', 'password123', 'bob-public-key');
+    alice = users.getUserById(aliceResult.userId);
+    bob = users.getUserById(bobResult.userId);
+
+    bobTab = { write: vi.fn() };
+    connections.addConnection(bob.userId, bobTab);
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should tell the recipient when the sender starts and stops typing', () => {
+    typing.setTyping(alice, 'Bob', true);
+    typing.setTyping(alice, 'Bob', false);
+
+    expect(typingEvents(bobTab)).toEqual([
+      { hasId: false, type: 'typing', from: 'Alice', typing: true },
+      { hasId: false, type: 'typing', from: 'Alice', typing: false }
+    ]);
+  });
+
+  it('should not repeat the start event when the sender refreshes', () => {
+    typing.setTyping(alice, 'Bob', true);
+    vi.advanceTimersByTime(TYPING_TTL_MS - 1000);
+    typing.setTyping(alice, 'Bob', true);
+    vi.advanceTimersByTime(TYPING_TTL_MS - 1000);
+
+    expect(typingEvents(bobTab).map(event => event.typing)).toEqual([true]);
+  });
+
+  it('should expire indicators that are not refreshed', () => {
+    typing.setTyping(alice, 'Bob', true);
+    vi.advanceTimersByTime(TYPING_TTL_MS - 1);
+
+    expect(typingEvents(bobTab).map(event => event.typing)).toEqual([true]);
+
+    vi.advanceTimersByTime(1);
+
+    expect(typingEvents(bobTab).map(event => event.typing)).toEqual([true, false]);
+    expect(typing.indicators.size).toBe(0);
+  });
+
+  it('should clear a sender\'s indicators when they disconnect', () => {
+    typing.setTyping(alice, 'Bob', true);
+    typing.clearSender(alice.userId);
+
+    expect(typingEvents(bobTab).map(event => event.typing)).toEqual([true, false]);
+  });
+
+  it('should expire after six seconds by default', () => {
+    expect(TYPING_TTL_MS).toBe(6000);
+  });
+
+  it('should only send typing events to live connections', () => {
+    connections.removeConnection(bob.userId, bobTab);
+    typing.setTyping(alice, 'Bob', true);
+    connections.addConnection(bob.userId, bobTab);
+
+    expect(typingEvents(bobTab)).toEqual([]);
+  });
+
+  it('should never replay typing events', () => {
+    typing.setTyping(alice, 'Bob', true);
+
+    expect(connections.eventLogs.has(bob.userId)).toBe(false);
+  });
+
+  it('should reject unknown recipients', () => {
+    expect(() => typing.setTyping(alice, 'Nobody', true)).toThrow('Recipient not found');
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import WebSocketService from '../services/WebSocketService.js';
+
+/**
+ * Minimal stand-in for an Express SSE response
+ */
+const createResponse = () => {
+  const frames = [];
+  return {
+    frames,
+    write: vi.fn(frame => frames.push(frame)),
+    events: () => frames.map(frame => {
+      const id = frame.match(/^id: (\d+)$/m);
+      const data = frame.match(/^data: (.*)$/m);
+      return { id: id ? Number(id[1]) : null, data: JSON.parse(data[1]) };
+    })
+  };
+};
+
+describe('WebSocketService', () => {
+  let service;
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    service = new WebSocketService();
+  });
+
+  describe('Event IDs', () => {
+    it('should tag every event with a monotonic id', () => {
+      const res = createResponse();
+      service.addConnection('alice', res);
+
+      service.sendToUser('alice', { type: 'new_message', n: 1 });
+      service.sendToUser('alice', { type: 'new_message', n: 2 });
+
+      const [first, second] = res.events();
+      expect(first.id).toBeGreaterThan(0);
+      expect(second.id).toBeGreaterThan(first.id);
+    });
+
+    it('should share one sequence across users', () => {
+      const alice = createResponse();
+      const bob = createResponse();
+      service.addConnection('alice', alice);
+      service.addConnection('bob', bob);
+
+      service.sendToUser('alice', { type: 'new_message' });
+      service.sendToUser('bob', { type: 'new_message' });
+
+      expect(bob.events()[0].id).toBeGreaterThan(alice.events()[0].id);
+    });
+  });
+
+  describe('Replay', () => {
+    it('should replay events sent while the user was offline', () => {
+      const first = createResponse();
+      service.addConnection('alice', first);
+      service.sendToUser('alice', { type: 'new_message', n: 1 });
+      const lastSeen = first.events()[0].id;
+      service.removeConnection('alice', first);
+
+      service.sendToUser('alice', { type: 'new_message', n: 2 });
+      service.sendToUser('alice', { type: 'new_message', n: 3 });
+
+      const second = createResponse();
+      const replayed = service.replayEvents('alice', second, String(lastSeen));
+
+      expect(replayed).toBe(2);
+      expect(second.events().map(event => event.data.n)).toEqual([2, 3]);
+    });
+
+    it('should not replay other users\' events', () => {
+      service.sendToUser('bob', { type: 'new_message' });
+
+      const res = createResponse();
+      expect(service.replayEvents('alice', res, '0')).toBe(0);
+      expect(res.frames).toHaveLength(0);
+    });
+
+    it('should ask for a resync when the id is from before a restart', () => {
+      const res = createResponse();
+      service.replayEvents('alice', res, '9999');
+
+      expect(res.events()).toEqual([{ id: null, data: { type: 'resync' } }]);
+    });
+
+    it('should ask for a resync when missed events were evicted', () => {
+      for (let i = 0; i < 250; i++) {
+        service.sendToUser('alice', { type: 'new_message', n: i });
+      }
+
+      const res = createResponse();
+      service.replayEvents('alice', res, '1');
+
+      expect(res.events()[0].data.type).toBe('resync');
+    });
+
+    it('should ignore malformed ids', () => {
+      const res = createResponse();
+      expect(service.replayEvents('alice', res, 'abc')).toBe(0);
+      expect(res.frames).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+/**
+ * Error carrying the HTTP status a route should respond with
+ * Thrown by services so routes can map failures without string matching
+ */
+export class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Error message sent to the client
+   */
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Send an error as a JSON response
+ * @param {Response} res - Express response object
+ * @param {Error} error - Error to report (HttpError status, otherwise 400)
+ */
+export const sendError = (res, error) => {
+  res.status(error.status || 400).json({ error: error.message });
+};
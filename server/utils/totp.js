@@ -0,0 +1,138 @@
+import { createHmac, randomBytes, timingSafeEqual } from 'crypto';
+
+/**
+ * Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30s steps)
+ * Compatible with common authenticator apps. Secrets are generated locally
+ * and exchanged as base32 inside an otpauth:// URI.
+ */
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+export const TOTP_PERIOD_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as unpadded base32 (RFC 4648)
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 text
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Decoded bytes
+ */
+export const base32Decode = (text) => {
+  const clean = text.toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random secret
+ * @returns {string} 160-bit secret in base32
+ */
+export const generateSecret = () => base32Encode(randomBytes(20));
+
+/**
+ * Time step a timestamp falls in
+ * @param {number} time - Unix time in milliseconds (default: now)
+ * @returns {number} Step counter
+ */
+export const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Compute the code for one time step (HOTP, RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step counter
+ * @param {number} digits - Code length (default: 6)
+ * @returns {string} Zero-padded code
+ */
+export const generateCode = (secret, step, digits = TOTP_DIGITS) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Check a code against the current step and its neighbours (clock drift)
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {Object} options
+ * @param {number} options.time - Unix time in milliseconds (default: now)
+ * @param {number} options.window - Steps accepted either side of now (default: 1)
+ * @returns {number|null} The matching step, or null if the code is wrong
+ */
+export const verifyCode = (secret, code, { time = Date.now(), window = 1 } = {}) => {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(clean) || clean.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateCode(secret, step);
+    if (timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps enroll from (usually as a QR code)
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Account label (username)
+ * @param {string} options.issuer - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -5,30 +5,98 @@ import { generateMessageId } from './utils/generateId';
 import { logger } from './utils/logger';
 import Toast from './components/Toast';
 import LoginScreen from './components/LoginScreen';
+import TwoFactorSettings from './components/TwoFactorSettings';
+import PasswordSettings from './components/PasswordSettings';
+import KeyRotationSettings from './components/KeyRotationSettings';
+import QuickUnlockSettings from './components/QuickUnlockSettings';
+import DeviceSettings from './components/DeviceSettings';
+import PinLock from './components/PinLock';
+import RecoveryKit from './components/RecoveryKit';
 import UserSelector from './components/UserSelector';
+import SafetyNumber from './components/SafetyNumber';
 import PagerView from './components/PagerView';
 import FaxView from './components/FaxView';
 import { authService } from './services/AuthService';
 import { messagingService } from './services/MessagingService';
+import { channelService } from './services/ChannelService';
+import { archiveService } from './services/ArchiveService';
+import { attachmentService } from './services/AttachmentService';
+import { advanceStatus } from './utils/messageStatus';
 import './styles/toast.css';
 import {
     MAX_PAGER_MESSAGES,
     WEBHOOK_DELAY_MS,
     TOAST_DURATION_MS,
+    PREKEY_CHECK_INTERVAL_MS,
+    IDLE_LOCK_MS,
+    ARCHIVE_RECENT_MESSAGES,
     CHATBOT_USERNAME,
+    MAX_ATTACHMENT_BYTES,
+    MAX_ATTACHMENTS_PER_MESSAGE,
+    ATTACHMENT_TYPES,
     MODE_PAGER,
     MODE_FAX
 } from './utils/constants';
 
+/**
+ * Convert a server message into the shape rendered by the pager/fax views
+ * @param {Object} message - Decrypted message from MessagingService
+ * @returns {Object} Display message
+ */
+const toReceivedMessage = (message) => ({
+    id: message.messageId,
+    sender: message.from,
+    content: message.content,
+    timestamp: new Date(message.timestamp).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit'
+    }),
+    sentAt: message.timestamp,
+    type: 'received',
+    signature: message.signature,
+    ...(message.attachments ? { attachments: message.attachments } : {}),
+    ...(message.channel ? {
+        // Channel pages are broadcast and have no delivery states
+        recipient: `#${message.channel}`,
+        unread: false
+    } : {
+        // Our client acknowledges everything it shows, so it is at least delivered
+        status: message.status === 'read' ? 'read' : 'delivered',
+        unread: message.status !== 'read'
+    })
+});
+
+/**
+ * Find the channel a recipient address ("#name") refers to
+ * @param {Array<Object>} channels - Channel summaries
+ * @param {string} recipient - Selected recipient
+ * @returns {Object|undefined} Channel
+ */
+const findChannel = (channels, recipient) => (
+    recipient?.startsWith('#')
+        ? channels.find(channel => `#${channel.name}` === recipient)
+        : undefined
+);
+
 function App() {
     // Authentication state
     const [isAuthenticated, setIsAuthenticated] = useState(false);
     const [currentUser, setCurrentUser] = useState(null);
+    const [isLocked, setIsLocked] = useState(false); // Keys dropped until the quick unlock PIN is entered
+    const [pinEnabled, setPinEnabled] = useState(false);
 
     // Recipient selection state
     const [selectedRecipient, setSelectedRecipient] = useState(CHATBOT_USERNAME);
     const [availableUsers, setAvailableUsers] = useState([]);
+    const [channels, setChannels] = useState([]);
+    const [sessions, setSessions] = useState([]); // Our sessions on every device
+    const [devices, setDevices] = useState([]); // Devices linked with a link code
+    const [twoFactorStatus, setTwoFactorStatus] = useState(null); // { enabled, recoveryCodesRemaining }
+    const [twoFactorSetup, setTwoFactorSetup] = useState(null); // { secret, otpauthUri } while enrolling
+    const [recoveryKitStatus, setRecoveryKitStatus] = useState(null); // { enabled, createdAt }
+    const [newRecoveryPhrase, setNewRecoveryPhrase] = useState(null); // shown once after creating a kit
     const [showUserSelector, setShowUserSelector] = useState(false);
+    const [verification, setVerification] = useState(null); // contact key shown on the safety number screen
 
     // Existing state
     const [mode, setMode] = useState(MODE_PAGER);
@@ -37,7 +105,9 @@ function App() {
     const [inputMessage, setInputMessage] = useState('');
     const [webhookStatus, setWebhookStatus] = useState('connected');
     const [isTyping, setIsTyping] = useState(false);
+    const [typingUsers, setTypingUsers] = useState([]); // Humans composing a page to us
     const [isSending, setIsSending] = useState(false);
+    const [pendingAttachments, setPendingAttachments] = useState([]);
     const [hasNewMessage, setHasNewMessage] = useState(false);
     const [showSettings, setShowSettings] = useState(false);
     const [toast, setToast] = useState(null);
@@ -49,6 +119,7 @@ function App() {
     const messagesEndRef = useRef(null);
     const modalTriggerRef = useRef(null); // Store element that opened modal for focus return
     const copyTimerRef = useRef(null); // Store timer for cleanup
+    const pendingReceiptsRef = useRef(new Map()); // Receipts that beat the send response
 
     const showToast = useCallback((message, type = 'info', duration = TOAST_DURATION_MS) => {
         setToast({ message, type, duration });
@@ -59,15 +130,28 @@ function App() {
     }, []);
 
     // Check for existing session on mount
-    // Note: For security, we require re-login after page refresh to decrypt messages
-    // This ensures the private key is only in memory during active sessions
+    // Note: The private key is only kept across a page refresh when the user
+    // set a quick unlock PIN on this device; otherwise they log in again
     useEffect(() => {
         const checkSession = async () => {
-            if (authService.isAuthenticated()) {
-                // Clear session on page load - require fresh login for E2EE
-                authService.clearSession();
-                showToast('Please log in to access encrypted messages', 'info');
+            if (!authService.isAuthenticated()) return;
+
+            if (await authService.hasPinUnlock()) {
+                const session = await authService.verifySession();
+                if (session) {
+                    setCurrentUser({
+                        userId: session.userId,
+                        username: session.username,
+                        preferences: session.preferences
+                    });
+                    setIsLocked(true);
+                    return;
+                }
             }
+
+            // End the session on page load - require fresh login for E2EE
+            await authService.logout();
+            showToast('Please log in to access encrypted messages', 'info');
         };
 
         checkSession();
@@ -79,26 +163,44 @@ function App() {
         if (!isAuthenticated) return;
 
         const unsubscribe = messagingService.onMessage((message) => {
-            const newMessage = {
-                id: message.messageId,
-                sender: message.from,
-                content: message.content,
-                timestamp: new Date(message.timestamp).toLocaleTimeString('en-US', {
-                    hour: '2-digit',
-                    minute: '2-digit'
-                }),
-                type: 'received',
-                status: message.status
-            };
+            const newMessage = toReceivedMessage(message);
 
-            setMessages(prev => [...prev, newMessage]);
+            setMessages(prev => (
+                prev.some(msg => msg.id === newMessage.id) ? prev : [...prev, newMessage]
+            ));
+            setTypingUsers(prev => prev.filter(username => username !== message.from));
             setHasNewMessage(true);
-            showToast(`New message from ${message.from}`, 'info', 2000);
+            showToast(
+                message.channel
+                    ? `New message from ${message.from} on #${message.channel}`
+                    : `New message from ${message.from}`,
+                'info',
+                2000
+            );
         });
 
         return () => unsubscribe();
     }, [isAuthenticated, showToast]);
 
+    // Apply delivery/read receipts to messages we sent
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        return messagingService.onReceipt(({ messageId, status }) => {
+            setMessages(prev => {
+                if (!prev.some(msg => msg.id === messageId)) {
+                    // Still waiting for /messages/send to tell us this ID
+                    const pending = pendingReceiptsRef.current;
+                    pending.set(messageId, advanceStatus(pending.get(messageId), status));
+                    return prev;
+                }
+                return prev.map(msg =>
+                    msg.id === messageId ? { ...msg, status: advanceStatus(msg.status, status) } : msg
+                );
+            });
+        });
+    }, [isAuthenticated]);
+
     // Load available users
     const loadAvailableUsers = useCallback(async () => {
         try {
@@ -113,59 +215,379 @@ function App() {
         }
     }, []);
 
-    // Handle login/registration
-    const handleLogin = useCallback(async (username, password, isRegistration = false) => {
+    // Safety number verification for a contact's key
+    const handleVerifyUser = useCallback(async (username) => {
         try {
-            let result;
-            if (isRegistration) {
-                result = await authService.register(username, password);
-            } else {
-                result = await authService.login(username, password);
-            }
-            
-            setCurrentUser({
-                userId: result.userId,
-                username: result.username,
-                sessionId: result.sessionId
+            setVerification(await authService.getContactVerification(username));
+            setShowUserSelector(false);
+        } catch (error) {
+            logger.error('Failed to load safety number:', error);
+            showToast(error.message || 'Failed to load safety number', 'error');
+        }
+    }, [showToast]);
+
+    const handleSetVerified = useCallback((verified) => {
+        const { username } = verification;
+        const status = authService.setContactVerified(username, verified);
+        setVerification(prev => ({ ...prev, status }));
+        setAvailableUsers(prev => prev.map(user =>
+            user.username === username ? { ...user, keyStatus: status } : user
+        ));
+        showToast(
+            verified ? `${username} verified` : `Verification for ${username} cleared`,
+            verified ? 'success' : 'info',
+            2000
+        );
+    }, [verification, showToast]);
+
+    const handleConfirmVerification = useCallback(() => handleSetVerified(true), [handleSetVerified]);
+    const handleClearVerification = useCallback(() => handleSetVerified(false), [handleSetVerified]);
+    const handleCloseVerification = useCallback(() => setVerification(null), []);
+
+    // Load channels (group capcodes)
+    const loadChannels = useCallback(async () => {
+        try {
+            setChannels(await channelService.getChannels());
+        } catch (error) {
+            logger.error('Failed to load channels:', error);
+        }
+    }, []);
+
+    // Publish a fresh prekey every day for as long as we stay signed in
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        const interval = setInterval(() => authService.rotatePrekeyIfDue(), PREKEY_CHECK_INTERVAL_MS);
+        return () => clearInterval(interval);
+    }, [isAuthenticated]);
+
+    // Keep member counts current as people join and leave our channels
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        return messagingService.onChannel(loadChannels);
+    }, [isAuthenticated, loadChannels]);
+
+    // Show "typing" while other users compose a message to us
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        return messagingService.onTyping(({ from, typing }) => {
+            setTypingUsers(prev => {
+                const others = prev.filter(username => username !== from);
+                return typing ? [...others, from] : others;
             });
-            setIsAuthenticated(true);
-            
-            // Connect to messaging service
-            messagingService.connect();
-            
-            // Load available users (and their public keys)
+        });
+    }, [isAuthenticated]);
+
+    // Keep online dots current as other users come and go
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        return messagingService.onPresence(({ username, online, lastSeen }) => {
+            // Someone who registered after we loaded the list
+            if (!availableUsers.some(user => user.username === username)) {
+                loadAvailableUsers();
+                return;
+            }
+
+            setAvailableUsers(prev => prev.map(user =>
+                user.username === username ? { ...user, online, lastSeen } : user
+            ));
+        });
+    }, [isAuthenticated, availableUsers, loadAvailableUsers]);
+
+    // Tell the user when a contact's key changes under them
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        return messagingService.onKeyChange(({ username, status }) => {
             loadAvailableUsers();
-            
             showToast(
-                isRegistration 
-                    ? `Welcome to Retro Messenger, ${result.username}! 🔒 E2EE enabled.` 
-                    : `Welcome back, ${result.username}! 🔒 E2EE enabled.`,
-                'success'
+                status === 'changed'
+                    ? `${username} has a new encryption key. Verify their safety number before sending.`
+                    : `${username} rotated their encryption key`,
+                status === 'changed' ? 'warning' : 'info'
             );
+        });
+    }, [isAuthenticated, loadAvailableUsers, showToast]);
+
+    // Fetch and decrypt pages that arrived while we were offline
+    const syncInbox = useCallback(async () => {
+        try {
+            const { messages: backlog } = await messagingService.syncInbox();
+            if (backlog.length === 0) return;
+
+            const received = backlog.map(toReceivedMessage);
+            setMessages(prev => {
+                const knownIds = new Set(prev.map(msg => msg.id));
+                return [...received.filter(msg => !knownIds.has(msg.id)), ...prev];
+            });
+
+            const unreadCount = received.filter(msg => msg.unread).length;
+            if (unreadCount > 0) {
+                setHasNewMessage(true);
+                showToast(`${unreadCount} unread page${unreadCount !== 1 ? 's' : ''} while you were away`, 'info');
+            }
+        } catch (error) {
+            logger.error('Failed to sync inbox:', error);
+        }
+    }, [showToast]);
+
+    // Put archived pages back in front of what is already on screen
+    const mergeArchived = useCallback((archived) => {
+        setMessages(prev => {
+            const knownIds = new Set(prev.map(msg => msg.id));
+            return [...archived.filter(msg => !knownIds.has(msg.id)), ...prev];
+        });
+    }, []);
+
+    // Bring back the newest pages archived on this device
+    const loadArchivedMessages = useCallback(async () => {
+        try {
+            mergeArchived(await archiveService.getRecentMessages(ARCHIVE_RECENT_MESSAGES));
         } catch (error) {
-            logger.error('Authentication failed:', error);
-            showToast(error.message || 'Authentication failed. Please try again.', 'error');
+            logger.error('Failed to load message archive:', error);
+        }
+    }, [mergeArchived]);
+
+    // Keep the encrypted archive in step with the pages on screen
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        archiveService.saveMessages(messages).catch(error => {
+            logger.error('Failed to archive messages:', error);
+        });
+    }, [isAuthenticated, messages]);
+
+    // Refetch the inbox when the event stream reports a gap it cannot replay
+    useEffect(() => {
+        if (!isAuthenticated) return;
+        return messagingService.onResync(syncInbox);
+    }, [isAuthenticated, syncInbox]);
+
+    // Registration result held back while a new user saves their recovery
+    // kit and enrolls in two-factor
+    const pendingLoginRef = useRef(null);
+
+    // Enter the messenger once login or registration has succeeded
+    const enterSession = useCallback((result, isRegistration) => {
+        setCurrentUser({
+            userId: result.userId,
+            username: result.username,
+            preferences: result.preferences
+        });
+        setIsAuthenticated(true);
+        
+        // Connect to messaging service
+        messagingService.connect();
+        
+        // Load available users (and their public keys) and channels
+        loadAvailableUsers();
+        loadChannels();
+
+        // Load the archived history and the backlog that arrived while we were offline
+        loadArchivedMessages();
+        syncInbox();
+
+        authService.hasPinUnlock().then(setPinEnabled);
+        
+        showToast(
+            isRegistration 
+                ? `Welcome to Retro Messenger, ${result.username}! 🔒 E2EE enabled.` 
+                : `Welcome back, ${result.username}! 🔒 E2EE enabled.`,
+            'success'
+        );
+    }, [showToast, loadAvailableUsers, loadChannels, loadArchivedMessages, syncInbox]);
+
+    // Handle login/registration
+    // options: { code, recoveryCode } for the two-factor login step, or
+    // { createRecoveryKit, enableTwoFactor } when registering (resolves with
+    // { recoveryPhrase, twoFactorSetup } for the login screen to show)
+    const handleLogin = useCallback(async (username, password, isRegistration = false, options = {}) => {
+        try {
+            if (!isRegistration) {
+                const { code, recoveryCode } = options;
+                enterSession(await authService.login(username, password, { code, recoveryCode }), false);
+                return null;
+            }
+
+            const result = await authService.register(username, password, {
+                createRecoveryKit: options.createRecoveryKit
+            });
+            if (options.createRecoveryKit && !result.recoveryPhrase) {
+                showToast('Recovery kit could not be created. You can create one in Settings.', 'error');
+            }
+
+            let twoFactorSetup = null;
+            if (options.enableTwoFactor) {
+                try {
+                    twoFactorSetup = await authService.setupTwoFactor();
+                } catch (error) {
+                    logger.error('Two-factor setup failed:', error);
+                    showToast('Two-factor setup failed. You can enable it later in Settings.', 'error');
+                }
+            }
+
+            if (result.recoveryPhrase || twoFactorSetup) {
+                pendingLoginRef.current = result;
+                return { recoveryPhrase: result.recoveryPhrase, twoFactorSetup };
+            }
+            enterSession(result, true);
+            return null;
+        } catch (error) {
+            // The login screen asks for the code itself
+            if (!error.twoFactorRequired) {
+                logger.error('Authentication failed:', error);
+                showToast(error.message || 'Authentication failed. Please try again.', 'error');
+            }
             throw error;
         }
-    }, [showToast, loadAvailableUsers]);
+    }, [showToast, enterSession]);
+
+    // Reset a forgotten password with a recovery phrase (the login screen
+    // logs in with the new password afterwards)
+    const handleRecover = useCallback(async (username, phrase, newPassword) => {
+        await authService.recoverAccount(username, phrase, newPassword);
+        showToast('Password reset. Other sessions were signed out.', 'success');
+    }, [showToast]);
 
-    // Handle logout
-    const handleLogout = useCallback(async () => {
+    // Link this device to an account unlocked on another one; the login
+    // screen polls handleCheckDeviceLink, which resolves true once linked
+    const handleStartDeviceLink = useCallback(
+        (username, name) => authService.startDeviceLink(username, name),
+        []
+    );
+
+    const handleCheckDeviceLink = useCallback(async () => {
+        const result = await authService.checkDeviceLink();
+        if (!result) return false;
+        enterSession(result, false);
+        return true;
+    }, [enterSession]);
+
+    const handleCancelDeviceLink = useCallback(() => authService.cancelDeviceLink(), []);
+
+    // Finish registration once the new user has saved their kit and enrolled
+    // (or skipped)
+    const handleFinishRegistrationSetup = useCallback(() => {
+        const result = pendingLoginRef.current;
+        pendingLoginRef.current = null;
+        if (result) {
+            enterSession(result, true);
+        }
+    }, [enterSession]);
+
+    // Forget everything that belonged to the signed-in user
+    const resetSessionState = useCallback(() => {
+        setIsAuthenticated(false);
+        setCurrentUser(null);
+        setIsLocked(false);
+        setPinEnabled(false);
+        setMessages([]);
+        setTypingUsers([]);
+        setPendingAttachments([]);
+        attachmentService.clear();
+        pendingReceiptsRef.current.clear();
+        setSelectedRecipient(CHATBOT_USERNAME);
+        setAvailableUsers([]);
+        setChannels([]);
+        setSessions([]);
+        setDevices([]);
+        setTwoFactorStatus(null);
+        setTwoFactorSetup(null);
+        setRecoveryKitStatus(null);
+        setNewRecoveryPhrase(null);
+        setVerification(null);
+    }, []);
+
+    // Handle logout; wiping also deletes the message archive on this browser
+    const signOut = useCallback(async (wipe) => {
         try {
-            await authService.logout();
+            await authService.logout({ wipe });
             messagingService.disconnect();
+            resetSessionState();
             
-            setIsAuthenticated(false);
-            setCurrentUser(null);
-            setMessages([]);
-            setSelectedRecipient(CHATBOT_USERNAME);
-            setAvailableUsers([]);
-            
-            showToast('Logged out successfully', 'success');
+            showToast(wipe ? 'Logged out and wiped this browser' : 'Logged out successfully', 'success');
         } catch (error) {
             logger.error('Logout failed:', error);
         }
-    }, [showToast]);
+    }, [showToast, resetSessionState]);
+
+    const handleLogout = useCallback(() => signOut(false), [signOut]);
+    const handleLogoutAndWipe = useCallback(() => signOut(true), [signOut]);
+
+    // Drop the keys from memory until the quick unlock PIN is entered; the
+    // messages on screen stay for when the user comes back
+    const handleLock = useCallback(() => {
+        messagingService.disconnect();
+        authService.lock();
+        setIsAuthenticated(false);
+        setShowSettings(false);
+        setShowUserSelector(false);
+        setVerification(null);
+        setIsLocked(true);
+    }, []);
+
+    // Resolves with an error for the lock screen, or null once unlocked
+    const handleUnlock = useCallback(async (pin) => {
+        try {
+            await authService.unlockWithPin(pin);
+            setIsLocked(false);
+            enterSession(currentUser, false);
+            return null;
+        } catch (error) {
+            logger.error('Quick unlock failed:', error);
+            if (!error.pinLocked) {
+                return error.message || 'Unlock failed';
+            }
+
+            // The stored keys are gone: only the password works now
+            await authService.logout();
+            resetSessionState();
+            showToast(error.message, 'error');
+            return null;
+        }
+    }, [currentUser, enterSession, resetSessionState, showToast]);
+
+    // Lock after a while without input, but only when a PIN can unlock again
+    useEffect(() => {
+        if (!isAuthenticated || !pinEnabled) return;
+
+        const activityEvents = ['pointerdown', 'keydown', 'mousemove', 'touchstart', 'wheel'];
+        let timer = setTimeout(handleLock, IDLE_LOCK_MS);
+        const resetTimer = () => {
+            clearTimeout(timer);
+            timer = setTimeout(handleLock, IDLE_LOCK_MS);
+        };
+
+        activityEvents.forEach(type => document.addEventListener(type, resetTimer, { passive: true }));
+        return () => {
+            clearTimeout(timer);
+            activityEvents.forEach(type => document.removeEventListener(type, resetTimer));
+        };
+    }, [isAuthenticated, pinEnabled, handleLock]);
+
+    // Sign out when the server ends this session (revoked elsewhere, password
+    // changed elsewhere, device unlinked, or expired)
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        return messagingService.onSessionEnded(({ reason }) => {
+            // Our own logout is already handled by handleLogout
+            if (reason === 'logout') return;
+
+            const messages = {
+                expired: 'Your session expired. Please log in again.',
+                password_changed: 'Your password was changed. Please log in with the new one.',
+                key_rotated: 'Your encryption key was rotated on another device. Please log in again.',
+                device_unlinked: 'This device was unlinked from your account. Its keys and message history were deleted.'
+            };
+            authService.clearSession();
+            if (reason === 'device_unlinked') {
+                authService.wipeDevice();
+            }
+            resetSessionState();
+            showToast(messages[reason] || 'This session was signed out from another device.', 'info');
+        });
+    }, [isAuthenticated, resetSessionState, showToast]);
 
     const scrollToBottom = useCallback(() => {
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -262,6 +684,7 @@ function App() {
                 sender: CHATBOT_USERNAME,
                 content: response,
                 timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+                sentAt: new Date().toISOString(),
                 type: 'bot'
             };
 
@@ -277,17 +700,44 @@ function App() {
                 sender: CHATBOT_USERNAME,
                 content: '[ERROR] Failed to generate response. Check LM Studio connection.',
                 timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+                sentAt: new Date().toISOString(),
                 type: 'bot'
             };
             setMessages(prev => [...prev, errorMessage]);
         }
     }, [generateResponse]);
 
+    // Queue picked files; they are encrypted and uploaded when the message is sent
+    const handleAddAttachments = useCallback((files) => {
+        const accepted = files.filter(file => {
+            if (!ATTACHMENT_TYPES.includes(file.type)) {
+                showToast(`${file.name}: only images, text files and PDFs can be attached`, 'error');
+                return false;
+            }
+            if (file.size > MAX_ATTACHMENT_BYTES) {
+                showToast(`${file.name}: attachments are limited to ${Math.floor(MAX_ATTACHMENT_BYTES / 1024)} KB`, 'error');
+                return false;
+            }
+            return true;
+        });
+
+        setPendingAttachments(prev => {
+            if (prev.length + accepted.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+                showToast(`Up to ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`, 'error');
+            }
+            return [...prev, ...accepted].slice(0, MAX_ATTACHMENTS_PER_MESSAGE);
+        });
+    }, [showToast]);
+
+    const handleRemoveAttachment = useCallback((index) => {
+        setPendingAttachments(prev => prev.filter((_, i) => i !== index));
+    }, []);
+
     const handleSendMessage = useCallback(async () => {
         // Prevent multiple simultaneous sends
         if (isSending) return;
         
-        if (!inputMessage.trim()) {
+        if (!inputMessage.trim() && pendingAttachments.length === 0) {
             showToast('Please enter a message', 'error');
             return;
         }
@@ -296,10 +746,16 @@ function App() {
             showToast('Please select a recipient', 'error');
             return;
         }
+
+        if (selectedRecipient === CHATBOT_USERNAME && pendingAttachments.length > 0) {
+            showToast('The ChatBot cannot receive attachments', 'error');
+            return;
+        }
         
         setIsSending(true);
 
         const messageContent = inputMessage;
+        const files = pendingAttachments;
         const tempId = generateMessageId();
         
         // Add optimistic message to UI
@@ -309,12 +765,15 @@ function App() {
             recipient: selectedRecipient,
             content: messageContent,
             timestamp: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' }),
+            sentAt: new Date().toISOString(),
             type: 'sent',
             status: 'sending'
         };
 
         setMessages(prev => [...prev, optimisticMessage]);
         setInputMessage('');
+        setPendingAttachments([]);
+        messagingService.stopTyping();
         setWebhookStatus('sending');
 
         // Check if sending to ChatBot (for LLM responses)
@@ -331,14 +790,23 @@ function App() {
         } else {
             // Send to real user via backend
             try {
-                const result = await messagingService.sendMessage(selectedRecipient, messageContent);
+                const channel = findChannel(channels, selectedRecipient);
+                const attachments = await Promise.all(files.map(file => attachmentService.upload(file)));
+                const result = channel
+                    ? await channelService.sendMessage(channel.channelId, messageContent, attachments)
+                    : await messagingService.sendMessage(selectedRecipient, messageContent, true, attachments);
+                const earlyReceipt = pendingReceiptsRef.current.get(result.messageId);
+                pendingReceiptsRef.current.delete(result.messageId);
                 
                 // Update message with real ID and status
                 setMessages(prev => prev.map(msg => 
                     msg.id === tempId ? { 
                         ...msg, 
                         id: result.messageId,
-                        status: result.status,
+                        ...(attachments.length > 0 ? { attachments } : {}),
+                        // Channel pages are broadcast, so "sent" is as far as they go
+                        status: channel ? 'sent' : advanceStatus(result.status, earlyReceipt),
+                        sentAt: result.timestamp,
                         timestamp: new Date(result.timestamp).toLocaleTimeString('en-US', {
                             hour: '2-digit',
                             minute: '2-digit'
@@ -356,13 +824,20 @@ function App() {
                 setWebhookStatus('connected');
                 setIsSending(false);
                 showToast(error.message || 'Failed to send message', 'error');
+                // A verified contact's key changed: ask the user to compare again
+                if (error.keyChanged) {
+                    handleVerifyUser(error.username);
+                }
             }
         }
-    }, [inputMessage, selectedRecipient, showToast, handleChatbotResponse, isSending]);
+    }, [inputMessage, pendingAttachments, selectedRecipient, channels, showToast, handleChatbotResponse, handleVerifyUser, isSending]);
 
     const handleClearMessages = useCallback(() => {
         setMessages([]);
         setHasNewMessage(false);
+        archiveService.clearMessages().catch(error => {
+            logger.error('Failed to clear message archive:', error);
+        });
     }, []);
 
     const handleCopyWebhookUrl = useCallback(async () => {
@@ -381,10 +856,217 @@ function App() {
         setShowSettings(false);
     }, []);
 
+    const handleToggleReadReceipts = useCallback(async (e) => {
+        const readReceipts = e.target.checked;
+        try {
+            const preferences = await authService.updatePreferences({ readReceipts });
+            setCurrentUser(prev => ({ ...prev, preferences }));
+            showToast(`Read receipts ${readReceipts ? 'on' : 'off'}`, 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to update preferences:', error);
+            showToast(error.message || 'Failed to update preferences', 'error');
+        }
+    }, [showToast]);
+
+    const handleRevokeSession = useCallback(async (id) => {
+        try {
+            await authService.revokeSession(id);
+            setSessions(prev => prev.filter(session => session.id !== id));
+            showToast('Session signed out', 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to revoke session:', error);
+            showToast(error.message || 'Failed to sign out session', 'error');
+        }
+    }, [showToast]);
+
+    const handleRevokeOtherSessions = useCallback(async () => {
+        try {
+            const revoked = await authService.revokeOtherSessions();
+            setSessions(prev => prev.filter(session => session.current));
+            showToast(`Signed out ${revoked} other session${revoked !== 1 ? 's' : ''}`, 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to revoke sessions:', error);
+            showToast(error.message || 'Failed to sign out other sessions', 'error');
+        }
+    }, [showToast]);
+
+    const loadDevices = useCallback(() => {
+        authService.getDevices()
+            .then(setDevices)
+            .catch(error => logger.error('Failed to load devices:', error));
+    }, []);
+
+    // Resolves true once the device showing the code has been sent our keys
+    const handleApproveDevice = useCallback(async (code) => {
+        try {
+            const name = await authService.approveDeviceLink(code);
+            showToast(`Keys sent to ${name}. It appears here once it signs in.`, 'success');
+            return true;
+        } catch (error) {
+            logger.error('Failed to link device:', error);
+            showToast(error.message || 'Failed to link device', 'error');
+            return false;
+        }
+    }, [showToast]);
+
+    const handleUnlinkDevice = useCallback(async (deviceId) => {
+        try {
+            await authService.unlinkDevice(deviceId);
+            setDevices(prev => prev.filter(device => device.deviceId !== deviceId));
+            authService.getSessions()
+                .then(setSessions)
+                .catch(error => logger.error('Failed to load sessions:', error));
+            showToast('Device unlinked', 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to unlink device:', error);
+            showToast(error.message || 'Failed to unlink device', 'error');
+        }
+    }, [showToast]);
+
+    // Resolves true once the password has changed
+    const handleChangePassword = useCallback(async (currentPassword, newPassword) => {
+        try {
+            const revoked = await authService.changePassword(currentPassword, newPassword);
+            setSessions(prev => prev.filter(session => session.current));
+            showToast(
+                `Password changed${revoked ? `, signed out ${revoked} other session${revoked !== 1 ? 's' : ''}` : ''}`,
+                'success'
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to change password:', error);
+            showToast(error.message || 'Failed to change password', 'error');
+            return false;
+        }
+    }, [showToast]);
+
+    const loadRecoveryKitStatus = useCallback(() => {
+        authService.getRecoveryKitStatus()
+            .then(setRecoveryKitStatus)
+            .catch(error => logger.error('Failed to load recovery kit status:', error));
+    }, []);
+
+    const handleCreateRecoveryKit = useCallback(async () => {
+        try {
+            setNewRecoveryPhrase(await authService.createRecoveryKit());
+        } catch (error) {
+            logger.error('Failed to create recovery kit:', error);
+            showToast(error.message || 'Failed to create recovery kit', 'error');
+        }
+    }, [showToast]);
+
+    const handleRecoveryKitSaved = useCallback(() => {
+        setNewRecoveryPhrase(null);
+        loadRecoveryKitStatus();
+    }, [loadRecoveryKitStatus]);
+
+    const handleRotateKey = useCallback(async (password) => {
+        try {
+            const { revoked, recoveryKitRemoved } = await authService.rotateEncryptionKey(password);
+            setSessions(prev => prev.filter(session => session.current));
+            if (recoveryKitRemoved) {
+                loadRecoveryKitStatus();
+            }
+            showToast(
+                `Encryption key rotated${revoked ? `, signed out ${revoked} other session${revoked !== 1 ? 's' : ''}` : ''}` +
+                    (recoveryKitRemoved ? '. Create a new recovery kit, the old one no longer works.' : ''),
+                'success'
+            );
+            return true;
+        } catch (error) {
+            logger.error('Failed to rotate encryption key:', error);
+            showToast(error.message || 'Failed to rotate encryption key', 'error');
+            return false;
+        }
+    }, [showToast, loadRecoveryKitStatus]);
+
+    // Resolves true once the PIN is set
+    const handleEnablePin = useCallback(async (pin) => {
+        try {
+            await authService.enablePinUnlock(pin);
+            setPinEnabled(true);
+            showToast('Quick unlock on. A reload now only asks for your PIN.', 'success');
+            return true;
+        } catch (error) {
+            logger.error('Failed to enable quick unlock:', error);
+            showToast(error.message || 'Failed to enable quick unlock', 'error');
+            return false;
+        }
+    }, [showToast]);
+
+    const handleDisablePin = useCallback(async () => {
+        try {
+            await authService.disablePinUnlock();
+            setPinEnabled(false);
+            showToast('Quick unlock off. Your key was removed from this browser.', 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to disable quick unlock:', error);
+            showToast(error.message || 'Failed to turn off quick unlock', 'error');
+        }
+    }, [showToast]);
+
+    const loadTwoFactorStatus = useCallback(() => {
+        authService.getTwoFactorStatus()
+            .then(setTwoFactorStatus)
+            .catch(error => logger.error('Failed to load two-factor status:', error));
+    }, []);
+
+    const handleStartTwoFactorSetup = useCallback(async () => {
+        try {
+            setTwoFactorSetup(await authService.setupTwoFactor());
+        } catch (error) {
+            logger.error('Failed to start two-factor setup:', error);
+            showToast(error.message || 'Failed to start two-factor setup', 'error');
+        }
+    }, [showToast]);
+
+    // Resolves with the recovery codes once the first code checks out
+    const handleEnableTwoFactor = useCallback(code => authService.enableTwoFactor(code), []);
+
+    const handleFinishTwoFactorSetup = useCallback(() => {
+        setTwoFactorSetup(null);
+        loadTwoFactorStatus();
+    }, [loadTwoFactorStatus]);
+
+    // Resolves true once two-factor is off
+    const handleDisableTwoFactor = useCallback(async (password, code) => {
+        try {
+            await authService.disableTwoFactor(password, { code });
+            loadTwoFactorStatus();
+            showToast('Two-factor authentication turned off', 'success', 2000);
+            return true;
+        } catch (error) {
+            logger.error('Failed to disable two-factor:', error);
+            showToast(error.message || 'Failed to turn off two-factor', 'error');
+            return false;
+        }
+    }, [showToast, loadTwoFactorStatus]);
+
+    // Resolves with the new recovery codes, or null on failure
+    const handleRegenerateRecoveryCodes = useCallback(async (code) => {
+        try {
+            const recoveryCodes = await authService.regenerateRecoveryCodes(code);
+            loadTwoFactorStatus();
+            return recoveryCodes;
+        } catch (error) {
+            logger.error('Failed to regenerate recovery codes:', error);
+            showToast(error.message || 'Failed to regenerate recovery codes', 'error');
+            return null;
+        }
+    }, [showToast, loadTwoFactorStatus]);
+
     // Memoize mode switching callbacks
     const handleModeChangeToPager = useCallback(() => setMode(MODE_PAGER), []);
     const handleModeChangeToFax = useCallback(() => setMode(MODE_FAX), []);
-    const handleOpenSettings = useCallback(() => setShowSettings(true), []);
+    const handleOpenSettings = useCallback(() => {
+        setShowSettings(true);
+        authService.getSessions()
+            .then(setSessions)
+            .catch(error => logger.error('Failed to load sessions:', error));
+        loadDevices();
+        loadTwoFactorStatus();
+        loadRecoveryKitStatus();
+    }, [loadDevices, loadTwoFactorStatus, loadRecoveryKitStatus]);
     const handleCloseSettings = useCallback(() => setShowSettings(false), []);
     const handleScrollToTop = useCallback(() => window.scrollTo(0, 0), []);
     const handleScrollToBottom = useCallback(() => window.scrollTo(0, document.body.scrollHeight), []);
@@ -392,18 +1074,96 @@ function App() {
     // User selector handlers
     const handleOpenUserSelector = useCallback(() => {
         loadAvailableUsers(); // Refresh user list
+        loadChannels();
         setShowUserSelector(true);
-    }, [loadAvailableUsers]);
+    }, [loadAvailableUsers, loadChannels]);
     
     const handleCloseUserSelector = useCallback(() => setShowUserSelector(false), []);
     
+    // Show a channel's recent history when it is selected
+    const loadChannelHistory = useCallback(async (channel) => {
+        try {
+            const page = await messagingService.getChannelHistory(channel.channelId);
+            const history = page.messages.map(message => {
+                const display = toReceivedMessage({ ...message, channel: channel.name });
+                return message.fromUserId === currentUser?.userId
+                    ? { ...display, sender: 'You', type: 'sent', status: 'sent' }
+                    : display;
+            });
+
+            setMessages(prev => {
+                const knownIds = new Set(prev.map(msg => msg.id));
+                return [...history.filter(msg => !knownIds.has(msg.id)), ...prev];
+            });
+        } catch (error) {
+            logger.error('Failed to load channel history:', error);
+        }
+    }, [currentUser]);
+
     const handleSelectRecipient = useCallback((username) => {
         setSelectedRecipient(username);
         showToast(`Recipient set to: ${username}`, 'success', 2000);
+
+        // The conversation's full history from the archive
+        archiveService.getConversation(username)
+            .then(mergeArchived)
+            .catch(error => logger.error('Failed to load archived conversation:', error));
+
+        const channel = findChannel(channels, username);
+        if (channel) {
+            loadChannelHistory(channel);
+        }
+    }, [channels, loadChannelHistory, mergeArchived, showToast]);
+
+    const handleCreateChannel = useCallback(async (name) => {
+        try {
+            const channel = await channelService.createChannel(name);
+            setChannels(prev => [...prev, channel].sort((a, b) => a.name.localeCompare(b.name)));
+            showToast(`Channel #${channel.name} created (CAP ${channel.capcode})`, 'success', 2000);
+            return channel;
+        } catch (error) {
+            logger.error('Failed to create channel:', error);
+            showToast(error.message || 'Failed to create channel', 'error');
+            return null;
+        }
+    }, [showToast]);
+
+    const handleJoinChannel = useCallback(async (channel) => {
+        try {
+            const joined = await channelService.joinChannel(channel.channelId);
+            setChannels(prev => prev.map(c => c.channelId === joined.channelId ? joined : c));
+            showToast(`Joined #${joined.name}`, 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to join channel:', error);
+            showToast(error.message || 'Failed to join channel', 'error');
+        }
+    }, [showToast]);
+
+    const handleLeaveChannel = useCallback(async (channel) => {
+        try {
+            const left = await channelService.leaveChannel(channel.channelId);
+            setChannels(prev => prev.map(c => c.channelId === left.channelId ? left : c));
+            setSelectedRecipient(prev => (prev === `#${left.name}` ? CHATBOT_USERNAME : prev));
+            showToast(`Left #${left.name}`, 'success', 2000);
+        } catch (error) {
+            logger.error('Failed to leave channel:', error);
+            showToast(error.message || 'Failed to leave channel', 'error');
+        }
     }, [showToast]);
 
     // Memoize input handlers
-    const handleInputChange = useCallback((e) => setInputMessage(e.target.value), []);
+    const handleInputChange = useCallback((e) => {
+        const value = e.target.value;
+        setInputMessage(value);
+
+        // Only humans get a typing signal, and only in direct messages
+        if (selectedRecipient === CHATBOT_USERNAME || selectedRecipient.startsWith('#')) return;
+        if (value.trim()) {
+            messagingService.notifyTyping(selectedRecipient);
+        } else {
+            messagingService.stopTyping();
+        }
+    }, [selectedRecipient]);
     const handleKeyPress = useCallback((e) => {
         if (e.key === 'Enter') {
             handleSendMessage();
@@ -421,9 +1181,56 @@ function App() {
         return { startIndex, total: messages.length };
     }, [messages.length]);
 
+    // Mark received messages read once they are on screen
+    useEffect(() => {
+        if (!isAuthenticated) return;
+
+        const markDisplayedAsRead = () => {
+            if (document.visibilityState === 'hidden') return;
+
+            const displayed = mode === MODE_PAGER ? recentPagerMessages : messages;
+            const unreadIds = displayed.filter(msg => msg.unread).map(msg => msg.id);
+            if (unreadIds.length === 0) return;
+
+            setMessages(prev => prev.map(msg =>
+                unreadIds.includes(msg.id) ? { ...msg, unread: false, status: 'read' } : msg
+            ));
+            unreadIds.forEach(messageId => {
+                messagingService.markAsRead(messageId).catch(error => {
+                    logger.error('Failed to mark message as read:', error);
+                });
+            });
+        };
+
+        markDisplayedAsRead();
+        document.addEventListener('visibilitychange', markDisplayedAsRead);
+        return () => document.removeEventListener('visibilitychange', markDisplayedAsRead);
+    }, [isAuthenticated, mode, messages, recentPagerMessages]);
+
+    // Ask for the quick unlock PIN while the keys are locked away
+    if (isLocked) {
+        return (
+            <PinLock
+                username={currentUser?.username || ''}
+                onUnlock={handleUnlock}
+                onUsePassword={handleLogout}
+            />
+        );
+    }
+
     // Show login screen if not authenticated
     if (!isAuthenticated) {
-        return <LoginScreen onLogin={handleLogin} />;
+        return (
+            <LoginScreen
+                onLogin={handleLogin}
+                onRecover={handleRecover}
+                onEnableTwoFactor={handleEnableTwoFactor}
+                onFinishSetup={handleFinishRegistrationSetup}
+                onStartLink={handleStartDeviceLink}
+                onCheckLink={handleCheckDeviceLink}
+                onCancelLink={handleCancelDeviceLink}
+            />
+        );
     }
 
     return (
@@ -459,6 +1266,7 @@ function App() {
                         recentPagerMessages={recentPagerMessages}
                         messageNumberingInfo={messageNumberingInfo}
                         isTyping={isTyping}
+                        typingUsers={typingUsers}
                         llmGenerating={llmGenerating}
                         hasNewMessage={hasNewMessage}
                         webhookStatus={webhookStatus}
@@ -477,11 +1285,15 @@ function App() {
                         onInputChange={handleInputChange}
                         onKeyPress={handleKeyPress}
                         onSendMessage={handleSendMessage}
+                        pendingAttachments={pendingAttachments}
+                        onAddAttachments={handleAddAttachments}
+                        onRemoveAttachment={handleRemoveAttachment}
                     />
                 ) : (
                     <FaxView
                         messages={messages}
                         isTyping={isTyping}
+                        typingUsers={typingUsers}
                         llmGenerating={llmGenerating}
                         hasNewMessage={hasNewMessage}
                         webhookStatus={webhookStatus}
@@ -498,6 +1310,9 @@ function App() {
                         onInputChange={handleInputChange}
                         onKeyPress={handleKeyPress}
                         onSendMessage={handleSendMessage}
+                        pendingAttachments={pendingAttachments}
+                        onAddAttachments={handleAddAttachments}
+                        onRemoveAttachment={handleRemoveAttachment}
                     />
                 )}
             </div>
@@ -550,9 +1365,143 @@ function App() {
                                     >
                                         Logout
                                     </button>
+                                    <button
+                                        type="button"
+                                        className="settings-cancel-btn"
+                                        onClick={handleLogoutAndWipe}
+                                        style={{ marginTop: '10px' }}
+                                    >
+                                        Logout and wipe this browser
+                                    </button>
+                                    <p className="settings-description">
+                                        Your message history is kept on this device, encrypted so only
+                                        your key opens it. Wiping deletes it for every account here.
+                                    </p>
                                 </div>
                             </div>
 
+                            <div className="settings-section">
+                                <h3>✓✓ Read Receipts</h3>
+                                <label className="settings-checkbox">
+                                    <input
+                                        type="checkbox"
+                                        checked={currentUser?.preferences?.readReceipts !== false}
+                                        onChange={handleToggleReadReceipts}
+                                    />
+                                    <span>Let senders see when I have read their messages</span>
+                                </label>
+                                <p className="settings-description">
+                                    Senders still see when a message reaches you.
+                                </p>
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>🔑 Active Sessions</h3>
+                                <ul className="settings-sessions">
+                                    {sessions.map(session => (
+                                        <li key={session.id} className="settings-session">
+                                            <span>
+                                                {session.current ? '▶ THIS DEVICE' : session.userAgent || 'Unknown device'}
+                                                <br />
+                                                <small>
+                                                    Since {new Date(session.createdAt).toLocaleString()}
+                                                    {' · '}Last used {new Date(session.lastUsedAt).toLocaleString()}
+                                                </small>
+                                            </span>
+                                            {!session.current && (
+                                                <button
+                                                    type="button"
+                                                    className="settings-cancel-btn"
+                                                    onClick={() => handleRevokeSession(session.id)}
+                                                >
+                                                    Sign out
+                                                </button>
+                                            )}
+                                        </li>
+                                    ))}
+                                </ul>
+                                {sessions.some(session => !session.current) && (
+                                    <button
+                                        type="button"
+                                        className="settings-cancel-btn"
+                                        onClick={handleRevokeOtherSessions}
+                                    >
+                                        Sign out all other sessions
+                                    </button>
+                                )}
+                                <p className="settings-description">
+                                    Sessions end after a week without use and 30 days after login.
+                                </p>
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>📱 Linked Devices</h3>
+                                <DeviceSettings
+                                    devices={devices}
+                                    onApprove={handleApproveDevice}
+                                    onUnlink={handleUnlinkDevice}
+                                />
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>🔒 Change Password</h3>
+                                <PasswordSettings onChangePassword={handleChangePassword} />
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>🔑 Encryption Key</h3>
+                                <KeyRotationSettings onRotateKey={handleRotateKey} />
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>📟 Quick Unlock</h3>
+                                <QuickUnlockSettings
+                                    enabled={pinEnabled}
+                                    onEnable={handleEnablePin}
+                                    onDisable={handleDisablePin}
+                                    onLockNow={handleLock}
+                                />
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>🛟 Recovery Kit</h3>
+                                {newRecoveryPhrase ? (
+                                    <RecoveryKit
+                                        username={currentUser?.username || ''}
+                                        phrase={newRecoveryPhrase}
+                                        onDone={handleRecoveryKitSaved}
+                                    />
+                                ) : (
+                                    <>
+                                        <button
+                                            type="button"
+                                            className="settings-save-btn"
+                                            onClick={handleCreateRecoveryKit}
+                                        >
+                                            {recoveryKitStatus?.enabled ? 'Replace recovery kit' : 'Create recovery kit'}
+                                        </button>
+                                        <p className="settings-description">
+                                            {recoveryKitStatus?.enabled
+                                                ? `Kit created ${new Date(recoveryKitStatus.createdAt).toLocaleString()}. A new kit makes the old phrase useless.`
+                                                : 'A printable phrase that resets your password without losing your messages.'}
+                                        </p>
+                                    </>
+                                )}
+                            </div>
+
+                            <div className="settings-section">
+                                <h3>🔐 Two-Factor Authentication</h3>
+                                <TwoFactorSettings
+                                    status={twoFactorStatus}
+                                    setup={twoFactorSetup}
+                                    onStartSetup={handleStartTwoFactorSetup}
+                                    onConfirmSetup={handleEnableTwoFactor}
+                                    onFinishSetup={handleFinishTwoFactorSetup}
+                                    onDisable={handleDisableTwoFactor}
+                                    onRegenerateCodes={handleRegenerateRecoveryCodes}
+                                />
+                            </div>
+
                             <div className="settings-section">
                                 <h3>🤖 LLM Status</h3>
                                 <div className="llm-status-display">
@@ -659,11 +1608,25 @@ function App() {
             {showUserSelector && (
                 <UserSelector
                     users={availableUsers}
+                    channels={channels}
                     currentRecipient={selectedRecipient}
                     onSelectUser={handleSelectRecipient}
+                    onCreateChannel={handleCreateChannel}
+                    onJoinChannel={handleJoinChannel}
+                    onLeaveChannel={handleLeaveChannel}
+                    onVerifyUser={handleVerifyUser}
                     onClose={handleCloseUserSelector}
                 />
             )}
+
+            {verification && (
+                <SafetyNumber
+                    verification={verification}
+                    onConfirm={handleConfirmVerification}
+                    onClear={handleClearVerification}
+                    onClose={handleCloseVerification}
+                />
+            )}
         </div>
     );
 }
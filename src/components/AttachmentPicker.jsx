@@ -0,0 +1,68 @@
+import React, { useRef } from 'react';
+import PropTypes from 'prop-types';
+import { ATTACHMENT_TYPES } from '../utils/constants';
+import { formatAttachmentStub } from '../utils/attachments';
+import './Attachments.css';
+
+/**
+ * Attach button and the list of files waiting to be sent
+ * Files are only encrypted and uploaded when the message is sent.
+ */
+function AttachmentPicker({ files, onAdd, onRemove, disabled = false }) {
+  const inputRef = useRef(null);
+
+  const handleChange = (e) => {
+    onAdd(Array.from(e.target.files));
+    // Let the same file be picked again after it was removed
+    e.target.value = '';
+  };
+
+  return (
+    <div className="attachment-picker">
+      <input
+        ref={inputRef}
+        type="file"
+        className="attachment-picker__input"
+        accept={ATTACHMENT_TYPES.join(',')}
+        multiple
+        onChange={handleChange}
+        tabIndex={-1}
+        aria-hidden="true"
+      />
+      <button
+        type="button"
+        className="attachment-picker__button"
+        onClick={() => inputRef.current.click()}
+        disabled={disabled}
+        aria-label="Attach files"
+      >
+        📎 ATTACH
+      </button>
+      {files.map((file, index) => (
+        <span key={`${file.name}-${index}`} className="attachment-picker__file">
+          {file.name} {formatAttachmentStub(file)}
+          <button
+            type="button"
+            className="attachment-picker__remove"
+            onClick={() => onRemove(index)}
+            aria-label={`Remove ${file.name}`}
+          >
+            ✕
+          </button>
+        </span>
+      ))}
+    </div>
+  );
+}
+
+AttachmentPicker.propTypes = {
+  files: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string.isRequired,
+    size: PropTypes.number.isRequired
+  })).isRequired,
+  onAdd: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default AttachmentPicker;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { MAX_USERNAME_LENGTH, DEVICE_LINK_POLL_MS } from '../utils/constants';
+import './DeviceLinkRequest.css';
+
+/**
+ * Link this device to an account that is unlocked on another device
+ * Asks for the username, then shows the link code to enter on the other
+ * device and waits for it to send the keys over.
+ */
+function DeviceLinkRequest({ initialUsername = '', onStart, onCheck, onCancel }) {
+  const [username, setUsername] = useState(initialUsername);
+  const [deviceName, setDeviceName] = useState('');
+  const [link, setLink] = useState(null); // { code, expiresAt }
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Poll until the other device approves; onCheck resolves true once linked
+  useEffect(() => {
+    if (!link) return undefined;
+
+    let cancelled = false;
+    let timer;
+    const check = async () => {
+      try {
+        if (await onCheck() || cancelled) return;
+        timer = setTimeout(check, DEVICE_LINK_POLL_MS);
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Failed to link device');
+          setLink(null);
+        }
+      }
+    };
+    timer = setTimeout(check, DEVICE_LINK_POLL_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [link, onCheck]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!username.trim()) {
+      setError('Username is required');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    try {
+      setLink(await onStart(username.trim(), deviceName.trim()));
+    } catch (err) {
+      setError(err.message || 'Failed to start linking');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (link) {
+    return (
+      <div className="login-form device-link">
+        <div className="device-link__label">ENTER THIS CODE ON YOUR OTHER DEVICE:</div>
+        <div className="device-link__code" aria-label="Link code">{link.code}</div>
+        <p className="device-link__text">
+          Open Settings → Linked Devices there. Only approve if the code matches
+          this screen. Waiting until {new Date(link.expiresAt).toLocaleTimeString()}...
+        </p>
+        <button type="button" className="login-toggle-button" onClick={onCancel}>
+          ← Cancel
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="login-form">
+      <div className="login-input-group">
+        <label htmlFor="link-username" className="login-label">
+          USERNAME:
+        </label>
+        <input
+          id="link-username"
+          type="text"
+          className="login-input"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+          placeholder="Enter your handle..."
+          disabled={isLoading}
+          autoFocus
+          maxLength={MAX_USERNAME_LENGTH}
+        />
+      </div>
+
+      <div className="login-input-group">
+        <label htmlFor="link-device-name" className="login-label">
+          DEVICE NAME:
+        </label>
+        <input
+          id="link-device-name"
+          type="text"
+          className="login-input"
+          value={deviceName}
+          onChange={(e) => setDeviceName(e.target.value)}
+          placeholder="e.g. Work laptop"
+          disabled={isLoading}
+          maxLength={60}
+        />
+      </div>
+
+      {error && (
+        <div className="login-error">
+          ✗ ERROR: {error}
+        </div>
+      )}
+
+      <button
+        type="submit"
+        className="login-button"
+        disabled={isLoading || !username.trim()}
+      >
+        {isLoading ? '⏳ PROCESSING...' : '→ SHOW LINK CODE'}
+      </button>
+
+      <button
+        type="button"
+        className="login-toggle-button"
+        onClick={onCancel}
+        disabled={isLoading}
+      >
+        ← Back to Login
+      </button>
+    </form>
+  );
+}
+
+DeviceLinkRequest.propTypes = {
+  initialUsername: PropTypes.string,
+  onStart: PropTypes.func.isRequired,
+  onCheck: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default DeviceLinkRequest;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { normalizeLinkCode } from '../utils/fingerprint.js';
+
+/**
+ * Linked devices section of the settings modal: approve a new device by the
+ * code it shows, and unlink old ones
+ * Not a <form> so it can sit inside the settings form.
+ */
+function DeviceSettings({ devices, onApprove, onUnlink }) {
+  const [code, setCode] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleApprove = async () => {
+    setIsLoading(true);
+    if (await onApprove(code)) {
+      setCode('');
+    }
+    setIsLoading(false);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (code.length === 11) {
+        handleApprove();
+      }
+    }
+  };
+
+  return (
+    <>
+      <input
+        type="text"
+        className="settings-input"
+        aria-label="Link code"
+        placeholder="Code shown on the new device (XXXXX-XXXXX)"
+        autoComplete="off"
+        spellCheck={false}
+        maxLength={11}
+        value={code}
+        onChange={(e) => setCode(normalizeLinkCode(e.target.value))}
+        onKeyDown={handleKeyDown}
+        disabled={isLoading}
+      />
+      <button
+        type="button"
+        className="settings-save-btn"
+        onClick={handleApprove}
+        disabled={isLoading || code.length !== 11}
+      >
+        Link device
+      </button>
+      {devices.length > 0 && (
+        <ul className="settings-sessions">
+          {devices.map(device => (
+            <li key={device.deviceId} className="settings-session">
+              <span>
+                {device.current ? `▶ ${device.name} (THIS DEVICE)` : device.name}
+                <br />
+                <small>
+                  Linked {new Date(device.linkedAt).toLocaleString()}
+                  {' · '}
+                  {device.active ? `Last used ${new Date(device.lastUsedAt).toLocaleString()}` : 'Signed out'}
+                </small>
+              </span>
+              {!device.current && (
+                <button
+                  type="button"
+                  className="settings-cancel-btn"
+                  onClick={() => onUnlink(device.deviceId)}
+                >
+                  Unlink
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="settings-description">
+        On the new device, choose &quot;Link this device&quot; at login and type the
+        code it shows here. Your key is sent to it encrypted end to end; the
+        server never sees it. Only enter a code you can see on your own screen.
+        Unlinking signs the device out and has it delete your key and archive.
+      </p>
+    </>
+  );
+}
+
+DeviceSettings.propTypes = {
+  devices: PropTypes.arrayOf(PropTypes.shape({
+    deviceId: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    linkedAt: PropTypes.string.isRequired,
+    lastUsedAt: PropTypes.string,
+    active: PropTypes.bool,
+    current: PropTypes.bool
+  })).isRequired,
+  onApprove: PropTypes.func.isRequired,
+  onUnlink: PropTypes.func.isRequired
+};
+
+export default DeviceSettings;
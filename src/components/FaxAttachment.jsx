@@ -0,0 +1,74 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { attachmentService } from '../services/AttachmentService';
+import { formatAttachmentStub, isImageAttachment } from '../utils/attachments';
+import './Attachments.css';
+
+/**
+ * An attachment as printed by the fax: images come out as extra received
+ * pages, other files as a stub that opens the file
+ */
+function FaxAttachment({ attachment, pageLabel }) {
+  const [url, setUrl] = useState(null);
+  const [error, setError] = useState('');
+  const isImage = isImageAttachment(attachment);
+
+  useEffect(() => {
+    if (!isImage) return undefined;
+
+    let cancelled = false;
+    attachmentService.getObjectUrl(attachment)
+      .then(objectUrl => !cancelled && setUrl(objectUrl))
+      .catch(err => !cancelled && setError(err.message || 'Failed to load attachment'));
+    return () => {
+      cancelled = true;
+    };
+  }, [attachment, isImage]);
+
+  const handleOpen = async () => {
+    try {
+      window.open(await attachmentService.getObjectUrl(attachment), '_blank', 'noopener');
+    } catch (err) {
+      setError(err.message || 'Failed to load attachment');
+    }
+  };
+
+  if (!isImage) {
+    return (
+      <div className="fax-attachment">
+        {formatAttachmentStub(attachment)} {attachment.name}
+        {' '}
+        <button type="button" className="fax-attachment__open" onClick={handleOpen}>
+          OPEN
+        </button>
+        {error && <div className="fax-attachment__error">✗ {error}</div>}
+      </div>
+    );
+  }
+
+  return (
+    <div className="fax-attachment fax-attachment--page">
+      <div className="fax-header-line">
+        PAGE: {pageLabel} | {attachment.name.toUpperCase()}
+      </div>
+      {error && <div className="fax-attachment__error">✗ {error}</div>}
+      {!error && (url
+        ? <img className="fax-attachment__image" src={url} alt={attachment.name} />
+        : <div className="typing-dots">RECEIVING<span>.</span><span>.</span><span>.</span></div>)}
+    </div>
+  );
+}
+
+FaxAttachment.propTypes = {
+  attachment: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    key: PropTypes.string.isRequired,
+    iv: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    type: PropTypes.string.isRequired,
+    size: PropTypes.number.isRequired
+  }).isRequired,
+  pageLabel: PropTypes.string.isRequired
+};
+
+export default FaxAttachment;
@@ -4,7 +4,10 @@ import { useConfig } from '../contexts/ConfigContext.jsx';
 import { renderFaxWithAnimation } from '../utils/faxRenderer.js';
 import { retryFetch } from '../utils/retry.js';
 import { logger } from '../utils/logger.js';
+import { generateMessageId } from '../utils/generateId.js';
+import { archiveService } from '../services/ArchiveService.js';
 import Toast from './Toast.jsx';
+import FaxScanner from './FaxScanner.jsx';
 import './FaxInterface.css';
 import {
     MAX_FAX_ARCHIVE,
@@ -57,6 +60,7 @@ const FaxInterface = () => {
   const [selectedFax, setSelectedFax] = useState(null);
   const [isTransmitting, setIsTransmitting] = useState(false);
   const [isSending, setIsSending] = useState(false);
+  const [showScanner, setShowScanner] = useState(false);
   const [toast, setToast] = useState(null);
   
   // Track blob URLs for cleanup to prevent memory leaks
@@ -77,6 +81,16 @@ const FaxInterface = () => {
     };
   }, []);
 
+  // Show the faxes archived on this device (when the archive is open)
+  useEffect(() => {
+    archiveService.getFaxes(MAX_FAX_ARCHIVE)
+      .then(archived => setFaxArchive(prev => [
+        ...archived.filter(fax => !prev.some(doc => doc.id === fax.id)),
+        ...prev
+      ].slice(-MAX_FAX_ARCHIVE)))
+      .catch(error => logger.error('Failed to load fax archive:', error));
+  }, []);
+
   // Note: Blob URL cleanup is now handled directly in the state setter
   // to prevent memory leaks more efficiently
 
@@ -97,6 +111,30 @@ const FaxInterface = () => {
     processNewMessages();
   }, [messages]);
 
+  /**
+   * Add a fax document to the archive (limit to MAX_FAX_ARCHIVE)
+   * @param {Object} faxDoc - Fax document
+   */
+  const addToArchive = (faxDoc) => {
+    setFaxArchive(prev => {
+      const updated = [...prev, faxDoc];
+      const trimmed = updated.slice(-MAX_FAX_ARCHIVE);
+      
+      // Revoke URLs for removed items immediately
+      if (updated.length > MAX_FAX_ARCHIVE) {
+        const removed = updated.slice(0, updated.length - MAX_FAX_ARCHIVE);
+        removed.forEach(fax => {
+          if (fax.imageDataUrl?.startsWith('blob:')) {
+            URL.revokeObjectURL(fax.imageDataUrl);
+            blobUrlsRef.current.delete(fax.imageDataUrl);
+          }
+        });
+      }
+      
+      return trimmed;
+    });
+  };
+
   /**
    * Render a new fax document with animation
    * @param {import('../types/index.js').Message} message - Message to render
@@ -135,25 +173,9 @@ const FaxInterface = () => {
         sender: message.sender,
         content: message.content
       };
+      archiveService.saveFax(faxDoc).catch(error => logger.error('Failed to archive fax:', error));
 
-      // Add to archive (limit to MAX_FAX_ARCHIVE)
-      setFaxArchive(prev => {
-        const updated = [...prev, faxDoc];
-        const trimmed = updated.slice(-MAX_FAX_ARCHIVE);
-        
-        // Revoke URLs for removed items immediately
-        if (updated.length > MAX_FAX_ARCHIVE) {
-          const removed = updated.slice(0, updated.length - MAX_FAX_ARCHIVE);
-          removed.forEach(fax => {
-            if (fax.imageDataUrl?.startsWith('blob:')) {
-              URL.revokeObjectURL(fax.imageDataUrl);
-              blobUrlsRef.current.delete(fax.imageDataUrl);
-            }
-          });
-        }
-        
-        return trimmed;
-      });
+      addToArchive(faxDoc);
 
       setIsTransmitting(false);
       
@@ -183,25 +205,9 @@ const FaxInterface = () => {
         content: message.content,
         isFallback: true
       };
+      archiveService.saveFax(fallbackDoc).catch(error => logger.error('Failed to archive fax:', error));
 
-      // Add to archive (limit to MAX_FAX_ARCHIVE)
-      setFaxArchive(prev => {
-        const updated = [...prev, fallbackDoc];
-        const trimmed = updated.slice(-MAX_FAX_ARCHIVE);
-        
-        // Revoke URLs for removed items immediately
-        if (updated.length > MAX_FAX_ARCHIVE) {
-          const removed = updated.slice(0, updated.length - MAX_FAX_ARCHIVE);
-          removed.forEach(fax => {
-            if (fax.imageDataUrl?.startsWith('blob:')) {
-              URL.revokeObjectURL(fax.imageDataUrl);
-              blobUrlsRef.current.delete(fax.imageDataUrl);
-            }
-          });
-        }
-        
-        return trimmed;
-      });
+      addToArchive(fallbackDoc);
     }
   };
 
@@ -209,11 +215,12 @@ const FaxInterface = () => {
     setInputValue(e.target.value);
   };
 
-  const sendMessage = async (messageContent) => {
+  const sendMessage = async (messageContent, metadata) => {
     const payload = {
       message: messageContent,
       timestamp: Date.now(),
-      sender: 'fax-user'
+      sender: 'fax-user',
+      ...(metadata && { metadata })
     };
 
     const fetchOptions = {
@@ -321,6 +328,57 @@ const FaxInterface = () => {
     }
   };
 
+  /**
+   * Send a scanned page as a fax document and keep a copy in the archive
+   * @param {Object} page - { imageDataUrl, caption } from FaxScanner
+   * @returns {Promise<boolean>} Whether the page was sent
+   */
+  const handleScanSend = async ({ imageDataUrl, caption }) => {
+    if (isSending) return false;
+
+    if (!webhooks.outgoingUrl) {
+      logger.error('Outgoing webhook URL not configured');
+      setToast({
+        message: 'Please configure outgoing webhook URL in settings',
+        type: 'warning'
+      });
+      return false;
+    }
+
+    const content = caption || 'SCANNED DOCUMENT';
+    setIsSending(true);
+
+    try {
+      // The page travels as a PNG data URL, next to the cover note
+      await sendMessage(content, { document: imageDataUrl });
+
+      const faxDoc = {
+        id: generateMessageId(),
+        imageDataUrl,
+        timestamp: Date.now(),
+        sender: 'fax-user',
+        content
+      };
+      archiveService.saveFax(faxDoc).catch(error => logger.error('Failed to archive fax:', error));
+      addToArchive(faxDoc);
+
+      setIsSending(false);
+      setToast({
+        message: 'Scanned fax sent successfully',
+        type: 'success'
+      });
+      return true;
+    } catch (error) {
+      logger.error('Error sending scanned fax:', error);
+      setIsSending(false);
+      setToast({
+        message: `Failed to send fax: ${error.message}`,
+        type: 'error'
+      });
+      return false;
+    }
+  };
+
   const handleCloseToast = () => {
     setToast(null);
   };
@@ -365,6 +423,8 @@ const FaxInterface = () => {
         </div>
       </div>
 
+      {showScanner && <FaxScanner onSend={handleScanSend} disabled={isSending} />}
+
       <form className="FaxInterface__input-form" onSubmit={handleSubmit}>
         <label htmlFor="fax-message-input" className="sr-only">Type message to send</label>
         <input
@@ -391,6 +451,14 @@ const FaxInterface = () => {
             'SEND FAX'
           )}
         </button>
+        <button
+          type="button"
+          className="FaxInterface__scan-btn"
+          onClick={() => setShowScanner(prev => !prev)}
+          aria-pressed={showScanner}
+        >
+          📷 SCAN
+        </button>
       </form>
 
       {selectedFax && (
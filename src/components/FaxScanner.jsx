@@ -0,0 +1,256 @@
+import React, { useState, useRef, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { renderScannedFaxDocument } from '../utils/faxRenderer.js';
+import { DITHER_METHODS } from '../utils/dither.js';
+import { FAX_RESOLUTIONS } from '../utils/constants.js';
+import { logger } from '../utils/logger.js';
+import './FaxScanner.css';
+
+const PAD_WIDTH = 400;
+const PAD_HEIGHT = 300;
+
+/**
+ * Load an image file so it can be drawn on a canvas
+ * @param {File} file - Image picked by the user
+ * @returns {Promise<HTMLImageElement>}
+ */
+const loadImage = (file) => new Promise((resolve, reject) => {
+  const url = URL.createObjectURL(file);
+  const image = new Image();
+  image.onload = () => {
+    URL.revokeObjectURL(url);
+    resolve(image);
+  };
+  image.onerror = () => {
+    URL.revokeObjectURL(url);
+    reject(new Error('Could not read that image'));
+  };
+  image.src = url;
+});
+
+/**
+ * FaxScanner Component
+ * Scans an image file or a drawing into a dithered fax page and hands the
+ * page to onSend once the user has previewed it
+ */
+const FaxScanner = ({ onSend, disabled = false }) => {
+  const [sourceType, setSourceType] = useState('file'); // 'file' | 'draw'
+  const [image, setImage] = useState(null);
+  const [dithering, setDithering] = useState('floyd-steinberg');
+  const [resolution, setResolution] = useState('fine');
+  const [caption, setCaption] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [hasDrawing, setHasDrawing] = useState(false);
+  const [error, setError] = useState('');
+  const padRef = useRef(null);
+  const drawingRef = useRef(false);
+
+  // A new page starts out white
+  useEffect(() => {
+    if (sourceType !== 'draw') return;
+    const ctx = padRef.current?.getContext('2d');
+    if (!ctx) return;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, PAD_WIDTH, PAD_HEIGHT);
+    setHasDrawing(false);
+  }, [sourceType]);
+
+  // Any change to the input makes the preview stale
+  useEffect(() => {
+    setPreview(null);
+  }, [sourceType, image, dithering, resolution, caption]);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setError('');
+    try {
+      setImage(await loadImage(file));
+    } catch (err) {
+      setImage(null);
+      setError(err.message);
+    }
+  };
+
+  const getPadPoint = (e) => {
+    const rect = padRef.current.getBoundingClientRect();
+    return [
+      (e.clientX - rect.left) * PAD_WIDTH / rect.width,
+      (e.clientY - rect.top) * PAD_HEIGHT / rect.height
+    ];
+  };
+
+  const handlePointerDown = (e) => {
+    const ctx = padRef.current.getContext('2d');
+    drawingRef.current = true;
+    padRef.current.setPointerCapture?.(e.pointerId);
+    ctx.strokeStyle = '#000000';
+    ctx.lineWidth = 4;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    ctx.moveTo(...getPadPoint(e));
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    const ctx = padRef.current.getContext('2d');
+    ctx.lineTo(...getPadPoint(e));
+    ctx.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setHasDrawing(true);
+    setPreview(null);
+  };
+
+  const handleClearPad = () => {
+    const ctx = padRef.current.getContext('2d');
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, PAD_WIDTH, PAD_HEIGHT);
+    setHasDrawing(false);
+  };
+
+  const source = sourceType === 'file' ? image : (hasDrawing && padRef.current);
+
+  const handleScan = async () => {
+    setError('');
+    try {
+      setPreview(await renderScannedFaxDocument(source, { sender: 'fax-user', caption, dithering, resolution }));
+    } catch (err) {
+      logger.error('Error scanning fax page:', err);
+      setError('Scanning failed. Canvas rendering may be unavailable.');
+    }
+  };
+
+  const handleSend = async () => {
+    if (await onSend({ imageDataUrl: preview, caption: caption.trim() })) {
+      setPreview(null);
+      setImage(null);
+      setCaption('');
+      if (sourceType === 'draw') {
+        handleClearPad();
+      }
+    }
+  };
+
+  return (
+    <div className="FaxScanner">
+      <div className="FaxScanner__title">DOCUMENT SCANNER</div>
+
+      <div className="FaxScanner__tabs" role="group" aria-label="Scan source">
+        <button
+          type="button"
+          className={`FaxScanner__tab ${sourceType === 'file' ? 'FaxScanner__tab--active' : ''}`}
+          onClick={() => setSourceType('file')}
+          aria-pressed={sourceType === 'file'}
+        >
+          📄 IMAGE FILE
+        </button>
+        <button
+          type="button"
+          className={`FaxScanner__tab ${sourceType === 'draw' ? 'FaxScanner__tab--active' : ''}`}
+          onClick={() => setSourceType('draw')}
+          aria-pressed={sourceType === 'draw'}
+        >
+          ✏ DRAW
+        </button>
+      </div>
+
+      {sourceType === 'file' ? (
+        <label className="FaxScanner__file">
+          {image ? `LOADED ${image.naturalWidth}x${image.naturalHeight}` : 'CHOOSE AN IMAGE...'}
+          <input
+            type="file"
+            accept="image/*"
+            onChange={handleFileChange}
+            disabled={disabled}
+            aria-label="Image to scan"
+          />
+        </label>
+      ) : (
+        <div className="FaxScanner__pad-wrapper">
+          <canvas
+            ref={padRef}
+            width={PAD_WIDTH}
+            height={PAD_HEIGHT}
+            className="FaxScanner__pad"
+            aria-label="Drawing pad"
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerLeave={handlePointerUp}
+          />
+          <button type="button" className="FaxScanner__button" onClick={handleClearPad}>
+            CLEAR PAD
+          </button>
+        </div>
+      )}
+
+      <div className="FaxScanner__options">
+        <label>
+          DITHER:{' '}
+          <select value={dithering} onChange={(e) => setDithering(e.target.value)}>
+            {Object.entries(DITHER_METHODS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          RESOLUTION:{' '}
+          <select value={resolution} onChange={(e) => setResolution(e.target.value)}>
+            {Object.entries(FAX_RESOLUTIONS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <input
+        type="text"
+        className="FaxScanner__caption"
+        value={caption}
+        onChange={(e) => setCaption(e.target.value)}
+        placeholder="Cover note (optional)..."
+        aria-label="Cover note"
+        maxLength={200}
+      />
+
+      {error && <div className="FaxScanner__error">⚠️ {error}</div>}
+
+      {preview && (
+        <img src={preview} alt="Scanned fax page preview" className="FaxScanner__preview" />
+      )}
+
+      <div className="FaxScanner__actions">
+        <button
+          type="button"
+          className="FaxScanner__button"
+          onClick={handleScan}
+          disabled={disabled || !source}
+        >
+          SCAN
+        </button>
+        <button
+          type="button"
+          className="FaxScanner__button FaxScanner__button--send"
+          onClick={handleSend}
+          disabled={disabled || !preview}
+        >
+          SEND SCAN
+        </button>
+      </div>
+    </div>
+  );
+};
+
+FaxScanner.propTypes = {
+  onSend: PropTypes.func.isRequired,
+  disabled: PropTypes.bool
+};
+
+export default FaxScanner;
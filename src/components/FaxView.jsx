@@ -1,5 +1,8 @@
 import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
+import { formatMessageStatus, formatSignatureWarning } from '../utils/messageStatus';
+import AttachmentPicker from './AttachmentPicker';
+import FaxAttachment from './FaxAttachment';
 
 /**
  * Fax interface view component
@@ -8,6 +11,7 @@ import PropTypes from 'prop-types';
 const FaxView = React.memo(({
   messages,
   isTyping,
+  typingUsers = [],
   llmGenerating,
   hasNewMessage,
   webhookStatus,
@@ -23,7 +27,10 @@ const FaxView = React.memo(({
   onOpenUserSelector,
   onInputChange,
   onKeyPress,
-  onSendMessage
+  onSendMessage,
+  pendingAttachments = [],
+  onAddAttachments,
+  onRemoveAttachment
 }) => {
   const recipientDisplayStyle = useMemo(() => ({
     padding: '8px 15px',
@@ -59,7 +66,7 @@ const FaxView = React.memo(({
                 </div>
                 <div className="fax-header-line">
                   FROM: {msg.sender.toUpperCase()}
-                  {msg.type === 'sent' && msg.recipient && (
+                  {msg.recipient && (
                     <>
                       <br />
                       TO: {msg.recipient.toUpperCase()}
@@ -77,9 +84,21 @@ const FaxView = React.memo(({
                 <div className="fax-message-content">
                   {msg.content}
                 </div>
+                {msg.attachments?.map((attachment, attachmentIdx) => (
+                  <FaxAttachment
+                    key={attachment.id}
+                    attachment={attachment}
+                    pageLabel={`${idx + 1}.${attachmentIdx + 1}`}
+                  />
+                ))}
+                {formatSignatureWarning(msg.signature) && (
+                  <div className={`signature-warning ${msg.signature}`}>
+                    SENDER: {formatSignatureWarning(msg.signature)}
+                  </div>
+                )}
                 {msg.status && (
                   <div className="fax-status">
-                    STATUS: {msg.status.toUpperCase()}
+                    STATUS: {formatMessageStatus(msg.status)}
                   </div>
                 )}
               </div>
@@ -95,6 +114,16 @@ const FaxView = React.memo(({
               </div>
             </div>
           )}
+          {typingUsers.map(username => (
+            <div key={username} className="fax-message" style={{color: '#666'}}>
+              <div className="fax-header-line">
+                {username.toUpperCase()} IS DIALING...
+              </div>
+              <div className="typing-dots">
+                COMPOSING<span>.</span><span>.</span><span>.</span>
+              </div>
+            </div>
+          ))}
           <div ref={messagesEndRef} />
         </div>
       </div>
@@ -103,6 +132,13 @@ const FaxView = React.memo(({
         <div className="recipient-display" style={recipientDisplayStyle}>
           TO: {selectedRecipient || 'SELECT RECIPIENT'} {selectedRecipient === 'ChatBot' && '🤖'}
         </div>
+        {selectedRecipient !== 'ChatBot' && (
+          <AttachmentPicker
+            files={pendingAttachments}
+            onAdd={onAddAttachments}
+            onRemove={onRemoveAttachment}
+          />
+        )}
         <div className="input-container">
           <input
             type="text"
@@ -150,6 +186,7 @@ FaxView.displayName = 'FaxView';
 FaxView.propTypes = {
   messages: PropTypes.array.isRequired,
   isTyping: PropTypes.bool.isRequired,
+  typingUsers: PropTypes.arrayOf(PropTypes.string),
   llmGenerating: PropTypes.bool.isRequired,
   hasNewMessage: PropTypes.bool.isRequired,
   webhookStatus: PropTypes.string.isRequired,
@@ -167,7 +204,10 @@ FaxView.propTypes = {
   onOpenUserSelector: PropTypes.func.isRequired,
   onInputChange: PropTypes.func.isRequired,
   onKeyPress: PropTypes.func.isRequired,
-  onSendMessage: PropTypes.func.isRequired
+  onSendMessage: PropTypes.func.isRequired,
+  pendingAttachments: PropTypes.arrayOf(PropTypes.object),
+  onAddAttachments: PropTypes.func.isRequired,
+  onRemoveAttachment: PropTypes.func.isRequired
 };
 
 export default FaxView;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Encryption key rotation section of the settings modal
+ * Not a <form> so it can sit inside the settings form.
+ */
+function KeyRotationSettings({ onRotateKey }) {
+  const [password, setPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleRotate = async () => {
+    setIsLoading(true);
+    if (await onRotateKey(password)) {
+      setPassword('');
+    }
+    setIsLoading(false);
+  };
+
+  return (
+    <>
+      <input
+        type="password"
+        className="settings-input"
+        aria-label="Password to rotate key"
+        placeholder="Current password"
+        autoComplete="current-password"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+        disabled={isLoading}
+      />
+      <button
+        type="button"
+        className="settings-save-btn"
+        onClick={handleRotate}
+        disabled={isLoading || !password}
+      >
+        {isLoading ? 'Rotating...' : 'Rotate encryption key'}
+      </button>
+      <p className="settings-description">
+        Contacts encrypt to a new key from now on and are told it changed, so
+        verified contacts have to compare safety numbers again. Old keys are
+        kept so message history stays readable. Other devices are signed out
+        and your recovery kit has to be created again.
+      </p>
+    </>
+  );
+}
+
+KeyRotationSettings.propTypes = {
+  onRotateKey: PropTypes.func.isRequired
+};
+
+export default KeyRotationSettings;
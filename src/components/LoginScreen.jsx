@@ -1,30 +1,106 @@
 import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { MAX_USERNAME_LENGTH } from '../utils/constants';
+import TwoFactorSetup from './TwoFactorSetup';
+import RecoveryKit from './RecoveryKit';
+import DeviceLinkRequest from './DeviceLinkRequest';
 import './LoginScreen.css';
 
-function LoginScreen({ onLogin }) {
-  const [mode, setMode] = useState('login'); // 'login' or 'register'
+function LoginScreen({ onLogin, onRecover, onEnableTwoFactor, onFinishSetup, onStartLink, onCheckLink, onCancelLink }) {
+  const [mode, setMode] = useState('login'); // 'login', 'register', 'recover' or 'link'
+  const [step, setStep] = useState('credentials'); // 'credentials', 'code', 'kit' or 'setup'
   const [username, setUsername] = useState('');
-  const [password, setPassword] = useState('');
+  const [password, setPassword] = useState(''); // the new password when recovering
   const [confirmPassword, setConfirmPassword] = useState('');
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [enableTwoFactor, setEnableTwoFactor] = useState(false);
+  const [createRecoveryKit, setCreateRecoveryKit] = useState(false);
+  const [newRecoveryPhrase, setNewRecoveryPhrase] = useState(null);
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [twoFactorSetup, setTwoFactorSetup] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState('');
 
+  // Second login step for accounts with two-factor authentication
+  const submitCode = async () => {
+    if (!code.trim()) {
+      setError(useRecoveryCode ? 'Recovery code is required' : 'Code is required');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await onLogin(
+        username.trim(),
+        password,
+        false,
+        useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() }
+      );
+    } catch (err) {
+      setError(err.message || 'Login failed');
+      setCode('');
+      setIsLoading(false);
+    }
+  };
+
+  // Report a failed login, or move on to the code step if one is needed
+  const handleLoginError = (err, fallback) => {
+    if (err.twoFactorRequired) {
+      setStep('code');
+    } else {
+      setError(err.message || fallback);
+    }
+    setIsLoading(false);
+  };
+
+  // Reset the password with a recovery phrase, then log in with it
+  const submitRecovery = async () => {
+    setIsLoading(true);
+    setError('');
+
+    try {
+      await onRecover(username.trim(), recoveryPhrase, password);
+    } catch (err) {
+      setError(err.message || 'Account recovery failed');
+      setIsLoading(false);
+      return;
+    }
+
+    setRecoveryPhrase('');
+    setMode('login');
+    try {
+      await onLogin(username.trim(), password, false);
+    } catch (err) {
+      handleLoginError(err, 'Login failed');
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    if (step === 'code') {
+      return submitCode();
+    }
     
     if (!username.trim()) {
       setError('Username is required');
       return;
     }
 
+    if (mode === 'recover' && !recoveryPhrase.trim()) {
+      setError('Recovery phrase is required');
+      return;
+    }
+
     if (!password) {
       setError('Password is required');
       return;
     }
 
-    if (mode === 'register') {
+    if (mode === 'register' || mode === 'recover') {
       if (password.length < 6) {
         setError('Password must be at least 6 characters');
         return;
@@ -36,24 +112,83 @@ function LoginScreen({ onLogin }) {
       }
     }
 
+    if (mode === 'recover') {
+      return submitRecovery();
+    }
+
     setIsLoading(true);
     setError('');
 
     try {
-      await onLogin(username.trim(), password, mode === 'register');
+      const result = await onLogin(
+        username.trim(),
+        password,
+        mode === 'register',
+        mode === 'register' ? { enableTwoFactor, createRecoveryKit } : {}
+      );
+      if (result?.recoveryPhrase || result?.twoFactorSetup) {
+        setNewRecoveryPhrase(result.recoveryPhrase || null);
+        setTwoFactorSetup(result.twoFactorSetup || null);
+        setStep(result.recoveryPhrase ? 'kit' : 'setup');
+        setIsLoading(false);
+      }
     } catch (err) {
-      setError(err.message || `${mode === 'register' ? 'Registration' : 'Login'} failed`);
-      setIsLoading(false);
+      handleLoginError(err, `${mode === 'register' ? 'Registration' : 'Login'} failed`);
     }
   };
 
-  const toggleMode = () => {
-    setMode(mode === 'login' ? 'register' : 'login');
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
     setError('');
     setPassword('');
     setConfirmPassword('');
+    setRecoveryPhrase('');
+    setEnableTwoFactor(false);
+    setCreateRecoveryKit(false);
+  };
+
+  const cancelLink = () => {
+    onCancelLink?.();
+    switchMode('login');
+  };
+
+  const toggleMode = () => switchMode(mode === 'login' ? 'register' : 'login');
+
+  // After the recovery kit is saved, go on to two-factor setup if requested
+  const handleKitSaved = () => {
+    setNewRecoveryPhrase(null);
+    if (twoFactorSetup) {
+      setStep('setup');
+    } else {
+      onFinishSetup();
+    }
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
   };
 
+  const backToCredentials = () => {
+    setStep('credentials');
+    setCode('');
+    setUseRecoveryCode(false);
+    setPassword('');
+    setError('');
+  };
+
+  const promptLines = {
+    kit: ['SAVE YOUR RECOVERY KIT', 'PRINT IT AND KEEP IT OFFLINE'],
+    setup: ['SECURE YOUR ACCOUNT', 'LINK AN AUTHENTICATOR'],
+    code: ['TWO-FACTOR CHECK', useRecoveryCode ? 'ENTER A RECOVERY CODE' : 'ENTER CODE FROM AUTHENTICATOR'],
+    register: ['NEW USER REGISTRATION', 'CREATE SECURE ACCOUNT'],
+    recover: ['ACCOUNT RECOVERY', 'ENTER YOUR RECOVERY PHRASE'],
+    link: ['LINK THIS DEVICE', 'APPROVE IT FROM A SIGNED-IN DEVICE'],
+    login: ['SYSTEM READY', 'ENTER CREDENTIALS TO CONNECT']
+  };
+  const [promptTitle, promptDetail] = promptLines[step === 'credentials' ? mode : step];
+
   return (
     <div className="login-screen">
       <div className="login-container">
@@ -69,93 +204,244 @@ function LoginScreen({ onLogin }) {
             <div className="login-prompt">
               ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
               <br />
-              {mode === 'register' ? 'NEW USER REGISTRATION' : 'SYSTEM READY'}
+              {promptTitle}
               <br />
-              {mode === 'register' ? 'CREATE SECURE ACCOUNT' : 'ENTER CREDENTIALS TO CONNECT'}
+              {promptDetail}
               <br />
               ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
             </div>
 
-            <form onSubmit={handleSubmit} className="login-form">
-              <div className="login-input-group">
-                <label htmlFor="username" className="login-label">
-                  USERNAME:
-                </label>
-                <input
-                  id="username"
-                  type="text"
-                  className="login-input"
-                  value={username}
-                  onChange={(e) => setUsername(e.target.value)}
-                  placeholder="Enter your handle..."
-                  disabled={isLoading}
-                  autoFocus
-                  maxLength={MAX_USERNAME_LENGTH}
+            {step === 'kit' && newRecoveryPhrase && (
+              <div className="login-form">
+                <RecoveryKit
+                  username={username.trim()}
+                  phrase={newRecoveryPhrase}
+                  onDone={handleKitSaved}
                 />
               </div>
+            )}
 
-              <div className="login-input-group">
-                <label htmlFor="password" className="login-label">
-                  PASSWORD:
-                </label>
-                <input
-                  id="password"
-                  type="password"
-                  className="login-input"
-                  value={password}
-                  onChange={(e) => setPassword(e.target.value)}
-                  placeholder={mode === 'register' ? 'Min 6 characters...' : 'Enter password...'}
-                  disabled={isLoading}
-                  minLength={mode === 'register' ? 6 : undefined}
+            {step === 'setup' && twoFactorSetup && (
+              <div className="login-form">
+                <TwoFactorSetup
+                  secret={twoFactorSetup.secret}
+                  otpauthUri={twoFactorSetup.otpauthUri}
+                  onConfirm={onEnableTwoFactor}
+                  onDone={onFinishSetup}
+                  onCancel={onFinishSetup}
                 />
               </div>
+            )}
 
-              {mode === 'register' && (
+            {step === 'code' && (
+              <form onSubmit={handleSubmit} className="login-form">
                 <div className="login-input-group">
-                  <label htmlFor="confirmPassword" className="login-label">
-                    CONFIRM:
+                  <label htmlFor="two-factor-code" className="login-label">
+                    {useRecoveryCode ? 'RECOVERY CODE:' : 'CODE:'}
                   </label>
                   <input
-                    id="confirmPassword"
-                    type="password"
+                    id="two-factor-code"
+                    type="text"
                     className="login-input"
-                    value={confirmPassword}
-                    onChange={(e) => setConfirmPassword(e.target.value)}
-                    placeholder="Re-enter password..."
+                    inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                    autoComplete="one-time-code"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value)}
+                    placeholder={useRecoveryCode ? 'xxxx-xxxx-xxxx' : '6-digit code...'}
+                    maxLength={useRecoveryCode ? 14 : 6}
                     disabled={isLoading}
+                    autoFocus
                   />
                 </div>
-              )}
 
-              {error && (
-                <div className="login-error">
-                  ✗ ERROR: {error}
+                {error && (
+                  <div className="login-error">
+                    ✗ ERROR: {error}
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  className="login-button"
+                  disabled={isLoading || !code.trim()}
+                >
+                  {isLoading ? '⏳ PROCESSING...' : '→ VERIFY'}
+                </button>
+
+                <button
+                  type="button"
+                  className="login-toggle-button"
+                  onClick={toggleRecoveryCode}
+                  disabled={isLoading}
+                >
+                  {useRecoveryCode ? '→ Use authenticator code' : '→ Lost your device? Use a recovery code'}
+                </button>
+
+                <button
+                  type="button"
+                  className="login-toggle-button"
+                  onClick={backToCredentials}
+                  disabled={isLoading}
+                >
+                  ← Back to Login
+                </button>
+              </form>
+            )}
+
+            {step === 'credentials' && mode === 'link' && (
+              <DeviceLinkRequest
+                initialUsername={username.trim()}
+                onStart={onStartLink}
+                onCheck={onCheckLink}
+                onCancel={cancelLink}
+              />
+            )}
+
+            {step === 'credentials' && mode !== 'link' && (
+              <form onSubmit={handleSubmit} className="login-form">
+                <div className="login-input-group">
+                  <label htmlFor="username" className="login-label">
+                    USERNAME:
+                  </label>
+                  <input
+                    id="username"
+                    type="text"
+                    className="login-input"
+                    value={username}
+                    onChange={(e) => setUsername(e.target.value)}
+                    placeholder="Enter your handle..."
+                    disabled={isLoading}
+                    autoFocus
+                    maxLength={MAX_USERNAME_LENGTH}
+                  />
                 </div>
-              )}
 
-              <button
-                type="submit"
-                className="login-button"
-                disabled={isLoading || !username.trim() || !password}
-              >
-                {isLoading 
-                  ? '⏳ PROCESSING...' 
-                  : mode === 'register' 
-                    ? '→ REGISTER' 
-                    : '→ LOGIN'}
-              </button>
-
-              <button
-                type="button"
-                className="login-toggle-button"
-                onClick={toggleMode}
-                disabled={isLoading}
-              >
-                {mode === 'register' 
-                  ? '← Back to Login' 
-                  : '→ New User? Register'}
-              </button>
-            </form>
+                {mode === 'recover' && (
+                  <div className="login-input-group">
+                    <label htmlFor="recoveryPhrase" className="login-label">
+                      RECOVERY PHRASE:
+                    </label>
+                    <input
+                      id="recoveryPhrase"
+                      type="text"
+                      className="login-input"
+                      value={recoveryPhrase}
+                      onChange={(e) => setRecoveryPhrase(e.target.value)}
+                      placeholder="XXXX-XXXX-XXXX-..."
+                      autoComplete="off"
+                      spellCheck={false}
+                      disabled={isLoading}
+                    />
+                  </div>
+                )}
+
+                <div className="login-input-group">
+                  <label htmlFor="password" className="login-label">
+                    {mode === 'recover' ? 'NEW PASSWORD:' : 'PASSWORD:'}
+                  </label>
+                  <input
+                    id="password"
+                    type="password"
+                    className="login-input"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder={mode === 'login' ? 'Enter password...' : 'Min 6 characters...'}
+                    disabled={isLoading}
+                    minLength={mode === 'login' ? undefined : 6}
+                  />
+                </div>
+
+                {(mode === 'register' || mode === 'recover') && (
+                  <div className="login-input-group">
+                    <label htmlFor="confirmPassword" className="login-label">
+                      CONFIRM:
+                    </label>
+                    <input
+                      id="confirmPassword"
+                      type="password"
+                      className="login-input"
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      placeholder="Re-enter password..."
+                      disabled={isLoading}
+                    />
+                  </div>
+                )}
+
+                {mode === 'register' && (
+                  <label className="login-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={enableTwoFactor}
+                      onChange={(e) => setEnableTwoFactor(e.target.checked)}
+                      disabled={isLoading}
+                    />
+                    <span>Enable two-factor authentication</span>
+                  </label>
+                )}
+
+                {mode === 'register' && (
+                  <label className="login-checkbox">
+                    <input
+                      type="checkbox"
+                      checked={createRecoveryKit}
+                      onChange={(e) => setCreateRecoveryKit(e.target.checked)}
+                      disabled={isLoading}
+                    />
+                    <span>Create a printable recovery kit</span>
+                  </label>
+                )}
+
+                {error && (
+                  <div className="login-error">
+                    ✗ ERROR: {error}
+                  </div>
+                )}
+
+                <button
+                  type="submit"
+                  className="login-button"
+                  disabled={isLoading || !username.trim() || !password}
+                >
+                  {isLoading 
+                    ? '⏳ PROCESSING...' 
+                    : { register: '→ REGISTER', recover: '→ RESET PASSWORD', login: '→ LOGIN' }[mode]}
+                </button>
+
+                <button
+                  type="button"
+                  className="login-toggle-button"
+                  onClick={toggleMode}
+                  disabled={isLoading}
+                >
+                  {mode === 'login' 
+                    ? '→ New User? Register' 
+                    : '← Back to Login'}
+                </button>
+
+                {mode === 'login' && onRecover && (
+                  <button
+                    type="button"
+                    className="login-toggle-button"
+                    onClick={() => switchMode('recover')}
+                    disabled={isLoading}
+                  >
+                    → Forgot password? Use recovery kit
+                  </button>
+                )}
+
+                {mode === 'login' && onStartLink && (
+                  <button
+                    type="button"
+                    className="login-toggle-button"
+                    onClick={() => switchMode('link')}
+                    disabled={isLoading}
+                  >
+                    → Signed in elsewhere? Link this device
+                  </button>
+                )}
+              </form>
+            )}
 
             <div className="login-info">
               <div className="login-info-line">
@@ -166,7 +452,7 @@ function LoginScreen({ onLogin }) {
               </div>
               {mode === 'register' && (
                 <div className="login-info-line">
-                  ⚠ Remember your password - cannot be reset
+                  ⚠ Without a recovery kit your password cannot be reset
                 </div>
               )}
             </div>
@@ -186,7 +472,13 @@ function LoginScreen({ onLogin }) {
 }
 
 LoginScreen.propTypes = {
-  onLogin: PropTypes.func.isRequired
+  onLogin: PropTypes.func.isRequired,
+  onRecover: PropTypes.func,
+  onEnableTwoFactor: PropTypes.func,
+  onFinishSetup: PropTypes.func,
+  onStartLink: PropTypes.func,
+  onCheckLink: PropTypes.func,
+  onCancelLink: PropTypes.func
 };
 
 export default React.memo(LoginScreen);
@@ -1,5 +1,8 @@
 import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
+import { formatMessageStatus, formatSignatureWarning } from '../utils/messageStatus';
+import { formatAttachmentStub } from '../utils/attachments';
+import AttachmentPicker from './AttachmentPicker';
 
 /**
  * Pager interface view component
@@ -10,6 +13,7 @@ const PagerView = React.memo(({
   recentPagerMessages,
   messageNumberingInfo,
   isTyping,
+  typingUsers = [],
   llmGenerating,
   hasNewMessage,
   webhookStatus,
@@ -27,7 +31,10 @@ const PagerView = React.memo(({
   onOpenUserSelector,
   onInputChange,
   onKeyPress,
-  onSendMessage
+  onSendMessage,
+  pendingAttachments = [],
+  onAddAttachments,
+  onRemoveAttachment
 }) => {
   const recipientDisplayStyle = useMemo(() => ({
     padding: '8px 15px',
@@ -56,13 +63,23 @@ const PagerView = React.memo(({
                 <div>
                   {msg.type === 'bot' && <span className="bot-prefix">[BOT] </span>}
                   MSG #{messageNumberingInfo.startIndex + idx + 1} FROM: {msg.sender}
-                  {msg.type === 'sent' && msg.recipient && ` TO: ${msg.recipient}`}
+                  {msg.recipient && ` TO: ${msg.recipient}`}
                 </div>
                 <div>TIME: {msg.timestamp}</div>
                 <div>TEXT: {msg.content}</div>
+                {msg.attachments?.map(attachment => (
+                  <div key={attachment.id} className="pager-attachment">
+                    {formatAttachmentStub(attachment)}
+                  </div>
+                ))}
+                {formatSignatureWarning(msg.signature) && (
+                  <div className={`signature-warning ${msg.signature}`}>
+                    [{formatSignatureWarning(msg.signature)}]
+                  </div>
+                )}
                 {msg.status && (
                   <div className="message-status">
-                    [{msg.status.toUpperCase()}]
+                    [{formatMessageStatus(msg.status)}]
                   </div>
                 )}
                 <div>━━━━━━━━━━━━━━━━━━━━━</div>
@@ -77,6 +94,14 @@ const PagerView = React.memo(({
               </span>
             </div>
           )}
+          {typingUsers.map(username => (
+            <div key={username} className="typing-indicator">
+              <span className="bot-prefix">[{username}] </span>TYPING
+              <span className="typing-dots">
+                <span>.</span><span>.</span><span>.</span>
+              </span>
+            </div>
+          ))}
           <div ref={messagesEndRef} />
         </div>
       </div>
@@ -94,6 +119,13 @@ const PagerView = React.memo(({
         <div className="recipient-display" style={recipientDisplayStyle}>
           TO: {selectedRecipient || 'SELECT RECIPIENT'} {selectedRecipient === 'ChatBot' && '🤖'}
         </div>
+        {selectedRecipient !== 'ChatBot' && (
+          <AttachmentPicker
+            files={pendingAttachments}
+            onAdd={onAddAttachments}
+            onRemove={onRemoveAttachment}
+          />
+        )}
         <div className="input-container">
           <input
             type="text"
@@ -140,6 +172,7 @@ PagerView.propTypes = {
     total: PropTypes.number.isRequired
   }).isRequired,
   isTyping: PropTypes.bool.isRequired,
+  typingUsers: PropTypes.arrayOf(PropTypes.string),
   llmGenerating: PropTypes.bool.isRequired,
   hasNewMessage: PropTypes.bool.isRequired,
   webhookStatus: PropTypes.string.isRequired,
@@ -159,7 +192,10 @@ PagerView.propTypes = {
   onOpenUserSelector: PropTypes.func.isRequired,
   onInputChange: PropTypes.func.isRequired,
   onKeyPress: PropTypes.func.isRequired,
-  onSendMessage: PropTypes.func.isRequired
+  onSendMessage: PropTypes.func.isRequired,
+  pendingAttachments: PropTypes.arrayOf(PropTypes.object),
+  onAddAttachments: PropTypes.func.isRequired,
+  onRemoveAttachment: PropTypes.func.isRequired
 };
 
 export default PagerView;
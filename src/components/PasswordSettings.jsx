@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+
+/**
+ * Change-password section of the settings modal
+ * Not a <form> so it can sit inside the settings form.
+ */
+function PasswordSettings({ onChangePassword }) {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = async () => {
+    if (newPassword.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (newPassword !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    if (await onChangePassword(currentPassword, newPassword)) {
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    }
+    setIsLoading(false);
+  };
+
+  return (
+    <>
+      <input
+        type="password"
+        className="settings-input"
+        aria-label="Current password"
+        placeholder="Current password"
+        autoComplete="current-password"
+        value={currentPassword}
+        onChange={(e) => setCurrentPassword(e.target.value)}
+        disabled={isLoading}
+      />
+      <input
+        type="password"
+        className="settings-input"
+        aria-label="New password"
+        placeholder="New password (min 6 characters)"
+        autoComplete="new-password"
+        value={newPassword}
+        onChange={(e) => setNewPassword(e.target.value)}
+        disabled={isLoading}
+      />
+      <input
+        type="password"
+        className="settings-input"
+        aria-label="Confirm new password"
+        placeholder="Confirm new password"
+        autoComplete="new-password"
+        value={confirmPassword}
+        onChange={(e) => setConfirmPassword(e.target.value)}
+        disabled={isLoading}
+      />
+      {error && (
+        <p className="settings-description" role="alert" style={{color: '#ff6b6b'}}>
+          {error}
+        </p>
+      )}
+      <button
+        type="button"
+        className="settings-save-btn"
+        onClick={handleChange}
+        disabled={isLoading || !currentPassword || !newPassword}
+      >
+        {isLoading ? 'Changing...' : 'Change password'}
+      </button>
+      <p className="settings-description">
+        Your encryption key is re-locked with the new password, so message
+        history stays readable. Other devices are signed out.
+      </p>
+    </>
+  );
+}
+
+PasswordSettings.propTypes = {
+  onChangePassword: PropTypes.func.isRequired
+};
+
+export default PasswordSettings;
@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { MAX_PIN_LENGTH, MIN_PIN_LENGTH } from '../utils/constants.js';
+import './PinLock.css';
+
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'CLR', '0', 'OK'];
+
+/**
+ * Quick unlock screen, shown after a reload or the idle auto-lock
+ * The keys are still on this device; the PIN lets the app use them again.
+ * onUnlock resolves with an error message to show, or null once unlocked.
+ */
+function PinLock({ username, onUnlock, onUsePassword }) {
+  const [pin, setPin] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const submit = async () => {
+    if (pin.length < MIN_PIN_LENGTH || isLoading) return;
+    setIsLoading(true);
+    const message = await onUnlock(pin);
+    // Unmounted once unlocked
+    if (message) {
+      setError(message);
+      setPin('');
+      setIsLoading(false);
+    }
+  };
+
+  const press = (key) => {
+    if (key === 'OK') {
+      submit();
+    } else if (key === 'CLR') {
+      setPin('');
+    } else {
+      setError('');
+      setPin(prev => (prev.length < MAX_PIN_LENGTH ? prev + key : prev));
+    }
+  };
+
+  // Typing works as well as the keypad
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (/^\d$/.test(e.key)) press(e.key);
+      else if (e.key === 'Enter') press('OK');
+      else if (e.key === 'Backspace') setPin(prev => prev.slice(0, -1));
+      else if (e.key === 'Escape') press('CLR');
+    };
+    document.addEventListener('keydown', handleKey);
+    return () => document.removeEventListener('keydown', handleKey);
+  });
+
+  return (
+    <div className="pin-lock" role="dialog" aria-modal="true" aria-labelledby="pin-lock-title">
+      <div className="pin-lock__device">
+        <div className="pin-lock__label">RETRO MESSENGER</div>
+        <div className="pin-lock__screen">
+          <div id="pin-lock-title">🔒 LOCKED · {username.toUpperCase()}</div>
+          <div className="pin-lock__digits" aria-label={`${pin.length} digits entered`}>
+            {pin ? '*'.repeat(pin.length) : 'ENTER PIN'}
+          </div>
+          <div className="pin-lock__status" role="alert">
+            {isLoading ? 'CHECKING...' : error.toUpperCase()}
+          </div>
+        </div>
+
+        <div className="pin-lock__keypad">
+          {KEYPAD.map(key => (
+            <button
+              key={key}
+              type="button"
+              className={`pin-lock__key ${key === 'OK' ? 'ok' : ''}`}
+              onClick={() => press(key)}
+              disabled={isLoading || (key === 'OK' && pin.length < MIN_PIN_LENGTH)}
+              aria-label={key === 'CLR' ? 'Clear' : key === 'OK' ? 'Unlock' : key}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+
+        <button type="button" className="pin-lock__password" onClick={onUsePassword} disabled={isLoading}>
+          Sign out and use password
+        </button>
+      </div>
+    </div>
+  );
+}
+
+PinLock.propTypes = {
+  username: PropTypes.string.isRequired,
+  onUnlock: PropTypes.func.isRequired,
+  onUsePassword: PropTypes.func.isRequired
+};
+
+export default PinLock;
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { IDLE_LOCK_MS, MIN_PIN_LENGTH, MAX_PIN_LENGTH } from '../utils/constants.js';
+
+/**
+ * Quick unlock PIN section of the settings modal
+ * Not a <form> so it can sit inside the settings form.
+ */
+function QuickUnlockSettings({ enabled, onEnable, onDisable, onLockNow }) {
+  const [pin, setPin] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleEnable = async () => {
+    setIsLoading(true);
+    if (await onEnable(pin)) {
+      setPin('');
+    }
+    setIsLoading(false);
+  };
+
+  const handleDisable = async () => {
+    setIsLoading(true);
+    await onDisable();
+    setIsLoading(false);
+  };
+
+  return (
+    <>
+      <input
+        type="password"
+        inputMode="numeric"
+        className="settings-input"
+        aria-label="Quick unlock PIN"
+        placeholder={`${enabled ? 'New' : 'Choose a'} ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digit PIN`}
+        autoComplete="off"
+        maxLength={MAX_PIN_LENGTH}
+        value={pin}
+        onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+        disabled={isLoading}
+      />
+      <button
+        type="button"
+        className="settings-save-btn"
+        onClick={handleEnable}
+        disabled={isLoading || pin.length < MIN_PIN_LENGTH}
+      >
+        {enabled ? 'Change PIN' : 'Keep me unlocked on this device'}
+      </button>
+      {enabled && (
+        <>
+          <button type="button" className="settings-save-btn" onClick={onLockNow} disabled={isLoading}>
+            Lock now
+          </button>
+          <button type="button" className="settings-cancel-btn" onClick={handleDisable} disabled={isLoading}>
+            Turn off quick unlock
+          </button>
+        </>
+      )}
+      <p className="settings-description">
+        Keeps your decrypted key in this browser so a reload only asks for the
+        PIN. The key is stored so it can be used but never exported. The app
+        locks after {Math.round(IDLE_LOCK_MS / 60000)} minutes idle, and
+        too many wrong PINs delete the key until you log in with your password.
+        The PIN only guards this screen: anyone who can run code in this browser
+        profile can use the key, so skip this on shared computers.
+      </p>
+    </>
+  );
+}
+
+QuickUnlockSettings.propTypes = {
+  enabled: PropTypes.bool.isRequired,
+  onEnable: PropTypes.func.isRequired,
+  onDisable: PropTypes.func.isRequired,
+  onLockNow: PropTypes.func.isRequired
+};
+
+export default QuickUnlockSettings;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { renderRecoveryKit } from '../utils/faxRenderer.js';
+import { logger } from '../utils/logger';
+import './RecoveryKit.css';
+
+/**
+ * Shows a freshly created recovery kit as a printable fax page
+ * The phrase is shown once; the user has to confirm they saved it.
+ */
+function RecoveryKit({ username, phrase, onDone }) {
+  const [kitImage, setKitImage] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    renderRecoveryKit({ username, phrase })
+      .then(image => {
+        if (!cancelled) setKitImage(image);
+      })
+      .catch(error => logger.error('Failed to render recovery kit:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [username, phrase]);
+
+  const handlePrint = () => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) return;
+    printWindow.document.title = 'Retro Messenger recovery kit';
+    const image = printWindow.document.createElement('img');
+    image.src = kitImage;
+    image.style.width = '100%';
+    image.onload = () => printWindow.print();
+    printWindow.document.body.appendChild(image);
+  };
+
+  return (
+    <div className="recovery-kit">
+      <div className="recovery-kit-title">🛟 RECOVERY KIT</div>
+      <p className="recovery-kit-text">
+        This phrase resets your password without losing your messages.
+        Print it or write it down and keep it offline. It will not be shown again.
+      </p>
+      <div className="recovery-kit-phrase" aria-label="Recovery phrase">
+        {phrase}
+      </div>
+      {kitImage && (
+        <>
+          <img className="recovery-kit-page" src={kitImage} alt="Printable recovery kit" />
+          <div className="recovery-kit-actions">
+            <button type="button" className="recovery-kit-button" onClick={handlePrint}>
+              🖨 PRINT
+            </button>
+            <a className="recovery-kit-button" href={kitImage} download="retro-messenger-recovery-kit.png">
+              ⬇ DOWNLOAD
+            </a>
+          </div>
+        </>
+      )}
+      <label className="recovery-kit-confirm">
+        <input
+          type="checkbox"
+          checked={saved}
+          onChange={(e) => setSaved(e.target.checked)}
+        />
+        <span>I have saved my recovery phrase</span>
+      </label>
+      <button
+        type="button"
+        className="recovery-kit-button primary"
+        onClick={onDone}
+        disabled={!saved}
+      >
+        → CONTINUE
+      </button>
+    </div>
+  );
+}
+
+RecoveryKit.propTypes = {
+  username: PropTypes.string.isRequired,
+  phrase: PropTypes.string.isRequired,
+  onDone: PropTypes.func.isRequired
+};
+
+export default RecoveryKit;
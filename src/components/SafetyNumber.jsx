@@ -0,0 +1,92 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatFingerprint } from '../utils/fingerprint.js';
+import './SafetyNumber.css';
+
+const STATUS_LABELS = {
+  verified: '✔ VERIFIED',
+  unverified: '○ UNVERIFIED',
+  changed: '⚠ KEY CHANGED'
+};
+
+/**
+ * Verification screen for a contact's key
+ * Both users see the same safety number; if it matches when read out in
+ * person or over a call, nobody in between swapped a key.
+ */
+function SafetyNumber({ verification, onConfirm, onClear, onClose }) {
+  const { username, status, safetyNumber, ownFingerprint, fingerprint } = verification;
+
+  return (
+    <div className="safety-number-overlay" onClick={onClose}>
+      <div
+        className="safety-number-modal"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="safety-number-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="safety-number-header">
+          <h3 id="safety-number-title">🔏 VERIFY {username.toUpperCase()}</h3>
+          <span className={`safety-number-status ${status}`}>{STATUS_LABELS[status]}</span>
+        </div>
+
+        {status === 'changed' && (
+          <p className="safety-number-warning" role="alert">
+            {username}&apos;s key has changed since you verified it. This happens when they
+            reinstall or reset their account, but could also mean someone is intercepting
+            your messages. Sending is blocked until you compare the new number.
+          </p>
+        )}
+
+        <p className="safety-number-text">
+          Compare this number with {username} in person or over a call. It is the
+          same on both screens only if neither key was swapped.
+        </p>
+
+        <div className="safety-number-digits" aria-label="Safety number">
+          {safetyNumber.map((group, index) => (
+            <span key={index}>{group}</span>
+          ))}
+        </div>
+
+        <dl className="safety-number-fingerprints">
+          <dt>YOUR KEY</dt>
+          <dd>{formatFingerprint(ownFingerprint)}</dd>
+          <dt>{username.toUpperCase()}&apos;S KEY</dt>
+          <dd>{formatFingerprint(fingerprint)}</dd>
+        </dl>
+
+        <div className="safety-number-actions">
+          {status === 'verified' ? (
+            <button type="button" className="safety-number-button" onClick={onClear}>
+              CLEAR VERIFICATION
+            </button>
+          ) : (
+            <button type="button" className="safety-number-button primary" onClick={onConfirm}>
+              {status === 'changed' ? '✔ NUMBERS MATCH, TRUST NEW KEY' : '✔ NUMBERS MATCH'}
+            </button>
+          )}
+          <button type="button" className="safety-number-button" onClick={onClose}>
+            CLOSE
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+SafetyNumber.propTypes = {
+  verification: PropTypes.shape({
+    username: PropTypes.string.isRequired,
+    status: PropTypes.oneOf(['verified', 'unverified', 'changed']).isRequired,
+    safetyNumber: PropTypes.arrayOf(PropTypes.string).isRequired,
+    ownFingerprint: PropTypes.string.isRequired,
+    fingerprint: PropTypes.string.isRequired
+  }).isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onClear: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default SafetyNumber;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import TwoFactorSetup from './TwoFactorSetup';
+
+/**
+ * Two-factor section of the settings modal
+ * Off: offers enrollment. On: turns it off (password + code) or issues new
+ * recovery codes (code).
+ */
+function TwoFactorSettings({
+  status,
+  setup,
+  onStartSetup,
+  onConfirmSetup,
+  onFinishSetup,
+  onDisable,
+  onRegenerateCodes
+}) {
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const handleDisable = async () => {
+    if (await onDisable(password, code.trim())) {
+      setPassword('');
+      setCode('');
+      setRecoveryCodes(null);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const codes = await onRegenerateCodes(code.trim());
+    if (codes) {
+      setCode('');
+      setRecoveryCodes(codes);
+    }
+  };
+
+  if (setup) {
+    return (
+      <TwoFactorSetup
+        secret={setup.secret}
+        otpauthUri={setup.otpauthUri}
+        onConfirm={onConfirmSetup}
+        onDone={onFinishSetup}
+        onCancel={onFinishSetup}
+      />
+    );
+  }
+
+  if (!status?.enabled) {
+    return (
+      <>
+        <button type="button" className="settings-save-btn" onClick={onStartSetup}>
+          Enable two-factor
+        </button>
+        <p className="settings-description">
+          Logins will also ask for a code from an authenticator app.
+        </p>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <p className="settings-description">
+        ✓ ON · {status.recoveryCodesRemaining} recovery code{status.recoveryCodesRemaining !== 1 ? 's' : ''} left
+      </p>
+      {recoveryCodes && (
+        <ul className="settings-recovery-codes" aria-label="Recovery codes">
+          {recoveryCodes.map(recoveryCode => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+      )}
+      <input
+        type="text"
+        className="settings-input"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        aria-label="Two-factor code"
+        placeholder="Current 6-digit code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        maxLength={6}
+      />
+      <button
+        type="button"
+        className="settings-cancel-btn"
+        onClick={handleRegenerate}
+        disabled={!code.trim()}
+      >
+        New recovery codes
+      </button>
+      <input
+        type="password"
+        className="settings-input"
+        aria-label="Password"
+        placeholder="Password (to turn off)"
+        value={password}
+        onChange={(e) => setPassword(e.target.value)}
+      />
+      <button
+        type="button"
+        className="settings-cancel-btn"
+        onClick={handleDisable}
+        disabled={!code.trim() || !password}
+      >
+        Turn off two-factor
+      </button>
+    </>
+  );
+}
+
+TwoFactorSettings.propTypes = {
+  status: PropTypes.shape({
+    enabled: PropTypes.bool,
+    recoveryCodesRemaining: PropTypes.number
+  }),
+  setup: PropTypes.shape({
+    secret: PropTypes.string,
+    otpauthUri: PropTypes.string
+  }),
+  onStartSetup: PropTypes.func.isRequired,
+  onConfirmSetup: PropTypes.func.isRequired,
+  onFinishSetup: PropTypes.func.isRequired,
+  onDisable: PropTypes.func.isRequired,
+  onRegenerateCodes: PropTypes.func.isRequired
+};
+
+export default TwoFactorSettings;
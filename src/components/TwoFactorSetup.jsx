@@ -0,0 +1,143 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import QRCode from 'qrcode';
+import { logger } from '../utils/logger';
+import './TwoFactorSetup.css';
+
+/**
+ * Two-factor enrollment: shows the secret as a QR code (rendered locally,
+ * nothing is sent to a QR service), checks a first code, then shows the
+ * one-time recovery codes.
+ * Not a <form> so it can sit inside the settings form.
+ */
+function TwoFactorSetup({ secret, otpauthUri, onConfirm, onDone, onCancel }) {
+  const [qrCode, setQrCode] = useState(null);
+  const [code, setCode] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toString(otpauthUri, { type: 'svg', margin: 1 })
+      .then(svg => {
+        if (!cancelled) {
+          setQrCode(`data:image/svg+xml;utf8,${encodeURIComponent(svg)}`);
+        }
+      })
+      .catch(err => logger.error('Failed to render QR code:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [otpauthUri]);
+
+  const handleConfirm = async () => {
+    if (!/^\d{6}$/.test(code.trim())) {
+      setError('Enter the 6-digit code from your authenticator');
+      return;
+    }
+
+    setIsLoading(true);
+    setError('');
+    try {
+      setRecoveryCodes(await onConfirm(code.trim()));
+    } catch (err) {
+      setError(err.message || 'Invalid two-factor code');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      handleConfirm();
+    }
+  };
+
+  if (recoveryCodes) {
+    return (
+      <div className="two-factor-setup">
+        <div className="two-factor-title">✓ TWO-FACTOR ENABLED</div>
+        <p className="two-factor-text">
+          Save these recovery codes somewhere safe. Each one logs you in once
+          if you lose your authenticator. They will not be shown again.
+        </p>
+        <ul className="two-factor-recovery-codes" aria-label="Recovery codes">
+          {recoveryCodes.map(recoveryCode => (
+            <li key={recoveryCode}>{recoveryCode}</li>
+          ))}
+        </ul>
+        <button type="button" className="two-factor-button" onClick={onDone}>
+          → I SAVED MY CODES
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="two-factor-setup">
+      <div className="two-factor-title">🔐 TWO-FACTOR SETUP</div>
+      <p className="two-factor-text">
+        Scan this code with an authenticator app, or enter the secret by hand.
+      </p>
+      {qrCode && (
+        <img className="two-factor-qr" src={qrCode} alt="Two-factor QR code" />
+      )}
+      <div className="two-factor-secret">
+        SECRET: <code>{secret}</code>
+      </div>
+      <details className="two-factor-uri">
+        <summary>Show otpauth URI</summary>
+        <code>{otpauthUri}</code>
+      </details>
+
+      <label htmlFor="two-factor-setup-code" className="two-factor-label">
+        CODE:
+      </label>
+      <input
+        id="two-factor-setup-code"
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        className="two-factor-input"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="123456"
+        maxLength={6}
+        disabled={isLoading}
+      />
+
+      {error && (
+        <div className="two-factor-error">
+          ✗ ERROR: {error}
+        </div>
+      )}
+
+      <button
+        type="button"
+        className="two-factor-button"
+        onClick={handleConfirm}
+        disabled={isLoading || !code.trim()}
+      >
+        {isLoading ? '⏳ CHECKING...' : '→ ENABLE'}
+      </button>
+      {onCancel && (
+        <button type="button" className="two-factor-link" onClick={onCancel} disabled={isLoading}>
+          Skip for now
+        </button>
+      )}
+    </div>
+  );
+}
+
+TwoFactorSetup.propTypes = {
+  secret: PropTypes.string.isRequired,
+  otpauthUri: PropTypes.string.isRequired,
+  onConfirm: PropTypes.func.isRequired,
+  onDone: PropTypes.func.isRequired,
+  onCancel: PropTypes.func
+};
+
+export default TwoFactorSetup;
@@ -2,9 +2,45 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import './UserSelector.css';
 
-function UserSelector({ users, currentRecipient, onSelectUser, onClose }) {
+/**
+ * Format a last-seen timestamp: time of day for today, date otherwise
+ * @param {string} lastSeen - ISO timestamp
+ * @returns {string} Short label
+ */
+const formatLastSeen = (lastSeen) => {
+  const date = new Date(lastSeen);
+  if (date.toDateString() === new Date().toDateString()) {
+    return date.toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit' });
+  }
+  return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }).toUpperCase();
+};
+
+// Badge text for each contact key verification status
+const KEY_STATUS_LABELS = {
+  verified: '✔ VERIFIED',
+  unverified: '○ UNVERIFIED',
+  changed: '⚠ KEY CHANGED'
+};
+
+function UserSelector({
+  users,
+  channels = [],
+  currentRecipient,
+  onSelectUser,
+  onCreateChannel,
+  onJoinChannel,
+  onLeaveChannel,
+  onVerifyUser,
+  onClose
+}) {
   const [searchTerm, setSearchTerm] = useState('');
   const [filteredUsers, setFilteredUsers] = useState(users);
+  const [newChannelName, setNewChannelName] = useState('');
+
+  const joinedChannelCount = channels.filter(channel => channel.joined).length;
+  const filteredChannels = channels.filter(channel =>
+    channel.name.toLowerCase().includes(searchTerm.trim().toLowerCase().replace(/^#/, ''))
+  );
 
   useEffect(() => {
     if (searchTerm.trim() === '') {
@@ -23,6 +59,17 @@ function UserSelector({ users, currentRecipient, onSelectUser, onClose }) {
     onClose();
   };
 
+  const handleCreateChannel = async (e) => {
+    e.preventDefault();
+    if (!newChannelName.trim() || !onCreateChannel) return;
+
+    const channel = await onCreateChannel(newChannelName.trim());
+    if (channel) {
+      setNewChannelName('');
+      handleSelectUser(`#${channel.name}`);
+    }
+  };
+
   return (
     <div className="user-selector-overlay" onClick={onClose}>
       <div className="user-selector-modal" onClick={(e) => e.stopPropagation()}>
@@ -50,37 +97,114 @@ function UserSelector({ users, currentRecipient, onSelectUser, onClose }) {
               NO USERS FOUND
             </div>
           ) : (
-            filteredUsers.map((user) => (
-              <button
-                key={user.username}
-                className={`user-selector-item ${
-                  currentRecipient === user.username ? 'selected' : ''
-                }`}
-                onClick={() => handleSelectUser(user.username)}
-              >
-                <div className="user-selector-item-info">
-                  <span className="user-selector-username">
-                    {user.username}
-                  </span>
-                  <span
-                    className={`user-selector-status ${
-                      user.online ? 'online' : 'offline'
-                    }`}
+            filteredUsers.map((user) => {
+              const item = (
+                <button
+                  key={user.username}
+                  className={`user-selector-item ${
+                    currentRecipient === user.username ? 'selected' : ''
+                  }`}
+                  onClick={() => handleSelectUser(user.username)}
+                >
+                  <div className="user-selector-item-info">
+                    <span className="user-selector-username">
+                      {user.username}
+                    </span>
+                    <span
+                      className={`user-selector-status ${
+                        user.online ? 'online' : 'offline'
+                      }`}
+                    >
+                      {user.online ? '● ONLINE' : '○ OFFLINE'}
+                      {!user.online && user.lastSeen && ` · SEEN ${formatLastSeen(user.lastSeen)}`}
+                    </span>
+                    {user.keyStatus && (
+                      <span className={`user-selector-key ${user.keyStatus}`}>
+                        {KEY_STATUS_LABELS[user.keyStatus]}
+                      </span>
+                    )}
+                  </div>
+                  {currentRecipient === user.username && (
+                    <span className="user-selector-checkmark">✓</span>
+                  )}
+                </button>
+              );
+
+              // Only contacts with a public key can be verified
+              if (!user.keyStatus || !onVerifyUser) {
+                return item;
+              }
+
+              return (
+                <div key={user.username} className="user-selector-channel">
+                  {item}
+                  <button
+                    className="user-selector-channel-action"
+                    onClick={() => onVerifyUser(user.username)}
+                    aria-label={`Verify safety number with ${user.username}`}
                   >
-                    {user.online ? '● ONLINE' : '○ OFFLINE'}
-                  </span>
+                    VERIFY
+                  </button>
                 </div>
-                {currentRecipient === user.username && (
-                  <span className="user-selector-checkmark">✓</span>
-                )}
-              </button>
-            ))
+              );
+            })
+          )}
+
+          {onCreateChannel && (
+            <>
+              <div className="user-selector-section">CHANNELS (GROUP CAPCODES)</div>
+              {filteredChannels.map((channel) => {
+                const address = `#${channel.name}`;
+                return (
+                  <div key={channel.channelId} className="user-selector-channel">
+                    <button
+                      className={`user-selector-item ${
+                        currentRecipient === address ? 'selected' : ''
+                      }`}
+                      onClick={() => handleSelectUser(address)}
+                      disabled={!channel.joined}
+                    >
+                      <div className="user-selector-item-info">
+                        <span className="user-selector-username">{address}</span>
+                        <span className="user-selector-status">
+                          CAP {channel.capcode} · {channel.memberCount} MEMBER{channel.memberCount !== 1 ? 'S' : ''}
+                        </span>
+                      </div>
+                      {currentRecipient === address && (
+                        <span className="user-selector-checkmark">✓</span>
+                      )}
+                    </button>
+                    <button
+                      className="user-selector-channel-action"
+                      onClick={() => (channel.joined ? onLeaveChannel : onJoinChannel)(channel)}
+                      aria-label={`${channel.joined ? 'Leave' : 'Join'} ${address}`}
+                    >
+                      {channel.joined ? 'LEAVE' : 'JOIN'}
+                    </button>
+                  </div>
+                );
+              })}
+              <form className="user-selector-create" onSubmit={handleCreateChannel}>
+                <input
+                  type="text"
+                  className="user-selector-search-input"
+                  placeholder="New channel name..."
+                  value={newChannelName}
+                  onChange={(e) => setNewChannelName(e.target.value)}
+                  aria-label="New channel name"
+                />
+                <button type="submit" className="user-selector-channel-action">
+                  CREATE
+                </button>
+              </form>
+            </>
           )}
         </div>
 
         <div className="user-selector-footer">
           <div className="user-selector-count">
             {filteredUsers.length} USER{filteredUsers.length !== 1 ? 'S' : ''} AVAILABLE
+            {onCreateChannel && ` · ${joinedChannelCount} CHANNEL${joinedChannelCount !== 1 ? 'S' : ''} JOINED`}
           </div>
         </div>
       </div>
@@ -92,10 +216,22 @@ UserSelector.propTypes = {
   users: PropTypes.arrayOf(PropTypes.shape({
     username: PropTypes.string.isRequired,
     online: PropTypes.bool,
-    lastSeen: PropTypes.string
+    lastSeen: PropTypes.string,
+    keyStatus: PropTypes.oneOf(['verified', 'unverified', 'changed'])
   })).isRequired,
+  channels: PropTypes.arrayOf(PropTypes.shape({
+    channelId: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    capcode: PropTypes.string,
+    memberCount: PropTypes.number,
+    joined: PropTypes.bool
+  })),
   currentRecipient: PropTypes.string,
   onSelectUser: PropTypes.func.isRequired,
+  onCreateChannel: PropTypes.func,
+  onJoinChannel: PropTypes.func,
+  onLeaveChannel: PropTypes.func,
+  onVerifyUser: PropTypes.func,
   onClose: PropTypes.func.isRequired
 };
 
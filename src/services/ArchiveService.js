@@ -0,0 +1,333 @@
+import { cryptoService } from './CryptoService.js';
+import { logger } from '../utils/logger.js';
+import { isIndexedDbAvailable } from '../utils/indexedDb.js';
+import {
+  ARCHIVE_STORES,
+  loadArchiveMeta,
+  saveArchiveMeta,
+  putRecords,
+  getRecords,
+  getRecordSizes,
+  deleteRecords,
+  clearRecords,
+  deleteArchive
+} from '../utils/archiveStore.js';
+import { clearMessageHistory } from '../utils/storage.js';
+import { CHATBOT_USERNAME, MAX_ARCHIVE_BYTES, ARCHIVE_PRUNE_TARGET } from '../utils/constants.js';
+
+// Share of the browser's storage quota after which the archive prunes itself
+const BROWSER_QUOTA_SHARE = 0.9;
+
+/**
+ * Conversation a display message belongs to
+ * @param {Object} message - Message as shown by the pager/fax views
+ * @returns {string} Contact username, "#channel" or the chatbot
+ */
+const getConversation = (message) => {
+  if (message.type === 'bot') return CHATBOT_USERNAME;
+  if (message.type === 'sent' || message.recipient?.startsWith('#')) return message.recipient;
+  return message.sender;
+};
+
+/**
+ * Local message archive
+ * Keeps every page and fax document in IndexedDB, encrypted with keys derived
+ * from a secret sealed to the user's RSA key, so the archive survives logout
+ * and reloads but only opens once the user's key is unlocked. Conversations
+ * are indexed by an HMAC tag rather than the contact's name.
+ */
+class ArchiveService {
+  constructor() {
+    this.owner = null;
+    this.keys = null; // { encryptionKey, indexKey } while open
+    this.saved = new Map(); // Message id -> JSON last written, to skip unchanged pages
+    this.sizes = new Map(); // "store/id" -> encrypted size, for the quota
+    this.queue = Promise.resolve(); // Writes run one after another
+  }
+
+  /**
+   * Open (or create) a user's archive; needs their private key loaded
+   * An archive sealed to a key this account no longer has (an account that
+   * was deleted and registered again) is emptied and started over.
+   * @param {string} owner - Username
+   * @returns {Promise<boolean>} False when the browser has no IndexedDB
+   */
+  async open(owner) {
+    this.close();
+    if (!isIndexedDbAvailable()) return false;
+
+    const meta = await loadArchiveMeta(owner);
+    let opened = null;
+    if (meta) {
+      try {
+        opened = await cryptoService.openArchiveSecret(meta.sealed);
+        if (opened.sealed !== meta.sealed) {
+          await saveArchiveMeta({ ...meta, sealed: opened.sealed });
+        }
+      } catch (error) {
+        logger.error('Archive sealed to an unknown key, starting a new one:', error);
+        await clearRecords(owner);
+      }
+    }
+    if (!opened) {
+      opened = await cryptoService.createArchiveSecret();
+      await saveArchiveMeta({ owner, sealed: opened.sealed, createdAt: new Date().toISOString() });
+    }
+
+    const entries = await getRecordSizes(owner);
+    this.owner = owner;
+    this.keys = opened.keys;
+    entries.forEach(({ storeName, id, size }) => this.sizes.set(`${storeName}/${id}`, size));
+    return true;
+  }
+
+  /**
+   * Forget the archive keys (logout or lock); the archive stays on disk
+   */
+  close() {
+    this.owner = null;
+    this.keys = null;
+    this.saved.clear();
+    this.sizes.clear();
+  }
+
+  /**
+   * Whether the archive is open
+   * @returns {boolean}
+   */
+  isOpen() {
+    return !!this.keys;
+  }
+
+  /**
+   * Delete every archive on this browser, and the plaintext history older
+   * versions kept in localStorage
+   * @returns {Promise<void>}
+   */
+  async wipe() {
+    this.close();
+    clearMessageHistory();
+    await deleteArchive();
+  }
+
+  /**
+   * Run archive writes in order, after any write already queued
+   * @param {Function} task
+   * @returns {Promise<*>}
+   */
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Opaque tag for a conversation name
+   * @param {string} conversation
+   * @returns {Promise<string>} Hex HMAC-SHA-256
+   */
+  async tagConversation(conversation) {
+    const mac = await window.crypto.subtle.sign(
+      'HMAC',
+      this.keys.indexKey,
+      new TextEncoder().encode(conversation)
+    );
+    return Array.from(new Uint8Array(mac), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Encrypt a value into an archive record
+   * @param {string|number} id - Message or fax id
+   * @param {string} conversation - Conversation name
+   * @param {number} sentAt - Milliseconds since the epoch
+   * @param {Object} value - Value to encrypt
+   * @returns {Promise<Object>} { owner, id, conversation, sentAt, size, iv, data }
+   */
+  async toRecord(id, conversation, sentAt, value) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = new Uint8Array(await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      this.keys.encryptionKey,
+      new TextEncoder().encode(JSON.stringify(value))
+    ));
+    return {
+      owner: this.owner,
+      id,
+      conversation: await this.tagConversation(conversation),
+      sentAt,
+      size: data.byteLength,
+      iv,
+      data
+    };
+  }
+
+  /**
+   * Decrypt archive records, skipping any that don't open
+   * @param {Array<Object>} records
+   * @returns {Promise<Array<Object>>} Decrypted values, in record order
+   */
+  async fromRecords(records) {
+    const values = await Promise.all(records.map(async ({ id, iv, data }) => {
+      try {
+        const plaintext = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, this.keys.encryptionKey, data);
+        return JSON.parse(new TextDecoder().decode(plaintext));
+      } catch (error) {
+        logger.error(`Failed to decrypt archived record ${id}:`, error);
+        return null;
+      }
+    }));
+    return values.filter(Boolean);
+  }
+
+  /**
+   * Write records and account for their size, pruning if the archive is full
+   * @param {string} storeName - One of ARCHIVE_STORES
+   * @param {Array<Object>} records
+   * @returns {Promise<void>}
+   */
+  async write(storeName, records) {
+    try {
+      await putRecords(storeName, records);
+    } catch (error) {
+      if (error?.name !== 'QuotaExceededError') throw error;
+      // The browser is out of room: make some and try once more
+      await this.prune(true);
+      await putRecords(storeName, records);
+    }
+    records.forEach(({ id, size }) => this.sizes.set(`${storeName}/${id}`, size));
+    await this.prune();
+  }
+
+  /**
+   * Delete the oldest records once the archive is over budget or the
+   * browser's quota is nearly used up
+   * @param {boolean} force - Prune even if neither limit is reached
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async prune(force = false) {
+    const total = [...this.sizes.values()].reduce((sum, size) => sum + size, 0);
+    const estimate = await navigator.storage?.estimate?.().catch(() => null);
+    const browserFull = !!estimate?.quota && estimate.usage > estimate.quota * BROWSER_QUOTA_SHARE;
+    if (!force && !browserFull && total <= MAX_ARCHIVE_BYTES) return 0;
+
+    const target = Math.min(total, MAX_ARCHIVE_BYTES) * ARCHIVE_PRUNE_TARGET;
+    const entries = (await getRecordSizes(this.owner)).sort((a, b) => a.sentAt - b.sentAt);
+    const removed = [];
+    let remaining = total;
+    for (const entry of entries) {
+      if (remaining <= target) break;
+      removed.push(entry);
+      remaining -= entry.size;
+    }
+
+    await deleteRecords(this.owner, removed);
+    removed.forEach(({ storeName, id }) => {
+      this.sizes.delete(`${storeName}/${id}`);
+      this.saved.delete(id);
+    });
+    logger.info(`Pruned ${removed.length} archived records to stay within quota`);
+    return removed.length;
+  }
+
+  /**
+   * Archive pages that are new or changed since they were last written
+   * Pages still being sent are skipped until the server gives them an id.
+   * @param {Array<Object>} messages - Messages as shown by the pager/fax views
+   * @returns {Promise<void>}
+   */
+  saveMessages(messages) {
+    return this.enqueue(async () => {
+      if (!this.isOpen()) return;
+
+      const changed = messages
+        .filter(message => message.status !== 'sending')
+        .map(message => ({ message, json: JSON.stringify(message) }))
+        .filter(({ message, json }) => this.saved.get(message.id) !== json);
+      if (changed.length === 0) return;
+
+      const records = await Promise.all(changed.map(({ message }) => this.toRecord(
+        message.id,
+        getConversation(message),
+        Date.parse(message.sentAt) || Date.now(),
+        message
+      )));
+      await this.write(ARCHIVE_STORES.MESSAGES, records);
+      changed.forEach(({ message, json }) => this.saved.set(message.id, json));
+    });
+  }
+
+  /**
+   * Remember pages read back from the archive as already written
+   * @param {Array<Object>} messages
+   * @returns {Array<Object>} The same messages
+   */
+  markSaved(messages) {
+    messages.forEach(message => this.saved.set(message.id, JSON.stringify(message)));
+    return messages;
+  }
+
+  /**
+   * The newest archived pages across all conversations, oldest first
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>} Display messages
+   */
+  async getRecentMessages(limit) {
+    if (!this.isOpen()) return [];
+    return this.markSaved(await this.fromRecords(await getRecords(ARCHIVE_STORES.MESSAGES, this.owner, { limit })));
+  }
+
+  /**
+   * Every archived page of one conversation, oldest first
+   * @param {string} conversation - Contact username, "#channel" or the chatbot
+   * @returns {Promise<Array<Object>>} Display messages
+   */
+  async getConversation(conversation) {
+    if (!this.isOpen()) return [];
+    const records = await getRecords(ARCHIVE_STORES.MESSAGES, this.owner, {
+      conversation: await this.tagConversation(conversation)
+    });
+    return this.markSaved(await this.fromRecords(records));
+  }
+
+  /**
+   * Delete every archived page (faxes stay)
+   * @returns {Promise<void>}
+   */
+  clearMessages() {
+    return this.enqueue(async () => {
+      if (!this.isOpen()) return;
+      await clearRecords(this.owner, [ARCHIVE_STORES.MESSAGES]);
+      this.saved.clear();
+      [...this.sizes.keys()]
+        .filter(key => key.startsWith(`${ARCHIVE_STORES.MESSAGES}/`))
+        .forEach(key => this.sizes.delete(key));
+    });
+  }
+
+  /**
+   * Archive a rendered fax document
+   * @param {Object} fax - { id, imageDataUrl, timestamp, sender, content, isFallback }
+   * @returns {Promise<void>}
+   */
+  saveFax(fax) {
+    return this.enqueue(async () => {
+      if (!this.isOpen()) return;
+      const record = await this.toRecord(fax.id, fax.sender || '', Number(new Date(fax.timestamp)) || Date.now(), fax);
+      await this.write(ARCHIVE_STORES.FAXES, [record]);
+    });
+  }
+
+  /**
+   * The newest archived fax documents, oldest first
+   * @param {number} limit
+   * @returns {Promise<Array<Object>>}
+   */
+  async getFaxes(limit) {
+    if (!this.isOpen()) return [];
+    return this.fromRecords(await getRecords(ARCHIVE_STORES.FAXES, this.owner, { limit }));
+  }
+}
+
+// Export singleton instance
+export const archiveService = new ArchiveService();
+export default ArchiveService;
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import ArchiveService from './ArchiveService';
+import CryptoService from './CryptoService';
+
+describe('ArchiveService', () => {
+  let crypto;
+  let archive;
+  let sealed;
+
+  beforeEach(async () => {
+    crypto = new CryptoService();
+    await crypto.generateKeyPair();
+    const created = await crypto.createArchiveSecret();
+    sealed = created.sealed;
+
+    archive = new ArchiveService();
+    archive.owner = 'Alice';
+    archive.keys = created.keys;
+  });
+
+  it('should encrypt records and index them by an opaque conversation tag', async () => {
+    const message = { id: 'msg-1', sender: 'Bob', content: 'Meet at the pier', type: 'received' };
+    const record = await archive.toRecord(message.id, 'Bob', 1000, message);
+
+    expect(record).toMatchObject({ owner: 'Alice', id: 'msg-1', sentAt: 1000, size: record.data.byteLength });
+    expect(record.conversation).toMatch(/^[0-9a-f]{64}$/);
+    expect(record.conversation).toBe(await archive.tagConversation('Bob'));
+    expect(record.conversation).not.toBe(await archive.tagConversation('Carol'));
+    expect(new TextDecoder().decode(record.data)).not.toContain('pier');
+    await expect(archive.fromRecords([record])).resolves.toEqual([message]);
+  });
+
+  it('should still open archived records after the key is rotated', async () => {
+    const record = await archive.toRecord('msg-1', 'Bob', 1000, { content: 'Before rotation' });
+
+    await crypto.rotateKeyPair();
+    const reopened = await crypto.openArchiveSecret(sealed);
+    expect(reopened.sealed).not.toBe(sealed);
+    expect(JSON.parse(reopened.sealed).keyId).toBe(await crypto.getOwnKeyId());
+
+    archive.keys = reopened.keys;
+    await expect(archive.fromRecords([record])).resolves.toEqual([{ content: 'Before rotation' }]);
+  });
+
+  it('should skip records it cannot decrypt and do nothing while closed', async () => {
+    const record = await archive.toRecord('msg-1', 'Bob', 1000, { content: 'Hi' });
+    const tampered = { ...record, data: record.data.map((byte, i) => (i === 0 ? byte ^ 1 : byte)) };
+    await expect(archive.fromRecords([tampered])).resolves.toEqual([]);
+
+    archive.close();
+    expect(archive.isOpen()).toBe(false);
+    await expect(archive.saveMessages([{ id: 'msg-2', content: 'Hi' }])).resolves.toBeUndefined();
+    await expect(archive.getRecentMessages(10)).resolves.toEqual([]);
+    // No IndexedDB in this environment
+    await expect(archive.open('Alice')).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+import { authService } from './AuthService.js';
+import { cryptoService } from './CryptoService.js';
+import { logger } from '../utils/logger.js';
+import { ATTACHMENT_TYPES, MAX_ATTACHMENT_BYTES } from '../utils/constants';
+
+/**
+ * Encrypted attachment service
+ * Files are encrypted in the browser with a fresh AES-GCM key and only the
+ * ciphertext is uploaded. The returned descriptor (ID, key, IV, name, type
+ * and size) is packed into the message before it is end-to-end encrypted,
+ * so the server never learns what was attached.
+ */
+class AttachmentService {
+  constructor() {
+    this.baseUrl = '/api';
+    // Map of attachment ID -> Promise<string> object URL of the decrypted file
+    this.objectUrls = new Map();
+  }
+
+  /**
+   * Encrypt and upload a file
+   * @param {File} file - File picked by the user
+   * @returns {Promise<Object>} { id, key, iv, name, type, size }
+   */
+  async upload(file) {
+    if (!authService.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      throw new Error(`${file.name}: only images, text files and PDFs can be attached`);
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      throw new Error(`${file.name}: attachments are limited to ${Math.floor(MAX_ATTACHMENT_BYTES / 1024)} KB`);
+    }
+
+    try {
+      const { data, key, iv } = await cryptoService.encryptAttachment(await file.arrayBuffer());
+      const response = await fetch(`${this.baseUrl}/attachments`, {
+        method: 'POST',
+        headers: { ...authService.getRequestHeaders(), 'Content-Type': 'application/octet-stream' },
+        body: data,
+      });
+
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.error || 'Failed to upload attachment');
+      }
+
+      const { attachmentId } = await response.json();
+      return { id: attachmentId, key, iv, name: file.name, type: file.type, size: file.size };
+    } catch (error) {
+      logger.error('Upload attachment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Download and decrypt an attachment for display
+   * Each attachment is fetched once; later calls share the same URL.
+   * @param {Object} attachment - Descriptor from a received message
+   * @returns {Promise<string>} Object URL of the decrypted file
+   */
+  getObjectUrl(attachment) {
+    if (!this.objectUrls.has(attachment.id)) {
+      const url = this.download(attachment);
+      // Let a failed download be retried
+      url.catch(() => this.objectUrls.delete(attachment.id));
+      this.objectUrls.set(attachment.id, url);
+    }
+    return this.objectUrls.get(attachment.id);
+  }
+
+  /**
+   * Fetch and decrypt an attachment
+   * @param {Object} attachment - { id, key, iv, type }
+   * @returns {Promise<string>} Object URL of the decrypted file
+   */
+  async download(attachment) {
+    try {
+      const response = await fetch(`${this.baseUrl}/attachments/${encodeURIComponent(attachment.id)}`);
+      if (!response.ok) {
+        throw new Error('Failed to download attachment');
+      }
+
+      const bytes = await cryptoService.decryptAttachment(await response.arrayBuffer(), attachment);
+      return URL.createObjectURL(new Blob([bytes], { type: attachment.type }));
+    } catch (error) {
+      logger.error('Download attachment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Forget decrypted files, e.g. on logout
+   */
+  clear() {
+    this.objectUrls.forEach(url => url.then(URL.revokeObjectURL, () => {}));
+    this.objectUrls.clear();
+  }
+}
+
+// Export singleton instance
+export const attachmentService = new AttachmentService();
+export default AttachmentService;
@@ -1,22 +1,61 @@
 import { cryptoService } from './CryptoService.js';
+import { archiveService } from './ArchiveService.js';
 import { logger } from '../utils/logger.js';
+import { generateRecoveryPhrase, isValidRecoveryPhrase } from '../utils/recoveryPhrase.js';
+import { getLinkCode, normalizeLinkCode } from '../utils/fingerprint.js';
+import {
+  loadUnlockedKeys,
+  saveUnlockedKeys,
+  deleteUnlockedKeys,
+  clearUnlockedKeys,
+  loadStoredPrekeys,
+  saveStoredPrekeys,
+  clearStoredPrekeys
+} from '../utils/keyStore.js';
+import { MIN_PIN_LENGTH, MAX_PIN_LENGTH, MAX_PIN_ATTEMPTS } from '../utils/constants.js';
+
+// Cookie and header carrying the CSRF token (see server/middleware/session.js)
+const CSRF_COOKIE = 'retro_csrf';
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Build the error for a failed register/login response
+ * Throttled responses (429) say how long to wait; logins that need a
+ * two-factor code are flagged with error.twoFactorRequired.
+ * @param {Response} response - Fetch response
+ * @param {Object} body - Parsed error body ({ error, retryAfter, twoFactorRequired })
+ * @param {string} fallback - Message when the body has none
+ * @returns {Error}
+ */
+const toAuthError = (response, body, fallback) => {
+  const message = body.error || fallback;
+  const error = new Error(
+    response.status === 429 && body.retryAfter
+      ? `${message}, try again in ${body.retryAfter}s`
+      : message
+  );
+  error.twoFactorRequired = !!body.twoFactorRequired;
+  return error;
+};
 
 /**
  * Authentication service for multiuser support with E2EE
+ * The session token lives in an HttpOnly cookie that scripts never see; only
+ * the username is remembered locally so the UI knows a session may exist.
  */
 class AuthService {
   constructor() {
     this.baseUrl = '/api';
-    this.sessionId = this.loadSession();
+    // Older builds kept the raw session token in localStorage
+    localStorage.removeItem('retro_session_id');
     this.username = this.loadUsername();
     this.encryptedPrivateKey = this.loadEncryptedPrivateKey();
-  }
-
-  /**
-   * Load session from localStorage
-   */
-  loadSession() {
-    return localStorage.getItem('retro_session_id');
+    this.prekeyRotation = null;
+    // Whether this session has published our prekey yet (each session lists its own)
+    this.prekeyPublished = false;
+    // Link request this (signed-out) device is waiting on; see startDeviceLink()
+    this.deviceLink = null;
+    cryptoService.loadVerifiedKeys(this.username);
   }
 
   /**
@@ -34,43 +73,73 @@ class AuthService {
   }
 
   /**
-   * Save session to localStorage
+   * Save session details to localStorage (the token itself stays in its cookie)
    */
-  saveSession(sessionId, username, encryptedPrivateKey = null) {
-    localStorage.setItem('retro_session_id', sessionId);
+  saveSession(username, encryptedPrivateKey = null) {
     localStorage.setItem('retro_username', username);
     if (encryptedPrivateKey) {
       localStorage.setItem('retro_encrypted_private_key', encryptedPrivateKey);
     }
-    this.sessionId = sessionId;
     this.username = username;
     this.encryptedPrivateKey = encryptedPrivateKey;
+    cryptoService.loadVerifiedKeys(username);
   }
 
   /**
    * Clear session from localStorage
    */
   clearSession() {
-    localStorage.removeItem('retro_session_id');
     localStorage.removeItem('retro_username');
     localStorage.removeItem('retro_encrypted_private_key');
-    this.sessionId = null;
     this.username = null;
     this.encryptedPrivateKey = null;
+    this.prekeyPublished = false;
     cryptoService.clearKeys();
+    archiveService.close();
+    clearUnlockedKeys().catch(error => logger.error('Failed to delete stored keys:', error));
+  }
+
+  /**
+   * Read the CSRF token the server issued alongside the session cookie
+   * @returns {string|null}
+   */
+  getCsrfToken() {
+    const cookie = document.cookie
+      .split(';')
+      .map(pair => pair.trim())
+      .find(pair => pair.startsWith(`${CSRF_COOKIE}=`));
+    return cookie ? decodeURIComponent(cookie.slice(CSRF_COOKIE.length + 1)) : null;
+  }
+
+  /**
+   * Headers for a JSON POST to a session-protected endpoint
+   * @returns {Object} Content type plus the CSRF token
+   */
+  getRequestHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    const csrfToken = this.getCsrfToken();
+    if (csrfToken) {
+      headers[CSRF_HEADER] = csrfToken;
+    }
+    return headers;
   }
 
   /**
    * Register new user with password
    * @param {string} username - Username
    * @param {string} password - Password
-   * @returns {Promise<Object>} User data with sessionId
+   * @param {Object} options
+   * @param {boolean} options.createRecoveryKit - Also create a recovery kit;
+   *   its phrase is returned as recoveryPhrase
+   * @returns {Promise<Object>} User data
    */
-  async register(username, password) {
+  async register(username, password, { createRecoveryKit = false } = {}) {
     try {
-      // Generate key pair
+      // Generate encryption and signing key pairs
       await cryptoService.generateKeyPair();
+      await cryptoService.generateSigningKeyPair();
       const publicKey = await cryptoService.exportPublicKey();
+      const signingPublicKey = await cryptoService.exportSigningPublicKey();
 
       // Register user
       const response = await fetch(`${this.baseUrl}/auth/register`, {
@@ -78,22 +147,32 @@ class AuthService {
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ username, password, publicKey }),
+        body: JSON.stringify({ username, password, publicKey, signingPublicKey }),
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Registration failed');
+        throw toAuthError(response, await response.json(), 'Registration failed');
       }
 
       const data = await response.json();
 
       // Encrypt and store private key
       const encryptedPrivateKey = await cryptoService.exportEncryptedPrivateKey(password);
-      this.saveSession(data.sessionId, data.username, encryptedPrivateKey);
+      this.saveSession(data.username, encryptedPrivateKey);
 
       // Store encrypted private key on server
-      await this.storeEncryptedPrivateKey(data.sessionId, encryptedPrivateKey);
+      await this.storeEncryptedPrivateKey(encryptedPrivateKey);
+      await this.rotatePrekeyIfDue();
+      await this.openArchive();
+
+      if (createRecoveryKit) {
+        try {
+          data.recoveryPhrase = await this.createRecoveryKit();
+        } catch (error) {
+          // The account works without a kit; one can be made in Settings
+          logger.error('Failed to create recovery kit:', error);
+        }
+      }
 
       return data;
     } catch (error) {
@@ -104,103 +183,238 @@ class AuthService {
 
   /**
    * Login with username and password
+   * Accounts with two-factor authentication also need a code (or a recovery
+   * code); without one the returned error has twoFactorRequired set.
    * @param {string} username - Username
    * @param {string} password - Password
-   * @returns {Promise<Object>} User data with sessionId
+   * @param {Object} secondFactor - { code } or { recoveryCode }
+   * @returns {Promise<Object>} User data
    */
-  async login(username, password) {
+  async login(username, password, { code, recoveryCode } = {}) {
     try {
       const response = await fetch(`${this.baseUrl}/auth/login`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, code, recoveryCode }),
       });
 
       if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Login failed');
+        throw toAuthError(response, await response.json(), 'Login failed');
       }
 
       const data = await response.json();
 
-      // Decrypt private key
+      // Decrypt private keys
+      let needsSigningKey = false;
       if (data.encryptedPrivateKey) {
         try {
-          const privateKey = await cryptoService.importEncryptedPrivateKey(
+          const { privateKey, signingKeyPair, retiredKeys } = await cryptoService.importEncryptedKeyring(
             data.encryptedPrivateKey,
             password
           );
           const publicKey = await cryptoService.importPublicKey(data.publicKey);
           cryptoService.setKeyPair({ publicKey, privateKey });
+          cryptoService.setRetiredKeys(retiredKeys);
+          cryptoService.setSigningKeyPair(signingKeyPair);
+          needsSigningKey = !signingKeyPair;
         } catch (error) {
           logger.error('Failed to decrypt private key:', error);
           throw new Error('Invalid password');
         }
       }
 
-      this.saveSession(data.sessionId, data.username, data.encryptedPrivateKey);
+      this.saveSession(data.username, data.encryptedPrivateKey);
+
+      if (needsSigningKey) {
+        await this.addSigningKey(password);
+      }
+      await this.loadPrekeys();
+      await this.rotatePrekeyIfDue();
+      await this.openArchive();
+      await this.refreshPinUnlock();
 
       return data;
     } catch (error) {
-      logger.error('Login error:', error);
+      if (!error.twoFactorRequired) {
+        logger.error('Login error:', error);
+      }
       throw error;
     }
   }
 
   /**
    * Store encrypted private key on server
-   * @param {string} sessionId - Session ID
    * @param {string} encryptedPrivateKey - Encrypted private key
    */
-  async storeEncryptedPrivateKey(sessionId, encryptedPrivateKey) {
+  async storeEncryptedPrivateKey(encryptedPrivateKey) {
     try {
       await fetch(`${this.baseUrl}/auth/store-private-key`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ sessionId, encryptedPrivateKey }),
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ encryptedPrivateKey }),
       });
     } catch (error) {
       logger.error('Failed to store private key:', error);
     }
   }
 
+  /**
+   * Give an account from before message signing a signing key
+   * The new key is published and the stored keyring rewritten to include it.
+   * Failures are only logged: messages still send, just unsigned.
+   * @param {string} password - Password the keyring is wrapped with
+   */
+  async addSigningKey(password) {
+    try {
+      await cryptoService.generateSigningKeyPair();
+
+      const response = await fetch(`${this.baseUrl}/auth/signing-key`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ signingPublicKey: await cryptoService.exportSigningPublicKey() }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to publish signing key');
+      }
+
+      const encryptedPrivateKey = await cryptoService.exportEncryptedPrivateKey(password);
+      this.saveSession(this.username, encryptedPrivateKey);
+      await this.storeEncryptedPrivateKey(encryptedPrivateKey);
+    } catch (error) {
+      // Don't sign with a key nobody can verify
+      cryptoService.setSigningKeyPair(null);
+      logger.error('Failed to add signing key:', error);
+    }
+  }
+
+  /**
+   * Load this device's prekeys from the local key store
+   * Without them, pages sealed to our prekeys can't be read here. Expired
+   * prekeys are deleted from the store as well as from memory.
+   */
+  async loadPrekeys() {
+    try {
+      const stored = await loadStoredPrekeys(this.username);
+      cryptoService.setPrekeys(stored);
+      if (cryptoService.getPrekeys().length < stored.length) {
+        await saveStoredPrekeys(this.username, cryptoService.getPrekeys());
+      }
+    } catch (error) {
+      logger.error('Failed to load prekeys:', error);
+    }
+  }
+
+  /**
+   * Open the local message archive with the keys we just unlocked
+   * Messaging works without it, so failures are only logged.
+   */
+  async openArchive() {
+    try {
+      await archiveService.open(this.username);
+    } catch (error) {
+      logger.error('Failed to open message archive:', error);
+    }
+  }
+
+  /**
+   * Publish a new prekey if ours is a day old (or we have none), or our
+   * current one if this session hasn't published it yet
+   * Failures are only logged: contacts then seal pages to our RSA key, or
+   * only to our other devices.
+   * @returns {Promise<void>}
+   */
+  rotatePrekeyIfDue() {
+    if (!this.prekeyRotation) {
+      this.prekeyRotation = this.rotatePrekey().finally(() => {
+        this.prekeyRotation = null;
+      });
+    }
+    return this.prekeyRotation;
+  }
+
+  /**
+   * Generate, sign and publish a prekey when one is due
+   * The new prekey is stored on this device before it is published, and the
+   * expired ones it replaces are deleted from the store with it. Only the
+   * public half is sent to the server, which lists it for as long as this
+   * session lasts, so a new session publishes the current prekey again.
+   */
+  async rotatePrekey() {
+    if (!cryptoService.hasSigningKey()) return;
+    const due = cryptoService.needsPrekeyRotation();
+    if (!due && this.prekeyPublished) return;
+
+    try {
+      let prekey = cryptoService.getPublishedPrekey();
+      if (due) {
+        prekey = await cryptoService.generatePrekey();
+        await saveStoredPrekeys(this.username, cryptoService.getPrekeys());
+      }
+      const response = await fetch(`${this.baseUrl}/auth/prekeys`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ prekey }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to publish prekey');
+      }
+      this.prekeyPublished = true;
+    } catch (error) {
+      logger.error('Failed to rotate prekey:', error);
+    }
+  }
+
   /**
    * Logout current user
+   * The encrypted message archive stays for the next login unless wiped.
+   * @param {Object} options
+   * @param {boolean} options.wipe - Also delete every message archive on this browser
    */
-  async logout() {
-    if (!this.sessionId) return;
+  async logout({ wipe = false } = {}) {
+    if (!this.isAuthenticated()) return;
 
     try {
       await fetch(`${this.baseUrl}/auth/logout`, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ sessionId: this.sessionId }),
+        headers: this.getRequestHeaders(),
       });
     } catch (error) {
       logger.error('Logout error:', error);
     } finally {
       this.clearSession();
+      if (wipe) {
+        await this.wipeDevice();
+      }
     }
   }
 
+  /**
+   * Delete the message archive and prekeys kept on this device
+   * Pages sealed to the deleted prekeys can't be read anywhere afterwards.
+   */
+  async wipeDevice() {
+    await archiveService.wipe().catch(error => logger.error('Failed to wipe message archive:', error));
+    await clearStoredPrekeys().catch(error => logger.error('Failed to delete stored prekeys:', error));
+  }
+
   /**
    * Get list of all users
    * @returns {Promise<Array>} List of users
    */
   async getUsers() {
-    if (!this.sessionId) {
+    if (!this.isAuthenticated()) {
       throw new Error('Not authenticated');
     }
 
     try {
       const response = await fetch(
-        `${this.baseUrl}/auth/users?sessionId=${this.sessionId}`
+        `${this.baseUrl}/auth/users`
       );
 
       if (!response.ok) {
@@ -212,29 +426,731 @@ class AuthService {
       // Store public keys for E2EE
       for (const user of data.users) {
         if (user.publicKey) {
-          await cryptoService.storePublicKey(user.username, user.publicKey);
+          await cryptoService.storePublicKey(user.username, user.publicKey, user.signingPublicKey, user.prekeys);
         }
       }
+      await cryptoService.storeDevicePrekeys(data.ownPrekeys);
       
-      return data.users;
+      return data.users.map(user => ({
+        ...user,
+        keyStatus: cryptoService.getVerificationStatus(user.username)
+      }));
     } catch (error) {
       logger.error('Get users error:', error);
       throw error;
     }
   }
 
+  /**
+   * Everything needed to verify a contact's key
+   * @param {string} username - Contact username
+   * @returns {Promise<Object>} { username, status, safetyNumber, ownFingerprint, fingerprint }
+   */
+  async getContactVerification(username) {
+    const details = await cryptoService.getSafetyNumber(this.username, username);
+    return {
+      username,
+      status: cryptoService.getVerificationStatus(username),
+      ...details
+    };
+  }
+
+  /**
+   * Mark a contact as verified after comparing safety numbers, or clear it
+   * @param {string} username - Contact username
+   * @param {boolean} verified - Whether the safety numbers matched
+   * @returns {string|null} New verification status
+   */
+  setContactVerified(username, verified) {
+    if (verified) {
+      cryptoService.verifyContact(username);
+    } else {
+      cryptoService.unverifyContact(username);
+    }
+    return cryptoService.getVerificationStatus(username);
+  }
+
+  /**
+   * Update the current user's preferences
+   * @param {Object} preferences - Preference keys to change (e.g. { readReceipts: false })
+   * @returns {Promise<Object>} Updated preferences
+   */
+  async updatePreferences(preferences) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/auth/preferences`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ preferences }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to update preferences');
+      }
+
+      const data = await response.json();
+      return data.preferences;
+    } catch (error) {
+      logger.error('Update preferences error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List the current user's sessions across devices
+   * @returns {Promise<Array>} Sessions ({ id, createdAt, lastUsedAt, expiresAt, userAgent, ip, current })
+   */
+  async getSessions() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/auth/sessions`
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch sessions');
+      }
+
+      const data = await response.json();
+      return data.sessions;
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke one session (signs that device out)
+   * @param {string} id - Public session ID from getSessions()
+   * @returns {Promise<void>}
+   */
+  async revokeSession(id) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/auth/sessions/${encodeURIComponent(id)}/revoke`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to revoke session');
+      }
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every session except this one
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/auth/sessions/revoke-others`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to revoke sessions');
+      }
+
+      const data = await response.json();
+      return data.revoked;
+    } catch (error) {
+      logger.error('Revoke sessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ask to link this device to an account that is unlocked elsewhere
+   * The returned code is derived from a one-off key made here; the user
+   * enters it on their other device, which seals the keyring to that key.
+   * Poll checkDeviceLink() until the request is approved.
+   * @param {string} username - Account to link to
+   * @param {string} name - Label for this device
+   * @returns {Promise<Object>} { code, expiresAt }
+   */
+  async startDeviceLink(username, name) {
+    try {
+      const { keyPair, publicKey } = await cryptoService.createLinkKeyPair();
+
+      const response = await fetch(`${this.baseUrl}/devices/link`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, publicKey, name }),
+      });
+
+      if (!response.ok) {
+        throw toAuthError(response, await response.json(), 'Failed to start linking');
+      }
+
+      const { linkId, linkToken, expiresAt } = await response.json();
+      const code = await getLinkCode(publicKey);
+      this.deviceLink = { linkId, linkToken, keyPair, code, expiresAt };
+      return { code, expiresAt };
+    } catch (error) {
+      logger.error('Start device link error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether the link request has been approved
+   * Once it has, the keyring from the other device is unlocked and this
+   * device is signed in.
+   * @returns {Promise<Object|null>} User data as from login(), or null while
+   *   the request is still waiting
+   */
+  async checkDeviceLink() {
+    const link = this.deviceLink;
+    if (!link) {
+      throw new Error('No device link in progress');
+    }
+
+    const response = await fetch(`${this.baseUrl}/devices/link/${encodeURIComponent(link.linkId)}/complete`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ linkToken: link.linkToken }),
+    });
+    const data = await response.json();
+
+    // Throttled checks don't end the request; the next poll tries again
+    if (response.status === 429) {
+      return null;
+    }
+    if (!response.ok) {
+      this.deviceLink = null;
+      throw new Error(response.status === 404 ? 'Link request expired or was turned down' : data.error || 'Failed to link device');
+    }
+    if (data.status === 'pending') {
+      return null;
+    }
+
+    this.deviceLink = null;
+    try {
+      const { privateKey, signingKeyPair, retiredKeys } = await cryptoService.openKeyringFromDevice(
+        link.keyPair,
+        data.devicePublicKey,
+        data.payload
+      );
+      const publicKey = await cryptoService.importPublicKey(data.publicKey);
+      cryptoService.setKeyPair({ publicKey, privateKey });
+      cryptoService.setRetiredKeys(retiredKeys);
+      cryptoService.setSigningKeyPair(signingKeyPair);
+    } catch (error) {
+      // The server already started a session; don't leave it behind keyless
+      this.saveSession(data.username);
+      await this.logout();
+      throw error;
+    }
+
+    this.saveSession(data.username, data.encryptedPrivateKey);
+    await this.loadPrekeys();
+    await this.rotatePrekeyIfDue();
+    await this.openArchive();
+    await this.refreshPinUnlock();
+
+    return data;
+  }
+
+  /**
+   * Stop waiting on a link request (it expires on the server by itself)
+   */
+  cancelDeviceLink() {
+    this.deviceLink = null;
+  }
+
+  /**
+   * List devices waiting to be linked to the current user's account
+   * @returns {Promise<Array>} Links ({ linkId, name, publicKey, createdAt, expiresAt })
+   */
+  async getPendingDeviceLinks() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${this.baseUrl}/devices/links`);
+    if (!response.ok) {
+      throw new Error('Failed to fetch devices waiting to be linked');
+    }
+
+    const data = await response.json();
+    return data.links;
+  }
+
+  /**
+   * Approve the waiting device showing a link code, sealing our keyring to it
+   * The code is checked against each waiting device's key here, so the
+   * server can't swap in a key of its own.
+   * @param {string} code - Link code as typed
+   * @returns {Promise<string>} Name of the linked device
+   */
+  async approveDeviceLink(code) {
+    if (!cryptoService.canExportPrivateKeys()) {
+      throw new Error('Log in with your password to link a device');
+    }
+
+    try {
+      const wanted = normalizeLinkCode(code);
+      let match = null;
+      for (const link of await this.getPendingDeviceLinks()) {
+        if (await getLinkCode(link.publicKey) === wanted) {
+          match = link;
+          break;
+        }
+      }
+      if (!match) {
+        throw new Error('No device is showing that code');
+      }
+
+      const response = await fetch(`${this.baseUrl}/devices/links/${encodeURIComponent(match.linkId)}/approve`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify(await cryptoService.sealKeyringForDevice(match.publicKey)),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to link device');
+      }
+
+      return match.name;
+    } catch (error) {
+      logger.error('Approve device link error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn down a device waiting to be linked
+   * @param {string} linkId - From getPendingDeviceLinks()
+   * @returns {Promise<void>}
+   */
+  async rejectDeviceLink(linkId) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    const response = await fetch(`${this.baseUrl}/devices/links/${encodeURIComponent(linkId)}/reject`, {
+      method: 'POST',
+      headers: this.getRequestHeaders(),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to turn down device');
+    }
+  }
+
+  /**
+   * List the devices linked to the current user's account
+   * @returns {Promise<Array>} Devices ({ deviceId, name, linkedAt, lastUsedAt, active, current })
+   */
+  async getDevices() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/devices`);
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch devices');
+      }
+
+      const data = await response.json();
+      return data.devices;
+    } catch (error) {
+      logger.error('Get devices error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unlink a device; it is signed out and deletes the keys it holds
+   * @param {string} deviceId - From getDevices()
+   * @returns {Promise<void>}
+   */
+  async unlinkDevice(deviceId) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/devices/${encodeURIComponent(deviceId)}/unlink`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to unlink device');
+      }
+    } catch (error) {
+      logger.error('Unlink device error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Change the password without losing access to encrypted history
+   * The private key is unwrapped with the current password and re-wrapped
+   * with the new one here; the server swaps the password and wrapped key
+   * together and signs out every other session.
+   * @param {string} currentPassword - Current password
+   * @param {string} newPassword - New password
+   * @returns {Promise<number>} Number of other sessions signed out
+   */
+  async changePassword(currentPassword, newPassword) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!this.encryptedPrivateKey) {
+      throw new Error('No encrypted private key stored');
+    }
+
+    try {
+      let encryptedPrivateKey;
+      try {
+        encryptedPrivateKey = await cryptoService.rewrapPrivateKey(
+          this.encryptedPrivateKey,
+          currentPassword,
+          newPassword
+        );
+      } catch {
+        throw new Error('Current password is incorrect');
+      }
+
+      const response = await fetch(`${this.baseUrl}/auth/change-password`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ currentPassword, newPassword, encryptedPrivateKey }),
+      });
+
+      if (!response.ok) {
+        throw toAuthError(response, await response.json(), 'Failed to change password');
+      }
+
+      const data = await response.json();
+      this.saveSession(this.username, encryptedPrivateKey);
+      return data.revoked;
+    } catch (error) {
+      logger.error('Change password error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace our encryption key pair
+   * Contacts encrypt to the new public key from now on; the old private key
+   * moves into the keyring's retired keys so history stays readable. Other
+   * sessions are signed out and the recovery kit, which only holds the old
+   * key, is deleted by the server.
+   * @param {string} password - Current password, to re-wrap the keyring
+   * @returns {Promise<Object>} { revoked, recoveryKitRemoved }
+   */
+  async rotateEncryptionKey(password) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!this.encryptedPrivateKey) {
+      throw new Error('No encrypted private key stored');
+    }
+
+    // Reload the keyring: keys restored with a PIN can't be re-wrapped
+    try {
+      const { privateKey, signingKeyPair, retiredKeys } = await cryptoService.importEncryptedKeyring(
+        this.encryptedPrivateKey,
+        password
+      );
+      cryptoService.restoreSessionKeys({
+        keyPair: { publicKey: cryptoService.getKeyPair().publicKey, privateKey },
+        signingKeyPair,
+        retiredKeys
+      });
+    } catch {
+      throw new Error('Password is incorrect');
+    }
+
+    const rotation = await cryptoService.rotateKeyPair();
+    let data;
+    let encryptedPrivateKey;
+    try {
+      encryptedPrivateKey = await cryptoService.exportEncryptedPrivateKey(password);
+      const response = await fetch(`${this.baseUrl}/auth/rotate-key`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({
+          password,
+          publicKey: await cryptoService.exportPublicKey(),
+          encryptedPrivateKey
+        }),
+      });
+
+      if (!response.ok) {
+        throw toAuthError(response, await response.json(), 'Failed to rotate encryption key');
+      }
+
+      data = await response.json();
+    } catch (error) {
+      // The server still hands out the old public key
+      cryptoService.undoKeyRotation(rotation);
+      logger.error('Key rotation error:', error);
+      throw error;
+    }
+
+    this.saveSession(this.username, encryptedPrivateKey);
+    // Our archive secret was sealed to the old key
+    await this.openArchive();
+    await this.refreshPinUnlock();
+    return { revoked: data.revoked, recoveryKitRemoved: data.recoveryKitRemoved };
+  }
+
+  /**
+   * Create a recovery kit (replacing any earlier one)
+   * A second copy of the private key is wrapped with a fresh recovery phrase.
+   * The phrase itself never leaves this device; the server gets the wrapped
+   * copy and a key derived from the phrase that proves possession later.
+   * Needs the private key unlocked in this session.
+   * @returns {Promise<string>} Recovery phrase to print and keep offline
+   */
+  async createRecoveryKit() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!cryptoService.canExportPrivateKeys()) {
+      throw new Error('Log in with your password to create a recovery kit');
+    }
+
+    try {
+      const phrase = generateRecoveryPhrase();
+      const { recoveryKey, encryptedPrivateKey } = await cryptoService.exportRecoveryKit(phrase);
+
+      const response = await fetch(`${this.baseUrl}/auth/recovery-kit`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify({ recoveryKey, encryptedPrivateKey }),
+      });
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to create recovery kit');
+      }
+
+      return phrase;
+    } catch (error) {
+      logger.error('Create recovery kit error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the current user has a recovery kit
+   * @returns {Promise<Object>} { enabled, createdAt }
+   */
+  async getRecoveryKitStatus() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/auth/recovery-kit`
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch recovery kit status');
+      }
+
+      return await response.json();
+    } catch (error) {
+      logger.error('Get recovery kit status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Set a new password with a recovery phrase
+   * The recovery copy of the private key is unwrapped with the phrase and
+   * re-wrapped with the new password here. Every session of the account is
+   * signed out; log in with the new password afterwards.
+   * @param {string} username - Username
+   * @param {string} phrase - Recovery phrase as typed
+   * @param {string} newPassword - New password
+   * @returns {Promise<void>}
+   */
+  async recoverAccount(username, phrase, newPassword) {
+    if (!isValidRecoveryPhrase(phrase)) {
+      throw new Error('That does not look like a recovery phrase');
+    }
+
+    try {
+      const recoveryKey = await cryptoService.deriveRecoveryKey(phrase);
+
+      const started = await fetch(`${this.baseUrl}/auth/recovery/start`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, recoveryKey }),
+      });
+
+      if (!started.ok) {
+        throw toAuthError(started, await started.json(), 'Account recovery failed');
+      }
+
+      const { encryptedPrivateKey: recoveryCopy } = await started.json();
+      const encryptedPrivateKey = await cryptoService.recoverPrivateKey(recoveryCopy, phrase, newPassword);
+
+      const completed = await fetch(`${this.baseUrl}/auth/recovery/complete`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ username, recoveryKey, newPassword, encryptedPrivateKey }),
+      });
+
+      if (!completed.ok) {
+        throw toAuthError(completed, await completed.json(), 'Account recovery failed');
+      }
+    } catch (error) {
+      logger.error('Account recovery error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current user's two-factor status
+   * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesRemaining }
+   */
+  async getTwoFactorStatus() {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(
+        `${this.baseUrl}/auth/2fa`
+      );
+
+      if (!response.ok) {
+        throw new Error('Failed to fetch two-factor status');
+      }
+
+      return await response.json();
+    } catch (error) {
+      logger.error('Get two-factor status error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a two-factor request to the server
+   * @param {string} path - Path under /auth/2fa
+   * @param {Object} body - JSON body
+   * @param {string} fallback - Error message when the server gives none
+   * @returns {Promise<Object>} Response data
+   */
+  async postTwoFactor(path, body, fallback) {
+    if (!this.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const response = await fetch(`${this.baseUrl}/auth/2fa${path}`, {
+        method: 'POST',
+        headers: this.getRequestHeaders(),
+        body: JSON.stringify(body),
+      });
+
+      if (!response.ok) {
+        throw toAuthError(response, await response.json(), fallback);
+      }
+
+      return await response.json();
+    } catch (error) {
+      logger.error('Two-factor error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start two-factor enrollment
+   * The secret is generated by the server for this account; it never leaves
+   * the local deployment.
+   * @returns {Promise<Object>} { secret, otpauthUri }
+   */
+  async setupTwoFactor() {
+    return this.postTwoFactor('/setup', {}, 'Failed to start two-factor setup');
+  }
+
+  /**
+   * Finish two-factor enrollment with a code from the authenticator
+   * @param {string} code - Current 6-digit code
+   * @returns {Promise<Array<string>>} One-time recovery codes
+   */
+  async enableTwoFactor(code) {
+    const data = await this.postTwoFactor('/enable', { code }, 'Failed to enable two-factor authentication');
+    return data.recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * @param {string} password - Account password
+   * @param {Object} secondFactor - { code } or { recoveryCode }
+   * @returns {Promise<void>}
+   */
+  async disableTwoFactor(password, { code, recoveryCode } = {}) {
+    await this.postTwoFactor('/disable', { password, code, recoveryCode }, 'Failed to disable two-factor authentication');
+  }
+
+  /**
+   * Replace the recovery codes (the old ones stop working)
+   * @param {string} code - Current 6-digit code
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(code) {
+    const data = await this.postTwoFactor('/recovery-codes', { code }, 'Failed to regenerate recovery codes');
+    return data.recoveryCodes;
+  }
+
   /**
    * Verify current session
    * @returns {Promise<Object>} User data
    */
   async verifySession() {
-    if (!this.sessionId) {
+    if (!this.isAuthenticated()) {
       return null;
     }
 
     try {
       const response = await fetch(
-        `${this.baseUrl}/auth/session?sessionId=${this.sessionId}`
+        `${this.baseUrl}/auth/session`
       );
 
       if (!response.ok) {
@@ -244,9 +1160,9 @@ class AuthService {
 
       const data = await response.json();
       
-      // Note: Private key is NOT restored here for security reasons
-      // User must re-login with password to decrypt messages
-      // This prevents unauthorized access if someone gets the session token
+      // Note: Private key is NOT restored here. It comes back with the
+      // password, or with the quick unlock PIN if one is set on this device
+      // (see unlockWithPin), so the session cookie alone can't decrypt
       
       return data;
     } catch (error) {
@@ -269,7 +1185,7 @@ class AuthService {
     try {
       // Get user's public key from server
       const response = await fetch(
-        `${this.baseUrl}/auth/session?sessionId=${this.sessionId}`
+        `${this.baseUrl}/auth/session`
       );
       
       if (!response.ok) {
@@ -278,8 +1194,8 @@ class AuthService {
       
       const data = await response.json();
       
-      // Decrypt and import private key
-      const privateKey = await cryptoService.importEncryptedPrivateKey(
+      // Decrypt and import private keys
+      const { privateKey, signingKeyPair, retiredKeys } = await cryptoService.importEncryptedKeyring(
         this.encryptedPrivateKey,
         password
       );
@@ -287,8 +1203,14 @@ class AuthService {
       // Import public key
       const publicKey = await cryptoService.importPublicKey(data.publicKey);
       
-      // Set key pair in crypto service
+      // Set key pairs in crypto service
       cryptoService.setKeyPair({ publicKey, privateKey });
+      cryptoService.setRetiredKeys(retiredKeys);
+      cryptoService.setSigningKeyPair(signingKeyPair);
+
+      // Unlock the prekeys pages to us are sealed to
+      await this.loadPrekeys();
+      await this.openArchive();
       
       return true;
     } catch (error) {
@@ -298,19 +1220,124 @@ class AuthService {
   }
 
   /**
-   * Check if user is authenticated
-   * @returns {boolean}
+   * Keep the unlocked keys across reloads, behind a quick unlock PIN
+   * Non-extractable copies of the keys go to IndexedDB with a salted
+   * verifier of the PIN. Replaces any earlier PIN.
+   * @param {string} pin - MIN_PIN_LENGTH to MAX_PIN_LENGTH digits
+   * @returns {Promise<void>}
    */
-  isAuthenticated() {
-    return !!this.sessionId;
+  async enablePinUnlock(pin) {
+    if (!this.isAuthenticated() || !cryptoService.hasPrivateKey()) {
+      throw new Error('Not authenticated');
+    }
+
+    if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin)) {
+      throw new Error(`PIN must be ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`);
+    }
+
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    await saveUnlockedKeys({
+      username: this.username,
+      keys: await cryptoService.exportSessionKeys(),
+      pin: { salt, verifier: await cryptoService.derivePinVerifier(pin, salt) },
+      failedAttempts: 0
+    });
   }
 
   /**
-   * Get current session ID
-   * @returns {string|null}
+   * Stop keeping the keys across reloads
+   * @returns {Promise<void>}
    */
-  getSessionId() {
-    return this.sessionId;
+  async disablePinUnlock() {
+    await deleteUnlockedKeys(this.username);
+  }
+
+  /**
+   * Whether the current user has a quick unlock PIN on this device
+   * @returns {Promise<boolean>}
+   */
+  async hasPinUnlock() {
+    try {
+      return !!await loadUnlockedKeys(this.username);
+    } catch (error) {
+      logger.error('Failed to read stored keys:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Store the current keys under the existing PIN after they changed
+   * (a fresh login or a key rotation). Does nothing without a PIN.
+   * @returns {Promise<void>}
+   */
+  async refreshPinUnlock() {
+    try {
+      const record = await loadUnlockedKeys(this.username);
+      if (record) {
+        await saveUnlockedKeys({ ...record, keys: await cryptoService.exportSessionKeys(), failedAttempts: 0 });
+      }
+    } catch (error) {
+      logger.error('Failed to update stored keys:', error);
+    }
+  }
+
+  /**
+   * Load the stored keys with the quick unlock PIN
+   * After MAX_PIN_ATTEMPTS wrong PINs in a row the stored keys are deleted
+   * and the error has pinLocked set; only a password login works then.
+   * @param {string} pin - PIN as typed
+   * @returns {Promise<void>}
+   */
+  async unlockWithPin(pin) {
+    const record = await loadUnlockedKeys(this.username);
+    if (!record) {
+      const error = new Error('Quick unlock is not set up. Log in with your password.');
+      error.pinLocked = true;
+      throw error;
+    }
+
+    const verifier = await cryptoService.derivePinVerifier(pin, record.pin.salt);
+    if (verifier !== record.pin.verifier) {
+      const failedAttempts = record.failedAttempts + 1;
+      if (failedAttempts >= MAX_PIN_ATTEMPTS) {
+        await deleteUnlockedKeys(this.username);
+        const error = new Error('Too many wrong PINs. Log in with your password.');
+        error.pinLocked = true;
+        throw error;
+      }
+
+      await saveUnlockedKeys({ ...record, failedAttempts });
+      const error = new Error(`Wrong PIN, ${MAX_PIN_ATTEMPTS - failedAttempts} tries left`);
+      error.attemptsLeft = MAX_PIN_ATTEMPTS - failedAttempts;
+      throw error;
+    }
+
+    if (record.failedAttempts) {
+      await saveUnlockedKeys({ ...record, failedAttempts: 0 });
+    }
+    cryptoService.restoreSessionKeys(record.keys);
+    await this.loadPrekeys();
+    await this.rotatePrekeyIfDue();
+    await this.openArchive();
+  }
+
+  /**
+   * Drop the keys from memory (idle auto-lock); unlockWithPin() loads them again
+   */
+  lock() {
+    archiveService.close();
+    cryptoService.clearKeys();
+    cryptoService.loadVerifiedKeys(this.username);
+  }
+
+  /**
+   * Check if user is (probably) authenticated
+   * The session cookie is invisible to scripts, so this reflects the last
+   * login; verifySession() asks the server.
+   * @returns {boolean}
+   */
+  isAuthenticated() {
+    return !!this.username;
   }
 
   /**
@@ -0,0 +1,210 @@
+import { authService } from './AuthService.js';
+import { cryptoService } from './CryptoService.js';
+import { logger } from '../utils/logger.js';
+import { packMessage } from '../utils/attachments.js';
+
+/**
+ * Group channel service
+ * Channels are shared group addresses, like pager capcodes: one message to
+ * a channel reaches every member. Channel messages are encrypted once and
+ * the message key is wrapped for every member's public key.
+ */
+class ChannelService {
+  constructor() {
+    this.baseUrl = '/api';
+  }
+
+  /**
+   * Call a channel endpoint with the current session
+   * @param {string} path - Path below /api/channels
+   * @param {Object} options
+   * @param {string} options.method - HTTP method (default: GET)
+   * @param {Object} options.body - JSON body for POST requests
+   * @param {Object} options.query - Query parameters
+   * @param {string} errorMessage - Fallback error message
+   * @returns {Promise<Object>} Response body
+   */
+  async request(path, { method = 'GET', body, query } = {}, errorMessage = 'Channel request failed') {
+    if (!authService.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    const url = query
+      ? `${this.baseUrl}/channels${path}?${new URLSearchParams(query)}`
+      : `${this.baseUrl}/channels${path}`;
+
+    const response = await fetch(url, method === 'GET' ? undefined : {
+      method,
+      headers: authService.getRequestHeaders(),
+      body: JSON.stringify(body || {}),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || errorMessage);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * List every channel
+   * @returns {Promise<Array>} Channel summaries ({ channelId, name, capcode, memberCount, joined })
+   */
+  async getChannels() {
+    try {
+      const data = await this.request('', {}, 'Failed to fetch channels');
+      return data.channels;
+    } catch (error) {
+      logger.error('Get channels error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a channel (the creator joins it)
+   * @param {string} name - Channel name
+   * @returns {Promise<Object>} Channel summary
+   */
+  async createChannel(name) {
+    try {
+      const data = await this.request('', { method: 'POST', body: { name } }, 'Failed to create channel');
+      return data.channel;
+    } catch (error) {
+      logger.error('Create channel error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Join a channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} Channel summary
+   */
+  async joinChannel(channelId) {
+    try {
+      const data = await this.request(
+        `/${encodeURIComponent(channelId)}/join`,
+        { method: 'POST' },
+        'Failed to join channel'
+      );
+      return data.channel;
+    } catch (error) {
+      logger.error('Join channel error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Leave a channel
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Object>} Channel summary
+   */
+  async leaveChannel(channelId) {
+    try {
+      const data = await this.request(
+        `/${encodeURIComponent(channelId)}/leave`,
+        { method: 'POST' },
+        'Failed to leave channel'
+      );
+      return data.channel;
+    } catch (error) {
+      logger.error('Leave channel error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a channel's members and remember their public keys
+   * @param {string} channelId - Channel ID
+   * @returns {Promise<Array>} Members ({ username, publicKey, online })
+   */
+  async getMembers(channelId) {
+    const data = await this.request(
+      `/${encodeURIComponent(channelId)}/members`,
+      {},
+      'Failed to fetch channel members'
+    );
+
+    await Promise.all(
+      data.members
+        .filter(member => member.publicKey)
+        .map(member => cryptoService.storePublicKey(
+          member.username,
+          member.publicKey,
+          member.signingPublicKey,
+          member.prekeys
+        ))
+    );
+    return data.members;
+  }
+
+  /**
+   * Send a message to every member of a channel
+   * Members are fetched fresh on every send so the message key is wrapped
+   * for exactly the people in the channel right now. Pages are never sent
+   * unencrypted, so sending fails until another member has a public key.
+   * @param {string} channelId - Channel ID
+   * @param {string} content - Message content
+   * @param {Array<Object>} attachments - Uploaded attachments from
+   *   attachmentService.upload(); their keys go inside the encrypted content
+   * @returns {Promise<Object>} Result ({ messageId, timestamp })
+   */
+  async sendMessage(channelId, content, attachments = []) {
+    try {
+      const username = authService.getUsername();
+      const recipients = (await this.getMembers(channelId))
+        .filter(member => member.username !== username && member.publicKey)
+        .map(member => member.username);
+
+      // With nobody to wrap the key for, the page could only go out in plaintext
+      if (recipients.length === 0) {
+        throw new Error('No other member of this channel has an encryption key yet');
+      }
+
+      const body = {
+        content: await cryptoService.encryptMessage(packMessage(content, attachments), recipients),
+        encrypted: true
+      };
+      if (attachments.length > 0) {
+        body.attachments = attachments.map(attachment => attachment.id);
+      }
+
+      return await this.request(
+        `/${encodeURIComponent(channelId)}/messages`,
+        { method: 'POST', body },
+        'Failed to send channel message'
+      );
+    } catch (error) {
+      logger.error('Send channel message error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of channel history
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - { before, after, limit }
+   * @returns {Promise<Object>} Page (still encrypted) with cursors
+   */
+  async getHistory(channelId, { before, after, limit = 50 } = {}) {
+    const query = { limit: String(limit) };
+    if (before) query.before = before;
+    if (after) query.after = after;
+
+    try {
+      return await this.request(
+        `/${encodeURIComponent(channelId)}/messages`,
+        { query },
+        'Failed to fetch channel history'
+      );
+    } catch (error) {
+      logger.error('Get channel history error:', error);
+      throw error;
+    }
+  }
+}
+
+// Export singleton instance
+export const channelService = new ChannelService();
+export default ChannelService;
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import ChannelService from './ChannelService';
+import { authService } from './AuthService';
+import { cryptoService } from './CryptoService';
+
+describe('ChannelService', () => {
+  let channels;
+
+  const respond = (body) => ({ ok: true, json: () => Promise.resolve(body) });
+
+  beforeEach(() => {
+    channels = new ChannelService();
+    vi.spyOn(authService, 'isAuthenticated').mockReturnValue(true);
+    vi.spyOn(authService, 'getUsername').mockReturnValue('Alice');
+    vi.spyOn(cryptoService, 'storePublicKey').mockResolvedValue();
+    vi.spyOn(cryptoService, 'encryptMessage').mockResolvedValue('sealed-bundle');
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should refuse to send when no other member has a key', async () => {
+    global.fetch = vi.fn().mockResolvedValue(respond({
+      members: [{ username: 'Alice', publicKey: 'alice-key' }, { username: 'Bob', publicKey: null }]
+    }));
+
+    await expect(channels.sendMessage('ch-1', 'Hello?')).rejects.toThrow('No other member of this channel has an encryption key yet');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(cryptoService.encryptMessage).not.toHaveBeenCalled();
+  });
+
+  it('should encrypt the page for every other member with a key', async () => {
+    global.fetch = vi.fn()
+      .mockResolvedValueOnce(respond({
+        members: [{ username: 'Alice', publicKey: 'alice-key' }, { username: 'Bob', publicKey: 'bob-key' }]
+      }))
+      .mockResolvedValueOnce(respond({ messageId: 'msg-1', timestamp: '2026-01-01T00:00:00.000Z' }));
+
+    await channels.sendMessage('ch-1', 'Hello Bob');
+
+    expect(cryptoService.encryptMessage).toHaveBeenCalledWith(expect.any(String), ['Bob']);
+    const [, { body }] = global.fetch.mock.calls[1];
+    expect(JSON.parse(body)).toEqual({ content: 'sealed-bundle', encrypted: true });
+  });
+});
@@ -1,14 +1,78 @@
 /**
  * End-to-End Encryption Service using Web Crypto API
- * Implements RSA-OAEP for key exchange and AES-GCM for message encryption
+ * Implements RSA-OAEP and ECDH prekeys for key exchange, AES-GCM for message
+ * encryption and ECDSA P-256 for sender signatures
  */
 
 import { logger } from '../utils/logger.js';
+import { normalizeRecoveryPhrase } from '../utils/recoveryPhrase.js';
+import { getKeyFingerprint, getKeyId, computeSafetyNumber } from '../utils/fingerprint.js';
+import { getVerifiedKeys, saveVerifiedKeys } from '../utils/storage.js';
+
+// Sender signatures (the curve every Web Crypto implementation supports)
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+// Format of the wrapped private key blob (see exportKeyring)
+const KEYRING_VERSION = 3;
+
+// Prekeys: ECDH keys messages are sealed to instead of the long-lived RSA
+// key. A new one is published daily and old ones are deleted after a week,
+// so a stolen key only opens that week's pages.
+const PREKEY_ALGORITHM = { name: 'ECDH', namedCurve: 'P-256' };
+const PREKEY_ROTATION_MS = 24 * 60 * 60 * 1000;
+const PREKEY_RETENTION_MS = 7 * PREKEY_ROTATION_MS;
+
+// Bundle format for messages sealed to prekeys (RSA bundles have no version).
+// Version 3 seals a copy to every device's prekey; version 2 bundles, with
+// one copy per user, are still read.
+const PREKEY_BUNDLE_VERSION = 3;
+
+// HKDF contexts for keys derived between ECDH keys
+const PREKEY_INFO = 'retro-messenger-prekey';
+const DEVICE_LINK_INFO = 'retro-messenger-device-link';
+
+const RSA_ALGORITHM = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+// A PIN has few digits, so its verifier is stretched harder than a password
+const PIN_ITERATIONS = 300000;
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), c => c.charCodeAt(0));
+
+/**
+ * Bytes a prekey's signature covers
+ * @param {Object} prekey - Published prekey ({ id, publicKey, createdAt })
+ * @returns {Uint8Array}
+ */
+const getPrekeySignedData = ({ id, publicKey, createdAt }) =>
+  new TextEncoder().encode(`prekey:${id}.${publicKey}.${createdAt}`);
+
+/**
+ * Bytes a bundle's signature covers: the IV and the AES-GCM ciphertext,
+ * which authenticates the plaintext. The wrapped keys are left out; swapping
+ * one only makes that copy undecryptable.
+ * @param {Object} bundle - Message bundle ({ iv, encryptedMessage })
+ * @returns {Uint8Array}
+ */
+const getSignedData = ({ iv, encryptedMessage }) =>
+  new TextEncoder().encode(`${iv}.${encryptedMessage}`);
 
 class CryptoService {
   constructor() {
     this.keyPair = null;
+    this.ownKeyId = null; // id of keyPair.publicKey, computed on first use
+    this.retiredKeys = new Map(); // key id -> { privateKey, retiredAt }
+    this.signingKeyPair = null;
     this.publicKeys = new Map(); // username -> publicKey
+    this.keyIds = new Map(); // username -> id of their publicKey
+    this.signingKeys = new Map(); // username -> signing publicKey
+    this.prekeys = new Map(); // prekey id -> { keyPair, publicKey, createdAt, signature }
+    this.contactPrekeys = new Map(); // username -> [{ id, publicKey }], one per signed-in device
+    this.devicePrekeys = []; // [{ id, publicKey }] of our other signed-in devices
+    this.fingerprints = new Map(); // username -> fingerprint of publicKey
+    this.verificationOwner = null;
+    this.verifiedKeys = {}; // username -> fingerprint the owner verified
   }
 
   /**
@@ -27,6 +91,7 @@ class CryptoService {
         true, // extractable
         ['encrypt', 'decrypt']
       );
+      this.ownKeyId = null;
       
       return this.keyPair;
     } catch (error) {
@@ -35,6 +100,51 @@ class CryptoService {
     }
   }
 
+  /**
+   * Generate the ECDSA key pair that signs our messages
+   * @returns {Promise<CryptoKeyPair>}
+   */
+  async generateSigningKeyPair() {
+    try {
+      this.signingKeyPair = await window.crypto.subtle.generateKey(
+        SIGNING_ALGORITHM,
+        true, // extractable, so it can travel in the wrapped keyring
+        ['sign', 'verify']
+      );
+
+      return this.signingKeyPair;
+    } catch (error) {
+      logger.error('Failed to generate signing key pair:', error);
+      throw new Error('Key generation failed');
+    }
+  }
+
+  /**
+   * Export our signing public key to a base64 string
+   * @returns {Promise<string>}
+   */
+  async exportSigningPublicKey() {
+    if (!this.signingKeyPair?.publicKey) {
+      throw new Error('No signing key available');
+    }
+    return this.exportPublicKey(this.signingKeyPair.publicKey);
+  }
+
+  /**
+   * Import a contact's signing public key from a base64 string
+   * @param {string} base64Key
+   * @returns {Promise<CryptoKey>}
+   */
+  async importSigningPublicKey(base64Key) {
+    return window.crypto.subtle.importKey(
+      'spki',
+      Uint8Array.from(atob(base64Key), c => c.charCodeAt(0)),
+      SIGNING_ALGORITHM,
+      true,
+      ['verify']
+    );
+  }
+
   /**
    * Export public key to base64 string
    * @param {CryptoKey} publicKey
@@ -89,9 +199,9 @@ class CryptoService {
   }
 
   /**
-   * Export private key encrypted with password
+   * Export our private keys encrypted with password
    * @param {string} password
-   * @returns {Promise<string>} Base64 encrypted private key
+   * @returns {Promise<string>} Base64 encrypted keyring
    */
   async exportEncryptedPrivateKey(password) {
     if (!this.keyPair?.privateKey) {
@@ -99,52 +209,81 @@ class CryptoService {
     }
 
     try {
-      // Export private key
-      const exported = await window.crypto.subtle.exportKey(
-        'pkcs8',
-        this.keyPair.privateKey
-      );
+      return await this.sealWithPassword(await this.exportKeyring(), password);
+    } catch (error) {
+      logger.error('Failed to export encrypted private key:', error);
+      throw error;
+    }
+  }
 
-      // Derive encryption key from password
-      const encryptionKey = await this.deriveKeyFromPassword(password);
+  /**
+   * Serialize our private keys for wrapping
+   * Version 3 is JSON holding the RSA and signing keys plus the RSA keys
+   * retired by rotateKeyPair() (version 2 is the same without retired keys).
+   * With neither a signing key nor retired keys this is the bare RSA PKCS#8
+   * key (version 1), the format accounts used before messages were signed.
+   * @returns {Promise<Uint8Array>} Plain keyring bytes
+   */
+  async exportKeyring() {
+    if (!this.signingKeyPair && this.retiredKeys.size === 0) {
+      return new Uint8Array(await window.crypto.subtle.exportKey('pkcs8', this.keyPair.privateKey));
+    }
 
-      // Generate IV
-      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const exportBase64 = async (format, key) => toBase64(await window.crypto.subtle.exportKey(format, key));
 
-      // Encrypt private key
-      const encrypted = await window.crypto.subtle.encrypt(
-        { name: 'AES-GCM', iv },
-        encryptionKey,
-        exported
-      );
+    const keyring = {
+      version: KEYRING_VERSION,
+      encryptionKey: await exportBase64('pkcs8', this.keyPair.privateKey),
+      retiredKeys: await Promise.all([...this.retiredKeys].map(async ([keyId, { privateKey, retiredAt }]) => ({
+        keyId,
+        privateKey: await exportBase64('pkcs8', privateKey),
+        retiredAt
+      })))
+    };
+    if (this.signingKeyPair) {
+      keyring.signingKey = await exportBase64('pkcs8', this.signingKeyPair.privateKey);
+      keyring.signingPublicKey = await exportBase64('spki', this.signingKeyPair.publicKey);
+    }
+    return new TextEncoder().encode(JSON.stringify(keyring));
+  }
+
+  /**
+   * Encrypt bytes with a password-derived key
+   * @param {BufferSource} data - Plain bytes
+   * @param {string} password
+   * @returns {Promise<string>} Base64 IV + ciphertext
+   */
+  async sealWithPassword(data, password) {
+    // Derive encryption key from password
+    const encryptionKey = await this.deriveKeyFromPassword(password);
 
-      // Combine IV and encrypted data
-      const combined = new Uint8Array(iv.length + encrypted.byteLength);
-      combined.set(iv, 0);
-      combined.set(new Uint8Array(encrypted), iv.length);
+    // Generate IV
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
 
-      // Convert to base64
-      return btoa(String.fromCharCode(...combined));
-    } catch (error) {
-      logger.error('Failed to export encrypted private key:', error);
-      throw error;
-    }
+    const encrypted = await window.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      encryptionKey,
+      data
+    );
+
+    // Combine IV and encrypted data
+    const combined = new Uint8Array(iv.length + encrypted.byteLength);
+    combined.set(iv, 0);
+    combined.set(new Uint8Array(encrypted), iv.length);
+
+    // Convert to base64
+    return btoa(String.fromCharCode(...combined));
   }
 
   /**
-   * Import private key from encrypted base64 string
-   * @param {string} encryptedBase64
+   * Decrypt bytes sealed by sealWithPassword()
+   * @param {string} encryptedBase64 - Base64 IV + ciphertext
    * @param {string} password
-   * @returns {Promise<CryptoKey>}
+   * @returns {Promise<ArrayBuffer>} Plain bytes
    */
-  async importEncryptedPrivateKey(encryptedBase64, password) {
+  async openWithPassword(encryptedBase64, password) {
     try {
-      // Decode base64
-      const binaryString = atob(encryptedBase64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
+      const bytes = Uint8Array.from(atob(encryptedBase64), c => c.charCodeAt(0));
 
       // Extract IV and encrypted data
       const iv = bytes.slice(0, 12);
@@ -153,32 +292,394 @@ class CryptoService {
       // Derive decryption key from password
       const decryptionKey = await this.deriveKeyFromPassword(password);
 
-      // Decrypt private key
-      const decrypted = await window.crypto.subtle.decrypt(
+      return await window.crypto.subtle.decrypt(
         { name: 'AES-GCM', iv },
         decryptionKey,
         encryptedData
       );
+    } catch (error) {
+      logger.error('Failed to decrypt private key:', error);
+      throw new Error('Invalid password or corrupted key');
+    }
+  }
 
-      // Import private key
-      const privateKey = await window.crypto.subtle.importKey(
-        'pkcs8',
-        decrypted,
-        {
-          name: 'RSA-OAEP',
-          hash: 'SHA-256',
-        },
-        true,
-        ['decrypt']
-      );
+  /**
+   * Re-encrypt a stored keyring under a new password
+   * The keys themselves are unchanged, so message history stays readable.
+   * @param {string} encryptedBase64 - Keyring encrypted with the old password
+   * @param {string} oldPassword
+   * @param {string} newPassword
+   * @returns {Promise<string>} Base64 keyring encrypted with the new password
+   */
+  async rewrapPrivateKey(encryptedBase64, oldPassword, newPassword) {
+    // Throws 'Invalid password or corrupted key' if oldPassword is wrong
+    const keyring = await this.openWithPassword(encryptedBase64, oldPassword);
+    return this.sealWithPassword(keyring, newPassword);
+  }
+
+  /**
+   * Derive the key that proves possession of a recovery phrase
+   * The server stores only a hash of it; it is unrelated to the key that
+   * wraps the private key, so the server can never unwrap the recovery copy.
+   * @param {string} phrase - Recovery phrase as typed
+   * @returns {Promise<string>} Hex SHA-256 digest
+   */
+  async deriveRecoveryKey(phrase) {
+    const data = new TextEncoder().encode(`retro-messenger-recovery:${normalizeRecoveryPhrase(phrase)}`);
+    const digest = await window.crypto.subtle.digest('SHA-256', data);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
 
-      return privateKey;
+  /**
+   * Wrap a second copy of our private keys with a recovery phrase
+   * @param {string} phrase - Recovery phrase
+   * @returns {Promise<{recoveryKey: string, encryptedPrivateKey: string}>}
+   */
+  async exportRecoveryKit(phrase) {
+    if (!this.keyPair?.privateKey) {
+      throw new Error('No private key available');
+    }
+
+    return {
+      recoveryKey: await this.deriveRecoveryKey(phrase),
+      encryptedPrivateKey: await this.exportEncryptedPrivateKey(normalizeRecoveryPhrase(phrase))
+    };
+  }
+
+  /**
+   * Move the recovery copy of the private keys under a new password
+   * @param {string} encryptedBase64 - Keyring wrapped with the recovery phrase
+   * @param {string} phrase - Recovery phrase as typed
+   * @param {string} newPassword - New account password
+   * @returns {Promise<string>} Base64 keyring encrypted with the new password
+   */
+  async recoverPrivateKey(encryptedBase64, phrase, newPassword) {
+    return this.rewrapPrivateKey(encryptedBase64, normalizeRecoveryPhrase(phrase), newPassword);
+  }
+
+  /**
+   * Import our private keys from an encrypted keyring
+   * @param {string} encryptedBase64
+   * @param {string} password
+   * @returns {Promise<{privateKey: CryptoKey, signingKeyPair: CryptoKeyPair|null, retiredKeys: Map}>}
+   *   signingKeyPair is null for version 1 keyrings, which predate signing;
+   *   retiredKeys maps key id -> { privateKey, retiredAt }
+   */
+  async importEncryptedKeyring(encryptedBase64, password) {
+    const decrypted = await this.openWithPassword(encryptedBase64, password);
+
+    try {
+      return await this.importKeyring(decrypted);
     } catch (error) {
       logger.error('Failed to import encrypted private key:', error);
       throw new Error('Invalid password or corrupted key');
     }
   }
 
+  /**
+   * Import private keys from plain keyring bytes (see exportKeyring)
+   * @param {BufferSource} bytes
+   * @returns {Promise<{privateKey: CryptoKey, signingKeyPair: CryptoKeyPair|null, retiredKeys: Map}>}
+   */
+  async importKeyring(bytes) {
+    const decrypted = new Uint8Array(bytes);
+
+    // A PKCS#8 key is DER and starts with 0x30; later keyrings are JSON
+    if (decrypted[0] !== 0x7b) {
+      return {
+        privateKey: await this.importRsaPrivateKey(decrypted),
+        signingKeyPair: null,
+        retiredKeys: new Map()
+      };
+    }
+
+    const keyring = JSON.parse(new TextDecoder().decode(decrypted));
+    const privateKey = await this.importRsaPrivateKey(fromBase64(keyring.encryptionKey));
+
+    let signingKeyPair = null;
+    if (keyring.signingKey) {
+      const [signingPrivateKey, signingPublicKey] = await Promise.all([
+        window.crypto.subtle.importKey('pkcs8', fromBase64(keyring.signingKey), SIGNING_ALGORITHM, true, ['sign']),
+        this.importSigningPublicKey(keyring.signingPublicKey)
+      ]);
+      signingKeyPair = { privateKey: signingPrivateKey, publicKey: signingPublicKey };
+    }
+
+    const retiredKeys = new Map();
+    for (const { keyId, privateKey: retiredKey, retiredAt } of keyring.retiredKeys || []) {
+      retiredKeys.set(keyId, { privateKey: await this.importRsaPrivateKey(fromBase64(retiredKey)), retiredAt });
+    }
+
+    return { privateKey, signingKeyPair, retiredKeys };
+  }
+
+  /**
+   * Import private key from encrypted base64 string
+   * @param {string} encryptedBase64
+   * @param {string} password
+   * @returns {Promise<CryptoKey>}
+   */
+  async importEncryptedPrivateKey(encryptedBase64, password) {
+    const { privateKey } = await this.importEncryptedKeyring(encryptedBase64, password);
+    return privateKey;
+  }
+
+  /**
+   * Import an RSA-OAEP private key from PKCS#8 bytes
+   * @param {BufferSource} pkcs8
+   * @returns {Promise<CryptoKey>}
+   */
+  async importRsaPrivateKey(pkcs8) {
+    return window.crypto.subtle.importKey('pkcs8', pkcs8, RSA_ALGORITHM, true, ['decrypt']);
+  }
+
+  /**
+   * Non-extractable copies of our private keys, for keeping across reloads
+   * The copies still decrypt and sign, but can't be wrapped into a keyring.
+   * @returns {Promise<Object>} { keyPair, signingKeyPair, retiredKeys }
+   */
+  async exportSessionKeys() {
+    if (!this.keyPair?.privateKey) {
+      throw new Error('No private key available');
+    }
+
+    const lock = async (key, algorithm, usages) => (
+      key.extractable
+        ? window.crypto.subtle.importKey('pkcs8', await window.crypto.subtle.exportKey('pkcs8', key), algorithm, false, usages)
+        : key
+    );
+
+    const retiredKeys = new Map();
+    for (const [keyId, { privateKey, retiredAt }] of this.retiredKeys) {
+      retiredKeys.set(keyId, { privateKey: await lock(privateKey, RSA_ALGORITHM, ['decrypt']), retiredAt });
+    }
+
+    return {
+      keyPair: {
+        publicKey: this.keyPair.publicKey,
+        privateKey: await lock(this.keyPair.privateKey, RSA_ALGORITHM, ['decrypt'])
+      },
+      signingKeyPair: this.signingKeyPair && {
+        publicKey: this.signingKeyPair.publicKey,
+        privateKey: await lock(this.signingKeyPair.privateKey, SIGNING_ALGORITHM, ['sign'])
+      },
+      retiredKeys
+    };
+  }
+
+  /**
+   * Load keys saved by exportSessionKeys()
+   * @param {Object} keys - { keyPair, signingKeyPair, retiredKeys }
+   */
+  restoreSessionKeys({ keyPair, signingKeyPair, retiredKeys }) {
+    this.setKeyPair(keyPair);
+    this.setSigningKeyPair(signingKeyPair);
+    this.setRetiredKeys(retiredKeys);
+  }
+
+  /**
+   * Whether our private keys can be wrapped into a keyring (keys restored
+   * by restoreSessionKeys() can't)
+   * @returns {boolean}
+   */
+  canExportPrivateKeys() {
+    return !!this.keyPair?.privateKey?.extractable;
+  }
+
+  /**
+   * Derive the value a quick unlock PIN is checked against
+   * @param {string} pin - PIN digits
+   * @param {Uint8Array} salt - Random salt stored with the verifier
+   * @returns {Promise<string>} Hex PBKDF2-SHA-256 output
+   */
+  async derivePinVerifier(pin, salt) {
+    const keyMaterial = await window.crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(`retro-messenger-pin:${pin}`),
+      'PBKDF2',
+      false,
+      ['deriveBits']
+    );
+    const bits = await window.crypto.subtle.deriveBits(
+      { name: 'PBKDF2', salt, iterations: PIN_ITERATIONS, hash: 'SHA-256' },
+      keyMaterial,
+      256
+    );
+    return Array.from(new Uint8Array(bits), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Create the secret the local message archive is encrypted with
+   * It is sealed to our RSA key, so only the unlocked key opens the archive.
+   * @returns {Promise<Object>} { sealed, keys }: JSON to store with the
+   *   archive and the keys derived from the secret
+   */
+  async createArchiveSecret() {
+    if (!this.keyPair?.publicKey) {
+      throw new Error('No public key available');
+    }
+
+    const secret = window.crypto.getRandomValues(new Uint8Array(32));
+    return { sealed: await this.sealArchiveSecret(secret), keys: await this.deriveArchiveKeys(secret) };
+  }
+
+  /**
+   * Open a sealed archive secret, re-sealing it if it was sealed to a key we
+   * have since rotated away from
+   * @param {string} sealed - From createArchiveSecret()
+   * @returns {Promise<Object>} { sealed, keys }: sealed changes when re-sealed
+   */
+  async openArchiveSecret(sealed) {
+    const { key, keyId } = JSON.parse(sealed);
+    const secret = await this.unwrapMessageKey([{ key, keyId }]);
+    const resealed = keyId === await this.getOwnKeyId() ? sealed : await this.sealArchiveSecret(secret);
+    return { sealed: resealed, keys: await this.deriveArchiveKeys(secret) };
+  }
+
+  /**
+   * Seal an archive secret to our current key
+   * @param {BufferSource} secret
+   * @returns {Promise<string>} JSON { key, keyId }
+   */
+  async sealArchiveSecret(secret) {
+    return JSON.stringify({
+      key: await this.wrapMessageKey(secret, this.keyPair.publicKey),
+      keyId: await this.getOwnKeyId()
+    });
+  }
+
+  /**
+   * Derive the archive's record key and conversation tag key (HKDF-SHA-256)
+   * @param {BufferSource} secret - Archive secret
+   * @returns {Promise<Object>} { encryptionKey: AES-GCM, indexKey: HMAC }
+   */
+  async deriveArchiveKeys(secret) {
+    const baseKey = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+    const params = (info) => ({
+      name: 'HKDF',
+      hash: 'SHA-256',
+      salt: new Uint8Array(32),
+      info: new TextEncoder().encode(info)
+    });
+
+    return {
+      encryptionKey: await window.crypto.subtle.deriveKey(
+        params('retro-messenger-archive'),
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+      ),
+      indexKey: await window.crypto.subtle.deriveKey(
+        params('retro-messenger-archive-index'),
+        baseKey,
+        { name: 'HMAC', hash: 'SHA-256', length: 256 },
+        false,
+        ['sign']
+      )
+    };
+  }
+
+  /**
+   * One-off ECDH key pair a new device asks to be linked with
+   * @returns {Promise<Object>} { keyPair, publicKey }: publicKey is base64 SPKI
+   */
+  async createLinkKeyPair() {
+    const keyPair = await window.crypto.subtle.generateKey(PREKEY_ALGORITHM, false, ['deriveBits']);
+    return { keyPair, publicKey: toBase64(await window.crypto.subtle.exportKey('spki', keyPair.publicKey)) };
+  }
+
+  /**
+   * Seal our keyring to a new device's link key
+   * @param {string} devicePublicKeyBase64 - The device's key from createLinkKeyPair()
+   * @returns {Promise<Object>} { publicKey, payload }: our one-off ECDH key
+   *   and the base64 "iv.ciphertext" keyring
+   */
+  async sealKeyringForDevice(devicePublicKeyBase64) {
+    if (!this.canExportPrivateKeys()) {
+      throw new Error('No exportable private key available');
+    }
+
+    const ephemeral = await window.crypto.subtle.generateKey(PREKEY_ALGORITHM, false, ['deriveBits']);
+    const devicePublicKey = await window.crypto.subtle.importKey(
+      'spki',
+      fromBase64(devicePublicKeyBase64),
+      PREKEY_ALGORITHM,
+      false,
+      []
+    );
+    const wrappingKey = await this.derivePrekeyWrappingKey(ephemeral.privateKey, devicePublicKey, DEVICE_LINK_INFO);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const sealed = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, await this.exportKeyring());
+
+    return {
+      publicKey: toBase64(await window.crypto.subtle.exportKey('spki', ephemeral.publicKey)),
+      payload: `${toBase64(iv)}.${toBase64(sealed)}`
+    };
+  }
+
+  /**
+   * Open a keyring sealed by sealKeyringForDevice()
+   * @param {CryptoKeyPair} keyPair - Our link key pair
+   * @param {string} senderPublicKeyBase64 - The approving device's one-off key
+   * @param {string} payload - Base64 "iv.ciphertext"
+   * @returns {Promise<Object>} Keys as from importKeyring()
+   */
+  async openKeyringFromDevice(keyPair, senderPublicKeyBase64, payload) {
+    try {
+      const [iv, data] = payload.split('.').map(fromBase64);
+      const senderPublicKey = await window.crypto.subtle.importKey(
+        'spki',
+        fromBase64(senderPublicKeyBase64),
+        PREKEY_ALGORITHM,
+        false,
+        []
+      );
+      const wrappingKey = await this.derivePrekeyWrappingKey(keyPair.privateKey, senderPublicKey, DEVICE_LINK_INFO);
+      const keyring = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrappingKey, data);
+      return await this.importKeyring(keyring);
+    } catch (error) {
+      logger.error('Failed to open linked keyring:', error);
+      throw new Error('Could not open the keys sent by your other device');
+    }
+  }
+
+  /**
+   * Encrypt an attachment under a fresh AES-GCM key
+   * The ciphertext is uploaded; the key and IV travel in the message's
+   * E2EE bundle, never to the server.
+   * @param {BufferSource} bytes - File contents
+   * @returns {Promise<Object>} { data: ArrayBuffer, key, iv }: key and iv
+   *   are base64
+   */
+  async encryptAttachment(bytes) {
+    const key = await window.crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+
+    return {
+      data,
+      key: toBase64(await window.crypto.subtle.exportKey('raw', key)),
+      iv: toBase64(iv)
+    };
+  }
+
+  /**
+   * Decrypt a downloaded attachment
+   * @param {BufferSource} data - Ciphertext from encryptAttachment()
+   * @param {Object} attachment - { key, iv } from the message
+   * @returns {Promise<ArrayBuffer>} File contents
+   */
+  async decryptAttachment(data, { key, iv }) {
+    try {
+      const aesKey = await window.crypto.subtle.importKey('raw', fromBase64(key), 'AES-GCM', false, ['decrypt']);
+      return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, aesKey, data);
+    } catch (error) {
+      logger.error('Failed to decrypt attachment:', error);
+      throw new Error('Could not decrypt attachment');
+    }
+  }
+
   /**
    * Derive AES key from password using PBKDF2
    * @param {string} password
@@ -216,17 +717,41 @@ class CryptoService {
   }
 
   /**
-   * Encrypt message for recipient
+   * Encrypt message for one or more recipients
+   * The message is encrypted once with a fresh AES key, which is then wrapped
+   * for every recipient. When every recipient has published a prekey, the
+   * key is sealed to the prekeys of all their devices with a one-off ECDH
+   * key (a versioned bundle, see wrapForPrekeys). Otherwise it is wrapped with their RSA public keys so
+   * older clients can read it: a single recipient gets the original bundle
+   * shape ({ encryptedKey, keyId }); several get { keys: { username: key } }
+   * and { keyIds: { username: keyId } }. Key ids say which RSA key each copy
+   * was wrapped for, so a recipient who has rotated keys picks the right one.
    * @param {string} message - Plain text message
-   * @param {string} recipientUsername - Recipient username
+   * @param {string|Array<string>} recipients - Recipient username(s)
    * @returns {Promise<string>} Base64 encrypted message
    */
-  async encryptMessage(message, recipientUsername) {
-    const recipientPublicKey = this.publicKeys.get(recipientUsername);
-    if (!recipientPublicKey) {
-      throw new Error(`No public key for ${recipientUsername}`);
+  async encryptMessage(message, recipients) {
+    const usernames = Array.isArray(recipients) ? recipients : [recipients];
+    if (usernames.length === 0) {
+      throw new Error('At least one recipient is required');
     }
 
+    const recipientKeys = usernames.map(username => {
+      const publicKey = this.publicKeys.get(username);
+      if (!publicKey) {
+        throw new Error(`No public key for ${username}`);
+      }
+      if (this.getVerificationStatus(username) === 'changed') {
+        const error = new Error(
+          `Safety number with ${username} has changed. Verify it again before sending.`
+        );
+        error.keyChanged = true;
+        error.username = username;
+        throw error;
+      }
+      return [username, publicKey, this.keyIds.get(username)];
+    });
+
     try {
       // Generate random AES key for this message
       const messageKey = await window.crypto.subtle.generateKey(
@@ -249,20 +774,48 @@ class CryptoService {
       // Export AES key
       const exportedKey = await window.crypto.subtle.exportKey('raw', messageKey);
 
-      // Encrypt AES key with recipient's public key
-      const encryptedKey = await window.crypto.subtle.encrypt(
-        { name: 'RSA-OAEP' },
-        recipientPublicKey,
-        exportedKey
-      );
-
-      // Combine encrypted key, IV, and encrypted message
+      // Combine encrypted key(s), IV, and encrypted message
       const combined = {
-        encryptedKey: btoa(String.fromCharCode(...new Uint8Array(encryptedKey))),
         iv: btoa(String.fromCharCode(...iv)),
         encryptedMessage: btoa(String.fromCharCode(...new Uint8Array(encryptedMessage))),
       };
 
+      if (usernames.every(username => this.contactPrekeys.has(username))) {
+        Object.assign(combined, await this.wrapForPrekeys(exportedKey, usernames));
+      } else {
+        // Encrypt AES key with each recipient's public key
+        const wrappedKeys = await Promise.all(
+          recipientKeys.map(([, publicKey]) => this.wrapMessageKey(exportedKey, publicKey))
+        );
+        if (recipientKeys.length === 1) {
+          combined.encryptedKey = wrappedKeys[0];
+          combined.keyId = recipientKeys[0][2];
+        } else {
+          combined.keys = Object.fromEntries(
+            recipientKeys.map(([username], index) => [username, wrappedKeys[index]])
+          );
+          combined.keyIds = Object.fromEntries(
+            recipientKeys.map(([username, , keyId]) => [username, keyId])
+          );
+        }
+
+        // Also wrap the AES key for ourselves so sent messages stay readable in history
+        if (this.keyPair?.publicKey) {
+          combined.senderKey = await this.wrapMessageKey(exportedKey, this.keyPair.publicKey);
+          combined.senderKeyId = await this.getOwnKeyId();
+        }
+      }
+
+      // Sign the ciphertext so recipients can tell who really wrote it
+      if (this.signingKeyPair?.privateKey) {
+        const signature = await window.crypto.subtle.sign(
+          SIGNATURE_PARAMS,
+          this.signingKeyPair.privateKey,
+          getSignedData(combined)
+        );
+        combined.signature = btoa(String.fromCharCode(...new Uint8Array(signature)));
+      }
+
       return JSON.stringify(combined);
     } catch (error) {
       logger.error('Failed to encrypt message:', error);
@@ -270,30 +823,166 @@ class CryptoService {
     }
   }
 
+  /**
+   * Seal a message key to recipients' prekeys
+   * A fresh ECDH key pair is made for every message and its private half is
+   * dropped straight away, so the bundle can only be opened with a prekey.
+   * Each recipient gets a copy per signed-in device. Our own copies are
+   * sealed to this device's current prekey and those of our other devices
+   * (or to our RSA key if none of them has a prekey yet).
+   * @param {ArrayBuffer} rawKey - Raw AES message key
+   * @param {Array<string>} usernames - Recipients, all with a prekey
+   * @returns {Promise<Object>} { version, ephemeralKey, keys, senderKeys }
+   */
+  async wrapForPrekeys(rawKey, usernames) {
+    const ephemeral = await window.crypto.subtle.generateKey(PREKEY_ALGORITHM, false, ['deriveBits']);
+    const sealTo = async (prekeyId, publicKey) => {
+      const wrappingKey = await this.derivePrekeyWrappingKey(ephemeral.privateKey, publicKey);
+      const iv = window.crypto.getRandomValues(new Uint8Array(12));
+      const wrapped = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, wrappingKey, rawKey);
+      return { prekeyId, key: `${toBase64(iv)}.${toBase64(wrapped)}` };
+    };
+
+    const keys = {};
+    for (const username of usernames) {
+      keys[username] = await Promise.all(
+        this.contactPrekeys.get(username).map(({ id, publicKey }) => sealTo(id, publicKey))
+      );
+    }
+
+    const ownPrekey = this.getCurrentPrekey();
+    const ownPrekeys = [
+      ...(ownPrekey ? [{ id: ownPrekey.id, publicKey: ownPrekey.keyPair.publicKey }] : []),
+      ...this.devicePrekeys.filter(prekey => prekey.id !== ownPrekey?.id)
+    ];
+    let senderKeys = await Promise.all(ownPrekeys.map(({ id, publicKey }) => sealTo(id, publicKey)));
+    if (senderKeys.length === 0 && this.keyPair?.publicKey) {
+      senderKeys = [{
+        key: await this.wrapMessageKey(rawKey, this.keyPair.publicKey),
+        keyId: await this.getOwnKeyId()
+      }];
+    }
+
+    return {
+      version: PREKEY_BUNDLE_VERSION,
+      ephemeralKey: toBase64(await window.crypto.subtle.exportKey('spki', ephemeral.publicKey)),
+      keys,
+      senderKeys
+    };
+  }
+
+  /**
+   * Derive the AES key that seals a message key between two ECDH keys
+   * @param {CryptoKey} privateKey - Our ECDH private key
+   * @param {CryptoKey} publicKey - Their ECDH public key
+   * @param {string} info - HKDF context, so keys derived for one use can't open another
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  async derivePrekeyWrappingKey(privateKey, publicKey, info = PREKEY_INFO) {
+    const sharedSecret = await window.crypto.subtle.deriveBits(
+      { name: 'ECDH', public: publicKey },
+      privateKey,
+      256
+    );
+    const keyMaterial = await window.crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+    return window.crypto.subtle.deriveKey(
+      {
+        name: 'HKDF',
+        hash: 'SHA-256',
+        salt: new Uint8Array(32),
+        info: new TextEncoder().encode(info),
+      },
+      keyMaterial,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Check who signed a message bundle
+   * @param {string} encryptedData - Message bundle
+   * @param {string} sender - Username the server says sent it
+   * @param {string|null} ownUsername - Our username; our own sent messages
+   *   are checked against our own signing key
+   * @returns {Promise<'valid'|'invalid'|'unsigned'|'unknown'>} 'unknown' when
+   *   we have no signing key for the sender
+   */
+  async verifyMessage(encryptedData, sender, ownUsername = null) {
+    let bundle;
+    try {
+      bundle = JSON.parse(encryptedData);
+    } catch {
+      return 'invalid';
+    }
+    if (!bundle.signature) return 'unsigned';
+
+    const signingKey = sender === ownUsername
+      ? this.signingKeyPair?.publicKey
+      : this.signingKeys.get(sender);
+    if (!signingKey) return 'unknown';
+
+    try {
+      const valid = await window.crypto.subtle.verify(
+        SIGNATURE_PARAMS,
+        signingKey,
+        Uint8Array.from(atob(bundle.signature), c => c.charCodeAt(0)),
+        getSignedData(bundle)
+      );
+      return valid ? 'valid' : 'invalid';
+    } catch (error) {
+      logger.error(`Failed to verify signature from ${sender}:`, error);
+      return 'invalid';
+    }
+  }
+
+  /**
+   * Wrap a raw AES key with an RSA-OAEP public key
+   * @param {ArrayBuffer} rawKey - Raw AES key
+   * @param {CryptoKey} publicKey - Recipient public key
+   * @returns {Promise<string>} Base64 wrapped key
+   */
+  async wrapMessageKey(rawKey, publicKey) {
+    const wrapped = await window.crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, rawKey);
+    return btoa(String.fromCharCode(...new Uint8Array(wrapped)));
+  }
+
   /**
    * Decrypt message from sender
    * @param {string} encryptedData - Base64 encrypted message bundle
+   * @param {string|null} username - Our username, to pick our key out of multi-recipient bundles
    * @returns {Promise<string>} Plain text message
    */
-  async decryptMessage(encryptedData) {
+  async decryptMessage(encryptedData, username = null) {
     if (!this.keyPair?.privateKey) {
       throw new Error('No private key available');
     }
 
     try {
-      const { encryptedKey, iv, encryptedMessage } = JSON.parse(encryptedData);
+      const bundle = JSON.parse(encryptedData);
+      const { encryptedKey, keyId, keys = {}, keyIds = {}, senderKey, senderKeys, senderKeyId, iv, encryptedMessage } = bundle;
 
       // Decode base64
-      const encryptedKeyBytes = Uint8Array.from(atob(encryptedKey), c => c.charCodeAt(0));
       const ivBytes = Uint8Array.from(atob(iv), c => c.charCodeAt(0));
       const encryptedMessageBytes = Uint8Array.from(atob(encryptedMessage), c => c.charCodeAt(0));
 
-      // Decrypt AES key with private key
-      const decryptedKeyBuffer = await window.crypto.subtle.decrypt(
-        { name: 'RSA-OAEP' },
-        this.keyPair.privateKey,
-        encryptedKeyBytes
-      );
+      // Decrypt AES key: our recipient copy first, then our own sent copy,
+      // then any other copy in case we were addressed by another name
+      let decryptedKeyBuffer;
+      if (bundle.version) {
+        // Version 2 has one copy per user (senderKey); later versions one per device
+        const candidates = [keys[username], senderKeys, senderKey, ...Object.values(keys)].flat();
+        decryptedKeyBuffer = await this.unwrapPrekeyCopies(bundle.ephemeralKey, [...new Set(candidates.filter(Boolean))]);
+      } else {
+        const candidates = [
+          { key: keys[username], keyId: keyIds[username] },
+          { key: encryptedKey, keyId },
+          { key: senderKey, keyId: senderKeyId },
+          ...Object.entries(keys).map(([name, key]) => ({ key, keyId: keyIds[name] }))
+        ];
+        const copies = new Map(candidates.filter(copy => copy.key).map(copy => [copy.key, copy]));
+        decryptedKeyBuffer = await this.unwrapMessageKey([...copies.values()]);
+      }
 
       // Import AES key
       const messageKey = await window.crypto.subtle.importKey(
@@ -319,21 +1008,427 @@ class CryptoService {
     }
   }
 
+  /**
+   * Open the first copy of a message key sealed to one of our prekeys
+   * Copies for prekeys we have already deleted stay closed for good; that is
+   * what makes old pages unreadable with today's keys.
+   * @param {string} ephemeralKeyBase64 - Sender's one-off ECDH public key
+   * @param {Array<Object>} copies - { prekeyId, key } or RSA-wrapped { key, keyId }
+   * @returns {Promise<ArrayBuffer>} Raw AES key
+   */
+  async unwrapPrekeyCopies(ephemeralKeyBase64, copies) {
+    const ephemeralKey = await window.crypto.subtle.importKey(
+      'spki',
+      fromBase64(ephemeralKeyBase64),
+      PREKEY_ALGORITHM,
+      false,
+      []
+    );
+    let lastError = new Error('No copy of the message key for our prekeys');
+
+    for (const { prekeyId, key, keyId } of copies) {
+      try {
+        if (!prekeyId) {
+          return await this.unwrapMessageKey([{ key, keyId }]);
+        }
+
+        const prekey = this.prekeys.get(prekeyId);
+        if (!prekey) continue;
+
+        const [iv, wrapped] = key.split('.').map(fromBase64);
+        const wrappingKey = await this.derivePrekeyWrappingKey(prekey.keyPair.privateKey, ephemeralKey);
+        return await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, wrappingKey, wrapped);
+      } catch (error) {
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Decrypt the first wrapped AES key that one of our private keys can open
+   * @param {Array<Object>} wrappedKeys - { key, keyId }: base64 RSA-OAEP
+   *   wrapped key and the id of the key it was wrapped for, if known
+   * @returns {Promise<ArrayBuffer>} Raw AES key
+   */
+  async unwrapMessageKey(wrappedKeys) {
+    const ownKeyId = await this.getOwnKeyId();
+    let lastError = new Error('No wrapped key in bundle');
+
+    for (const { key, keyId } of wrappedKeys) {
+      for (const privateKey of this.getPrivateKeysFor(keyId, ownKeyId)) {
+        try {
+          return await window.crypto.subtle.decrypt(
+            { name: 'RSA-OAEP' },
+            privateKey,
+            fromBase64(key)
+          );
+        } catch (error) {
+          lastError = error;
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Our private keys that may open a copy wrapped for a key id
+   * Copies from before key ids existed are tried with every key, newest
+   * first; copies for a key we never had are skipped.
+   * @param {string|undefined} keyId - Key id from the bundle
+   * @param {string|null} ownKeyId - Id of our current key
+   * @returns {Array<CryptoKey>}
+   */
+  getPrivateKeysFor(keyId, ownKeyId) {
+    if (!keyId || !ownKeyId) {
+      return [this.keyPair.privateKey, ...[...this.retiredKeys.values()].reverse().map(retired => retired.privateKey)];
+    }
+    if (keyId === ownKeyId) {
+      return [this.keyPair.privateKey];
+    }
+    const retired = this.retiredKeys.get(keyId);
+    return retired ? [retired.privateKey] : [];
+  }
+
+  /**
+   * Id of our current encryption public key
+   * @returns {Promise<string|null>} Null without a key pair
+   */
+  async getOwnKeyId() {
+    if (!this.keyPair?.publicKey) return null;
+    if (!this.ownKeyId) {
+      this.ownKeyId = await getKeyId(await this.exportPublicKey());
+    }
+    return this.ownKeyId;
+  }
+
+  /**
+   * Replace our encryption key pair, keeping the old private key so
+   * messages wrapped for it stay readable
+   * Nothing is published here; undo with undoKeyRotation() if publishing fails.
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} { previousKeyPair, retiredKeyId }
+   */
+  async rotateKeyPair(now = Date.now()) {
+    if (!this.keyPair?.privateKey || !this.keyPair.publicKey) {
+      throw new Error('No key pair available');
+    }
+
+    const previousKeyPair = this.keyPair;
+    const retiredKeyId = await this.getOwnKeyId();
+    this.retiredKeys.set(retiredKeyId, {
+      privateKey: previousKeyPair.privateKey,
+      retiredAt: new Date(now).toISOString()
+    });
+
+    try {
+      await this.generateKeyPair();
+    } catch (error) {
+      this.retiredKeys.delete(retiredKeyId);
+      throw error;
+    }
+    return { previousKeyPair, retiredKeyId };
+  }
+
+  /**
+   * Go back to the key pair a rotation replaced
+   * @param {Object} rotation - Result of rotateKeyPair()
+   */
+  undoKeyRotation({ previousKeyPair, retiredKeyId }) {
+    this.retiredKeys.delete(retiredKeyId);
+    this.setKeyPair(previousKeyPair);
+  }
+
   /**
    * Store recipient's public key
    * @param {string} username
    * @param {string} publicKeyBase64
+   * @param {string|null} signingKeyBase64 - Key that verifies their signatures
+   * @param {Array<Object>} prekeys - Prekeys of their signed-in devices ({ id, publicKey, createdAt, signature })
    */
-  async storePublicKey(username, publicKeyBase64) {
+  async storePublicKey(username, publicKeyBase64, signingKeyBase64 = null, prekeys = []) {
     try {
       const publicKey = await this.importPublicKey(publicKeyBase64);
+      const signingKey = signingKeyBase64 ? await this.importSigningPublicKey(signingKeyBase64) : null;
+      const fingerprint = await getKeyFingerprint(publicKeyBase64, signingKeyBase64);
       this.publicKeys.set(username, publicKey);
+      this.keyIds.set(username, await getKeyId(publicKeyBase64));
+      if (signingKey) {
+        this.signingKeys.set(username, signingKey);
+      } else {
+        this.signingKeys.delete(username);
+      }
+      this.fingerprints.set(username, fingerprint);
+      await this.storeContactPrekeys(username, signingKey, prekeys);
+
+      if (this.getVerificationStatus(username) === 'changed') {
+        logger.warn(`Public key for verified contact ${username} has changed`);
+      }
     } catch (error) {
       logger.error(`Failed to store public key for ${username}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Keep the prekeys of a contact's devices that their signing key vouches for
+   * Unsigned, forged or stale prekeys are ignored. A contact left with no
+   * prekey gets messages wrapped with their RSA key.
+   * @param {string} username
+   * @param {CryptoKey|null} signingKey - Their signing public key
+   * @param {Array<Object>} prekeys - Published prekeys
+   */
+  async storeContactPrekeys(username, signingKey, prekeys) {
+    this.contactPrekeys.delete(username);
+
+    const accepted = await this.importSignedPrekeys(username, signingKey, prekeys);
+    if (accepted.length > 0) {
+      this.contactPrekeys.set(username, accepted);
+    }
+  }
+
+  /**
+   * Keep the prekeys of our other signed-in devices
+   * Pages we send are sealed to them too, so they stay readable there.
+   * @param {Array<Object>} prekeys - Our published prekeys (this device's may be among them)
+   */
+  async storeDevicePrekeys(prekeys) {
+    const others = (prekeys || []).filter(prekey => !this.prekeys.has(prekey.id));
+    this.devicePrekeys = await this.importSignedPrekeys('our other devices', this.signingKeyPair?.publicKey, others);
+  }
+
+  /**
+   * Import the fresh prekeys a signing key vouches for
+   * @param {string} owner - Whose prekeys these are (for log messages)
+   * @param {CryptoKey|null} signingKey - Owner's signing public key
+   * @param {Array<Object>} prekeys - Published prekeys
+   * @returns {Promise<Array<Object>>} { id, publicKey } of the accepted prekeys
+   */
+  async importSignedPrekeys(owner, signingKey, prekeys) {
+    if (!signingKey || !Array.isArray(prekeys)) return [];
+
+    const accepted = [];
+    for (const prekey of prekeys) {
+      try {
+        const fresh = Date.now() - new Date(prekey.createdAt).getTime() < PREKEY_RETENTION_MS;
+        const valid = fresh && await window.crypto.subtle.verify(
+          SIGNATURE_PARAMS,
+          signingKey,
+          fromBase64(prekey.signature),
+          getPrekeySignedData(prekey)
+        );
+        if (!valid) {
+          logger.warn(`Ignoring prekey from ${owner}: ${fresh ? 'bad signature' : 'expired'}`);
+          continue;
+        }
+
+        const publicKey = await window.crypto.subtle.importKey(
+          'spki',
+          fromBase64(prekey.publicKey),
+          PREKEY_ALGORITHM,
+          false,
+          []
+        );
+        accepted.push({ id: prekey.id, publicKey });
+      } catch (error) {
+        logger.warn(`Ignoring unreadable prekey from ${owner}:`, error);
+      }
+    }
+    return accepted;
+  }
+
+  /**
+   * Our newest prekey
+   * @returns {Object|null} { id, keyPair, publicKey, createdAt, signature }
+   */
+  getCurrentPrekey() {
+    let current = null;
+    for (const prekey of this.prekeys.values()) {
+      if (!current || prekey.createdAt > current.createdAt) {
+        current = prekey;
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Whether our newest prekey is due for replacement
+   * @param {number} now - Current time (ms)
+   * @returns {boolean}
+   */
+  needsPrekeyRotation(now = Date.now()) {
+    const current = this.getCurrentPrekey();
+    return !current || now - new Date(current.createdAt).getTime() >= PREKEY_ROTATION_MS;
+  }
+
+  /**
+   * Make a new prekey, signed with our signing key, and drop expired ones
+   * @param {number} now - Current time (ms)
+   * @returns {Promise<Object>} The prekey to publish ({ id, publicKey, createdAt, signature })
+   */
+  async generatePrekey(now = Date.now()) {
+    if (!this.signingKeyPair?.privateKey) {
+      throw new Error('No signing key available');
+    }
+
+    const keyPair = await window.crypto.subtle.generateKey(
+      PREKEY_ALGORITHM,
+      false, // the private key never leaves this device
+      ['deriveBits']
+    );
+    const prekey = {
+      id: Array.from(window.crypto.getRandomValues(new Uint8Array(8)), byte => byte.toString(16).padStart(2, '0')).join(''),
+      publicKey: toBase64(await window.crypto.subtle.exportKey('spki', keyPair.publicKey)),
+      createdAt: new Date(now).toISOString()
+    };
+    prekey.signature = toBase64(await window.crypto.subtle.sign(
+      SIGNATURE_PARAMS,
+      this.signingKeyPair.privateKey,
+      getPrekeySignedData(prekey)
+    ));
+
+    this.prekeys.set(prekey.id, { ...prekey, keyPair });
+    this.prunePrekeys(now);
+    return prekey;
+  }
+
+  /**
+   * Delete prekeys past their retention (the newest is always kept)
+   * @param {number} now - Current time (ms)
+   */
+  prunePrekeys(now = Date.now()) {
+    const current = this.getCurrentPrekey();
+    for (const [id, prekey] of this.prekeys) {
+      if (prekey !== current && now - new Date(prekey.createdAt).getTime() >= PREKEY_RETENTION_MS) {
+        this.prekeys.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Our newest prekey in its published form
+   * @returns {Object|null} { id, publicKey, createdAt, signature }
+   */
+  getPublishedPrekey() {
+    const current = this.getCurrentPrekey();
+    if (!current) return null;
+    const { id, publicKey, createdAt, signature } = current;
+    return { id, publicKey, createdAt, signature };
+  }
+
+  /**
+   * Our prekeys, for keeping in the local key store
+   * The private keys are non-extractable, so they can be stored as they are
+   * but never read out or sent anywhere.
+   * @returns {Array<Object>} { id, publicKey, createdAt, signature, keyPair }
+   */
+  getPrekeys() {
+    return [...this.prekeys.values()];
+  }
+
+  /**
+   * Load our prekeys from the local key store, dropping expired ones
+   * @param {Array<Object>} prekeys - Output of getPrekeys()
+   */
+  setPrekeys(prekeys) {
+    this.prekeys.clear();
+    for (const prekey of prekeys) {
+      this.prekeys.set(prekey.id, prekey);
+    }
+    this.prunePrekeys();
+  }
+
+  /**
+   * Load the contacts a local user has verified
+   * @param {string|null} owner - Username of the local user
+   */
+  loadVerifiedKeys(owner) {
+    this.verificationOwner = owner;
+    this.verifiedKeys = owner ? getVerifiedKeys(owner) : {};
+  }
+
+  /**
+   * Fingerprint of a contact's stored public key
+   * @param {string} username
+   * @returns {string|null} Hex fingerprint, or null if we have no key
+   */
+  getFingerprint(username) {
+    return this.fingerprints.get(username) || null;
+  }
+
+  /**
+   * Whether a contact's current key is the one we verified
+   * 'changed' means the contact was verified but the server now hands out a
+   * different key; sending to them is blocked until they are verified again.
+   * @param {string} username
+   * @returns {'verified'|'unverified'|'changed'|null} Null if we have no key
+   */
+  getVerificationStatus(username) {
+    const fingerprint = this.getFingerprint(username);
+    if (!fingerprint) return null;
+
+    const verified = this.verifiedKeys[username];
+    if (!verified) return 'unverified';
+    return verified === fingerprint ? 'verified' : 'changed';
+  }
+
+  /**
+   * Safety number for our conversation with a contact
+   * @param {string} ownUsername - Our username
+   * @param {string} username - Contact username
+   * @returns {Promise<Object>} { safetyNumber, ownFingerprint, fingerprint }
+   */
+  async getSafetyNumber(ownUsername, username) {
+    const fingerprint = this.getFingerprint(username);
+    if (!fingerprint) {
+      throw new Error(`No public key for ${username}`);
+    }
+
+    const ownFingerprint = await getKeyFingerprint(
+      await this.exportPublicKey(),
+      this.signingKeyPair ? await this.exportSigningPublicKey() : null
+    );
+    const safetyNumber = await computeSafetyNumber(
+      { username: ownUsername, fingerprint: ownFingerprint },
+      { username, fingerprint }
+    );
+    return { safetyNumber, ownFingerprint, fingerprint };
+  }
+
+  /**
+   * Mark a contact's current key as verified (or re-confirm a changed key)
+   * @param {string} username
+   */
+  verifyContact(username) {
+    const fingerprint = this.getFingerprint(username);
+    if (!fingerprint) {
+      throw new Error(`No public key for ${username}`);
+    }
+    this.verifiedKeys = { ...this.verifiedKeys, [username]: fingerprint };
+    this.saveVerifiedKeys();
+  }
+
+  /**
+   * Forget that a contact was verified
+   * @param {string} username
+   */
+  unverifyContact(username) {
+    this.verifiedKeys = { ...this.verifiedKeys };
+    delete this.verifiedKeys[username];
+    this.saveVerifiedKeys();
+  }
+
+  /**
+   * Persist verified fingerprints for the current owner
+   */
+  saveVerifiedKeys() {
+    if (this.verificationOwner) {
+      saveVerifiedKeys(this.verificationOwner, this.verifiedKeys);
+    }
+  }
+
   /**
    * Get current key pair
    */
@@ -346,6 +1441,23 @@ class CryptoService {
    */
   setKeyPair(keyPair) {
     this.keyPair = keyPair;
+    this.ownKeyId = null;
+  }
+
+  /**
+   * Set the private keys retired by earlier rotations (for loading from storage)
+   * @param {Map} retiredKeys - Key id -> { privateKey, retiredAt }
+   */
+  setRetiredKeys(retiredKeys) {
+    this.retiredKeys = new Map(retiredKeys);
+  }
+
+  /**
+   * Set signing key pair (for loading from storage)
+   * @param {CryptoKeyPair|null} signingKeyPair
+   */
+  setSigningKeyPair(signingKeyPair) {
+    this.signingKeyPair = signingKeyPair;
   }
 
   /**
@@ -353,7 +1465,25 @@ class CryptoService {
    */
   clearKeys() {
     this.keyPair = null;
+    this.ownKeyId = null;
+    this.retiredKeys.clear();
+    this.signingKeyPair = null;
     this.publicKeys.clear();
+    this.keyIds.clear();
+    this.signingKeys.clear();
+    this.prekeys.clear();
+    this.contactPrekeys.clear();
+    this.devicePrekeys = [];
+    this.fingerprints.clear();
+    this.loadVerifiedKeys(null);
+  }
+
+  /**
+   * Check if we can sign (accounts from before signing may not yet)
+   * @returns {boolean}
+   */
+  hasSigningKey() {
+    return !!this.signingKeyPair?.privateKey;
   }
 
   /**
@@ -0,0 +1,395 @@
+import { describe, it, expect, beforeAll } from 'vitest';
+import CryptoService from './CryptoService';
+
+/**
+ * Create a CryptoService with its own key pair
+ */
+const createUser = async () => {
+  const service = new CryptoService();
+  const keyPair = await service.generateKeyPair();
+  return { service, publicKey: await service.exportPublicKey(keyPair.publicKey) };
+};
+
+describe('CryptoService', () => {
+  let alice;
+  let bob;
+  let carol;
+
+  beforeAll(async () => {
+    [alice, bob, carol] = await Promise.all([createUser(), createUser(), createUser()]);
+    await alice.service.storePublicKey('Bob', bob.publicKey);
+    await alice.service.storePublicKey('Carol', carol.publicKey);
+  });
+
+  it('should keep the single-key bundle for one recipient', async () => {
+    const bundle = await alice.service.encryptMessage('Hello Bob', 'Bob');
+
+    expect(JSON.parse(bundle)).toEqual({
+      encryptedKey: expect.any(String),
+      keyId: await bob.service.getOwnKeyId(),
+      senderKey: expect.any(String),
+      senderKeyId: await alice.service.getOwnKeyId(),
+      iv: expect.any(String),
+      encryptedMessage: expect.any(String)
+    });
+    await expect(bob.service.decryptMessage(bundle)).resolves.toBe('Hello Bob');
+  });
+
+  it('should wrap the message key for every recipient', async () => {
+    const bundle = await alice.service.encryptMessage('All units', ['Bob', 'Carol']);
+
+    expect(Object.keys(JSON.parse(bundle).keys)).toEqual(['Bob', 'Carol']);
+    await expect(bob.service.decryptMessage(bundle, 'Bob')).resolves.toBe('All units');
+    await expect(carol.service.decryptMessage(bundle, 'Carol')).resolves.toBe('All units');
+    await expect(alice.service.decryptMessage(bundle, 'Alice')).resolves.toBe('All units');
+  });
+
+  it('should find its key without being told its username', async () => {
+    const bundle = await alice.service.encryptMessage('Who am I', ['Bob', 'Carol']);
+
+    await expect(carol.service.decryptMessage(bundle)).resolves.toBe('Who am I');
+  });
+
+  it('should refuse recipients without a known public key', async () => {
+    await expect(alice.service.encryptMessage('Hi', ['Bob', 'Dave'])).rejects.toThrow(
+      'No public key for Dave'
+    );
+  });
+
+  it('should not let non-recipients decrypt', async () => {
+    const bundle = await alice.service.encryptMessage('Private', 'Bob');
+
+    await expect(carol.service.decryptMessage(bundle)).rejects.toThrow('Decryption failed');
+  });
+
+  it('should re-wrap the private key under a new password', async () => {
+    const wrapped = await bob.service.exportEncryptedPrivateKey('old-password');
+    const rewrapped = await bob.service.rewrapPrivateKey(wrapped, 'old-password', 'new-password');
+    const bundle = await alice.service.encryptMessage('Still readable', 'Bob');
+
+    const reader = new CryptoService();
+    reader.setKeyPair({
+      publicKey: await reader.importPublicKey(bob.publicKey),
+      privateKey: await reader.importEncryptedPrivateKey(rewrapped, 'new-password')
+    });
+
+    await expect(reader.decryptMessage(bundle)).resolves.toBe('Still readable');
+    await expect(reader.importEncryptedPrivateKey(rewrapped, 'old-password')).rejects.toThrow('Invalid password');
+    await expect(bob.service.rewrapPrivateKey(wrapped, 'wrong-password', 'x')).rejects.toThrow('Invalid password');
+  });
+
+  it('should recover the private key from a recovery kit', async () => {
+    const kit = await carol.service.exportRecoveryKit('7K3M-Q9XD-AB12-CD34');
+    const recovered = await carol.service.recoverPrivateKey(kit.encryptedPrivateKey, '7k3m q9xd ab12 cd34', 'new-password');
+    const bundle = await alice.service.encryptMessage('Found you', 'Carol');
+
+    const reader = new CryptoService();
+    reader.setKeyPair({
+      publicKey: await reader.importPublicKey(carol.publicKey),
+      privateKey: await reader.importEncryptedPrivateKey(recovered, 'new-password')
+    });
+
+    expect(kit.recoveryKey).toBe(await carol.service.deriveRecoveryKey('7K3MQ9XDAB12CD34'));
+    expect(kit.recoveryKey).toMatch(/^[0-9a-f]{64}$/);
+    await expect(reader.decryptMessage(bundle)).resolves.toBe('Found you');
+  });
+
+  it('should show both users the same safety number', async () => {
+    await bob.service.storePublicKey('Alice', alice.publicKey);
+
+    const seenByAlice = await alice.service.getSafetyNumber('Alice', 'Bob');
+    const seenByBob = await bob.service.getSafetyNumber('Bob', 'Alice');
+
+    expect(seenByAlice.safetyNumber).toHaveLength(12);
+    expect(seenByAlice.safetyNumber).toEqual(seenByBob.safetyNumber);
+    expect(seenByAlice.fingerprint).toBe(seenByBob.ownFingerprint);
+  });
+
+  it('should block sending to a verified contact whose key changed until re-verified', async () => {
+    const sender = (await createUser()).service;
+    const mallory = await createUser();
+    await sender.storePublicKey('Bob', bob.publicKey);
+    expect(sender.getVerificationStatus('Bob')).toBe('unverified');
+
+    sender.verifyContact('Bob');
+    expect(sender.getVerificationStatus('Bob')).toBe('verified');
+
+    await sender.storePublicKey('Bob', mallory.publicKey);
+    expect(sender.getVerificationStatus('Bob')).toBe('changed');
+    await expect(sender.encryptMessage('Hi', 'Bob')).rejects.toMatchObject({
+      keyChanged: true,
+      username: 'Bob'
+    });
+
+    sender.verifyContact('Bob');
+    await expect(sender.encryptMessage('Hi', 'Bob')).resolves.toEqual(expect.any(String));
+  });
+
+  it('should sign bundles and flag tampered or unsigned ones', async () => {
+    const signer = await createUser();
+    await signer.service.generateSigningKeyPair();
+    await signer.service.storePublicKey('Bob', bob.publicKey);
+    await bob.service.storePublicKey('Signer', signer.publicKey, await signer.service.exportSigningPublicKey());
+
+    const bundle = await signer.service.encryptMessage('Signed page', 'Bob');
+    const other = await signer.service.encryptMessage('Another page', 'Bob');
+    // A signature moved onto a different ciphertext must not verify
+    const tampered = JSON.stringify({ ...JSON.parse(bundle), signature: JSON.parse(other).signature });
+    const unsigned = await alice.service.encryptMessage('Legacy page', 'Bob');
+
+    await expect(bob.service.verifyMessage(bundle, 'Signer')).resolves.toBe('valid');
+    await expect(bob.service.verifyMessage(bundle, 'Alice')).resolves.toBe('unknown');
+    await expect(bob.service.verifyMessage(tampered, 'Signer')).resolves.toBe('invalid');
+    await expect(bob.service.verifyMessage(unsigned, 'Alice')).resolves.toBe('unsigned');
+    await expect(signer.service.verifyMessage(bundle, 'Me', 'Me')).resolves.toBe('valid');
+  });
+
+  it('should carry the signing key in the wrapped keyring and still read old blobs', async () => {
+    const legacy = await alice.service.exportEncryptedPrivateKey('password');
+    await expect(alice.service.importEncryptedKeyring(legacy, 'password')).resolves.toMatchObject({
+      signingKeyPair: null
+    });
+
+    const owner = await createUser();
+    await owner.service.generateSigningKeyPair();
+    const wrapped = await owner.service.exportEncryptedPrivateKey('password');
+    const { privateKey, signingKeyPair } = await owner.service.importEncryptedKeyring(wrapped, 'password');
+
+    const restored = new CryptoService();
+    restored.setKeyPair({ publicKey: owner.service.keyPair.publicKey, privateKey });
+    restored.setSigningKeyPair(signingKeyPair);
+    expect(await restored.exportSigningPublicKey()).toBe(await owner.service.exportSigningPublicKey());
+
+    await restored.storePublicKey('Bob', bob.publicKey);
+    const bundle = await restored.encryptMessage('Still me', 'Bob');
+    await expect(owner.service.verifyMessage(bundle, 'Owner', 'Owner')).resolves.toBe('valid');
+  });
+
+  describe('key rotation', () => {
+    it('should read pages for retired keys after the keyring round trip', async () => {
+      const owner = await createUser();
+      await alice.service.storePublicKey('Owner', owner.publicKey);
+      const oldBundle = await alice.service.encryptMessage('Before rotation', 'Owner');
+
+      const { retiredKeyId } = await owner.service.rotateKeyPair();
+      const newPublicKey = await owner.service.exportPublicKey();
+      await alice.service.storePublicKey('Owner', newPublicKey);
+      const newBundle = await alice.service.encryptMessage('After rotation', 'Owner');
+      expect(JSON.parse(newBundle).keyId).toBe(await owner.service.getOwnKeyId());
+      expect(JSON.parse(newBundle).keyId).not.toBe(retiredKeyId);
+
+      const wrapped = await owner.service.exportEncryptedPrivateKey('password');
+      const { privateKey, retiredKeys } = await owner.service.importEncryptedKeyring(wrapped, 'password');
+      const reader = new CryptoService();
+      reader.setKeyPair({ publicKey: await reader.importPublicKey(newPublicKey), privateKey });
+      reader.setRetiredKeys(retiredKeys);
+
+      // Bundles from before key ids are tried against every key
+      const { keyId, ...withoutKeyId } = JSON.parse(oldBundle);
+      expect(keyId).toBe(retiredKeyId);
+      await expect(reader.decryptMessage(oldBundle)).resolves.toBe('Before rotation');
+      await expect(reader.decryptMessage(JSON.stringify(withoutKeyId))).resolves.toBe('Before rotation');
+      await expect(reader.decryptMessage(newBundle)).resolves.toBe('After rotation');
+    });
+
+    it('should put the old key pair back when a rotation is undone', async () => {
+      const owner = await createUser();
+      const before = owner.service.getKeyPair();
+
+      owner.service.undoKeyRotation(await owner.service.rotateKeyPair());
+
+      expect(owner.service.getKeyPair()).toBe(before);
+      expect(owner.service.retiredKeys.size).toBe(0);
+      expect(await owner.service.exportPublicKey()).toBe(owner.publicKey);
+    });
+  });
+
+  describe('quick unlock', () => {
+    it('should keep reading pages with non-extractable copies of the keys', async () => {
+      const owner = await createUser();
+      await owner.service.rotateKeyPair();
+      await alice.service.storePublicKey('Owner', await owner.service.exportPublicKey());
+      const bundle = await alice.service.encryptMessage('After reload', 'Owner');
+
+      const keys = await owner.service.exportSessionKeys();
+      const reloaded = new CryptoService();
+      reloaded.restoreSessionKeys(keys);
+
+      expect(keys.keyPair.privateKey.extractable).toBe(false);
+      expect([...keys.retiredKeys.values()][0].privateKey.extractable).toBe(false);
+      expect(owner.service.canExportPrivateKeys()).toBe(true);
+      expect(reloaded.canExportPrivateKeys()).toBe(false);
+      await expect(reloaded.decryptMessage(bundle)).resolves.toBe('After reload');
+    });
+
+    it('should derive the same PIN verifier only for the same PIN and salt', async () => {
+      const salt = new Uint8Array(16).fill(7);
+      const verifier = await alice.service.derivePinVerifier('1234', salt);
+
+      expect(verifier).toMatch(/^[0-9a-f]{64}$/);
+      expect(await alice.service.derivePinVerifier('1234', salt)).toBe(verifier);
+      expect(await alice.service.derivePinVerifier('1235', salt)).not.toBe(verifier);
+      expect(await alice.service.derivePinVerifier('1234', new Uint8Array(16))).not.toBe(verifier);
+    });
+  });
+
+  describe('device linking', () => {
+    it('should hand the keyring only to the device whose key was approved', async () => {
+      const owner = await createUser();
+      await owner.service.generateSigningKeyPair();
+      await owner.service.rotateKeyPair();
+      await alice.service.storePublicKey('Owner', await owner.service.exportPublicKey());
+      const bundle = await alice.service.encryptMessage('On the new device', 'Owner');
+
+      const device = new CryptoService();
+      const link = await device.createLinkKeyPair();
+      const { publicKey, payload } = await owner.service.sealKeyringForDevice(link.publicKey);
+      const { privateKey, signingKeyPair, retiredKeys } = await device.openKeyringFromDevice(link.keyPair, publicKey, payload);
+
+      device.setKeyPair({ publicKey: owner.service.keyPair.publicKey, privateKey });
+      device.setSigningKeyPair(signingKeyPair);
+      device.setRetiredKeys(retiredKeys);
+      expect(device.canExportPrivateKeys()).toBe(true);
+      expect(retiredKeys.size).toBe(1);
+      await expect(device.decryptMessage(bundle)).resolves.toBe('On the new device');
+
+      const stranger = await device.createLinkKeyPair();
+      await expect(device.openKeyringFromDevice(stranger.keyPair, publicKey, payload))
+        .rejects.toThrow('Could not open the keys sent by your other device');
+    });
+  });
+
+  describe('attachments', () => {
+    it('should decrypt an attachment only with the key and IV it was sealed with', async () => {
+      const bytes = new TextEncoder().encode('FAX PAGE 1 OF 1');
+      const { data, key, iv } = await alice.service.encryptAttachment(bytes);
+
+      expect(new TextDecoder().decode(data)).not.toContain('FAX PAGE');
+      expect(new TextDecoder().decode(await bob.service.decryptAttachment(data, { key, iv }))).toBe('FAX PAGE 1 OF 1');
+
+      const other = await alice.service.encryptAttachment(bytes);
+      await expect(bob.service.decryptAttachment(data, { key: other.key, iv }))
+        .rejects.toThrow('Could not decrypt attachment');
+    });
+  });
+
+  describe('prekeys', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let sender;
+    let receiver;
+    let receiverLaptop;
+    let prekey;
+    let laptopPrekey;
+
+    const createSigningUser = async () => {
+      const user = await createUser();
+      await user.service.generateSigningKeyPair();
+      user.signingPublicKey = await user.service.exportSigningPublicKey();
+      return user;
+    };
+
+    /**
+     * Sign a user in on another device: same account keys, its own prekey
+     */
+    const linkDevice = async (user) => {
+      const device = new CryptoService();
+      device.setKeyPair(user.service.getKeyPair());
+      device.setSigningKeyPair(user.service.signingKeyPair);
+      return { service: device, prekey: await device.generatePrekey() };
+    };
+
+    beforeAll(async () => {
+      [sender, receiver] = await Promise.all([createSigningUser(), createSigningUser()]);
+      await sender.service.generatePrekey();
+      prekey = await receiver.service.generatePrekey();
+      ({ service: receiverLaptop, prekey: laptopPrekey } = await linkDevice(receiver));
+      await sender.service.storePublicKey('Receiver', receiver.publicKey, receiver.signingPublicKey, [prekey, laptopPrekey]);
+    });
+
+    it('should seal pages to every recipient device with a one-off key', async () => {
+      const bundle = await sender.service.encryptMessage('Sealed page', 'Receiver');
+      const parsed = JSON.parse(bundle);
+
+      expect(parsed).toMatchObject({
+        version: 3,
+        ephemeralKey: expect.any(String),
+        keys: {
+          Receiver: [
+            { prekeyId: prekey.id, key: expect.any(String) },
+            { prekeyId: laptopPrekey.id, key: expect.any(String) }
+          ]
+        },
+        senderKeys: [{ prekeyId: expect.any(String) }]
+      });
+      expect(parsed.encryptedKey).toBeUndefined();
+      await expect(receiver.service.decryptMessage(bundle, 'Receiver')).resolves.toBe('Sealed page');
+      await expect(receiverLaptop.decryptMessage(bundle, 'Receiver')).resolves.toBe('Sealed page');
+      await expect(sender.service.decryptMessage(bundle, 'Sender')).resolves.toBe('Sealed page');
+    });
+
+    it('should keep sent pages readable on the sender\'s other devices', async () => {
+      const senderLaptop = await linkDevice(sender);
+      await sender.service.storeDevicePrekeys([sender.service.getPublishedPrekey(), senderLaptop.prekey]);
+
+      const bundle = await sender.service.encryptMessage('Sent from my phone', 'Receiver');
+
+      expect(JSON.parse(bundle).senderKeys).toHaveLength(2);
+      await expect(senderLaptop.service.decryptMessage(bundle, 'Sender')).resolves.toBe('Sent from my phone');
+      await expect(sender.service.decryptMessage(bundle, 'Sender')).resolves.toBe('Sent from my phone');
+
+      await sender.service.storeDevicePrekeys([]);
+    });
+
+    it('should not open pages on a device that had no prekey when they were sent', async () => {
+      const bundle = await sender.service.encryptMessage('Before the tablet', 'Receiver');
+      const tablet = await linkDevice(receiver);
+
+      await expect(tablet.service.decryptMessage(bundle, 'Receiver')).rejects.toThrow('Decryption failed');
+    });
+
+    it('should still read version 2 bundles with one copy per user', async () => {
+      const bundle = JSON.parse(await sender.service.encryptMessage('Older page', 'Receiver'));
+      const { senderKeys: [senderKey], ...rest } = bundle;
+      const legacy = JSON.stringify({ ...rest, version: 2, keys: { Receiver: bundle.keys.Receiver[0] }, senderKey });
+
+      await expect(receiver.service.decryptMessage(legacy, 'Receiver')).resolves.toBe('Older page');
+      await expect(sender.service.decryptMessage(legacy, 'Sender')).resolves.toBe('Older page');
+    });
+
+    it('should not open pages once their prekey is deleted, even with the RSA key', async () => {
+      const reader = new CryptoService();
+      reader.setKeyPair(receiver.service.getKeyPair());
+      reader.setSigningKeyPair(receiver.service.signingKeyPair);
+      reader.setPrekeys(receiver.service.getPrekeys());
+
+      const bundle = await sender.service.encryptMessage('Old page', 'Receiver');
+      await expect(reader.decryptMessage(bundle, 'Receiver')).resolves.toBe('Old page');
+
+      await reader.generatePrekey(Date.now() + 8 * DAY_MS);
+      expect(reader.prekeys.has(prekey.id)).toBe(false);
+      await expect(reader.decryptMessage(bundle, 'Receiver')).rejects.toThrow('Decryption failed');
+    });
+
+    it('should keep prekey private keys unexportable', async () => {
+      const [{ keyPair }] = receiver.service.getPrekeys();
+
+      expect(keyPair.privateKey.extractable).toBe(false);
+      await expect(window.crypto.subtle.exportKey('pkcs8', keyPair.privateKey)).rejects.toThrow();
+    });
+
+    it('should rotate daily', async () => {
+      expect(receiver.service.needsPrekeyRotation()).toBe(false);
+      expect(receiver.service.needsPrekeyRotation(Date.now() + DAY_MS)).toBe(true);
+    });
+
+    it('should fall back to RSA for prekeys the contact did not sign', async () => {
+      const forger = await createSigningUser();
+      const forged = await forger.service.generatePrekey();
+      await sender.service.storePublicKey('Bob', bob.publicKey, receiver.signingPublicKey, [forged]);
+
+      const bundle = JSON.parse(await sender.service.encryptMessage('Plain RSA', 'Bob'));
+      expect(bundle.version).toBeUndefined();
+      expect(bundle.encryptedKey).toEqual(expect.any(String));
+    });
+  });
+});
@@ -1,79 +1,157 @@
 import { authService } from './AuthService.js';
 import { cryptoService } from './CryptoService.js';
+import { channelService } from './ChannelService.js';
 import { logger } from '../utils/logger.js';
-import { SSE_RECONNECT_DELAY_MS } from '../utils/constants.js';
+import { packMessage, unpackMessage } from '../utils/attachments.js';
+import { SseTransport } from './transports/SseTransport.js';
+import { WebSocketTransport } from './transports/WebSocketTransport.js';
+import {
+  SSE_RECONNECT_DELAY_MS,
+  MAX_SEEN_MESSAGE_IDS,
+  TYPING_REFRESH_MS,
+  TYPING_IDLE_MS
+} from '../utils/constants.js';
 
 /**
- * Real-time messaging service using SSE with E2EE
+ * Real-time messaging service with E2EE
+ * Prefers a WebSocket connection and falls back to SSE (plus HTTP for
+ * client actions) when WebSockets are unavailable or blocked.
  */
 class MessagingService {
   constructor() {
     this.baseUrl = '/api';
-    this.eventSource = null;
+    this.transport = null;
+    // Transport tried first on the next connect ('websocket' or 'sse')
+    this.preferredTransport = typeof WebSocket !== 'undefined' ? 'websocket' : 'sse';
+    this.reconnectTimer = null;
     this.messageHandlers = [];
     this.connectionHandlers = [];
+    this.resyncHandlers = [];
+    this.receiptHandlers = [];
+    this.presenceHandlers = [];
+    this.typingHandlers = [];
+    this.channelHandlers = [];
+    this.keyChangeHandlers = [];
+    this.sessionEndedHandlers = [];
     this.isConnected = false;
+    // Resume state: last SSE event ID and recently delivered message IDs
+    this.streamUsername = null;
+    this.lastEventId = null;
+    this.seenMessageIds = new Set();
+    // Outgoing typing signal: who we're typing to, when we last told the server
+    this.typingTo = null;
+    this.typingSentAt = 0;
+    this.typingIdleTimer = null;
+    // In-flight user list fetch for senders whose signing key we lack
+    this.signingKeyRefresh = null;
   }
 
   /**
-   * Connect to SSE stream for real-time messages
+   * Connect to the real-time stream
+   * Reconnects resume from the last event ID so missed events are replayed.
    */
   connect() {
-    const sessionId = authService.getSessionId();
-    if (!sessionId) {
+    if (!authService.isAuthenticated()) {
       throw new Error('Not authenticated');
     }
 
     // Close existing connection
     this.disconnect();
 
-    // Create new SSE connection
-    this.eventSource = new EventSource(
-      `${this.baseUrl}/messages/stream?sessionId=${sessionId}`
-    );
-
-    this.eventSource.onopen = () => {
-      logger.info('✓ Connected to message stream');
-      this.isConnected = true;
-      this.notifyConnectionHandlers(true);
-    };
+    // Resume state belongs to one user only
+    const username = authService.getUsername();
+    if (this.streamUsername !== username) {
+      this.streamUsername = username;
+      this.lastEventId = null;
+      this.seenMessageIds.clear();
+    }
 
-    this.eventSource.onmessage = (event) => {
-      try {
-        const data = JSON.parse(event.data);
+    const Transport = this.preferredTransport === 'websocket' ? WebSocketTransport : SseTransport;
+    const transport = new Transport({
+      baseUrl: this.baseUrl,
+      onOpen: () => {
+        logger.info(`✓ Connected to message stream (${transport.name})`);
+        this.isConnected = true;
+        this.notifyConnectionHandlers(true);
+      },
+      onEvent: (data, id) => {
+        if (id) {
+          this.lastEventId = id;
+        }
         this.handleMessage(data);
-      } catch (error) {
-        logger.error('Error parsing SSE message:', error);
-      }
-    };
+      },
+      onClose: ({ wasOpen }) => this.handleTransportClose(transport, wasOpen)
+    });
 
-    this.eventSource.onerror = (error) => {
-      logger.error('SSE connection error:', error);
-      this.isConnected = false;
-      this.notifyConnectionHandlers(false);
-      
-      // Auto-reconnect after delay
-      setTimeout(() => {
-        if (authService.isAuthenticated()) {
-          logger.info('Attempting to reconnect...');
-          this.connect();
-        }
-      }, SSE_RECONNECT_DELAY_MS);
-    };
+    this.transport = transport;
+    transport.open({ lastEventId: this.lastEventId });
+  }
+
+  /**
+   * React to a transport failing or closing on its own
+   * A WebSocket that never opened (blocked by a proxy, say) switches this
+   * session to SSE straight away; anything else reconnects after a delay.
+   * @param {Object} transport - Transport that closed
+   * @param {boolean} wasOpen - Whether it had opened before closing
+   */
+  handleTransportClose(transport, wasOpen) {
+    if (transport !== this.transport) return;
+
+    logger.error(`${transport.name} connection lost`);
+    this.isConnected = false;
+    this.notifyConnectionHandlers(false);
+
+    if (transport.name === 'websocket' && !wasOpen) {
+      logger.info('WebSocket unavailable, falling back to SSE');
+      this.preferredTransport = 'sse';
+      this.connect();
+      return;
+    }
+
+    // Auto-reconnect after delay
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = setTimeout(() => {
+      if (authService.isAuthenticated()) {
+        logger.info('Attempting to reconnect...');
+        this.connect();
+      }
+    }, SSE_RECONNECT_DELAY_MS);
   }
 
   /**
-   * Disconnect from SSE stream
+   * Disconnect from the real-time stream
    */
   disconnect() {
-    if (this.eventSource) {
-      this.eventSource.close();
-      this.eventSource = null;
+    // The server expires our typing signal once the stream closes
+    clearTimeout(this.typingIdleTimer);
+    this.typingIdleTimer = null;
+    this.typingTo = null;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
       this.isConnected = false;
       this.notifyConnectionHandlers(false);
     }
   }
 
+  /**
+   * Run a client action over the live connection when it supports requests,
+   * otherwise over HTTP
+   * @param {string} action - Action name (send, ack, read, typing)
+   * @param {Object} payload - Action fields
+   * @param {Function} viaHttp - Performs the same action over HTTP
+   * @returns {Promise<Object>} Result
+   */
+  perform(action, payload, viaHttp) {
+    if (this.transport?.canRequest()) {
+      return this.transport.request(action, payload);
+    }
+    return viaHttp();
+  }
+
   /**
    * Handle incoming message
    */
@@ -83,36 +161,169 @@ class MessagingService {
       return;
     }
 
-    if (data.type === 'new_message') {
-      // Decrypt message if encrypted
-      let message = data.message;
-      if (message.encrypted && message.content) {
-        try {
-          const decryptedContent = await cryptoService.decryptMessage(message.content);
-          message = { ...message, content: decryptedContent, encrypted: false };
-        } catch (error) {
-          logger.error('Failed to decrypt message:', error);
-          
-          // Provide helpful error message based on the error type
-          let errorMessage = '[🔒 ENCRYPTED MESSAGE]';
-          if (error.message.includes('No private key')) {
-            errorMessage = '[🔒 ENCRYPTED - Please re-login with password to decrypt]';
-          } else {
-            errorMessage = '[🔒 ENCRYPTED - Decryption failed]';
-          }
-          
-          message = { 
-            ...message, 
-            content: errorMessage,
-            encrypted: true,
-            decryptionFailed: true
-          };
-        }
+    if (data.type === 'session_ended') {
+      // Logged out, revoked from another device or expired: don't reconnect
+      logger.info(`Session ended (${data.reason})`);
+      this.disconnect();
+      this.notifyHandlers(this.sessionEndedHandlers, data);
+      return;
+    }
+
+    if (data.type === 'resync') {
+      // Server could not replay everything we missed - fall back to the inbox
+      logger.info('Event stream gap detected, resyncing inbox');
+      this.notifyHandlers(this.resyncHandlers);
+      return;
+    }
+
+    if (data.type === 'typing') {
+      this.notifyHandlers(this.typingHandlers, data);
+      return;
+    }
+
+    if (data.type === 'presence') {
+      this.notifyHandlers(this.presenceHandlers, data);
+      return;
+    }
+
+    if (data.type === 'receipt') {
+      this.notifyHandlers(this.receiptHandlers, data);
+      return;
+    }
+
+    if (data.type === 'channel_member') {
+      this.notifyHandlers(this.channelHandlers, data);
+      return;
+    }
+
+    if (data.type === 'key_changed') {
+      // A contact rotated their key: encrypt to the new one from now on
+      try {
+        await cryptoService.storePublicKey(data.username, data.publicKey, data.signingPublicKey, data.prekeys);
+      } catch (error) {
+        logger.error(`Failed to store new key for ${data.username}:`, error);
       }
+      this.notifyHandlers(this.keyChangeHandlers, {
+        username: data.username,
+        status: cryptoService.getVerificationStatus(data.username)
+      });
+      return;
+    }
+
+    if (data.type === 'new_message') {
+      // Replayed events may repeat messages we already have
+      if (this.hasSeenMessage(data.message.messageId)) return;
+
+      const message = await this.decryptMessageContent(data.message);
+      this.acknowledgeReceived([message]);
       this.notifyMessageHandlers(message);
+      return;
+    }
+
+    if (data.type === 'channel_message') {
+      if (this.hasSeenMessage(data.message.messageId)) return;
+
+      // Channel messages have no delivery states, so there is nothing to ack
+      const message = await this.decryptMessageContent(data.message);
+      this.notifyMessageHandlers({ ...message, channel: data.channel });
+    }
+  }
+
+  /**
+   * Record a message ID and report whether it was already delivered
+   * @param {string} messageId - Message ID
+   * @returns {boolean} True if the message was seen before
+   */
+  hasSeenMessage(messageId) {
+    if (this.seenMessageIds.has(messageId)) {
+      return true;
+    }
+
+    this.seenMessageIds.add(messageId);
+    if (this.seenMessageIds.size > MAX_SEEN_MESSAGE_IDS) {
+      // Sets iterate in insertion order, so this drops the oldest ID
+      const oldest = this.seenMessageIds.values().next().value;
+      this.seenMessageIds.delete(oldest);
+    }
+    return false;
+  }
+
+  /**
+   * Decrypt a message's content if it is encrypted
+   * Failures are reported in the content instead of being thrown, so one
+   * unreadable message never breaks a whole list. The sender's signature is
+   * checked too and reported as message.signature.
+   * @param {Object} message - Message as received from the server
+   * @returns {Promise<Object>} Message with plain-text content
+   */
+  async decryptMessageContent(message) {
+    if (!message.encrypted || !message.content) {
+      return message;
+    }
+
+    const signature = await this.verifySignature(message);
+
+    try {
+      const decryptedContent = await cryptoService.decryptMessage(
+        message.content,
+        authService.getUsername()
+      );
+      const { text, attachments } = unpackMessage(decryptedContent);
+      const decrypted = { ...message, content: text, encrypted: false, signature };
+      if (attachments.length > 0) {
+        decrypted.attachments = attachments;
+      }
+      return decrypted;
+    } catch (error) {
+      logger.error('Failed to decrypt message:', error);
+
+      // Provide helpful error message based on the error type
+      let errorMessage = '[🔒 ENCRYPTED MESSAGE]';
+      if (error.message.includes('No private key')) {
+        errorMessage = '[🔒 ENCRYPTED - Please re-login with password to decrypt]';
+      } else {
+        errorMessage = '[🔒 ENCRYPTED - Decryption failed]';
+      }
+
+      return {
+        ...message,
+        content: errorMessage,
+        encrypted: true,
+        decryptionFailed: true,
+        signature
+      };
     }
   }
 
+  /**
+   * Check that a message was signed by the user the server says sent it
+   * Senders we have no signing key for yet are looked up once in the
+   * user list.
+   * @param {Object} message - Encrypted message ({ from, content })
+   * @returns {Promise<string>} 'valid', 'invalid', 'unsigned' or 'unknown'
+   */
+  async verifySignature(message) {
+    const username = authService.getUsername();
+    let signature = await cryptoService.verifyMessage(message.content, message.from, username);
+
+    if (signature === 'unknown') {
+      if (!this.signingKeyRefresh) {
+        this.signingKeyRefresh = authService.getUsers()
+          .catch(error => logger.error('Failed to load signing keys:', error))
+          .finally(() => {
+            this.signingKeyRefresh = null;
+          });
+      }
+      await this.signingKeyRefresh;
+      signature = await cryptoService.verifyMessage(message.content, message.from, username);
+    }
+
+    if (signature === 'invalid') {
+      logger.warn(`Signature mismatch on message ${message.messageId} from ${message.from}`);
+    }
+    return signature;
+  }
+
   /**
    * Register message handler
    * @param {Function} handler - Callback function for new messages
@@ -139,6 +350,120 @@ class MessagingService {
     };
   }
 
+  /**
+   * Register handler for stream gaps that replay could not fill
+   * Handlers should refetch the inbox.
+   * @param {Function} handler - Callback function
+   */
+  onResync(handler) {
+    this.resyncHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.resyncHandlers = this.resyncHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register delivery/read receipt handler
+   * @param {Function} handler - Called with { messageId, status, at } for messages we sent
+   * @returns {Function} Unsubscribe function
+   */
+  onReceipt(handler) {
+    this.receiptHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.receiptHandlers = this.receiptHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register presence handler
+   * @param {Function} handler - Called with { username, online, lastSeen } when a user comes or goes
+   * @returns {Function} Unsubscribe function
+   */
+  onPresence(handler) {
+    this.presenceHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.presenceHandlers = this.presenceHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register typing indicator handler
+   * @param {Function} handler - Called with { from, typing } when another user starts or stops typing to us
+   * @returns {Function} Unsubscribe function
+   */
+  onTyping(handler) {
+    this.typingHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.typingHandlers = this.typingHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register channel membership handler
+   * @param {Function} handler - Called with { channelId, channel, username, joined } when a member joins or leaves
+   * @returns {Function} Unsubscribe function
+   */
+  onChannel(handler) {
+    this.channelHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.channelHandlers = this.channelHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register key change handler
+   * @param {Function} handler - Called with { username, status } when a contact rotates their encryption key;
+   *   status is their verification status for the new key
+   * @returns {Function} Unsubscribe function
+   */
+  onKeyChange(handler) {
+    this.keyChangeHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.keyChangeHandlers = this.keyChangeHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Register session ended handler
+   * @param {Function} handler - Called with { reason } when the server ends this session
+   * @returns {Function} Unsubscribe function
+   */
+  onSessionEnded(handler) {
+    this.sessionEndedHandlers.push(handler);
+
+    // Return unsubscribe function
+    return () => {
+      this.sessionEndedHandlers = this.sessionEndedHandlers.filter(h => h !== handler);
+    };
+  }
+
+  /**
+   * Call every handler in a list, isolating failures
+   * @param {Array<Function>} handlers - Handlers to call
+   * @param {...*} args - Arguments passed to each handler
+   */
+  notifyHandlers(handlers, ...args) {
+    handlers.forEach(handler => {
+      try {
+        handler(...args);
+      } catch (error) {
+        logger.error('Error in event handler:', error);
+      }
+    });
+  }
+
   /**
    * Notify all message handlers
    */
@@ -170,49 +495,54 @@ class MessagingService {
    * @param {string} toUsername - Recipient username
    * @param {string} content - Message content
    * @param {boolean} encrypt - Whether to encrypt the message (default: true for non-ChatBot)
+   * @param {Array<Object>} attachments - Uploaded attachments from
+   *   attachmentService.upload(); their keys go inside the encrypted content
    * @returns {Promise<Object>} Message result
    */
-  async sendMessage(toUsername, content, encrypt = true) {
-    const sessionId = authService.getSessionId();
-    if (!sessionId) {
+  async sendMessage(toUsername, content, encrypt = true, attachments = []) {
+    if (!authService.isAuthenticated()) {
       throw new Error('Not authenticated');
     }
 
     try {
-      let messageContent = content;
+      let messageContent = packMessage(content, attachments);
       let isEncrypted = false;
 
       // Encrypt message for real users (not ChatBot)
       if (encrypt && toUsername !== 'ChatBot') {
         try {
-          messageContent = await cryptoService.encryptMessage(content, toUsername);
+          messageContent = await cryptoService.encryptMessage(messageContent, toUsername);
           isEncrypted = true;
         } catch (error) {
+          // Never fall back to plain text for a contact whose key was swapped,
+          // or when the plain text would hold attachment keys
+          if (error.keyChanged || attachments.length > 0) throw error;
           logger.error('Encryption failed, sending unencrypted:', error);
           // Fall back to unencrypted if encryption fails
         }
       }
+      if (!isEncrypted && attachments.length > 0) {
+        throw new Error('Attachments can only be sent end-to-end encrypted');
+      }
 
-      const response = await fetch(`${this.baseUrl}/messages/send`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          sessionId,
-          toUsername,
-          content: messageContent,
-          encrypted: isEncrypted,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || 'Failed to send message');
+      const payload = { toUsername, content: messageContent, encrypted: isEncrypted };
+      if (attachments.length > 0) {
+        payload.attachments = attachments.map(attachment => attachment.id);
       }
+      return await this.perform('send', payload, async () => {
+        const response = await fetch(`${this.baseUrl}/messages/send`, {
+          method: 'POST',
+          headers: authService.getRequestHeaders(),
+          body: JSON.stringify(payload),
+        });
 
-      const data = await response.json();
-      return data;
+        if (!response.ok) {
+          const error = await response.json();
+          throw new Error(error.error || 'Failed to send message');
+        }
+
+        return response.json();
+      });
     } catch (error) {
       logger.error('Send message error:', error);
       throw error;
@@ -225,14 +555,13 @@ class MessagingService {
    * @returns {Promise<Object>} Inbox data
    */
   async getInbox(limit = 50) {
-    const sessionId = authService.getSessionId();
-    if (!sessionId) {
+    if (!authService.isAuthenticated()) {
       throw new Error('Not authenticated');
     }
 
     try {
       const response = await fetch(
-        `${this.baseUrl}/messages/inbox?sessionId=${sessionId}&limit=${limit}`
+        `${this.baseUrl}/messages/inbox?limit=${limit}`
       );
 
       if (!response.ok) {
@@ -247,35 +576,228 @@ class MessagingService {
     }
   }
 
+  /**
+   * Fetch the inbox backlog and decrypt it
+   * Used after login so pages that arrived while offline are not lost.
+   * @param {number} limit - Max number of messages
+   * @returns {Promise<{messages: Array, unreadCount: number}>} Decrypted messages, oldest first
+   */
+  async syncInbox(limit = 50) {
+    const data = await this.getInbox(limit);
+    data.messages.forEach(message => this.hasSeenMessage(message.messageId));
+
+    const messages = await Promise.all(
+      data.messages.map(message => this.decryptMessageContent(message))
+    );
+    this.acknowledgeReceived(messages);
+
+    return {
+      messages: messages.reverse(), // Inbox is most recent first
+      unreadCount: data.unreadCount
+    };
+  }
+
+  /**
+   * Get one page of conversation history with another user
+   * Each page is decrypted as it loads.
+   * @param {string} username - Other user's username
+   * @param {Object} options
+   * @param {string} options.before - Load messages older than this message ID
+   * @param {string} options.after - Load messages newer than this message ID
+   * @param {number} options.limit - Max number of messages (default: 50)
+   * @returns {Promise<Object>} Page with decrypted messages (oldest first) and cursors
+   */
+  async getConversation(username, { before, after, limit = 50 } = {}) {
+    if (!authService.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (before) params.set('before', before);
+      if (after) params.set('after', after);
+
+      const response = await fetch(
+        `${this.baseUrl}/messages/conversation/${encodeURIComponent(username)}?${params}`
+      );
+
+      if (!response.ok) {
+        const error = await response.json();
+        throw new Error(error.error || 'Failed to fetch conversation');
+      }
+
+      const data = await response.json();
+      const messages = await Promise.all(
+        data.messages.map(message => this.decryptMessageContent(message))
+      );
+
+      return { ...data, messages };
+    } catch (error) {
+      logger.error('Get conversation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get one page of a channel's history, decrypted
+   * @param {string} channelId - Channel ID
+   * @param {Object} options - { before, after, limit }
+   * @returns {Promise<Object>} Page with decrypted messages (oldest first) and cursors
+   */
+  async getChannelHistory(channelId, options = {}) {
+    const data = await channelService.getHistory(channelId, options);
+    data.messages.forEach(message => this.hasSeenMessage(message.messageId));
+
+    const messages = await Promise.all(
+      data.messages.map(message => this.decryptMessageContent(message))
+    );
+    return { ...data, messages };
+  }
+
+  /**
+   * Report a keystroke in a message to another user
+   * Signals are throttled to one per TYPING_REFRESH_MS, and a stop is sent
+   * automatically after TYPING_IDLE_MS without keystrokes.
+   * @param {string} toUsername - Recipient username
+   */
+  notifyTyping(toUsername) {
+    if (this.typingTo && this.typingTo !== toUsername) {
+      this.stopTyping();
+    }
+
+    const now = Date.now();
+    if (this.typingTo !== toUsername || now - this.typingSentAt >= TYPING_REFRESH_MS) {
+      this.typingTo = toUsername;
+      this.typingSentAt = now;
+      this.sendTyping(toUsername, true).catch(() => {
+        // Already logged by sendTyping()
+      });
+    }
+
+    clearTimeout(this.typingIdleTimer);
+    this.typingIdleTimer = setTimeout(() => this.stopTyping(), TYPING_IDLE_MS);
+  }
+
+  /**
+   * Tell the current recipient we stopped typing (no-op if we weren't)
+   */
+  stopTyping() {
+    clearTimeout(this.typingIdleTimer);
+    this.typingIdleTimer = null;
+    if (!this.typingTo) return;
+
+    const toUsername = this.typingTo;
+    this.typingTo = null;
+    this.typingSentAt = 0;
+    this.sendTyping(toUsername, false).catch(() => {
+      // Already logged by sendTyping()
+    });
+  }
+
+  /**
+   * Send a typing start/stop signal
+   * @param {string} toUsername - Recipient username
+   * @param {boolean} typing - Whether we are typing
+   * @returns {Promise<Object>} Result
+   */
+  async sendTyping(toUsername, typing) {
+    if (!authService.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      return await this.perform('typing', { toUsername, typing }, async () => {
+        const response = await fetch(`${this.baseUrl}/messages/typing`, {
+          method: 'POST',
+          headers: authService.getRequestHeaders(),
+          body: JSON.stringify({ toUsername, typing }),
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to send typing signal');
+        }
+
+        return response.json();
+      });
+    } catch (error) {
+      logger.error('Typing signal error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Acknowledge messages that reached this client and decrypted cleanly
+   * Runs in the background; a failed ack just leaves the message "pushed"
+   * until the next inbox sync acknowledges it again.
+   * @param {Array<Object>} messages - Messages after decryption
+   */
+  acknowledgeReceived(messages) {
+    const messageIds = messages
+      .filter(message => !message.decryptionFailed)
+      .filter(message => message.status === 'queued' || message.status === 'pushed')
+      .map(message => message.messageId);
+
+    if (messageIds.length === 0) return;
+
+    this.acknowledge(messageIds).catch(() => {
+      // Already logged by acknowledge()
+    });
+  }
+
+  /**
+   * Tell the server the recipient's client received messages
+   * @param {Array<string>} messageIds - Message IDs
+   * @returns {Promise<Object>} Result with the updated statuses
+   */
+  async acknowledge(messageIds) {
+    if (!authService.isAuthenticated()) {
+      throw new Error('Not authenticated');
+    }
+
+    try {
+      return await this.perform('ack', { messageIds }, async () => {
+        const response = await fetch(`${this.baseUrl}/messages/ack`, {
+          method: 'POST',
+          headers: authService.getRequestHeaders(),
+          body: JSON.stringify({ messageIds }),
+        });
+
+        if (!response.ok) {
+          throw new Error('Failed to acknowledge messages');
+        }
+
+        return response.json();
+      });
+    } catch (error) {
+      logger.error('Acknowledge error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Mark message as read
    * @param {string} messageId - Message ID
    * @returns {Promise<Object>} Result
    */
   async markAsRead(messageId) {
-    const sessionId = authService.getSessionId();
-    if (!sessionId) {
+    if (!authService.isAuthenticated()) {
       throw new Error('Not authenticated');
     }
 
     try {
-      const response = await fetch(`${this.baseUrl}/messages/read`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          sessionId,
-          messageId,
-        }),
-      });
+      return await this.perform('read', { messageId }, async () => {
+        const response = await fetch(`${this.baseUrl}/messages/read`, {
+          method: 'POST',
+          headers: authService.getRequestHeaders(),
+          body: JSON.stringify({ messageId }),
+        });
 
-      if (!response.ok) {
-        throw new Error('Failed to mark as read');
-      }
+        if (!response.ok) {
+          throw new Error('Failed to mark as read');
+        }
 
-      const data = await response.json();
-      return data;
+        return response.json();
+      });
     } catch (error) {
       logger.error('Mark as read error:', error);
       throw error;
@@ -0,0 +1,284 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import MessagingService from './MessagingService';
+import { authService } from './AuthService';
+import { cryptoService } from './CryptoService';
+import { TYPING_REFRESH_MS, TYPING_IDLE_MS } from '../utils/constants';
+
+describe('MessagingService', () => {
+  let messaging;
+
+  const respond = (body, ok = true) => ({ ok, json: () => Promise.resolve(body) });
+  const page = (messageId, overrides = {}) => ({
+    messageId,
+    from: 'Bob',
+    to: 'Alice',
+    content: `sealed-${messageId}`,
+    encrypted: true,
+    status: 'pushed',
+    ...overrides
+  });
+  const postedBody = (call) => JSON.parse(call[1].body);
+
+  beforeEach(() => {
+    messaging = new MessagingService();
+    vi.spyOn(authService, 'isAuthenticated').mockReturnValue(true);
+    vi.spyOn(authService, 'getUsername').mockReturnValue('Alice');
+    vi.spyOn(authService, 'getRequestHeaders').mockReturnValue({ 'Content-Type': 'application/json' });
+    vi.spyOn(cryptoService, 'verifyMessage').mockResolvedValue('valid');
+    vi.spyOn(cryptoService, 'decryptMessage').mockImplementation(async (content) => content.replace('sealed-', 'text of '));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('syncInbox', () => {
+    it('should return the decrypted backlog oldest first', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({
+        messages: [page('msg-2'), page('msg-1')],
+        unreadCount: 2
+      }));
+
+      const { messages, unreadCount } = await messaging.syncInbox(20);
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/messages/inbox?limit=20');
+      expect(messages.map(message => message.content)).toEqual(['text of msg-1', 'text of msg-2']);
+      expect(messages.every(message => message.signature === 'valid')).toBe(true);
+      expect(unreadCount).toBe(2);
+    });
+
+    it('should acknowledge only undelivered pages that decrypted', async () => {
+      cryptoService.decryptMessage.mockImplementation(async (content) => {
+        if (content === 'sealed-msg-3') throw new Error('Bad ciphertext');
+        return content;
+      });
+      global.fetch = vi.fn()
+        .mockResolvedValueOnce(respond({
+          messages: [
+            page('msg-1', { status: 'queued' }),
+            page('msg-2', { status: 'read' }),
+            page('msg-3'),
+            page('msg-4', { encrypted: false, content: 'plain', status: 'pushed' })
+          ],
+          unreadCount: 3
+        }))
+        .mockResolvedValueOnce(respond({ success: true }));
+
+      await messaging.syncInbox();
+      await vi.waitFor(() => expect(global.fetch).toHaveBeenCalledTimes(2));
+
+      const [url, options] = global.fetch.mock.calls[1];
+      expect(url).toBe('/api/messages/ack');
+      expect(options.method).toBe('POST');
+      expect(postedBody(global.fetch.mock.calls[1])).toEqual({ messageIds: ['msg-1', 'msg-4'] });
+    });
+
+    it('should not acknowledge when nothing is waiting for delivery', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({
+        messages: [page('msg-1', { status: 'delivered' })],
+        unreadCount: 1
+      }));
+
+      await messaging.syncInbox();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should remember synced pages so a live replay is ignored', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ messages: [page('msg-1', { status: 'delivered' })], unreadCount: 1 }));
+
+      await messaging.syncInbox();
+
+      expect(messaging.hasSeenMessage('msg-1')).toBe(true);
+    });
+  });
+
+  describe('getConversation', () => {
+    it('should request the newest page when no cursor is given', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ messages: [], hasMoreBefore: false, hasMoreAfter: false }));
+
+      await messaging.getConversation('Bob');
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/messages/conversation/Bob?limit=50');
+    });
+
+    it('should page back with the before cursor and keep the paging flags', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({
+        messages: [page('msg-1'), page('msg-2')],
+        hasMoreBefore: true,
+        hasMoreAfter: true
+      }));
+
+      const result = await messaging.getConversation('Bob', { before: 'msg-3', limit: 2 });
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/messages/conversation/Bob?limit=2&before=msg-3');
+      expect(result.messages.map(message => message.content)).toEqual(['text of msg-1', 'text of msg-2']);
+      expect(result.hasMoreBefore).toBe(true);
+      expect(result.hasMoreAfter).toBe(true);
+    });
+
+    it('should page forward with the after cursor', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ messages: [page('msg-4')], hasMoreBefore: true, hasMoreAfter: false }));
+
+      const result = await messaging.getConversation('Bob', { after: 'msg-3', limit: 10 });
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/messages/conversation/Bob?limit=10&after=msg-3');
+      expect(result.hasMoreAfter).toBe(false);
+    });
+
+    it('should encode the username in the path', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ messages: [], hasMoreBefore: false, hasMoreAfter: false }));
+
+      await messaging.getConversation('Bob/../admin');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('/api/messages/conversation/Bob%2F..%2Fadmin?limit=50');
+    });
+
+    it('should surface the server error for a bad cursor', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ error: 'Invalid cursor' }, false));
+
+      await expect(messaging.getConversation('Bob', { before: 'nope' })).rejects.toThrow('Invalid cursor');
+    });
+  });
+
+  describe('markAsRead', () => {
+    it('should post the read receipt over HTTP without a live connection', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ success: true }));
+
+      await messaging.markAsRead('msg-1');
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('/api/messages/read');
+      expect(options.method).toBe('POST');
+      expect(postedBody(global.fetch.mock.calls[0])).toEqual({ messageId: 'msg-1' });
+    });
+
+    it('should send the read receipt over a WebSocket when one is open', async () => {
+      global.fetch = vi.fn();
+      messaging.transport = {
+        canRequest: () => true,
+        request: vi.fn().mockResolvedValue({ success: true })
+      };
+
+      await expect(messaging.markAsRead('msg-1')).resolves.toEqual({ success: true });
+
+      expect(messaging.transport.request).toHaveBeenCalledWith('read', { messageId: 'msg-1' });
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to HTTP when the connection cannot carry requests', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({ success: true }));
+      messaging.transport = { canRequest: () => false, request: vi.fn() };
+
+      await messaging.markAsRead('msg-1');
+
+      expect(messaging.transport.request).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalledWith('/api/messages/read', expect.any(Object));
+    });
+
+    it('should reject when the server refuses', async () => {
+      global.fetch = vi.fn().mockResolvedValue(respond({}, false));
+
+      await expect(messaging.markAsRead('msg-1')).rejects.toThrow('Failed to mark as read');
+    });
+
+    it('should refuse when signed out', async () => {
+      authService.isAuthenticated.mockReturnValue(false);
+      global.fetch = vi.fn();
+
+      await expect(messaging.markAsRead('msg-1')).rejects.toThrow('Not authenticated');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('typing', () => {
+    const signals = () => messaging.transport.request.mock.calls
+      .filter(([action]) => action === 'typing')
+      .map(([, payload]) => payload);
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      messaging.transport = {
+        canRequest: () => true,
+        request: vi.fn().mockResolvedValue({ success: true })
+      };
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should signal the first keystroke and throttle the rest', () => {
+      messaging.notifyTyping('Bob');
+      vi.advanceTimersByTime(TYPING_REFRESH_MS - 1000);
+      messaging.notifyTyping('Bob');
+
+      expect(signals()).toEqual([{ toUsername: 'Bob', typing: true }]);
+
+      vi.advanceTimersByTime(1000);
+      messaging.notifyTyping('Bob');
+
+      expect(signals()).toEqual([
+        { toUsername: 'Bob', typing: true },
+        { toUsername: 'Bob', typing: true }
+      ]);
+    });
+
+    it('should refresh often enough to outlast the server\'s 6s expiry', () => {
+      expect(TYPING_REFRESH_MS).toBeLessThan(6000);
+    });
+
+    it('should signal a stop once the keyboard goes idle', () => {
+      messaging.notifyTyping('Bob');
+      vi.advanceTimersByTime(TYPING_IDLE_MS - 1);
+
+      expect(signals()).toHaveLength(1);
+
+      vi.advanceTimersByTime(1);
+
+      expect(signals()).toEqual([
+        { toUsername: 'Bob', typing: true },
+        { toUsername: 'Bob', typing: false }
+      ]);
+      expect(messaging.typingTo).toBeNull();
+    });
+
+    it('should clear the typing state when a page is sent', () => {
+      messaging.notifyTyping('Bob');
+      messaging.stopTyping();
+      vi.advanceTimersByTime(TYPING_IDLE_MS);
+
+      expect(signals()).toEqual([
+        { toUsername: 'Bob', typing: true },
+        { toUsername: 'Bob', typing: false }
+      ]);
+      expect(messaging.typingTo).toBeNull();
+      expect(messaging.typingIdleTimer).toBeNull();
+    });
+
+    it('should start over after a send instead of waiting out the throttle', () => {
+      messaging.notifyTyping('Bob');
+      messaging.stopTyping();
+      messaging.notifyTyping('Bob');
+
+      expect(signals().map(signal => signal.typing)).toEqual([true, false, true]);
+    });
+
+    it('should stop the old indicator when switching recipients', () => {
+      messaging.notifyTyping('Bob');
+      messaging.notifyTyping('Carol');
+
+      expect(signals()).toEqual([
+        { toUsername: 'Bob', typing: true },
+        { toUsername: 'Bob', typing: false },
+        { toUsername: 'Carol', typing: true }
+      ]);
+    });
+
+    it('should not signal a stop when nothing was being typed', () => {
+      messaging.stopTyping();
+
+      expect(signals()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Server-Sent Events transport
+ * Receive-only: client actions go over HTTP (see MessagingService.perform).
+ *
+ * Transports share one interface:
+ *   open({ lastEventId })    - start receiving events
+ *   close()                  - stop; no callbacks fire afterwards
+ *   canRequest()             - whether request() may be used
+ *   request(action, payload) - run an action over the connection
+ * Both authenticate with the session cookie, never a token in the URL.
+ * and report through the callbacks passed to the constructor:
+ *   onOpen(), onEvent(data, id), onClose({ wasOpen })
+ */
+export class SseTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL
+   * @param {Function} options.onOpen - Called when the stream opens
+   * @param {Function} options.onEvent - Called with (data, id) for every event
+   * @param {Function} options.onClose - Called with { wasOpen } when the stream fails
+   */
+  constructor({ baseUrl, onOpen, onEvent, onClose }) {
+    this.name = 'sse';
+    this.baseUrl = baseUrl;
+    this.callbacks = { onOpen, onEvent, onClose };
+    this.eventSource = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Open the event stream
+   * @param {Object} options
+   * @param {string|null} options.lastEventId - Resume after this event ID
+   */
+  open({ lastEventId }) {
+    const query = lastEventId ? `?${new URLSearchParams({ lastEventId })}` : '';
+
+    this.eventSource = new EventSource(`${this.baseUrl}/messages/stream${query}`);
+
+    this.eventSource.onopen = () => {
+      this.isOpen = true;
+      this.callbacks.onOpen();
+    };
+
+    this.eventSource.onmessage = (event) => {
+      let data;
+      try {
+        data = JSON.parse(event.data);
+      } catch (error) {
+        logger.error('Error parsing SSE message:', error);
+        return;
+      }
+      this.callbacks.onEvent(data, event.lastEventId || null);
+    };
+
+    this.eventSource.onerror = () => {
+      const wasOpen = this.isOpen;
+      this.isOpen = false;
+      this.callbacks.onClose({ wasOpen });
+    };
+  }
+
+  /**
+   * Close the event stream
+   */
+  close() {
+    if (this.eventSource) {
+      this.eventSource.onopen = null;
+      this.eventSource.onmessage = null;
+      this.eventSource.onerror = null;
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    this.isOpen = false;
+  }
+
+  /**
+   * SSE is one-way, so actions always fall back to HTTP
+   * @returns {boolean}
+   */
+  canRequest() {
+    return false;
+  }
+
+  /**
+   * Not supported over SSE
+   */
+  async request() {
+    throw new Error('SSE transport cannot send requests');
+  }
+}
+
+export default SseTransport;
@@ -0,0 +1,161 @@
+import { logger } from '../../utils/logger.js';
+import { WS_REQUEST_TIMEOUT_MS } from '../../utils/constants.js';
+
+/**
+ * WebSocket transport
+ * Receives the same events as the SSE stream and also carries client
+ * actions (send, ack, read, typing) as request/reply frames.
+ * See SseTransport for the shared transport interface.
+ */
+export class WebSocketTransport {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - API base URL
+   * @param {Function} options.onOpen - Called when the socket opens
+   * @param {Function} options.onEvent - Called with (data, id) for every event
+   * @param {Function} options.onClose - Called with { wasOpen } when the socket closes
+   */
+  constructor({ baseUrl, onOpen, onEvent, onClose }) {
+    this.name = 'websocket';
+    this.baseUrl = baseUrl;
+    this.callbacks = { onOpen, onEvent, onClose };
+    this.socket = null;
+    this.isOpen = false;
+    this.nextRequestId = 1;
+    // Map of requestId -> { resolve, reject, timer }
+    this.pending = new Map();
+  }
+
+  /**
+   * Build the socket URL on the page's own host
+   * The session cookie rides along with the handshake.
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {string} ws:// or wss:// URL
+   */
+  buildUrl(params) {
+    const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const query = params.toString();
+    return `${protocol}//${window.location.host}${this.baseUrl}/ws${query ? `?${query}` : ''}`;
+  }
+
+  /**
+   * Open the socket
+   * @param {Object} options
+   * @param {string|null} options.lastEventId - Resume after this event ID
+   */
+  open({ lastEventId }) {
+    const params = new URLSearchParams();
+    if (lastEventId) {
+      params.set('lastEventId', lastEventId);
+    }
+
+    this.socket = new WebSocket(this.buildUrl(params));
+
+    this.socket.onopen = () => {
+      this.isOpen = true;
+      this.callbacks.onOpen();
+    };
+
+    this.socket.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch (error) {
+        logger.error('Error parsing WebSocket message:', error);
+        return;
+      }
+
+      const { id, data } = frame;
+
+      if (data.type === 'reply') {
+        this.settle(data);
+        return;
+      }
+      this.callbacks.onEvent(data, id !== undefined ? String(id) : null);
+    };
+
+    this.socket.onclose = () => {
+      const wasOpen = this.isOpen;
+      this.isOpen = false;
+      this.rejectPending(new Error('Connection closed'));
+      this.callbacks.onClose({ wasOpen });
+    };
+  }
+
+  /**
+   * Close the socket
+   */
+  close() {
+    if (this.socket) {
+      this.socket.onopen = null;
+      this.socket.onmessage = null;
+      this.socket.onclose = null;
+      this.socket.close();
+      this.socket = null;
+    }
+    this.isOpen = false;
+    this.rejectPending(new Error('Connection closed'));
+  }
+
+  /**
+   * Whether actions can go over the socket right now
+   * @returns {boolean}
+   */
+  canRequest() {
+    return this.isOpen;
+  }
+
+  /**
+   * Run an action over the socket
+   * @param {string} action - Action name (send, ack, read, typing)
+   * @param {Object} payload - Action fields
+   * @returns {Promise<Object>} Result, shaped like the HTTP endpoint's response
+   */
+  request(action, payload = {}) {
+    if (!this.isOpen) {
+      return Promise.reject(new Error('Connection closed'));
+    }
+
+    const requestId = String(this.nextRequestId++);
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(requestId);
+        reject(new Error(`Request timed out: ${action}`));
+      }, WS_REQUEST_TIMEOUT_MS);
+
+      this.pending.set(requestId, { resolve, reject, timer });
+      this.socket.send(JSON.stringify({ requestId, action, ...payload }));
+    });
+  }
+
+  /**
+   * Resolve or reject the request a reply belongs to
+   * @param {Object} reply - { requestId, ok, result, error }
+   */
+  settle(reply) {
+    const request = this.pending.get(reply.requestId);
+    if (!request) return;
+
+    clearTimeout(request.timer);
+    this.pending.delete(reply.requestId);
+    if (reply.ok) {
+      request.resolve(reply.result);
+    } else {
+      request.reject(new Error(reply.error || 'Request failed'));
+    }
+  }
+
+  /**
+   * Fail every outstanding request
+   * @param {Error} error - Reason
+   */
+  rejectPending(error) {
+    this.pending.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    this.pending.clear();
+  }
+}
+
+export default WebSocketTransport;
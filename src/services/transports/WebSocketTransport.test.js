@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocketTransport } from './WebSocketTransport';
+
+/**
+ * Controllable stand-in for the browser WebSocket
+ */
+class FakeWebSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeWebSocket.instances.push(this);
+  }
+
+  send(frame) {
+    this.sent.push(JSON.parse(frame));
+  }
+
+  close() {}
+
+  // Test helpers
+  serverOpen() {
+    this.onopen?.();
+  }
+
+  serverSend(frame) {
+    this.onmessage?.({ data: JSON.stringify(frame) });
+  }
+
+  serverClose() {
+    this.onclose?.();
+  }
+}
+
+describe('WebSocketTransport', () => {
+  let callbacks;
+  let transport;
+  let socket;
+
+  beforeEach(() => {
+    FakeWebSocket.instances = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+
+    callbacks = { onOpen: vi.fn(), onEvent: vi.fn(), onClose: vi.fn() };
+    transport = new WebSocketTransport({ baseUrl: '/api', ...callbacks });
+    transport.open({ lastEventId: '41' });
+    socket = FakeWebSocket.instances[0];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should connect to /api/ws with the resume point but no session token', () => {
+    expect(socket.url).toMatch(/^ws:\/\/.+\/api\/ws\?lastEventId=41$/);
+  });
+
+  it('should forward events with their id', () => {
+    socket.serverOpen();
+    socket.serverSend({ id: 42, data: { type: 'new_message' } });
+    socket.serverSend({ data: { type: 'typing' } });
+
+    expect(callbacks.onOpen).toHaveBeenCalled();
+    expect(callbacks.onEvent).toHaveBeenNthCalledWith(1, { type: 'new_message' }, '42');
+    expect(callbacks.onEvent).toHaveBeenNthCalledWith(2, { type: 'typing' }, null);
+  });
+
+  it('should resolve requests with the matching reply', async () => {
+    socket.serverOpen();
+    const pending = transport.request('ack', { messageIds: ['m1'] });
+
+    const [sent] = socket.sent;
+    expect(sent).toMatchObject({ action: 'ack', messageIds: ['m1'] });
+
+    socket.serverSend({ data: { type: 'reply', requestId: sent.requestId, ok: true, result: { success: true } } });
+    await expect(pending).resolves.toEqual({ success: true });
+    expect(callbacks.onEvent).not.toHaveBeenCalled();
+  });
+
+  it('should reject requests the server refused', async () => {
+    socket.serverOpen();
+    const pending = transport.request('send', { toUsername: 'Nobody' });
+
+    socket.serverSend({
+      data: { type: 'reply', requestId: socket.sent[0].requestId, ok: false, error: 'Recipient not found' }
+    });
+    await expect(pending).rejects.toThrow('Recipient not found');
+  });
+
+  it('should fail outstanding requests when the socket drops', async () => {
+    socket.serverOpen();
+    const pending = transport.request('read', { messageId: 'm1' });
+
+    socket.serverClose();
+
+    await expect(pending).rejects.toThrow('Connection closed');
+    expect(callbacks.onClose).toHaveBeenCalledWith({ wasOpen: true });
+    expect(transport.canRequest()).toBe(false);
+  });
+
+  it('should report sockets that never opened', () => {
+    socket.serverClose();
+    expect(callbacks.onClose).toHaveBeenCalledWith({ wasOpen: false });
+  });
+});
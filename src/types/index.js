@@ -7,6 +7,7 @@
  * @property {Object} [metadata] - Optional metadata
  * @property {string} [metadata.platform] - Source platform (e.g., "slack", "discord")
  * @property {string} [metadata.channelId] - Source channel/room identifier
+ * @property {string} [metadata.document] - Scanned fax page as a PNG data URL
  */
 
 /**
@@ -0,0 +1,168 @@
+/**
+ * Encrypted message archive storage
+ * Records are encrypted by ArchiveService before they get here; only the
+ * owner, an opaque conversation tag, the time and the size are readable.
+ */
+
+import {
+  isIndexedDbAvailable,
+  openDatabase,
+  runTransaction,
+  runRequest,
+  walkCursor,
+  deleteDatabase
+} from './indexedDb.js';
+
+const DB_NAME = 'retro_messenger_archive';
+const DB_VERSION = 1;
+const META_STORE = 'meta';
+
+/**
+ * Record stores: pages (any mode) and rendered fax documents
+ */
+export const ARCHIVE_STORES = {
+  MESSAGES: 'messages',
+  FAXES: 'faxes'
+};
+
+/**
+ * Open the archive, run work and close it again
+ * @param {Function} work - Called with the open database
+ * @returns {Promise<*>}
+ */
+const withArchive = async (work) => {
+  const db = await openDatabase(DB_NAME, DB_VERSION, (database) => {
+    database.createObjectStore(META_STORE, { keyPath: 'owner' });
+    Object.values(ARCHIVE_STORES).forEach(storeName => {
+      const store = database.createObjectStore(storeName, { keyPath: ['owner', 'id'] });
+      store.createIndex('bySentAt', ['owner', 'sentAt']);
+      store.createIndex('byConversation', ['owner', 'conversation', 'sentAt']);
+    });
+  });
+  try {
+    return await work(db);
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Key range covering one owner's records in an index
+ * @param {string} owner
+ * @param {string} [conversation] - Narrow to one conversation tag
+ * @returns {IDBKeyRange}
+ */
+const ownerRange = (owner, conversation) => (
+  conversation === undefined
+    ? IDBKeyRange.bound([owner, -Infinity], [owner, Infinity])
+    : IDBKeyRange.bound([owner, conversation, -Infinity], [owner, conversation, Infinity])
+);
+
+/**
+ * Load the archive's sealed secret for a user
+ * @param {string} owner - Username
+ * @returns {Promise<Object|null>} { owner, sealed, createdAt }
+ */
+export const loadArchiveMeta = async (owner) => {
+  if (!isIndexedDbAvailable() || !owner) return null;
+  return (await withArchive(db => runRequest(db, META_STORE, 'readonly', store => store.get(owner)))) || null;
+};
+
+/**
+ * Store (or replace) the archive's sealed secret for a user
+ * @param {Object} meta - { owner, sealed, createdAt }
+ * @returns {Promise<void>}
+ */
+export const saveArchiveMeta = async (meta) => {
+  await withArchive(db => runRequest(db, META_STORE, 'readwrite', store => store.put(meta)));
+};
+
+/**
+ * Store (or replace) records in one transaction
+ * @param {string} storeName - One of ARCHIVE_STORES
+ * @param {Array<Object>} records - { owner, id, conversation, sentAt, size, iv, data }
+ * @returns {Promise<void>}
+ */
+export const putRecords = async (storeName, records) => {
+  if (records.length === 0) return;
+  await withArchive(db => runTransaction(db, storeName, 'readwrite', (transaction) => {
+    const store = transaction.objectStore(storeName);
+    records.forEach(record => store.put(record));
+  }));
+};
+
+/**
+ * Read a user's records, oldest first
+ * @param {string} storeName - One of ARCHIVE_STORES
+ * @param {string} owner - Username
+ * @param {Object} options
+ * @param {string} [options.conversation] - Only this conversation tag
+ * @param {number} [options.limit] - Only the newest this many
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRecords = async (storeName, owner, { conversation, limit = Infinity } = {}) => {
+  const records = [];
+  await withArchive(db => runTransaction(db, storeName, 'readonly', (transaction) => {
+    const index = transaction.objectStore(storeName)
+      .index(conversation === undefined ? 'bySentAt' : 'byConversation');
+    walkCursor(index.openCursor(ownerRange(owner, conversation), 'prev'), (cursor) => {
+      records.push(cursor.value);
+      return records.length < limit;
+    });
+  }));
+  return records.reverse();
+};
+
+/**
+ * Size and time of every record a user has
+ * @param {string} owner - Username
+ * @returns {Promise<Array<Object>>} { storeName, id, sentAt, size }
+ */
+export const getRecordSizes = async (owner) => {
+  const entries = [];
+  await withArchive(db => runTransaction(db, Object.values(ARCHIVE_STORES), 'readonly', (transaction) => {
+    Object.values(ARCHIVE_STORES).forEach(storeName => {
+      const index = transaction.objectStore(storeName).index('bySentAt');
+      walkCursor(index.openCursor(ownerRange(owner)), ({ value }) => {
+        entries.push({ storeName, id: value.id, sentAt: value.sentAt, size: value.size });
+      });
+    });
+  }));
+  return entries;
+};
+
+/**
+ * Delete records by id
+ * @param {string} owner - Username
+ * @param {Array<Object>} entries - { storeName, id }
+ * @returns {Promise<void>}
+ */
+export const deleteRecords = async (owner, entries) => {
+  if (entries.length === 0) return;
+  await withArchive(db => runTransaction(db, Object.values(ARCHIVE_STORES), 'readwrite', (transaction) => {
+    entries.forEach(({ storeName, id }) => transaction.objectStore(storeName).delete([owner, id]));
+  }));
+};
+
+/**
+ * Delete all of a user's records in some stores
+ * @param {string} owner - Username
+ * @param {Array<string>} storeNames - Stores to empty for this user
+ * @returns {Promise<void>}
+ */
+export const clearRecords = async (owner, storeNames = Object.values(ARCHIVE_STORES)) => {
+  await withArchive(db => runTransaction(db, storeNames, 'readwrite', (transaction) => {
+    storeNames.forEach(storeName => {
+      transaction.objectStore(storeName).delete(IDBKeyRange.bound([owner, -Infinity], [owner, []]));
+    });
+  }));
+};
+
+/**
+ * Delete the archive of every user on this browser
+ * @returns {Promise<void>}
+ */
+export const deleteArchive = async () => {
+  if (!isIndexedDbAvailable()) return;
+  await deleteDatabase(DB_NAME);
+};
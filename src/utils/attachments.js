@@ -0,0 +1,70 @@
+import { ATTACHMENT_TYPES, MAX_ATTACHMENTS_PER_MESSAGE } from './constants';
+
+// Marks message plaintext that carries attachments alongside its text
+const ENVELOPE_TYPE = 'retro-messenger/attachments';
+
+const isAttachment = (attachment) =>
+  typeof attachment?.id === 'string' &&
+  typeof attachment.key === 'string' &&
+  typeof attachment.iv === 'string' &&
+  typeof attachment.name === 'string' &&
+  ATTACHMENT_TYPES.includes(attachment.type) &&
+  Number.isInteger(attachment.size) && attachment.size >= 0;
+
+/**
+ * Build the plaintext of a message, before it is encrypted
+ * Messages without attachments stay plain text, so older clients can read them.
+ * @param {string} text - Message text
+ * @param {Array<Object>} attachments - { id, key, iv, name, type, size }
+ * @returns {string} Text, or a JSON envelope holding text and attachments
+ */
+export const packMessage = (text, attachments = []) => {
+  if (attachments.length === 0) return text;
+  return JSON.stringify({
+    type: ENVELOPE_TYPE,
+    text,
+    attachments: attachments.map(({ id, key, iv, name, type, size }) => ({ id, key, iv, name, type, size }))
+  });
+};
+
+/**
+ * Split decrypted message plaintext into its text and attachments
+ * Anything that is not a well-formed envelope is treated as text.
+ * @param {string} content - Decrypted plaintext
+ * @returns {Object} { text, attachments }
+ */
+export const unpackMessage = (content) => {
+  if (typeof content !== 'string' || !content.startsWith('{')) {
+    return { text: content, attachments: [] };
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(content);
+  } catch {
+    return { text: content, attachments: [] };
+  }
+
+  const valid = envelope?.type === ENVELOPE_TYPE &&
+    typeof envelope.text === 'string' &&
+    Array.isArray(envelope.attachments) &&
+    envelope.attachments.length <= MAX_ATTACHMENTS_PER_MESSAGE &&
+    envelope.attachments.every(isAttachment);
+  return valid
+    ? { text: envelope.text, attachments: envelope.attachments }
+    : { text: content, attachments: [] };
+};
+
+/**
+ * Pager display for an attachment
+ * @param {Object} attachment - { size }
+ * @returns {string} e.g. "[ATTACHMENT 12 KB]"
+ */
+export const formatAttachmentStub = ({ size }) => `[ATTACHMENT ${Math.max(1, Math.ceil(size / 1024))} KB]`;
+
+/**
+ * Whether an attachment can be shown as a received fax page
+ * @param {Object} attachment - { type }
+ * @returns {boolean}
+ */
+export const isImageAttachment = ({ type }) => type.startsWith('image/');
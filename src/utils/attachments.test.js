@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { packMessage, unpackMessage, formatAttachmentStub, isImageAttachment } from './attachments.js';
+
+const photo = { id: 'a1', key: 'a2V5', iv: 'aXY=', name: 'cat.png', type: 'image/png', size: 2049 };
+
+describe('attachments', () => {
+  it('should round-trip text and attachments through the message envelope', () => {
+    const content = packMessage('See page 2', [{ ...photo, file: 'dropped' }]);
+
+    expect(unpackMessage(content)).toEqual({ text: 'See page 2', attachments: [photo] });
+  });
+
+  it('should leave messages without attachments as plain text', () => {
+    expect(packMessage('Hello', [])).toBe('Hello');
+    expect(unpackMessage('Hello')).toEqual({ text: 'Hello', attachments: [] });
+  });
+
+  it('should treat malformed envelopes as text', () => {
+    const forged = JSON.stringify({
+      type: 'retro-messenger/attachments',
+      text: 'hi',
+      attachments: [{ ...photo, type: 'text/html' }]
+    });
+
+    expect(unpackMessage(forged)).toEqual({ text: forged, attachments: [] });
+    expect(unpackMessage('{not json')).toEqual({ text: '{not json', attachments: [] });
+  });
+
+  it('should format pager stubs and spot images', () => {
+    expect(formatAttachmentStub(photo)).toBe('[ATTACHMENT 3 KB]');
+    expect(formatAttachmentStub({ size: 0 })).toBe('[ATTACHMENT 1 KB]');
+    expect(isImageAttachment(photo)).toBe(true);
+    expect(isImageAttachment({ type: 'application/pdf' })).toBe(false);
+  });
+});
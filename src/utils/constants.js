@@ -89,11 +89,92 @@ export const MAX_USERNAME_LENGTH = 20;
 export const FAX_ANIMATION_DURATION_MS = 2500;
 
 /**
- * SSE reconnection delay after connection error
+ * Fax scan resolutions
+ * Fine scans square dots; Standard scans half as many lines down the page
+ * (98 instead of 196 per inch), so its dots print twice as tall.
+ */
+export const FAX_RESOLUTIONS = {
+  standard: { label: 'STANDARD (204x98)', lineHeight: 2 },
+  fine: { label: 'FINE (204x196)', lineHeight: 1 }
+};
+
+/**
+ * Real-time reconnection delay after connection error (WebSocket or SSE)
  * Prevents aggressive reconnection attempts while allowing recovery
  */
 export const SSE_RECONNECT_DELAY_MS = 5000;
 
+/**
+ * How long a WebSocket request waits for the server's reply
+ */
+export const WS_REQUEST_TIMEOUT_MS = 10000;
+
+/**
+ * Number of recently seen message IDs remembered for de-duplication
+ * Covers events replayed after a reconnect without growing unbounded
+ */
+export const MAX_SEEN_MESSAGE_IDS = 500;
+
+/**
+ * Minimum gap between "still typing" signals sent to the server
+ * Must stay below the server's 6s typing TTL so indicators don't flicker
+ */
+export const TYPING_REFRESH_MS = 3000;
+
+/**
+ * Keyboard idle time after which we tell the recipient we stopped typing
+ */
+export const TYPING_IDLE_MS = 4000;
+
+/**
+ * How often a signed-in client checks whether its prekey is due for rotation
+ * Prekeys themselves rotate daily (see CryptoService)
+ */
+export const PREKEY_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Idle time after which a session with a quick unlock PIN locks itself
+ * The private keys are dropped from memory until the PIN is entered again
+ */
+export const IDLE_LOCK_MS = 5 * 60 * 1000;
+
+/**
+ * Quick unlock PIN length (digits)
+ */
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+/**
+ * Wrong PINs allowed before the stored keys are deleted and only a password
+ * login can unlock the account again
+ */
+export const MAX_PIN_ATTEMPTS = 5;
+
+/**
+ * Encrypted bytes a user's local message archive may hold; past this (or when
+ * the browser's storage quota runs low) the oldest pages and faxes are deleted
+ */
+export const MAX_ARCHIVE_BYTES = 50 * 1024 * 1024;
+
+/**
+ * Share of the archive budget left after pruning, so it doesn't prune again
+ * on the next page
+ */
+export const ARCHIVE_PRUNE_TARGET = 0.8;
+
+/**
+ * Archived pages loaded at login; a conversation's full history loads when it
+ * is selected
+ */
+export const ARCHIVE_RECENT_MESSAGES = 200;
+
+/**
+ * How often a device waiting to be linked checks whether it was approved
+ * Checks count against the server's per-IP sign-in limit (30 per 15 minutes),
+ * so a 10-minute link request must not take more than about 20.
+ */
+export const DEVICE_LINK_POLL_MS = 30 * 1000;
+
 // ============================================================================
 // Retry Configuration
 // ============================================================================
@@ -120,6 +201,29 @@ export const DEFAULT_RETRY_BASE_DELAY = 1000;
  */
 export const MAX_PAGER_MESSAGE_LENGTH = 240;
 
+/**
+ * Largest file that can be attached to a message (bytes)
+ * Matches the server's default MAX_ATTACHMENT_KB
+ */
+export const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Maximum attachments on a single message
+ */
+export const MAX_ATTACHMENTS_PER_MESSAGE = 4;
+
+/**
+ * File types that can be attached: images, plain text and PDFs
+ */
+export const ATTACHMENT_TYPES = [
+  'image/png',
+  'image/jpeg',
+  'image/gif',
+  'image/webp',
+  'text/plain',
+  'application/pdf'
+];
+
 // ============================================================================
 // Application Constants
 // ============================================================================
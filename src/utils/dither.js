@@ -0,0 +1,105 @@
+/**
+ * Dithering Utility
+ * Turns greyscale images into the 1-bit dots a fax machine prints
+ */
+
+// 4x4 Bayer threshold matrix, in units of 1/16
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5]
+];
+
+/**
+ * Convert RGBA pixels to luminance, treating transparent pixels as white paper
+ * @param {Uint8ClampedArray} data - RGBA pixels (ImageData.data)
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Float32Array} Luminance per pixel, 0 (black) to 255 (white)
+ */
+export const toGrayscale = (data, width, height) => {
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const offset = i * 4;
+    const alpha = data[offset + 3] / 255;
+    const luminance = 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+    gray[i] = luminance * alpha + 255 * (1 - alpha);
+  }
+  return gray;
+};
+
+/**
+ * Floyd–Steinberg error diffusion
+ * Pushes each pixel's rounding error onto its unvisited neighbours, which
+ * keeps the average tone and gives the grainy look of a scanned photo.
+ * @param {Float32Array} gray - Luminance from toGrayscale()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} 1 for a black dot, 0 for white, per pixel
+ */
+export const ditherFloydSteinberg = (gray, width, height) => {
+  const values = Float32Array.from(gray);
+  const dots = new Uint8Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const black = values[i] < 128;
+      const error = values[i] - (black ? 0 : 255);
+      dots[i] = black ? 1 : 0;
+
+      if (x + 1 < width) values[i + 1] += error * 7 / 16;
+      if (y + 1 < height) {
+        if (x > 0) values[i + width - 1] += error * 3 / 16;
+        values[i + width] += error * 5 / 16;
+        if (x + 1 < width) values[i + width + 1] += error * 1 / 16;
+      }
+    }
+  }
+  return dots;
+};
+
+/**
+ * Ordered (Bayer) dithering
+ * Compares each pixel with a repeating threshold pattern, which gives the
+ * regular cross-hatch of halftoned fax pages and keeps line art crisp.
+ * @param {Float32Array} gray - Luminance from toGrayscale()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} 1 for a black dot, 0 for white, per pixel
+ */
+export const ditherOrdered = (gray, width, height) => {
+  const dots = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const threshold = (BAYER_4X4[y % 4][x % 4] + 0.5) * 16;
+      dots[y * width + x] = gray[y * width + x] < threshold ? 1 : 0;
+    }
+  }
+  return dots;
+};
+
+/**
+ * Dithering methods offered when scanning, by key
+ */
+export const DITHER_METHODS = {
+  'floyd-steinberg': { label: 'FLOYD-STEINBERG', dither: ditherFloydSteinberg },
+  ordered: { label: 'ORDERED', dither: ditherOrdered }
+};
+
+/**
+ * Dither an image with one of DITHER_METHODS
+ * @param {Float32Array} gray - Luminance from toGrayscale()
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {string} method - Key of DITHER_METHODS
+ * @returns {Uint8Array} 1 for a black dot, 0 for white, per pixel
+ */
+export const ditherImage = (gray, width, height, method) => {
+  const entry = DITHER_METHODS[method];
+  if (!entry) {
+    throw new Error(`Unknown dithering method: ${method}`);
+  }
+  return entry.dither(gray, width, height);
+};
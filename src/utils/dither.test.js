@@ -0,0 +1,32 @@
+import { describe, it, expect } from 'vitest';
+import { toGrayscale, ditherImage } from './dither.js';
+
+const SIZE = 16;
+const fill = (value) => new Float32Array(SIZE * SIZE).fill(value);
+const coverage = (dots) => dots.reduce((sum, dot) => sum + dot, 0) / dots.length;
+
+describe('dither', () => {
+  it('should read transparent pixels as white paper', () => {
+    const pixels = new Uint8ClampedArray([0, 0, 0, 255, 0, 0, 0, 0, 255, 255, 255, 255]);
+
+    expect(Array.from(toGrayscale(pixels, 3, 1))).toEqual([0, 255, 255]);
+  });
+
+  it.each(['floyd-steinberg', 'ordered'])('should keep the tone of the image with %s', (method) => {
+    expect(coverage(ditherImage(fill(255), SIZE, SIZE, method))).toBe(0);
+    expect(coverage(ditherImage(fill(0), SIZE, SIZE, method))).toBe(1);
+    expect(coverage(ditherImage(fill(191), SIZE, SIZE, method))).toBeCloseTo(0.25, 1);
+    expect(coverage(ditherImage(fill(128), SIZE, SIZE, method))).toBeCloseTo(0.5, 1);
+  });
+
+  it('should lay ordered dots out in a repeating pattern', () => {
+    const dots = ditherImage(fill(128), SIZE, SIZE, 'ordered');
+
+    expect(Array.from(dots.slice(0, 4))).toEqual(Array.from(dots.slice(4, 8)));
+    expect(Array.from(dots.slice(0, SIZE))).toEqual(Array.from(dots.slice(4 * SIZE, 5 * SIZE)));
+  });
+
+  it('should refuse unknown methods', () => {
+    expect(() => ditherImage(fill(0), SIZE, SIZE, 'random')).toThrow('Unknown dithering method: random');
+  });
+});
@@ -3,6 +3,9 @@
  * Renders messages as vintage fax document images using Canvas API
  */
 
+import { toGrayscale, ditherImage } from './dither.js';
+import { FAX_RESOLUTIONS } from './constants.js';
+
 /**
  * Generate a paper texture pattern
  * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -308,3 +311,138 @@ export const renderFaxWithAnimation = async (
     requestAnimationFrame(animate);
   });
 };
+
+/**
+ * Render a scanned image as a fax page
+ * The image is fitted below the header, reduced to 1-bit dots at the chosen
+ * resolution and printed on the paper with the usual fax effects.
+ * @param {CanvasImageSource} source - Loaded image or drawing canvas
+ * @param {Object} options
+ * @param {string} options.sender - Sender identifier
+ * @param {number} options.timestamp - Scan time (default: now)
+ * @param {string} options.caption - Optional text printed above the image
+ * @param {string} options.dithering - Key of DITHER_METHODS (default: 'floyd-steinberg')
+ * @param {string} options.resolution - Key of FAX_RESOLUTIONS (default: 'fine')
+ * @param {number} width - Canvas width (default: 595)
+ * @param {number} height - Canvas height (default: 842)
+ * @returns {Promise<string>} Data URL of rendered fax image
+ */
+export const renderScannedFaxDocument = async (
+  source,
+  { sender, timestamp = Date.now(), caption = '', dithering = 'floyd-steinberg', resolution = 'fine' } = {},
+  width = 595,
+  height = 842
+) => {
+  const { label, lineHeight } = FAX_RESOLUTIONS[resolution] || FAX_RESOLUTIONS.fine;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  applyPaperTexture(ctx, width, height);
+  renderFaxHeader(ctx, width, timestamp, sender);
+  ctx.fillText(`RES: ${label}`, width / 2, 45);
+
+  const margin = 40;
+  const top = caption.trim()
+    ? renderWrappedText(ctx, caption, margin, 120, width - (margin * 2), 22)
+    : 110;
+
+  // Fit the image in the rest of the page, keeping its proportions
+  const sourceWidth = source.naturalWidth || source.width;
+  const sourceHeight = source.naturalHeight || source.height;
+  const scale = Math.min((width - margin * 2) / sourceWidth, (height - margin - top) / sourceHeight);
+  const dotsWide = Math.max(1, Math.round(sourceWidth * scale));
+  const dotsHigh = Math.max(1, Math.round(sourceHeight * scale / lineHeight));
+
+  // Scan at the fax's dot grid, on white so transparent areas stay blank
+  const scan = document.createElement('canvas');
+  scan.width = dotsWide;
+  scan.height = dotsHigh;
+  const scanCtx = scan.getContext('2d', { willReadFrequently: true });
+  scanCtx.fillStyle = '#ffffff';
+  scanCtx.fillRect(0, 0, dotsWide, dotsHigh);
+  scanCtx.drawImage(source, 0, 0, dotsWide, dotsHigh);
+
+  const imageData = scanCtx.getImageData(0, 0, dotsWide, dotsHigh);
+  const dots = ditherImage(toGrayscale(imageData.data, dotsWide, dotsHigh), dotsWide, dotsHigh, dithering);
+  // Black dots are inked, white ones left transparent so the paper shows through
+  dots.forEach((dot, i) => {
+    imageData.data.fill(0, i * 4, i * 4 + 3);
+    imageData.data[i * 4 + 3] = dot ? 255 : 0;
+  });
+  scanCtx.putImageData(imageData, 0, 0);
+
+  // Print each dot as a block, so Standard's dots come out tall
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(scan, Math.round((width - dotsWide) / 2), Math.round(top), dotsWide, dotsHigh * lineHeight);
+
+  applyFaxEffects(canvas, ctx);
+
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Render a printable account recovery kit as a fax page
+ * Skips the noise effects so every character of the phrase stays legible.
+ * @param {Object} kit
+ * @param {string} kit.username - Account the kit belongs to
+ * @param {string} kit.phrase - Recovery phrase (groups of four separated by dashes)
+ * @param {number} kit.createdAt - When the kit was created (default: now)
+ * @param {number} width - Canvas width (default: 595)
+ * @param {number} height - Canvas height (default: 842)
+ * @returns {Promise<string>} Data URL of rendered kit image
+ */
+export const renderRecoveryKit = async ({ username, phrase, createdAt = Date.now() }, width = 595, height = 842) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  applyPaperTexture(ctx, width, height);
+  renderFaxHeader(ctx, width, createdAt, username);
+
+  const margin = 40;
+  ctx.fillStyle = '#000000';
+  ctx.font = 'bold 18px "Courier New", monospace';
+  ctx.fillText('*** ACCOUNT RECOVERY KIT ***', margin, 125);
+  ctx.font = '14px "Courier New", monospace';
+  ctx.fillText(`ACCOUNT: ${username}`, margin, 155);
+
+  let y = renderWrappedText(
+    ctx,
+    'If you forget your password, this phrase lets you set a new one without losing your encrypted messages. Anyone holding it can take over the account: store it offline and never send it to anyone.',
+    margin,
+    190,
+    width - (margin * 2),
+    22
+  );
+
+  // The phrase, two groups per line, in a box
+  const groups = phrase.split('-');
+  const lines = [];
+  for (let i = 0; i < groups.length; i += 2) {
+    lines.push(groups.slice(i, i + 2).join('-'));
+  }
+  const boxTop = y + 10;
+  const lineHeight = 34;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(margin, boxTop, width - (margin * 2), lines.length * lineHeight + 30);
+  ctx.font = 'bold 26px "Courier New", monospace';
+  lines.forEach((line, index) => {
+    ctx.fillText(`${index + 1}. ${line}`, margin + 30, boxTop + 45 + index * lineHeight);
+  });
+  y = boxTop + lines.length * lineHeight + 70;
+
+  ctx.font = '12px "Courier New", monospace';
+  ctx.fillText('Use it from the login screen: "Forgot password? Use recovery kit".', margin, y);
+  ctx.setLineDash([6, 4]);
+  ctx.beginPath();
+  ctx.moveTo(margin, height - 60);
+  ctx.lineTo(width - margin, height - 60);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  ctx.fillText('RETROPAGER 9000 | KEEP THIS PAGE SAFE', margin, height - 40);
+
+  return canvas.toDataURL('image/png');
+};
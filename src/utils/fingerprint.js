@@ -0,0 +1,128 @@
+/**
+ * Public key fingerprints, key ids and safety numbers
+ * A fingerprint is the SHA-256 of a public key (SPKI), shown as hex. A safety
+ * number combines both sides of a conversation into 60 digits that read the
+ * same on both screens, so two people can compare keys out loud.
+ */
+
+// Digits per group and groups per user in a safety number
+const GROUP_DIGITS = 5;
+const GROUPS_PER_USER = 6;
+
+// Hex characters in a key id
+const KEY_ID_LENGTH = 16;
+
+// Device link codes: Crockford base32 (no I, L, O or U), 5 bits a character
+const LINK_CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const LINK_CODE_LENGTH = 10;
+
+/**
+ * Hex SHA-256 of bytes
+ * @param {BufferSource} bytes
+ * @returns {Promise<string>} 64 lowercase hex characters
+ */
+const sha256Hex = async (bytes) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)]
+    .map(byte => byte.toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * Fingerprint of a user's base64 SPKI public keys
+ * The signing key is covered too, so swapping it changes the fingerprint.
+ * @param {string} publicKeyBase64 - Exported encryption public key
+ * @param {string|null} signingKeyBase64 - Exported signing public key, if any
+ * @returns {Promise<string>} 64 uppercase hex characters
+ */
+export const getKeyFingerprint = async (publicKeyBase64, signingKeyBase64 = null) => {
+  const keys = atob(publicKeyBase64) + (signingKeyBase64 ? atob(signingKeyBase64) : '');
+  const bytes = Uint8Array.from(keys, c => c.charCodeAt(0));
+  return (await sha256Hex(bytes)).toUpperCase();
+};
+
+/**
+ * Short id of an encryption key, embedded in message bundles so the
+ * recipient knows which of their keys (current or retired) opens a copy
+ * @param {string} publicKeyBase64 - Exported encryption public key
+ * @returns {Promise<string>} 16 lowercase hex characters
+ */
+export const getKeyId = async (publicKeyBase64) =>
+  (await sha256Hex(Uint8Array.from(atob(publicKeyBase64), c => c.charCodeAt(0)))).slice(0, KEY_ID_LENGTH);
+
+/**
+ * Code a new device shows while waiting to be linked: the first 50 bits of
+ * the hash of its one-off public key, so typing it on the approving device
+ * pins the key the keyring gets sealed to
+ * @param {string} publicKeyBase64 - The new device's exported ECDH public key
+ * @returns {Promise<string>} e.g. "7KQ2M-XD04R"
+ */
+export const getLinkCode = async (publicKeyBase64) => {
+  const digest = await sha256Hex(Uint8Array.from(atob(publicKeyBase64), c => c.charCodeAt(0)));
+  const bits = [...digest].map(hex => parseInt(hex, 16).toString(2).padStart(4, '0')).join('');
+  const code = (bits.slice(0, LINK_CODE_LENGTH * 5).match(/.{5}/g) || [])
+    .map(chunk => LINK_CODE_ALPHABET[parseInt(chunk, 2)])
+    .join('');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+/**
+ * Tidy a link code as typed: uppercase, without separators, with the
+ * letters that look like digits read as those digits
+ * @param {string} input
+ * @returns {string} e.g. "7KQ2M-XD04R"
+ */
+export const normalizeLinkCode = (input) => {
+  const code = String(input || '')
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  return code.length > 5 ? `${code.slice(0, 5)}-${code.slice(5)}` : code;
+};
+
+/**
+ * Split a fingerprint into groups of four for display
+ * @param {string} fingerprint - Hex fingerprint
+ * @returns {string} e.g. "3FA2 91C0 ..."
+ */
+export const formatFingerprint = (fingerprint) =>
+  (fingerprint.match(/.{1,4}/g) || []).join(' ');
+
+/**
+ * One user's half of a safety number: 30 digits from SHA-512 of their
+ * username and fingerprint, five bytes per five-digit group
+ * @param {string} username - Key owner
+ * @param {string} fingerprint - Hex fingerprint of their key
+ * @returns {Promise<Array<string>>} Six five-digit groups
+ */
+const getSafetyNumberHalf = async (username, fingerprint) => {
+  const input = new TextEncoder().encode(`${username}:${fingerprint}`);
+  const digest = new Uint8Array(await window.crypto.subtle.digest('SHA-512', input));
+  const groups = [];
+
+  for (let group = 0; group < GROUPS_PER_USER; group++) {
+    let value = 0;
+    for (const byte of digest.subarray(group * 5, group * 5 + 5)) {
+      value = value * 256 + byte;
+    }
+    groups.push(String(value % 10 ** GROUP_DIGITS).padStart(GROUP_DIGITS, '0'));
+  }
+
+  return groups;
+};
+
+/**
+ * Safety number for a conversation between two users
+ * The halves are ordered by username, so both users see the same number.
+ * @param {Object} ours - { username, fingerprint } for this user
+ * @param {Object} theirs - { username, fingerprint } for the contact
+ * @returns {Promise<Array<string>>} Twelve five-digit groups
+ */
+export const computeSafetyNumber = async (ours, theirs) => {
+  const [first, second] = [ours, theirs].sort((a, b) => (a.username < b.username ? -1 : 1));
+  return [
+    ...(await getSafetyNumberHalf(first.username, first.fingerprint)),
+    ...(await getSafetyNumberHalf(second.username, second.fingerprint))
+  ];
+};
@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { formatFingerprint, computeSafetyNumber, getKeyId, getLinkCode, normalizeLinkCode } from './fingerprint.js';
+
+const alice = { username: 'Alice', fingerprint: 'A'.repeat(64) };
+const bob = { username: 'Bob', fingerprint: 'B'.repeat(64) };
+
+describe('fingerprint', () => {
+  it('should group fingerprints by four characters', () => {
+    expect(formatFingerprint('3FA291C0DE')).toBe('3FA2 91C0 DE');
+  });
+
+  it('should derive key ids from the start of the key hash', async () => {
+    expect(await getKeyId('AAAA')).toBe('709e80c88487a241');
+  });
+
+  it('should derive short link codes that survive sloppy typing', async () => {
+    const code = await getLinkCode('AAAA');
+
+    expect(code).toMatch(/^[0-9A-HJKMNP-TV-Z]{5}-[0-9A-HJKMNP-TV-Z]{5}$/);
+    expect(await getLinkCode('AAAA')).toBe(code);
+    expect(await getLinkCode('AAAB')).not.toBe(code);
+    expect(normalizeLinkCode(code.toLowerCase().replace('-', ' '))).toBe(code);
+    expect(normalizeLinkCode('o1il0-abcde')).toBe('01110-ABCDE');
+  });
+
+  it('should give both sides the same twelve five-digit groups', async () => {
+    const number = await computeSafetyNumber(alice, bob);
+
+    expect(number).toHaveLength(12);
+    number.forEach(group => expect(group).toMatch(/^\d{5}$/));
+    expect(await computeSafetyNumber(bob, alice)).toEqual(number);
+  });
+
+  it('should change when either key changes', async () => {
+    const number = await computeSafetyNumber(alice, bob);
+    const swapped = await computeSafetyNumber(alice, { ...bob, fingerprint: 'C'.repeat(64) });
+
+    expect(swapped.slice(0, 6)).toEqual(number.slice(0, 6));
+    expect(swapped.slice(6)).not.toEqual(number.slice(6));
+  });
+});
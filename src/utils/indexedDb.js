@@ -0,0 +1,81 @@
+/**
+ * Promise helpers for IndexedDB
+ */
+
+/**
+ * Whether this browser has IndexedDB (test environments and some private
+ * browsing modes don't)
+ * @returns {boolean}
+ */
+export const isIndexedDbAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Open a database, creating or upgrading its object stores
+ * @param {string} name - Database name
+ * @param {number} version - Schema version
+ * @param {Function} upgrade - Called with (db, oldVersion) when the schema is older
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = (name, version, upgrade) => new Promise((resolve, reject) => {
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run work in one transaction and wait for it to commit
+ * @param {IDBDatabase} db - Open database
+ * @param {string|Array<string>} storeNames - Object stores the work touches
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} work - Called with the transaction; may return an IDBRequest
+ * @returns {Promise<*>} The returned request's result, or whatever work returned
+ */
+export const runTransaction = (db, storeNames, mode, work) => new Promise((resolve, reject) => {
+  const transaction = db.transaction(storeNames, mode);
+  const outcome = work(transaction);
+  transaction.oncomplete = () => resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+/**
+ * Run a request in its own transaction and wait for it to commit
+ * @param {IDBDatabase} db - Open database
+ * @param {string} storeName - Object store
+ * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store; returns an IDBRequest
+ * @returns {Promise<*>} The request's result
+ */
+export const runRequest = (db, storeName, mode, makeRequest) => (
+  runTransaction(db, storeName, mode, transaction => makeRequest(transaction.objectStore(storeName)))
+);
+
+/**
+ * Walk a cursor, calling visit with each cursor before it advances
+ * Returning false from visit stops the walk. Runs inside a transaction, so
+ * visit may update or delete through the cursor.
+ * @param {IDBRequest} request - Result of openCursor()
+ * @param {Function} visit - Called with each IDBCursorWithValue
+ */
+export const walkCursor = (request, visit) => {
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor && visit(cursor) !== false) {
+      cursor.continue();
+    }
+  };
+};
+
+/**
+ * Delete a whole database
+ * @param {string} name - Database name
+ * @returns {Promise<void>}
+ */
+export const deleteDatabase = (name) => new Promise((resolve, reject) => {
+  const request = indexedDB.deleteDatabase(name);
+  request.onsuccess = () => resolve();
+  request.onerror = () => reject(request.error);
+  // Another tab still has it open; it is deleted once that tab closes it
+  request.onblocked = () => resolve();
+});
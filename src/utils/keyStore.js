@@ -0,0 +1,117 @@
+/**
+ * Unlocked keys kept across page reloads
+ * CryptoKeys are stored as structured clones, so non-extractable keys stay
+ * usable after a reload without their bytes ever being readable by script.
+ * A record is only written once the user sets a quick unlock PIN.
+ *
+ * Prekey private keys live here too, and only here: they never leave the
+ * device, so deleting one really does make the pages sealed to it unreadable.
+ */
+
+import { isIndexedDbAvailable, openDatabase, runRequest } from './indexedDb.js';
+
+const DB_NAME = 'retro_messenger_keys';
+const DB_VERSION = 2;
+const STORE_NAME = 'unlocked';
+const PREKEY_STORE_NAME = 'prekeys';
+
+/**
+ * Run a request against one of the key stores, closing the database afterwards
+ * @param {IDBTransactionMode} mode
+ * @param {Function} makeRequest - Called with the object store
+ * @param {string} storeName - STORE_NAME or PREKEY_STORE_NAME
+ * @returns {Promise<*>}
+ */
+const withKeyStore = async (mode, makeRequest, storeName = STORE_NAME) => {
+  const db = await openDatabase(DB_NAME, DB_VERSION, (database, oldVersion) => {
+    if (oldVersion < 1) {
+      database.createObjectStore(STORE_NAME, { keyPath: 'username' });
+    }
+    if (oldVersion < 2) {
+      database.createObjectStore(PREKEY_STORE_NAME, { keyPath: 'username' });
+    }
+  });
+  try {
+    return await runRequest(db, storeName, mode, makeRequest);
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * Load a user's stored keys
+ * @param {string} username
+ * @returns {Promise<Object|null>} { username, keys, pin, failedAttempts, savedAt }
+ */
+export const loadUnlockedKeys = async (username) => {
+  if (!isIndexedDbAvailable() || !username) return null;
+  return (await withKeyStore('readonly', store => store.get(username))) || null;
+};
+
+/**
+ * Store (or replace) a user's keys
+ * @param {Object} record - { username, keys, pin, failedAttempts }
+ * @returns {Promise<void>}
+ */
+export const saveUnlockedKeys = async (record) => {
+  if (!isIndexedDbAvailable()) {
+    throw new Error('This browser cannot keep keys across reloads');
+  }
+  await withKeyStore('readwrite', store => store.put({ ...record, savedAt: new Date().toISOString() }));
+};
+
+/**
+ * Delete a user's stored keys
+ * @param {string} username
+ * @returns {Promise<void>}
+ */
+export const deleteUnlockedKeys = async (username) => {
+  if (!isIndexedDbAvailable() || !username) return;
+  await withKeyStore('readwrite', store => store.delete(username));
+};
+
+/**
+ * Delete every stored key (on logout)
+ * @returns {Promise<void>}
+ */
+export const clearUnlockedKeys = async () => {
+  if (!isIndexedDbAvailable()) return;
+  await withKeyStore('readwrite', store => store.clear());
+};
+
+/**
+ * Load a user's prekeys
+ * @param {string} username
+ * @returns {Promise<Array<Object>>} { id, publicKey, createdAt, signature, keyPair }
+ */
+export const loadStoredPrekeys = async (username) => {
+  if (!isIndexedDbAvailable() || !username) return [];
+  const record = await withKeyStore('readonly', store => store.get(username), PREKEY_STORE_NAME);
+  return record?.prekeys || [];
+};
+
+/**
+ * Replace a user's prekeys; prekeys left out are gone for good
+ * Without IndexedDB the prekeys only last until the page is closed.
+ * @param {string} username
+ * @param {Array<Object>} prekeys - From CryptoService.getPrekeys()
+ * @returns {Promise<void>}
+ */
+export const saveStoredPrekeys = async (username, prekeys) => {
+  if (!isIndexedDbAvailable() || !username) return;
+  await withKeyStore(
+    'readwrite',
+    store => store.put({ username, prekeys, savedAt: new Date().toISOString() }),
+    PREKEY_STORE_NAME
+  );
+};
+
+/**
+ * Delete every stored prekey (when wiping the device)
+ * Logging out keeps them, so pages that arrive meanwhile stay readable.
+ * @returns {Promise<void>}
+ */
+export const clearStoredPrekeys = async () => {
+  if (!isIndexedDbAvailable()) return;
+  await withKeyStore('readwrite', store => store.clear(), PREKEY_STORE_NAME);
+};
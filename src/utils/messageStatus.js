@@ -0,0 +1,47 @@
+/**
+ * Delivery statuses in the order a sent message moves through them
+ * ("sending" and "failed" are client-only)
+ */
+export const MESSAGE_STATUS_ORDER = ['sending', 'queued', 'pushed', 'delivered', 'read'];
+
+// Labels shown by the pager and fax views
+const STATUS_LABELS = {
+  pushed: 'SENT',
+  delivered: '✓ DELIVERED',
+  read: '✓✓ READ'
+};
+
+/**
+ * Pick the later of two statuses, so late or repeated updates never move a message backwards
+ * @param {string} current - Status the message has now
+ * @param {string} next - Newly reported status
+ * @returns {string} Status to keep
+ */
+export const advanceStatus = (current, next) => {
+  if (!next) return current;
+  if (current === 'failed' && next === 'sending') return current;
+  return MESSAGE_STATUS_ORDER.indexOf(next) >= MESSAGE_STATUS_ORDER.indexOf(current)
+    ? next
+    : current;
+};
+
+/**
+ * Format a status for display
+ * @param {string} status - Message status
+ * @returns {string} Upper-case label, with ticks for delivered/read
+ */
+export const formatMessageStatus = (status) => STATUS_LABELS[status] || status.toUpperCase();
+
+// Warnings shown for messages whose sender could not be proven
+const SIGNATURE_WARNINGS = {
+  invalid: '⚠ SIGNATURE MISMATCH - SENDER NOT VERIFIED',
+  unsigned: 'UNSIGNED',
+  unknown: 'SIGNATURE NOT CHECKED'
+};
+
+/**
+ * Format a message's signature check for display
+ * @param {string} [signature] - 'valid', 'invalid', 'unsigned' or 'unknown'
+ * @returns {string|null} Warning label, or null when there is nothing to flag
+ */
+export const formatSignatureWarning = (signature) => SIGNATURE_WARNINGS[signature] || null;
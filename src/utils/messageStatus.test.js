@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { advanceStatus, formatMessageStatus, formatSignatureWarning } from './messageStatus.js';
+
+describe('advanceStatus', () => {
+  it('should move forward to a later status', () => {
+    expect(advanceStatus('pushed', 'delivered')).toBe('delivered');
+    expect(advanceStatus('queued', 'read')).toBe('read');
+  });
+
+  it('should ignore updates that would move backwards', () => {
+    expect(advanceStatus('read', 'delivered')).toBe('read');
+    expect(advanceStatus('delivered', 'queued')).toBe('delivered');
+  });
+
+  it('should keep the current status when nothing new is reported', () => {
+    expect(advanceStatus('pushed', undefined)).toBe('pushed');
+  });
+
+  it('should let a failed send be replaced by a server status', () => {
+    expect(advanceStatus('failed', 'queued')).toBe('queued');
+    expect(advanceStatus('failed', 'sending')).toBe('failed');
+  });
+});
+
+describe('formatMessageStatus', () => {
+  it('should show ticks for delivered and read', () => {
+    expect(formatMessageStatus('delivered')).toBe('✓ DELIVERED');
+    expect(formatMessageStatus('read')).toBe('✓✓ READ');
+  });
+
+  it('should upper-case other statuses', () => {
+    expect(formatMessageStatus('queued')).toBe('QUEUED');
+    expect(formatMessageStatus('failed')).toBe('FAILED');
+  });
+});
+
+describe('formatSignatureWarning', () => {
+  it('should flag mismatched and unsigned messages', () => {
+    expect(formatSignatureWarning('invalid')).toBe('⚠ SIGNATURE MISMATCH - SENDER NOT VERIFIED');
+    expect(formatSignatureWarning('unsigned')).toBe('UNSIGNED');
+  });
+
+  it('should show nothing for valid signatures or plain messages', () => {
+    expect(formatSignatureWarning('valid')).toBeNull();
+    expect(formatSignatureWarning(undefined)).toBeNull();
+  });
+});
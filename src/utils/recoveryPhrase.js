@@ -0,0 +1,57 @@
+/**
+ * Recovery phrases for the account recovery kit
+ * 160 random bits written as 32 Crockford base32 characters in groups of
+ * four (e.g. "7K3M-Q9XD-..."). Crockford's alphabet drops I, L, O and U, so a
+ * phrase copied from paper survives the usual misreadings.
+ */
+
+const CROCKFORD_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+// Random bytes per phrase (160 bits)
+const PHRASE_BYTES = 20;
+
+/**
+ * Generate a new recovery phrase
+ * @returns {string} Grouped phrase, e.g. "7K3M-Q9XD-..."
+ */
+export const generateRecoveryPhrase = () => {
+  const bytes = window.crypto.getRandomValues(new Uint8Array(PHRASE_BYTES));
+  let bits = 0;
+  let value = 0;
+  let chars = '';
+
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      chars += CROCKFORD_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  return chars.match(/.{4}/g).join('-');
+};
+
+/**
+ * Canonical form of a typed phrase: uppercase, no separators, and the
+ * look-alike letters mapped to the digits they stand for
+ * @param {string} phrase - Phrase as typed
+ * @returns {string} Normalized phrase (empty if it holds invalid characters)
+ */
+export const normalizeRecoveryPhrase = (phrase) => {
+  const clean = String(phrase || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+  return [...clean].every(char => CROCKFORD_ALPHABET.includes(char)) ? clean : '';
+};
+
+/**
+ * Whether a typed phrase has the shape of a recovery phrase
+ * @param {string} phrase - Phrase as typed
+ * @returns {boolean}
+ */
+export const isValidRecoveryPhrase = (phrase) =>
+  normalizeRecoveryPhrase(phrase).length === Math.ceil(PHRASE_BYTES * 8 / 5);
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import {
+  generateRecoveryPhrase,
+  normalizeRecoveryPhrase,
+  isValidRecoveryPhrase
+} from './recoveryPhrase.js';
+
+describe('recoveryPhrase', () => {
+  it('should generate 32 characters in groups of four', () => {
+    const phrase = generateRecoveryPhrase();
+
+    expect(phrase).toMatch(/^([0-9A-HJKMNP-TV-Z]{4}-){7}[0-9A-HJKMNP-TV-Z]{4}$/);
+    expect(isValidRecoveryPhrase(phrase)).toBe(true);
+  });
+
+  it('should generate a different phrase every time', () => {
+    expect(generateRecoveryPhrase()).not.toBe(generateRecoveryPhrase());
+  });
+
+  it('should forgive case, spacing and look-alike letters', () => {
+    expect(normalizeRecoveryPhrase('7k3m-q9xd oIlO')).toBe('7K3MQ9XD0110');
+  });
+
+  it('should reject phrases with foreign characters or the wrong length', () => {
+    expect(normalizeRecoveryPhrase('7K3M-Q9U!')).toBe('');
+    expect(isValidRecoveryPhrase('7K3M-Q9XD')).toBe(false);
+  });
+});
@@ -7,7 +7,8 @@ import { logger } from './logger.js';
 const STORAGE_KEYS = {
   CONFIG: 'retro_messenger_config',
   MESSAGES: 'retro_messenger_messages',
-  PREFERENCES: 'retro_messenger_preferences'
+  PREFERENCES: 'retro_messenger_preferences',
+  VERIFIED_KEYS: 'retro_messenger_verified_keys'
 };
 
 /**
@@ -167,6 +168,31 @@ export const clearMessageHistory = () => {
   return removeItem(STORAGE_KEYS.MESSAGES);
 };
 
+/**
+ * Gets the key fingerprints a user has verified
+ * Kept per local user, since several accounts may share a browser.
+ * 
+ * @param {string} owner - Username of the local user
+ * @returns {Object<string, string>} Contact username -> verified fingerprint
+ */
+export const getVerifiedKeys = (owner) => {
+  const verifiedKeys = getItem(STORAGE_KEYS.VERIFIED_KEYS, {});
+  return verifiedKeys[owner] || {};
+};
+
+/**
+ * Saves the key fingerprints a user has verified
+ * 
+ * @param {string} owner - Username of the local user
+ * @param {Object<string, string>} keys - Contact username -> verified fingerprint
+ * @returns {boolean} Success status
+ */
+export const saveVerifiedKeys = (owner, keys) => {
+  const verifiedKeys = getItem(STORAGE_KEYS.VERIFIED_KEYS, {});
+  verifiedKeys[owner] = keys;
+  return setItem(STORAGE_KEYS.VERIFIED_KEYS, verifiedKeys);
+};
+
 /**
  * Clears all app data from storage
  * 
@@ -9,6 +9,7 @@ export default defineConfig({
       '/api': {
         target: 'http://localhost:3001',
         changeOrigin: true,
+        ws: true, // /api/ws real-time socket
       },
       '/lmstudio': {
         target: 'http://127.0.0.1:1234',